@@ -29,7 +29,12 @@ var EbayTool = (function() {
     },
     BATCH_SIZE: 2000, // データ処理時の一度に読み込む行数
     MAX_LOG_ROWS: 500, // ログの最大行数
+    MAX_SNAPSHOTS: 5, // 保持するスナップショット（元に戻す用のバックアップ）の件数
     SIMILARITY_THRESHOLD: 0.7, // タイトル類似度の閾値
+    // 重複リストで元データの前に付与する列
+    DUPLICATE_META_COLUMNS: ['グループID', '重複タイプ', '処理', '類似度', 'バリエーション', '判定ルール', '確認理由', 'EndCode', '自動判定', '再検出'],
+    // 重複グループの連結理由（重複タイプ列にはこの順で表示する）
+    DUPLICATE_MATCH_TYPES: ['cert', 'title', 'variation', 'grade', 'similar', 'sku', 'upc', 'ean', 'isbn', 'epid'],
     MAX_FILE_SIZE: 10, // CSVファイルの最大サイズ（MB）
     MAX_EXECUTION_TIME: 330000, // 最大実行時間(5.5分)
     SAFETY_MARGIN: 30000, // 安全マージン(30秒)
@@ -119,69 +124,43 @@ var EbayTool = (function() {
       
       // 改良版の正規化プロセス
       if (useAdvanced) {
-        // 高度な類似度計算用の正規化
+        // 高度な類似度計算用の正規化（類似候補インデックスとJaccard係数で同じ単語集合を使う）
         
-        // 1. 連続する空白を単一空白に統一
-        normalized = normalized.replace(/\s+/g, ' ');
+        // 1. 記号を除去し、連続する空白を単一空白に統一
+        normalized = normalized.replace(/[^\w\s]/g, '').replace(/\s+/g, ' ').trim();
         
-        // 2. 一般的な記号を除去（ただし重要な区別要素は保持）
-        normalized = normalized.replace(/[().\-_]/g, '');
-        
-        // 3. 一般的な略語や単位を標準化
+        // 2. 一般的な略語や単位を標準化（単語単位で置換）
         const replacements = {
-          'in.': 'inch',
           'inches': 'inch',
-          'ft.': 'foot',
+          'ft': 'foot',
           'feet': 'foot',
+          'lb': 'pound',
           'lbs': 'pound',
-          'lb.': 'pound',
           'pounds': 'pound',
-          'oz.': 'ounce',
+          'oz': 'ounce',
           'ounces': 'ounce',
+          'pc': 'piece',
           'pcs': 'piece',
-          'pc.': 'piece',
           'pieces': 'piece'
         };
         
-        for (const [abbr, full] of Object.entries(replacements)) {
-          normalized = normalized.replace(new RegExp('\\b' + abbr + '\\b', 'g'), full);
-        }
-        
-        // 4. 重要なキーワードのみを抽出
-        const words = normalized.split(' ');
-        
         // ストップワード（無視する一般的な単語）
         const stopWords = ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'on', 'at', 'to', 'for', 'with', 'by', 'in', 'of'];
         
-        // ストップワードを除去し、短すぎる単語も除去
-        const filteredWords = words.filter(word => 
-          word.length > 2 && !stopWords.includes(word)
-        );
-        
-        // 単語をソートして順序の違いを無視
-        filteredWords.sort();
+        // 3. ストップワードと短すぎる単語を除去（数字を含む単語は型番・グレードなので残す）
+        const filteredWords = normalized.split(' ')
+          .map(word => replacements[word] || word)
+          .filter(word => (word.length > 2 || /\d/.test(word)) && !stopWords.includes(word));
         
-        // 出現回数が多い単語を強調
-        const wordCounts = {};
-        filteredWords.forEach(word => {
-          wordCounts[word] = (wordCounts[word] || 0) + 1;
-        });
-        
-        // 重要度に基づいて単語を選択
-        const importantWords = filteredWords.filter((word, index, self) => 
-          // 重複を除去
-          index === self.indexOf(word) && (
-            // 出現回数が多いか、長い単語は重要
-            wordCounts[word] > 1 || word.length > 5
-          )
-        );
+        // 4. 重複を除去してソートし、語順の違いを無視
+        const uniqueWords = Array.from(new Set(filteredWords)).sort();
         
-        // 十分な単語がない場合は全単語を使用
-        if (importantWords.length < 3) {
-          return filteredWords.join(' ');
+        // 有効な単語がない場合は記号除去後の文字列を使用
+        if (uniqueWords.length === 0) {
+          return normalized;
         }
         
-        normalized = importantWords.join(' ');
+        normalized = uniqueWords.join(' ');
       } else {
         // 基本的な重複検出用の正規化（改良版）
         
@@ -229,149 +208,251 @@ var EbayTool = (function() {
   };
   
   const CSVHandler = {
-    parse: function(csvData) {
-      try {
-        // 引数チェック
-        if (!csvData || typeof csvData !== 'string') {
-          console.error("CSVデータが無効です");
-          return [];
-        }
+    // 引用符の外で区切りになる文字 / 引用符の中で処理が必要な文字
+    PLAIN_PATTERN: /[",\r\n]/g,
+    QUOTED_PATTERN: /["\r\n]/g,
+
+    /**
+     * ストリーミングCSVパーサーを作成（RFC 4180準拠）
+     * 引用符内のカンマ・改行、エスケープされた引用符（""）、CRLF/LF/CRの改行に対応する。
+     * テキストを任意の位置で分割して何度でもpushでき、完成したレコードだけが返る。
+     * 列数が合わないレコードや閉じていない引用符はerrorsに行番号付きで記録する（補正はしない）
+     * @param {Object} options - { startLine: 先頭の行番号（既定1）, expectedColumns: 列数（省略時は最初のレコードの列数） }
+     * @return {Object} push(text) / finish() / errors / getRecordCount() を持つパーサー
+     */
+    createParser: function(options = {}) {
+      const PLAIN = new RegExp(this.PLAIN_PATTERN.source, 'g');
+      const QUOTED = new RegExp(this.QUOTED_PATTERN.source, 'g');
+      const errors = [];
+      let expectedColumns = options.expectedColumns || 0;
+      let line = options.startLine || 1; // 現在の物理行
+      let recordStartLine = line;
+      let recordCount = 0;
+      let record = [];
+      let field = '';
+      let inQuotes = false;
+      let quoteClosed = false;  // 引用符で囲まれたフィールドを閉じた直後
+      let pendingQuote = false; // チャンク末尾の引用符（次のチャンクの先頭で "" か判定する）
+      let pendingCR = false;    // チャンク末尾のCR（次のチャンクの先頭のLFと合わせて1つの改行）
+      let started = false;
+
+      const addError = message => {
+        errors.push({ line: recordStartLine, recordIndex: recordCount, message: message });
+      };
 
-        // 改行コードを統一
-        csvData = csvData.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        
-        // BOMの除去
-        if (csvData.charCodeAt(0) === 0xFEFF) {
-          csvData = csvData.substring(1);
-          console.log("BOMを検出して削除しました");
-        }
-        
-        // 行分割
-        const lines = csvData.split('\n');
-        const rows = [];
-        
-        // データがない場合は空配列を返す
-        if (lines.length === 0) {
-          console.warn("CSVデータに行がありません");
-          return [];
+      const endField = () => {
+        // 引用符で囲まれていない値は従来どおり前後の空白を除去
+        record.push(quoteClosed ? field : field.trim());
+        field = '';
+        quoteClosed = false;
+      };
+
+      const endRecord = out => {
+        const wasQuoted = quoteClosed;
+        endField();
+        const isBlank = record.length === 1 && record[0] === '' && !wasQuoted;
+        if (!isBlank) {
+          if (!expectedColumns) {
+            expectedColumns = record.length;
+          } else if (record.length !== expectedColumns) {
+            addError(`列数が${record.length}列です（ヘッダーは${expectedColumns}列）`);
+          }
+          out.push(record);
+          recordCount++;
         }
-        
-        // ヘッダー行を処理
-        const header = this.parseLine(lines[0]);
-        if (header && header.length > 0) {
-          rows.push(header);
-          
-          // メイン処理 - バッチ処理で高速化
-          const batchSize = 500;
-          for (let i = 1; i < lines.length; i += batchSize) {
-            // 各バッチの行をフィルタリングして処理
-            const batch = lines.slice(i, i + batchSize)
-              .filter(line => line && line.trim()) // 空行を除外
-              .map(line => {
-                try {
-                  return this.parseLine(line);
-                } catch (e) {
-                  console.warn(`行 ${i} のパースに失敗: ${e.message}`);
-                  // エラー時は単純な分割を使用
-                  return line.split(',');
+        record = [];
+      };
+
+      const newLine = () => {
+        line++;
+        recordStartLine = line;
+      };
+
+      return {
+        errors: errors,
+
+        getRecordCount: function() {
+          return recordCount;
+        },
+
+        /**
+         * テキストを追加で読み込み、完成したレコードを返す
+         * @param {string} text - CSVテキストの一部
+         * @return {Array} 完成したレコードの配列
+         */
+        push: function(text) {
+          const out = [];
+          const n = text.length;
+          let i = 0;
+
+          if (!started) {
+            started = true;
+            if (text.charCodeAt(0) === 0xFEFF) i = 1; // BOM除去
+          }
+          if (pendingQuote && i < n) {
+            pendingQuote = false;
+            if (text[i] === '"') {
+              field += '"';
+              i++;
+            } else {
+              inQuotes = false;
+              quoteClosed = true;
+            }
+          }
+
+          while (i < n) {
+            if (pendingCR) {
+              pendingCR = false;
+              if (text[i] === '\n') {
+                i++;
+                continue;
+              }
+            }
+
+            if (inQuotes) {
+              QUOTED.lastIndex = i;
+              const match = QUOTED.exec(text);
+              if (!match) {
+                field += text.slice(i);
+                break;
+              }
+              field += text.slice(i, match.index);
+              i = match.index + 1;
+
+              if (match[0] === '"') {
+                if (i >= n) {
+                  pendingQuote = true;
+                } else if (text[i] === '"') {
+                  field += '"'; // エスケープされた引用符
+                  i++;
+                } else {
+                  inQuotes = false;
+                  quoteClosed = true;
                 }
-              });
-            
-            rows.push(...batch);
+              } else {
+                // 引用符内の改行はLFに統一して値に含める
+                field += '\n';
+                line++;
+                if (match[0] === '\r') pendingCR = true;
+              }
+              continue;
+            }
+
+            PLAIN.lastIndex = i;
+            const match = PLAIN.exec(text);
+            const end = match ? match.index : n;
+            const value = text.slice(i, end);
+            if (!quoteClosed) {
+              field += value;
+            } else if (value.trim() !== '') {
+              // 閉じ引用符の後の空白は無視し、文字があれば不正なレコードとして報告
+              addError(`閉じ引用符の後に文字があります（${value.trim().substring(0, 20)}）`);
+              field += value;
+            }
+            if (!match) break;
+            i = end + 1;
+
+            if (match[0] === '"') {
+              if (field.trim() === '' && !quoteClosed) {
+                field = '';
+                inQuotes = true;
+              } else {
+                field += '"'; // 引用符で囲まれていない値の途中の引用符はそのまま扱う
+              }
+            } else if (match[0] === ',') {
+              endField();
+            } else {
+              endRecord(out);
+              newLine();
+              if (match[0] === '\r') pendingCR = true;
+            }
           }
-        } else {
-          console.error("ヘッダー行のパースに失敗しました");
-        }
-        
-        return rows;
-      } catch (error) {
-        console.error("CSVパース処理エラー:", error);
-        // 最後の手段として、より単純なパース方法を試す
-        try {
-          return this.simpleParse(csvData);
-        } catch (fallbackError) {
-          console.error("フォールバックパースにも失敗:", fallbackError);
-          // 最悪の場合、空配列を返す（エラーは投げない）
-          return [];
+
+          return out;
+        },
+
+        /**
+         * 入力の終わりを通知し、残りのレコードを返す
+         * @return {Array} 完成したレコードの配列
+         */
+        finish: function() {
+          const out = [];
+          if (pendingQuote) {
+            pendingQuote = false;
+            inQuotes = false;
+            quoteClosed = true;
+          }
+          if (inQuotes) {
+            addError('引用符が閉じられていません');
+            record = [];
+            field = '';
+            inQuotes = false;
+          } else if (field !== '' || record.length > 0 || quoteClosed) {
+            endRecord(out);
+          }
+          return out;
         }
-      }
+      };
     },
-    
-    // シンプルなCSVパース方法（エラー時のフォールバック）
-    simpleParse: function(csvData) {
-      try {
-        if (!csvData || typeof csvData !== 'string') {
-          return [];
-        }
-        
-        // 改行コードを統一
-        csvData = csvData.replace(/\r\n/g, '\n').replace(/\r/g, '\n');
-        
-        // 単純な行と列の分割
-        return csvData.split('\n')
-          .filter(line => line && line.trim())
-          .map(line => line.split(',').map(cell => cell ? cell.trim() : ''));
-      } catch (e) {
-        console.error("シンプルパースも失敗:", e);
-        // すべての手段が失敗した場合は空配列を返す
-        return [];
+
+    /**
+     * CSVテキスト全体をパース
+     * @param {string} csvData - CSVテキスト
+     * @param {Object} options - createParserのオプション
+     * @return {Object} { rows: レコードの配列, errors: 不正なレコードの一覧 }
+     */
+    parse: function(csvData, options = {}) {
+      if (!csvData || typeof csvData !== 'string') {
+        return { rows: [], errors: [] };
       }
+      const parser = this.createParser(options);
+      const rows = parser.push(csvData);
+      rows.push(...parser.finish());
+      return { rows: rows, errors: parser.errors };
     },
-    
-    parseLine: function(line) {
-      // 高速なCSVパース処理を実装
-      try {
-        // 空行や無効な入力をチェック
-        if (!line || typeof line !== 'string' || !line.trim()) {
-          return [];
-        }
-        
-        // 引用符がない場合は単純に分割する（高速）
-        if (!line.includes('"')) {
-          return line.split(',').map(cell => cell ? cell.trim() : '');
-        }
-        
-        // 引用符がある場合のみ複雑な処理を行う
-        const result = [];
-        let inQuotes = false;
-        let currentValue = '';
-        
-        for (let i = 0; i < line.length; i++) {
-          const char = line[i];
-          
-          if (char === '"') {
-            // 引用符が連続している場合はエスケープされた引用符
-            if (i + 1 < line.length && line[i + 1] === '"') {
-              currentValue += '"';
-              i++; // 次の引用符をスキップ
-            } else {
-              // 引用符の中にいるかどうかを切り替え
-              inQuotes = !inQuotes;
-            }
-          } else if (char === ',' && !inQuotes) {
-            // 引用符の外でカンマが来たら分割
-            result.push(currentValue.trim());
-            currentValue = '';
-          } else {
-            // それ以外の文字は現在の値に追加
-            currentValue += char;
-          }
-        }
-        
-        // 最後の値を追加
-        result.push(currentValue.trim());
-        return result;
-      } catch (e) {
-        console.error('行パースエラー:', e, '対象行:', line);
-        // エラーが発生しても処理を続行するため、
-        // 可能な限り情報を返す
-        if (typeof line === 'string') {
-          return line.split(',').map(cell => cell ? cell.trim() : '');
-        }
-        return [];
+
+    /**
+     * 不正なレコードの一覧をメッセージ用の文字列にする
+     * @param {Array} errors - パーサーのerrors
+     * @param {number} limit - 表示する最大件数
+     * @return {string} メッセージ
+     */
+    formatErrors: function(errors, limit = 10) {
+      const lines = errors.slice(0, limit).map(error => `行${error.line}: ${error.message}`);
+      if (errors.length > limit) lines.push(`ほか${errors.length - limit}件`);
+      return lines.join('\n');
+    },
+
+    /**
+     * クライアントでデコードしたCSVテキストの文字化けを検査する
+     * 置換文字(U+FFFD)やNUL文字、UTF-8をLatin-1系で読んだ典型的な化け方を検出する
+     * @param {string} text - CSVテキスト
+     * @param {string} encoding - クライアントが使用した文字コード（メッセージ用）
+     * @return {Object} { valid, message }
+     */
+    verifyEncoding: function(text, encoding = '') {
+      const sample = String(text || '').slice(0, 200000);
+      const label = encoding ? `（使用した文字コード: ${encoding}）` : '';
+      const hint = 'ファイルプレビューで文字コードを変更してから再度お試しください。';
+
+      if (sample.indexOf('\u0000') !== -1) {
+        return { valid: false, message: `CSVにNUL文字が含まれています${label}。UTF-16のファイルを別の文字コードで読み込んだ可能性があります。${hint}` };
+      }
+
+      const replacementCount = (sample.match(/\uFFFD/g) || []).length;
+      const firstLine = sample.split(/\r?\n/, 1)[0];
+      if (replacementCount > 0 && (firstLine.indexOf('\uFFFD') !== -1 || replacementCount >= 3)) {
+        return { valid: false, message: `CSVに読み取れない文字が${replacementCount}件あります${label}。${hint}` };
+      }
+
+      const mojibakeCount = (sample.match(/[\u00C3\u00E2\u00E3\u00E5\u00E6\u00E7\u00E8\u00E9][\u0080-\u00BF\u201A-\u203A\u20AC\u2122]/g) || []).length;
+      if (mojibakeCount >= 5) {
+        return { valid: false, message: `CSVが文字化けしている可能性があります${label}。${hint}` };
       }
+
+      return { valid: true, message: '' };
     },
-    
+
     generateCSV: function(data) {
       try {
         if (!data || !Array.isArray(data)) {
@@ -601,9 +682,10 @@ function showSidebar() {
 
 /**
  * 入力データを検証する関数
+ * 列名にHeaderMapping.FIELDSのキー（itemId, titleなど）を指定した場合はヘッダーマッピングで列を解決する
  * @param {Array} data - 検証するデータ配列
  * @param {Array} requiredColumns - 必須列の名前配列
- * @param {Object} validations - 列ごとの検証ルール
+ * @param {Object} validations - 列ごとの検証ルール（required, type, pattern, min, allowed）
  * @return {Object} 検証結果
  */
 function validateData(data, requiredColumns, validations = {}) {
@@ -618,20 +700,40 @@ function validateData(data, requiredColumns, validations = {}) {
     
     // ヘッダー行を取得
     const headers = data[0].map(h => String(h).toLowerCase().trim());
+    const mapping = HeaderMapping.resolve(data[0]);
+    const findColumn = col => HeaderMapping.FIELDS[col]
+      ? mapping.columns[col]
+      : headers.findIndex(h => h.includes(col.toLowerCase()));
+    const columnLabel = col => HeaderMapping.FIELDS[col] ? HeaderMapping.FIELDS[col].label : col;
     
     // 必須列の存在チェック
     const missingColumns = [];
     const columnIndexes = {};
     
     requiredColumns.forEach(col => {
-      const index = headers.findIndex(h => h.includes(col.toLowerCase()));
+      const index = findColumn(col);
       if (index === -1) {
-        missingColumns.push(col);
+        missingColumns.push(columnLabel(col));
       } else {
         columnIndexes[col] = index;
       }
     });
     
+    // 必須でない列は、存在する場合だけ検証する
+    Object.keys(validations).forEach(col => {
+      if (columnIndexes[col] === undefined) {
+        const index = findColumn(col);
+        if (index !== -1) columnIndexes[col] = index;
+      }
+    });
+    
+    // 値の一覧（allowed）は大文字小文字・空白・区切り記号を無視して比較
+    const normalizeValue = value => String(value).toLowerCase().replace(/[\s_\-]/g, '');
+    const allowedValues = {};
+    Object.keys(validations).forEach(col => {
+      if (validations[col].allowed) allowedValues[col] = validations[col].allowed.map(normalizeValue);
+    });
+    
     if (missingColumns.length > 0) {
       return {
         valid: false,
@@ -658,28 +760,43 @@ function validateData(data, requiredColumns, validations = {}) {
         const colIndex = columnIndexes[column];
         if (colIndex !== undefined) {
           const value = row[colIndex];
+          const label = columnLabel(column);
+          const isEmpty = value === null || value === undefined || String(value).trim() === '';
           
           // 必須チェック
-          if (rules.required && (value === null || value === undefined || String(value).trim() === '')) {
-            rowError.push(`行 ${i+1}, ${column}: 値が必須です`);
+          if (rules.required && isEmpty) {
+            rowError.push(`行 ${i+1}, ${label}: 値が必須です`);
           }
           
+          // 空欄は必須チェック以外の対象外
+          if (isEmpty) continue;
+          
           // 型チェック
-          if (rules.type && value !== null && value !== undefined) {
+          if (rules.type) {
             if (rules.type === 'number' && isNaN(Number(value))) {
-              rowError.push(`行 ${i+1}, ${column}: 数値である必要があります`);
+              rowError.push(`行 ${i+1}, ${label}: 数値である必要があります（${value}）`);
             } else if (rules.type === 'date' && isNaN(new Date(value).getTime())) {
-              rowError.push(`行 ${i+1}, ${column}: 有効な日付である必要があります`);
+              rowError.push(`行 ${i+1}, ${label}: 有効な日付である必要があります（${value}）`);
             }
           }
           
+          // 最小値チェック
+          if (rules.min !== undefined && !isNaN(Number(value)) && Number(value) < rules.min) {
+            rowError.push(`行 ${i+1}, ${label}: ${rules.min}以上である必要があります（${value}）`);
+          }
+          
           // 正規表現パターンチェック
-          if (rules.pattern && value !== null && value !== undefined) {
+          if (rules.pattern) {
             const regex = new RegExp(rules.pattern);
-            if (!regex.test(String(value))) {
-              rowError.push(`行 ${i+1}, ${column}: 形式が不正です`);
+            if (!regex.test(String(value).trim())) {
+              rowError.push(`行 ${i+1}, ${label}: 形式が不正です（${value}）`);
             }
           }
+          
+          // 値の一覧チェック
+          if (allowedValues[column] && !allowedValues[column].includes(normalizeValue(value))) {
+            rowError.push(`行 ${i+1}, ${label}: 不明な値です（${value}）`);
+          }
         }
       }
       
@@ -711,2584 +828,4020 @@ function validateData(data, requiredColumns, validations = {}) {
 }
 
 /**
- * CSVデータをインポートする関数（最適化バージョン - 単純にデータをインポートすることに特化）
- * @param {string} csvData - CSVファイルの内容
- * @return {Object} インポート結果
+ * 出品サイトフィルター - サイト名・略称・File ExchangeのSiteIDを出品サイトに対応付け、
+ * 選択したサイトの出品だけをインポートデータに残す
  */
-function importCsvData(csvData) {
-  const startTime = new Date().getTime();
-  let dataRows = 0;
-  let fileSizeMB = 0;
+var SiteFilter = {
+  DEFAULT_SITES: ['US'],
+
+  // サイトのキー → 表示名と別名（SiteIDを含む）
+  SITES: {
+    US: { label: 'US', aliases: ['US', 'USA', 'United States', 'eBay US', 'ebay.com', '0'] },
+    eBayMotors: { label: 'eBay Motors', aliases: ['eBay Motors', 'Motors', 'EbayMotors', '100'] },
+    UK: { label: 'UK', aliases: ['UK', 'GB', 'United Kingdom', 'Great Britain', 'ebay.co.uk', '3'] },
+    Germany: { label: 'ドイツ', aliases: ['Germany', 'DE', 'Deutschland', 'ebay.de', '77'] },
+    Australia: { label: 'オーストラリア', aliases: ['Australia', 'AU', 'ebay.com.au', '15'] },
+    Canada: { label: 'カナダ', aliases: ['Canada', 'CA', 'ebay.ca', '2'] },
+    CanadaFrench: { label: 'カナダ（フランス語）', aliases: ['CanadaFrench', 'CAFR', '210'] },
+    France: { label: 'フランス', aliases: ['France', 'FR', 'ebay.fr', '71'] },
+    Italy: { label: 'イタリア', aliases: ['Italy', 'IT', 'Italia', 'ebay.it', '101'] },
+    Spain: { label: 'スペイン', aliases: ['Spain', 'ES', 'España', 'ebay.es', '186'] },
+    Austria: { label: 'オーストリア', aliases: ['Austria', 'AT', 'Österreich', 'ebay.at', '16'] },
+    BelgiumFrench: { label: 'ベルギー（フランス語）', aliases: ['Belgium_French', 'BEFR', '23'] },
+    BelgiumDutch: { label: 'ベルギー（オランダ語）', aliases: ['Belgium_Dutch', 'BENL', '123'] },
+    Switzerland: { label: 'スイス', aliases: ['Switzerland', 'CH', 'Schweiz', 'ebay.ch', '193'] },
+    Netherlands: { label: 'オランダ', aliases: ['Netherlands', 'NL', 'ebay.nl', '146'] },
+    Ireland: { label: 'アイルランド', aliases: ['Ireland', 'IE', 'ebay.ie', '205'] },
+    Poland: { label: 'ポーランド', aliases: ['Poland', 'PL', 'ebay.pl', '212'] },
+    HongKong: { label: '香港', aliases: ['HongKong', 'Hong Kong', 'HK', 'ebay.com.hk', '201'] },
+    India: { label: 'インド', aliases: ['India', 'IN', '203'] },
+    Malaysia: { label: 'マレーシア', aliases: ['Malaysia', 'MY', '207'] },
+    Philippines: { label: 'フィリピン', aliases: ['Philippines', 'PH', '211'] },
+    Singapore: { label: 'シンガポール', aliases: ['Singapore', 'SG', '216'] }
+  },
 
-  try {
-    fileSizeMB = csvData ? Math.round(csvData.length / 1024 / 1024 * 100) / 100 : 0;
-    console.log(`🚀 [${new Date().toLocaleTimeString()}] 高速CSVインポート開始: データサイズ=${csvData ? csvData.length : 0}バイト (${fileSizeMB}MB)`);
+  /**
+   * 比較用にサイトの値を正規化（大文字小文字・空白・区切り記号を無視）
+   */
+  normalize: function(value) {
+    return String(value == null ? '' : value).toUpperCase().replace(/[\s_-]/g, '');
+  },
 
-    if (!csvData || typeof csvData !== 'string' || csvData.trim() === '') {
-      // 失敗ログを記録
-      logPerformance('CSVインポート', startTime, new Date().getTime(), {
-        success: false,
-        errorMessage: 'CSVデータが空または無効',
-        fileSizeMB: fileSizeMB,
-        dataRows: 0
+  /**
+   * すべての別名（ImportSchemaの許可値に使用）
+   */
+  getAliases: function() {
+    return Object.keys(this.SITES).reduce((aliases, key) => aliases.concat(this.SITES[key].aliases), []);
+  },
+
+  /**
+   * サイドバーのチェックボックス用のサイト一覧（SITESの順）
+   */
+  getOptions: function() {
+    return Object.keys(this.SITES).map(key => ({ value: key, label: this.SITES[key].label }));
+  },
+
+  /**
+   * サイトの値からサイトのキーを取得（不明な場合は空文字）
+   */
+  resolve: function(value) {
+    if (!this._lookup) {
+      this._lookup = {};
+      Object.keys(this.SITES).forEach(key => {
+        this.SITES[key].aliases.forEach(alias => { this._lookup[this.normalize(alias)] = key; });
       });
-      return { success: false, message: 'CSVデータが空または無効です。' };
     }
+    return this._lookup[this.normalize(value)] || '';
+  },
 
-    // 手動インポートを模倣した超高速処理
-    try {
-      // 1. 最小限の前処理
-      if (csvData.charCodeAt(0) === 0xFEFF) {
-        csvData = csvData.substring(1); // BOM除去
-      }
+  /**
+   * サイト別件数の表示名（不明なサイトは元の値）
+   */
+  getLabel: function(value) {
+    const key = this.resolve(value);
+    return key ? this.SITES[key].label : `不明(${String(value).trim()})`;
+  },
 
-      // 2. 単純な行分割（引用符処理は最小限）
-      const lines = csvData.split(/\r?\n/);
-      console.log(`行分割完了: ${lines.length}行`);
+  /**
+   * サイト別件数をメッセージ用の文字列にする
+   * @param {Object} before - 表示名 → 絞り込み前の件数
+   * @param {Object} after - 表示名 → 絞り込み後の件数
+   */
+  formatCounts: function(before, after) {
+    return Object.keys(before)
+      .sort((a, b) => before[b] - before[a])
+      .map(label => `${label} ${before[label]}→${after[label] || 0}`)
+      .join('、');
+  }
+};
 
-      // 3. 引用符対応CSV分割
-      console.log(`📋 [${new Date().toLocaleTimeString()}] 引用符対応CSVパース開始`);
-      const csvRows = [];
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (line) {
-          // 引用符内カンマを適切に処理
-          csvRows.push(parseCSVLine(line));
-        }
-      }
+/**
+ * インポートするeBay出品データのスキーマ - validateDataの宣言的な検証ルール
+ */
+var ImportSchema = {
+  // 不正な行がある場合のインポート方法（指定なしの場合は検証レポートを返してインポートしない）
+  MODES: ['all', 'validOnly'], // all: そのままインポート / validOnly: 不正な行を除いてインポート
+  REPORT_LIMIT: 20, // レポートに載せる不正な行の最大件数
+
+  REQUIRED_COLUMNS: ['itemId', 'title'],
+
+  // 列ごとの検証ルール（キーはHeaderMapping.FIELDS）
+  RULES: {
+    itemId: { required: true, pattern: '^\\d+$' },
+    title: { required: true },
+    startDate: { type: 'date' },
+    quantity: { type: 'number', min: 0 },
+    sold: { type: 'number', min: 0 },
+    site: { allowed: SiteFilter.getAliases() } // サイト名・略称・SiteID（SiteFilter.SITES）
+  },
 
-      if (csvRows.length <= 1) {
-        return { success: false, message: 'CSVデータが不十分です。' };
-      }
+  /**
+   * ヘッダー付きの行データを検証してレポートを作成
+   * @param {Array} rows - ヘッダー行を含む行データ
+   * @return {Object} { valid, totalRows, invalidCount, columnErrors, samples, invalidRowNumbers }
+   */
+  validate: function(rows) {
+    const result = validateData(rows, this.REQUIRED_COLUMNS, this.RULES);
+    const rowErrors = result.rowErrors || [];
+    const itemIdIndex = result.columnIndexes ? result.columnIndexes.itemId : undefined;
 
-      console.log(`✅ [${new Date().toLocaleTimeString()}] CSV引用符対応パース完了: ${csvRows.length}行 x ${csvRows[0].length}列`);
+    return {
+      valid: result.valid,
+      totalRows: Math.max(rows.length - 1, 0),
+      invalidCount: rowErrors.length,
+      // 列が見つからないなど、行単位ではないエラー
+      columnErrors: result.rowErrors ? [] : result.errors,
+      samples: rowErrors.slice(0, this.REPORT_LIMIT).map(rowError => ({
+        row: rowError.row,
+        itemId: itemIdIndex !== undefined ? String(rows[rowError.row - 1][itemIdIndex]) : '',
+        errors: rowError.errors.map(error => error.replace(/^行 \d+, /, ''))
+      })),
+      invalidRowNumbers: rowErrors.map(rowError => rowError.row)
+    };
+  },
 
-      // 4. データ品質確認
-      const qualityCheck = validateCSVQuality(csvRows);
-      if (!qualityCheck.isValid) {
-        console.warn(`⚠️  データ品質問題検出: ${qualityCheck.issues.join(', ')}`);
-      } else {
-        console.log(`✅ データ品質確認完了: 問題なし`);
-      }
+  /**
+   * 不正な行を除いた行データを返す
+   * @param {Array} rows - ヘッダー行を含む行データ
+   * @param {Object} report - validateの結果
+   */
+  filterValidRows: function(rows, report) {
+    const invalid = new Set(report.invalidRowNumbers);
+    return rows.filter((row, i) => i === 0 || !invalid.has(i + 1));
+  },
 
-      // 5. 列数統一（必要最小限）
-      const headerLength = csvRows[0].length;
-      for (let i = 1; i < csvRows.length; i++) {
-        const row = csvRows[i];
-        if (row.length !== headerLength) {
-          // 短い行は空文字で埋める、長い行は切り詰める
-          csvRows[i] = row.slice(0, headerLength).concat(
-            Array(Math.max(0, headerLength - row.length)).fill('')
-          );
-        }
-      }
+  /**
+   * クライアントに返すレポート（行番号の一覧は除く）
+   */
+  toClientReport: function(report) {
+    const { invalidRowNumbers, ...clientReport } = report;
+    return clientReport;
+  },
 
-      console.log(`列数統一完了: 全${csvRows.length}行を${headerLength}列に統一`);
-      dataRows = csvRows.length - 1; // ヘッダー除く
+  /**
+   * レポートをメッセージ用の文字列にする
+   */
+  formatReport: function(report, limit = 10) {
+    const lines = report.columnErrors.slice();
+    report.samples.slice(0, limit).forEach(sample => {
+      lines.push(`行${sample.row}${sample.itemId ? `（${sample.itemId}）` : ''}: ${sample.errors.join('、')}`);
+    });
+    if (report.invalidCount > limit) lines.push(`ほか${report.invalidCount - limit}行`);
+    return lines.join('\n');
+  }
+};
 
-      // 5. Google Sheetsの最適化API使用（一括書き込み）
-      console.log(`📝 [${new Date().toLocaleTimeString()}] シート書き込み開始: ${csvRows.length}行`);
+/**
+ * 複数CSVの結合 - ファイルごとに異なるヘッダーをインポートシートの列にそろえ、取り込み元の列を追加する
+ */
+var ImportMerger = {
+  SOURCE_COLUMN: 'Source file',
+  ACCOUNT_COLUMN: 'Account',
 
-      let result;
-      try {
-        result = writeToSheetOptimized(csvRows);
+  /**
+   * ファイルの列をインポートシートの列に対応付ける
+   * 同じ列名（大文字小文字・空白を無視）→ 同じ論理フィールド（HeaderMapping）→ 新しい列として追加、の順に探す
+   * @param {Array} sheetHeaders - インポートシートのヘッダー（新しい列と取り込み元の列が追加される）
+   * @param {Array} fileHeaders - ファイルのヘッダー
+   * @return {Object} { columnMap: ファイルの列番号 → シートの列番号, sourceIndex, accountIndex }
+   */
+  mapColumns: function(sheetHeaders, fileHeaders) {
+    const sheetLower = sheetHeaders.map(header => HeaderMapping.normalize(header));
+    const sheetFields = HeaderMapping.resolve(sheetHeaders).columns;
+    const fileFields = HeaderMapping.resolve(fileHeaders).columns;
+    const fieldByFileIndex = {};
+    Object.keys(fileFields).forEach(field => {
+      if (fileFields[field] >= 0) fieldByFileIndex[fileFields[field]] = field;
+    });
 
-        // 成功時の処理
-        if (result.success) {
-          const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
-          console.log(`✅ [${new Date().toLocaleTimeString()}] CSVインポート成功: ${dataRows}行を${elapsedSeconds}秒で処理`);
+    const addColumn = header => {
+      sheetHeaders.push(header);
+      sheetLower.push(HeaderMapping.normalize(header));
+      return sheetHeaders.length - 1;
+    };
 
-          logPerformance('CSVインポート', startTime, new Date().getTime(), {
-            success: true,
-            fileSizeMB: fileSizeMB,
-            dataRows: dataRows,
-            elapsedSeconds: parseFloat(elapsedSeconds),
-            additionalInfo: {
-              totalRows: csvRows.length,
-              columns: headerLength,
-              method: '引用符対応高速インポート',
-              dataQuality: qualityCheck.isValid ? '良好' : `問題あり: ${qualityCheck.issues.join(', ')}`,
-              columnMismatchCount: qualityCheck.stats.columnMismatchCount,
-              avgEmptyFields: qualityCheck.stats.avgEmptyFields.toFixed(1)
-            }
-          });
-        }
+    const used = new Set();
+    const columnMap = fileHeaders.map((header, i) => {
+      let index = sheetLower.indexOf(HeaderMapping.normalize(header));
+      const field = fieldByFileIndex[i];
+      if ((index === -1 || used.has(index)) && field && sheetFields[field] >= 0) index = sheetFields[field];
+      if (index === -1 || used.has(index)) index = addColumn(header);
+      used.add(index);
+      return index;
+    });
 
-        return result;
+    const sourceIndex = sheetHeaders.indexOf(this.SOURCE_COLUMN);
+    const accountIndex = sheetHeaders.indexOf(this.ACCOUNT_COLUMN);
+    return {
+      columnMap: columnMap,
+      sourceIndex: sourceIndex !== -1 ? sourceIndex : addColumn(this.SOURCE_COLUMN),
+      accountIndex: accountIndex !== -1 ? accountIndex : addColumn(this.ACCOUNT_COLUMN)
+    };
+  },
 
-      } catch (writeError) {
-        // タイムアウト等のエラー時も性能ログを記録
-        const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
-        console.error(`⚠️ [${new Date().toLocaleTimeString()}] シート書き込みタイムアウト: ${elapsedSeconds}秒経過 - ${writeError.message}`);
+  /**
+   * ファイルの行をインポートシートの列の並びに変換
+   * @param {Array} rows - ファイルのデータ行（ヘッダーを除く）
+   * @param {Object} mapping - mapColumnsの結果
+   * @param {number} width - インポートシートの列数
+   * @param {Object} source - { fileName, account }（accountが空欄のファイルは同じアカウントとみなす）
+   */
+  arrangeRows: function(rows, mapping, width, source) {
+    return rows.map(row => {
+      const arranged = new Array(width).fill('');
+      row.forEach((value, i) => {
+        arranged[mapping.columnMap[i]] = value;
+      });
+      arranged[mapping.sourceIndex] = source.fileName || '';
+      arranged[mapping.accountIndex] = source.account || '';
+      return arranged;
+    });
+  },
 
-        logPerformance('CSVインポート', startTime, new Date().getTime(), {
-          success: false,
-          errorMessage: `タイムアウト: ${writeError.message}`,
-          fileSizeMB: fileSizeMB,
-          dataRows: dataRows,
-          elapsedSeconds: parseFloat(elapsedSeconds),
-          additionalInfo: {
-            totalRows: csvRows.length,
-            columns: headerLength,
-            method: '高速インポート(タイムアウト)'
-          }
-        });
+  /**
+   * パース済みの複数ファイルを1つの表に結合
+   * @param {Array} files - { headers, rows, source } の配列
+   * @return {Array} ヘッダー行を含む結合後の行データ
+   */
+  mergeFiles: function(files) {
+    const headers = [];
+    const merged = [];
+    files.forEach(file => {
+      const mapping = this.mapColumns(headers, file.headers);
+      merged.push(...this.arrangeRows(file.rows, mapping, headers.length, file.source));
+    });
+    // 後のファイルで列が増えた場合は、前のファイルの行を右側の空欄で埋める
+    return [headers].concat(merged.map(row => row.concat(new Array(headers.length - row.length).fill(''))));
+  },
 
-        // エラーを再スロー（上位でキャッチされる）
-        throw writeError;
-      }
+  /**
+   * インポートシートにファイルの行を追加（分割アップロード用）
+   * @param {Sheet} sheet - インポートシート
+   * @param {Array} fileHeaders - ファイルのヘッダー
+   * @param {Array} rows - ファイルのデータ行（ヘッダーを除く）
+   * @param {Object} source - { fileName, account }
+   * @return {number} 追加した行数
+   */
+  appendRows: function(sheet, fileHeaders, rows, source) {
+    const lastColumn = sheet.getLastColumn();
+    const sheetHeaders = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+    const originalWidth = sheetHeaders.length;
+    const mapping = this.mapColumns(sheetHeaders, fileHeaders);
 
-    } catch (error) {
-      console.error("高速インポートエラー:", error);
-      // エラーログを記録
-      logPerformance('CSVインポート', startTime, new Date().getTime(), {
-        success: false,
-        errorMessage: `高速インポートエラー: ${error.message}`,
-        fileSizeMB: fileSizeMB,
-        dataRows: dataRows,
-        additionalInfo: { method: '高速インポート→フォールバック' }
-      });
-      // フォールバック: 従来方式
-      return importCsvDataFallback(csvData);
+    if (sheetHeaders.length !== originalWidth) {
+      sheet.getRange(1, 1, 1, sheetHeaders.length).setValues([sheetHeaders]);
     }
+    if (rows.length === 0) return 0;
 
-  } catch (error) {
-    console.error("CSVインポート全体エラー:", error);
-    // 全体エラーログを記録
-    logPerformance('CSVインポート', startTime, new Date().getTime(), {
-      success: false,
-      errorMessage: `全体エラー: ${error.message}`,
-      fileSizeMB: fileSizeMB,
-      dataRows: 0
+    const arranged = this.arrangeRows(rows, mapping, sheetHeaders.length, source);
+    sheet.getRange(Math.max(sheet.getLastRow(), 1) + 1, 1, arranged.length, sheetHeaders.length).setValues(arranged);
+    return arranged.length;
+  },
+
+  /**
+   * 重複リストの作成に必要な情報を作成
+   * @param {Array} headers - 元データのヘッダー
+   * @return {Object} { accountIndex }
+   */
+  createContext: function(headers) {
+    return { accountIndex: headers.indexOf(this.ACCOUNT_COLUMN) };
+  },
+
+  /**
+   * 複数のアカウントにまたがる重複グループのラベル（単一アカウントなら空文字）
+   * アカウント名を入力したファイル同士のみを比べる（空欄はアカウントを区別しない）
+   * @param {Array} group - 重複グループ
+   * @param {Object} context - createContextの結果
+   */
+  getCrossAccountLabel: function(group, context) {
+    if (!context || context.accountIndex === -1) return '';
+    const accounts = [];
+    group.forEach(item => {
+      const account = String(item.allData[context.accountIndex] || '').trim();
+      if (account && !accounts.includes(account)) accounts.push(account);
     });
-    return { success: false, message: `インポートに失敗しました: ${error.message}` };
+    return accounts.length > 1 ? `アカウント横断(${accounts.join('、')})` : '';
   }
-}
+};
 
-// 手動インポート模倣: Google Sheets API直接利用
-function writeToSheetOptimized(csvRows) {
-  try {
-    console.log(`🚀 手動インポート模倣開始: ${csvRows.length}行 x ${csvRows[0].length}列`);
+/**
+ * 差分インポート - Item number（とバリエーション）で既存のインポートデータと照合し、
+ * 新規の出品を追加、変更された出品を更新、新しいCSVにない出品を「終了」として残す
+ * 差分状態の列は、重複検出を変化のあったグループに絞るときにも使う
+ */
+var ImportDelta = {
+  STATUS_COLUMN: '差分状態',
+  STATUS: { ADDED: '新規', CHANGED: '変更', ENDED: '終了' },
+  STAGING_SHEET: '差分インポート一時', // 分割アップロード中のCSVを置くシート（検証後にインポートシートへ反映）
 
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = ss.getSheetByName(EbayTool.getConfig().SHEET_NAMES.IMPORT);
+  /**
+   * 行のキー（Item number＋バリエーション）
+   */
+  rowKey: function(row, columns) {
+    const variation = columns.variation >= 0 ? String(row[columns.variation] || '').trim() : '';
+    return DuplicateSheetMerger.rowKey(row[columns.itemId], variation);
+  },
 
-    if (!sheet) {
-      sheet = ss.insertSheet(EbayTool.getConfig().SHEET_NAMES.IMPORT);
-    } else {
-      sheet.clear();
-    }
+  /**
+   * シートの値とCSVの値が同じかどうか（シートでは数値・日付に変換されている場合がある）
+   */
+  sameValue: function(sheetValue, csvValue) {
+    const csvText = csvValue == null ? '' : String(csvValue).trim();
+    if (sheetValue instanceof Date) {
+      const time = Date.parse(csvText);
+      return !isNaN(time) && Math.abs(time - sheetValue.getTime()) < 1000;
+    }
+    const sheetText = sheetValue == null ? '' : String(sheetValue).trim();
+    if (sheetText === csvText) return true;
+    return typeof sheetValue === 'number' && csvText !== '' && Number(csvText.replace(/,/g, '')) === sheetValue;
+  },
 
-    // **手動インポートと同じ方法: 一括でsetValues実行**
-    // バッチ処理、分割処理、休憩を完全廃止
+  /**
+   * 既存の行データに新しいCSVの行データを差分として反映する
+   * @param {Array} existingValues - 既存のインポートデータ（ヘッダー行を含む）
+   * @param {Array} csvRows - 新しいCSVの行データ（ヘッダー行を含む）
+   * @return {Object} { success, rows: 反映後の行データ, summary: { added, changed, removed, unchanged }, message }
+   */
+  merge: function(existingValues, csvRows) {
+    const headers = existingValues[0].map(header => String(header));
+    const csvHeaders = csvRows[0];
+    const sheetColumns = { itemId: HeaderMapping.getIndex(headers, 'itemId'), variation: HeaderMapping.getIndex(headers, 'variation') };
+    const csvColumns = { itemId: HeaderMapping.getIndex(csvHeaders, 'itemId'), variation: HeaderMapping.getIndex(csvHeaders, 'variation') };
+    if (sheetColumns.itemId === -1 || csvColumns.itemId === -1) {
+      return { success: false, message: '差分インポートには、既存のインポートデータと新しいCSVの両方にItem ID列が必要です。' };
+    }
+
+    // CSVの列をシートの列に対応付ける（シートにない列は右側に追加、差分状態の列は常に最後に置く）
+    let statusIndex = headers.indexOf(this.STATUS_COLUMN);
+    if (statusIndex !== -1) headers.splice(statusIndex, 1);
+    const normalized = headers.map(header => HeaderMapping.normalize(header));
+    const columnMap = csvHeaders.map(header => {
+      const index = normalized.indexOf(HeaderMapping.normalize(header));
+      if (index !== -1) return index;
+      headers.push(header);
+      normalized.push(HeaderMapping.normalize(header));
+      return headers.length - 1;
+    });
+    const width = headers.length + 1;
+    statusIndex = headers.length;
+    headers.push(this.STATUS_COLUMN);
+
+    // 既存の行（差分状態の列を除いて新しい列幅にそろえる）
+    const oldStatusIndex = existingValues[0].indexOf(this.STATUS_COLUMN);
+    const rows = existingValues.slice(1).map(row => {
+      const status = oldStatusIndex !== -1 ? row[oldStatusIndex] : '';
+      const values = oldStatusIndex !== -1 ? row.filter((value, i) => i !== oldStatusIndex) : row.slice();
+      while (values.length < statusIndex) values.push('');
+      values.push(status);
+      return values;
+    });
 
-    // データクリーニング（最小限）
-    const cleanData = csvRows.map(row =>
-      row.map(cell => cell == null ? '' : String(cell))
-    );
+    // 同じキーの行が複数ある場合は出現順に対応付ける
+    const existingByKey = {};
+    rows.forEach((row, i) => {
+      const key = this.rowKey(row, sheetColumns);
+      if (!key) return;
+      if (!existingByKey[key]) existingByKey[key] = [];
+      existingByKey[key].push(i);
+    });
 
-    console.log(`データクリーニング完了 - 一括書き込み実行`);
+    const summary = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    const matched = new Set();
+    csvRows.slice(1).forEach(csvRow => {
+      const key = this.rowKey(csvRow, csvColumns);
+      const candidates = key ? existingByKey[key] : null;
+      const index = candidates && candidates.length > 0 ? candidates.shift() : -1;
 
-    // **一括書き込み実行（手動インポートと同様）**
-    const range = sheet.getRange(1, 1, cleanData.length, cleanData[0].length);
-    range.setValues(cleanData);
+      if (index === -1) {
+        const row = new Array(width).fill('');
+        csvRow.forEach((value, i) => { row[columnMap[i]] = value; });
+        row[statusIndex] = this.STATUS.ADDED;
+        rows.push(row);
+        summary.added++;
+        return;
+      }
 
-    console.log(`✅ 手動インポート模倣完了: 総${csvRows.length}行を一括書き込み`);
+      const row = rows[index];
+      matched.add(index);
+      const wasEnded = row[statusIndex] === this.STATUS.ENDED;
+      const changed = csvRow.some((value, i) => !this.sameValue(row[columnMap[i]], value));
+      if (changed) csvRow.forEach((value, i) => { row[columnMap[i]] = value; });
+
+      // 終了扱いだった出品が再び現れた場合は新規とする
+      if (wasEnded) {
+        row[statusIndex] = this.STATUS.ADDED;
+        summary.added++;
+      } else if (changed) {
+        row[statusIndex] = this.STATUS.CHANGED;
+        summary.changed++;
+      } else {
+        row[statusIndex] = '';
+        summary.unchanged++;
+      }
+    });
+
+    // 新しいCSVにない出品は終了として残す（前回すでに終了扱いの出品は数えない）
+    rows.forEach((row, i) => {
+      if (matched.has(i) || i >= existingValues.length - 1) return;
+      if (row[statusIndex] !== this.STATUS.ENDED) {
+        row[statusIndex] = this.STATUS.ENDED;
+        summary.removed++;
+      }
+    });
 
     return {
       success: true,
-      message: `CSVインポート完了: ${csvRows.length}行のデータをインポートしました`,
-      importedRows: csvRows.length - 1, // ヘッダー除く
-      totalRows: csvRows.length
+      rows: [headers].concat(rows),
+      summary: summary,
+      message: this.formatSummary(summary)
     };
+  },
 
-  } catch (error) {
-    console.error("❌ 一括書き込みエラー:", error);
-    throw error;
-  }
-}
+  /**
+   * インポートシートに差分を反映する（既存データがない場合は全件を新規として取り込む）
+   * @param {Array} csvRows - 新しいCSVの行データ（ヘッダー行を含む）
+   * @return {Object} インポート結果
+   */
+  apply: function(csvRows) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = EbayTool.getSheetName('IMPORT');
+    const sheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+    const existingValues = sheet.getLastRow() > 1 ? sheet.getDataRange().getValues() : [csvRows[0]];
 
-/**
- * 引用符内カンマを適切に処理するCSVパーサー
- */
-function parseCSVLine(line) {
-  const result = [];
-  let current = '';
-  let inQuotes = false;
-  let i = 0;
+    const merged = this.merge(existingValues, csvRows);
+    if (!merged.success) return merged;
 
-  while (i < line.length) {
-    const char = line[i];
-    const nextChar = line[i + 1];
+    const cleanData = merged.rows.map(row => row.map(cell => cell == null ? '' : cell));
+    sheet.clearContents();
+    sheet.getRange(1, 1, cleanData.length, cleanData[0].length).setValues(cleanData);
+    console.log(`🔁 ${merged.message}`);
 
-    if (char === '"') {
-      if (inQuotes && nextChar === '"') {
-        // エスケープされた引用符 ("")
-        current += '"';
-        i += 2;
-      } else {
-        // 引用符の開始/終了
-        inQuotes = !inQuotes;
-        i++;
-      }
-    } else if (char === ',' && !inQuotes) {
-      // 引用符外のカンマ = フィールド区切り
-      result.push(current.trim());
-      current = '';
-      i++;
-    } else {
-      // 通常の文字
-      current += char;
-      i++;
-    }
-  }
+    return {
+      success: true,
+      message: merged.message,
+      importedRows: csvRows.length - 1,
+      totalRows: cleanData.length,
+      delta: merged.summary
+    };
+  },
 
-  // 最後のフィールドを追加
-  result.push(current.trim());
+  /**
+   * 分割アップロードの書き込み先シートを取得（差分インポート中は一時シート）
+   */
+  getUploadSheet: function(ss) {
+    return ss.getSheetByName(this.STAGING_SHEET) || ss.getSheetByName(EbayTool.getSheetName('IMPORT'));
+  },
 
-  return result;
-}
+  /**
+   * 一時シートのデータをインポートシートに差分として反映し、一時シートを削除
+   * @return {Object|null} インポート結果（差分インポート中でない場合はnull）
+   */
+  commitStaging: function(ss) {
+    const staging = ss.getSheetByName(this.STAGING_SHEET);
+    if (!staging) return null;
+
+    const values = staging.getLastRow() > 1 ? staging.getDataRange().getValues() : [];
+    const result = values.length > 1
+      ? this.apply(values)
+      : { success: false, message: '差分インポートするデータがありません。' };
+    ss.deleteSheet(staging);
+    return result;
+  },
 
-/**
- * CSVデータの品質を確認する関数
- */
-function validateCSVQuality(csvRows) {
-  const issues = [];
-  const headerRow = csvRows[0];
-  const expectedColumns = headerRow.length;
+  /**
+   * 差分の件数をメッセージにする
+   */
+  formatSummary: function(summary) {
+    return `差分インポート完了: 新規${summary.added}件、変更${summary.changed}件、終了${summary.removed}件（変更なし${summary.unchanged}件）`;
+  },
 
-  // 1. 列数の一貫性チェック
-  let columnMismatchCount = 0;
-  for (let i = 1; i < csvRows.length; i++) {
-    if (csvRows[i].length !== expectedColumns) {
-      columnMismatchCount++;
-    }
-  }
+  /**
+   * 差分のみ再検出した結果を結果メッセージ用の文字列にする
+   */
+  formatScope: function(deltaScope) {
+    if (!deltaScope) return '';
+    return `（差分のみ再検出: ${deltaScope.groups.length}グループを再作成、${deltaScope.keptGroups.length}グループを前回から引き継ぎ）`;
+  },
 
-  if (columnMismatchCount > 0) {
-    const percentage = ((columnMismatchCount / (csvRows.length - 1)) * 100).toFixed(1);
-    issues.push(`列数不一致: ${columnMismatchCount}行 (${percentage}%)`);
-  }
+  /**
+   * 差分のある出品につながるグループだけを再検出し、それ以外のグループは前回の重複リストから引き継ぐ
+   * 再検出するのは、差分のある出品のタイトルグループと、そこから類似タイトル・識別子・鑑定番号でつながるグループ、
+   * それらの出品が前回属していた重複グループのメンバー。類似タイトルの候補は差分のある出品を含むペアだけを作る
+   * @param {Object} titleGroups - groupByTitleの結果（すべての行）
+   * @param {Set} touchedKeys - 差分状態が空でない行のキー
+   * @param {Object} previous - DuplicateSheetMerger.captureの結果
+   * @param {Array} headers - 元データのヘッダー
+   * @param {Object} options - 検出オプション（extractDuplicateGroupsと同じ）
+   * @param {Object} identifierColumns - IdentifierMatcher.findColumnsの結果
+   * @return {Object|null} { groups: 再検出した重複グループ, keptGroups: 引き継ぐ行データの配列 }（引き継げない場合はnull）
+   */
+  detectTouchedGroups: function(titleGroups, touchedKeys, previous, headers, options, identifierColumns) {
+    if (!previous) {
+      console.log('前回の重複リストがないため、すべてのグループを検出します');
+      return null;
+    }
+    const metaCount = EbayTool.getConfig().DUPLICATE_META_COLUMNS.length;
+    const sameHeaders = previous.values[0].length === metaCount + headers.length &&
+      previous.dataHeaders.every((header, i) => header === headers[i]);
+    if (!sameHeaders) {
+      console.log('前回の重複リストと列の構成が異なるため、すべてのグループを検出します');
+      return null;
+    }
 
-  // 2. 重要な列の存在確認
-  const requiredColumns = ['item', 'title', 'site'];
-  const headerLower = headerRow.map(h => String(h).toLowerCase().replace(/\s+/g, ''));
+    const keys = Object.keys(titleGroups);
+    const rowKey = item => DuplicateSheetMerger.rowKey(item.itemId, item.variation);
+    const nodeByRowKey = {};
+    const touchedGroupKeys = new Set();
+    keys.forEach((key, node) => {
+      titleGroups[key].forEach(item => {
+        const itemKey = rowKey(item);
+        nodeByRowKey[itemKey] = node;
+        if (touchedKeys.has(itemKey)) touchedGroupKeys.add(key);
+      });
+    });
 
-  for (const required of requiredColumns) {
-    const found = headerLower.some(h => h.includes(required));
-    if (!found) {
-      issues.push(`必須列不在: '${required}' 関連列が見つかりません`);
+    // 差分のある出品とつながるタイトルグループを探す（識別子・鑑定番号の連結は全体でも行数に比例する程度）
+    const selected = new Set(keys.map((key, node) => touchedGroupKeys.has(key) ? node : -1).filter(node => node !== -1));
+    if (touchedGroupKeys.size > 0) {
+      const linker = createGroupLinker(keys.length);
+      linkTitleGroups(titleGroups, keys, linker, options, null, identifierColumns, touchedGroupKeys);
+      linker.collect(keys.map(key => titleGroups[key])).forEach(group => {
+        if (group.some(item => touchedKeys.has(rowKey(item)))) {
+          group.forEach(item => selected.add(nodeByRowKey[rowKey(item)]));
+        }
+      });
     }
-  }
 
-  // 3. データサンプル確認（最初の10行）
-  let emptyFieldCount = 0;
-  const sampleSize = Math.min(10, csvRows.length - 1);
+    // 再検出する出品が前回属していたグループと、メンバーが今回のデータにないグループはメンバーごと再検出する
+    const dirtyGroupIds = new Set();
+    Object.keys(previous.groups).forEach(groupId => {
+      if (previous.groups[groupId].some(key => nodeByRowKey[key] === undefined)) dirtyGroupIds.add(groupId);
+    });
+    selected.forEach(node => {
+      titleGroups[keys[node]].forEach(item => {
+        const prev = previous.rows[rowKey(item)];
+        if (prev) dirtyGroupIds.add(prev.groupId);
+      });
+    });
+    dirtyGroupIds.forEach(groupId => {
+      previous.groups[groupId].forEach(key => {
+        if (nodeByRowKey[key] !== undefined) selected.add(nodeByRowKey[key]);
+      });
+    });
 
-  for (let i = 1; i <= sampleSize; i++) {
-    const row = csvRows[i];
-    const emptyFields = row.filter(field => !field || field.trim() === '').length;
-    emptyFieldCount += emptyFields;
-  }
+    const selectedGroups = {};
+    selected.forEach(node => { selectedGroups[keys[node]] = titleGroups[keys[node]]; });
+    const groups = extractDuplicateGroups(selectedGroups, options, null, identifierColumns);
+    console.log(`差分のみ再検出: ${keys.length}件中${selected.size}件のタイトルグループを再検出`);
+
+    // 前回の重複リストの行をグループごとにそのまま引き継ぐ（処理・EndCodeの手動変更も残る）
+    // 差分状態は今回の値（変化なし）にそろえ、前回消失した行は引き継がない
+    const keptGroupIds = Object.keys(previous.groups).filter(groupId => !dirtyGroupIds.has(groupId));
+    const keptSet = new Set(keptGroupIds);
+    const statusIndex = headers.indexOf(this.STATUS_COLUMN);
+    const diffIndex = DuplicateSheetMerger.findColumns(previous.values[0]).diff;
+    const rowsByGroup = {};
+    previous.values.slice(1).forEach(row => {
+      const groupId = row[0];
+      if (!keptSet.has(groupId) || (diffIndex !== -1 && row[diffIndex] === '消失')) return;
+      const copy = row.slice();
+      if (statusIndex !== -1) copy[metaCount + statusIndex] = '';
+      if (!rowsByGroup[groupId]) rowsByGroup[groupId] = [];
+      rowsByGroup[groupId].push(copy);
+    });
 
-  const avgEmptyFields = emptyFieldCount / sampleSize;
-  if (avgEmptyFields > expectedColumns * 0.3) {
-    issues.push(`空フィールド多数: 平均${avgEmptyFields.toFixed(1)}個/行`);
+    return { groups: groups, keptGroups: keptGroupIds.map(groupId => rowsByGroup[groupId]) };
+  },
+
+  /**
+   * 重複グループとアイテムの件数（引き継いだグループを含む）
+   */
+  countGroups: function(duplicateGroups, deltaScope) {
+    const keptGroups = deltaScope ? deltaScope.keptGroups : [];
+    return {
+      groups: duplicateGroups.length + keptGroups.length,
+      items: getTotalDuplicates(duplicateGroups) + keptGroups.reduce((sum, rows) => sum + rows.length, 0)
+    };
+  },
+
+  /**
+   * 引き継ぐグループを重複リストの末尾に追加（グループIDは再作成したグループの続きから振り直す）
+   * @param {Sheet} sheet - 重複リストシート
+   * @param {Array} keptGroups - detectTouchedGroupsの結果のkeptGroups
+   * @param {number} firstGroupIndex - 最初に引き継ぐグループの番号（0始まり）
+   */
+  appendKeptGroups: function(sheet, keptGroups, firstGroupIndex) {
+    if (keptGroups.length === 0) return;
+
+    const rows = [];
+    keptGroups.forEach((groupRows, i) => {
+      if (rows.length > 0 || sheet.getLastRow() > 1) rows.push(new Array(groupRows[0].length).fill(''));
+      groupRows.forEach(row => {
+        row[0] = `Group ${firstGroupIndex + i + 1}`;
+        rows.push(row);
+      });
+    });
+    sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length).setValues(rows);
+    EndCodes.applyValidation(sheet);
   }
+};
 
-  return {
-    isValid: issues.length === 0,
-    issues: issues,
-    stats: {
-      totalRows: csvRows.length,
-      expectedColumns: expectedColumns,
-      columnMismatchCount: columnMismatchCount,
-      avgEmptyFields: avgEmptyFields
-    }
-  };
+/**
+ * 複数のCSVファイルを結合してインポートする関数
+ * @param {Array} files - { name, account, csv, encoding } の配列
+ * @param {string} validationMode - 検証エラーがある場合のインポート方法（ImportSchema.MODES）
+ * @param {string} importMode - replace: 置き換え / delta: 差分インポート（省略時はツール設定）
+ * @return {Object} インポート結果
+ */
+function importCsvFiles(files, validationMode, importMode) {
+  return RunLock.run('複数CSVのインポート', () => importCsvFilesImpl(files, validationMode, importMode));
 }
 
 /**
- * インポート状況確認関数（タイムアウト後の確認用）
+ * importCsvFilesの本体（実行ロックを取得した状態で呼ぶ）
  */
-function checkImportStatus() {
+function importCsvFilesImpl(files, validationMode = '', importMode = '') {
   try {
-    console.log('📋 軽量インポート状況確認開始');
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName(EbayTool.getConfig().SHEET_NAMES.IMPORT);
-
-    if (!sheet) {
-      console.log('❌ インポートシートが見つかりません');
-      return { hasData: false, rowCount: 0, message: 'インポートシートが見つかりません' };
-    }
-
-    // 軽量な確認: 行数と列数のみ取得
-    const lastRow = sheet.getLastRow();
-    const lastCol = sheet.getLastColumn();
-
-    console.log(`📊 シート情報: ${lastRow}行 x ${lastCol}列`);
-
-    if (lastRow <= 1) {
-      console.log('❌ データなし');
-      return { hasData: false, rowCount: 0, message: 'インポートデータがありません' };
+    if (!Array.isArray(files) || files.length === 0) {
+      return { success: false, message: 'CSVファイルが指定されていません。' };
     }
 
-    // 軽量確認: ヘッダー行の最初の3セルのみチェック
-    if (lastCol > 0) {
-      const headerSample = sheet.getRange(1, 1, 1, Math.min(3, lastCol)).getValues()[0];
-      const hasHeaders = headerSample.some(cell => cell && String(cell).trim().length > 0);
-
-      if (hasHeaders) {
-        console.log(`✅ インポート確認成功: ${lastRow}行 x ${lastCol}列のデータを検出`);
-
-        // 軽量ログ: コンソールのみ、性能ログシートへの書き込みは省略
-        console.log(`📊 [${new Date().toLocaleTimeString()}] 軽量確認完了`);
+    const parsedFiles = [];
+    for (const file of files) {
+      const encodingCheck = EbayTool.CSVHandler.verifyEncoding(file.csv, file.encoding);
+      if (!encodingCheck.valid) {
+        return { success: false, encodingError: true, message: `${file.name}: ${encodingCheck.message}` };
+      }
 
+      const parsed = EbayTool.CSVHandler.parse(file.csv);
+      if (parsed.errors.length > 0) {
         return {
-          hasData: true,
-          rowCount: lastRow - 1, // ヘッダー除く
-          totalRows: lastRow,
-          columns: lastCol,
-          message: `インポート完了: ${lastRow - 1}行のデータ`
+          success: false,
+          message: `${file.name} に不正なレコードが${parsed.errors.length}件あるため、インポートを中止しました。\n${EbayTool.CSVHandler.formatErrors(parsed.errors)}`,
+          malformedRecords: parsed.errors
         };
       }
+      if (parsed.rows.length === 0) continue;
+
+      parsedFiles.push({
+        headers: parsed.rows[0],
+        rows: parsed.rows.slice(1),
+        source: { fileName: file.name, account: file.account }
+      });
     }
 
-    console.log('❌ 無効なデータ形式');
-    return { hasData: false, rowCount: 0, message: '無効なデータ形式' };
+    const csvRows = ImportMerger.mergeFiles(parsedFiles);
+    if (csvRows.length <= 1) {
+      return { success: false, message: 'CSVデータが不十分です。' };
+    }
+    console.log(`📎 ${parsedFiles.length}ファイルを結合: ${csvRows.length - 1}行 x ${csvRows[0].length}列`);
+
+    const validationResult = applyImportSchema(csvRows, validationMode);
+    if (!validationResult.proceed) return validationResult.response;
 
+    const result = writeImportRows(validationResult.rows, importMode);
+    result.message += `（${parsedFiles.length}ファイルを結合）${validationResult.message}`;
+    return result;
   } catch (error) {
-    console.error('インポート状況確認エラー:', error);
-    return { hasData: false, rowCount: 0, message: `確認エラー: ${error.message}` };
+    logError('importCsvFiles', error, '複数CSVのインポート中');
+    return { success: false, message: getFriendlyErrorMessage(error, '複数CSVのインポートに失敗しました。') };
   }
 }
 
 /**
- * 超軽量インポート状況確認（最小限の処理のみ）
+ * CSVデータをインポートする関数（最適化バージョン - 単純にデータをインポートすることに特化）
+ * @param {string} csvData - CSVファイルの内容
+ * @param {string} encoding - クライアントで判定・使用した文字コード
+ * @param {string} validationMode - 検証エラーがある場合のインポート方法（ImportSchema.MODES、省略時はレポートを返して中止）
+ * @param {string} importMode - replace: 置き換え / delta: 差分インポート（省略時はツール設定）
+ * @return {Object} インポート結果
  */
-function checkImportStatusUltraLight() {
-  try {
-    console.log('🔍 超軽量インポート状況確認開始');
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheet = ss.getSheetByName('インポートデータ'); // ハードコードで高速化
-
-    if (!sheet) {
-      console.log('❌ インポートシートなし');
-      return { hasData: false, rowCount: 0, message: 'シートなし' };
-    }
+function importCsvData(csvData, encoding, validationMode, importMode) {
+  return RunLock.run('CSVインポート', () => importCsvDataImpl(csvData, encoding, validationMode, importMode));
+}
 
-    // 最小限の確認: 行数のみ
-    const lastRow = sheet.getLastRow();
-    console.log(`📊 行数: ${lastRow}`);
+/**
+ * importCsvDataの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function importCsvDataImpl(csvData, encoding = '', validationMode = '', importMode = '') {
+  const startTime = new Date().getTime();
+  let dataRows = 0;
+  let fileSizeMB = 0;
 
-    if (lastRow > 1) {
-      console.log(`✅ 超軽量確認成功: ${lastRow - 1}行`);
-      return {
-        hasData: true,
-        rowCount: lastRow - 1,
-        totalRows: lastRow,
-        message: `データあり: ${lastRow - 1}行`
-      };
+  try {
+    fileSizeMB = csvData ? Math.round(csvData.length / 1024 / 1024 * 100) / 100 : 0;
+    console.log(`🚀 [${new Date().toLocaleTimeString()}] 高速CSVインポート開始: データサイズ=${csvData ? csvData.length : 0}バイト (${fileSizeMB}MB)`);
+
+    if (!csvData || typeof csvData !== 'string' || csvData.trim() === '') {
+      // 失敗ログを記録
+      logPerformance('CSVインポート', startTime, new Date().getTime(), {
+        success: false,
+        errorMessage: 'CSVデータが空または無効',
+        fileSizeMB: fileSizeMB,
+        dataRows: 0
+      });
+      return { success: false, message: 'CSVデータが空または無効です。' };
     }
 
-    console.log('❌ データなし');
-    return { hasData: false, rowCount: 0, message: 'データなし' };
+    // クライアントでのデコード結果を検証（文字化けしたままシートに書き込まない）
+    const encodingCheck = EbayTool.CSVHandler.verifyEncoding(csvData, encoding);
+    if (!encodingCheck.valid) {
+      console.warn(`⚠️  文字コード検証エラー: ${encodingCheck.message}`);
+      logPerformance('CSVインポート', startTime, new Date().getTime(), {
+        success: false,
+        errorMessage: '文字コード検証エラー',
+        fileSizeMB: fileSizeMB,
+        dataRows: 0
+      });
+      return { success: false, encodingError: true, message: encodingCheck.message };
+    }
+    if (encoding) console.log(`🔤 文字コード: ${encoding}`);
 
-  } catch (error) {
-    console.error('超軽量確認エラー:', error);
-    return { hasData: false, rowCount: 0, message: `エラー: ${error.message}` };
-  }
-}
+    // 手動インポートを模倣した超高速処理
+    try {
+      // 1. RFC 4180準拠のCSVパース（BOM除去、引用符内の改行・カンマ、CRLFに対応）
+      console.log(`📋 [${new Date().toLocaleTimeString()}] 引用符対応CSVパース開始`);
+      const parsed = EbayTool.CSVHandler.parse(csvData);
+      let csvRows = parsed.rows;
 
-// フォールバック用の従来処理（簡略化）
-function importCsvDataFallback(csvData) {
-  try {
-    console.log("フォールバック処理実行");
-    // 基本的なCSV処理のみ
-    const lines = csvData.replace(/\r\n/g, '\n').split('\n');
-    const csvRows = lines.filter(line => line.trim()).map(line => line.split(','));
+      if (csvRows.length <= 1) {
+        return { success: false, message: 'CSVデータが不十分です。' };
+      }
 
-    if (csvRows.length <= 1) {
-      return { success: false, message: 'CSVデータが不十分です。' };
-    }
+      console.log(`✅ [${new Date().toLocaleTimeString()}] CSV引用符対応パース完了: ${csvRows.length}行 x ${csvRows[0].length}列`);
 
-    // フォールバック: 基本的なシート書き込み
-    return writeToSheetOptimized(csvRows);
+      // 2. 不正なレコード（列数不一致・閉じていない引用符）は補正せずに報告
+      if (parsed.errors.length > 0) {
+        console.warn(`⚠️  不正なレコード: ${parsed.errors.length}件\n${EbayTool.CSVHandler.formatErrors(parsed.errors)}`);
+        logPerformance('CSVインポート', startTime, new Date().getTime(), {
+          success: false,
+          errorMessage: `不正なレコード: ${parsed.errors.length}件`,
+          fileSizeMB: fileSizeMB,
+          dataRows: csvRows.length - 1
+        });
+        return {
+          success: false,
+          message: `CSVに不正なレコードが${parsed.errors.length}件あるため、インポートを中止しました。\n${EbayTool.CSVHandler.formatErrors(parsed.errors)}`,
+          malformedRecords: parsed.errors
+        };
+      }
 
-  } catch (error) {
-    console.error("フォールバック処理エラー:", error);
-    return {
-      success: false,
-      message: `フォールバック処理に失敗しました: ${error.message}`
-    };
-  }
-}
+      // 3. スキーマ検証（不正な行の扱いは利用者が選ぶ）
+      const validationResult = applyImportSchema(csvRows, validationMode);
+      if (!validationResult.proceed) {
+        logPerformance('CSVインポート', startTime, new Date().getTime(), {
+          success: false,
+          errorMessage: `スキーマ検証エラー: ${validationResult.report.invalidCount}行`,
+          fileSizeMB: fileSizeMB,
+          dataRows: csvRows.length - 1
+        });
+        return validationResult.response;
+      }
+      csvRows = validationResult.rows;
 
-/**
- * インポートデータから重複を検出する関数（最適化チャンク処理対応）
- * @return {Object} 処理結果
- */
-function detectDuplicates() {
-  const startTime = new Date().getTime();
+      // 4. データ品質確認
+      const qualityCheck = validateCSVQuality(csvRows);
+      if (!qualityCheck.isValid) {
+        console.warn(`⚠️  データ品質問題検出: ${qualityCheck.issues.join(', ')}`);
+      } else {
+        console.log(`✅ データ品質確認完了: 問題なし`);
+      }
 
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
+      const headerLength = csvRows[0].length;
+      dataRows = csvRows.length - 1; // ヘッダー除く
 
-    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
-    
-    if (!importSheet) {
-      return { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' };
-    }
-    
-    // データを取得
-    const lastRow = importSheet.getLastRow();
-    const lastCol = importSheet.getLastColumn();
-    
-    if (lastRow <= 1) {
-      return { 
-        success: true, 
-        message: '検出された重複: 0件。重複データはありませんでした。',
-        duplicateCount: 0,
-        analysisComplete: true
-      };
-    }
-    
-    // データサイズに応じた処理方法を選択
-    const dataSize = lastRow - 1;
-    console.log(`重複検出開始: ${dataSize} 行のデータを処理します`);
-    
-    // 大規模データ（15,000行以上）の場合はチャンク処理
-    let result;
-    if (dataSize >= 15000) {
-      console.log('大規模データ検出: チャンク処理を実行します');
-      result = detectDuplicatesChunked(importSheet, lastRow, lastCol);
-    } else {
-      console.log('通常処理を実行します');
-      result = detectDuplicatesStandard(importSheet, lastRow, lastCol);
-    }
+      // 5. Google Sheetsの最適化API使用（一括書き込み）
+      console.log(`📝 [${new Date().toLocaleTimeString()}] シート書き込み開始: ${csvRows.length}行`);
 
-    // 性能ログを記録
-    logPerformance('重複検出', startTime, new Date().getTime(), {
-      success: result.success,
-      dataRows: dataSize,
-      errorMessage: result.success ? '' : result.message,
-      additionalInfo: {
-        duplicateGroups: result.duplicateGroups || 0,
-        duplicateItems: result.duplicateItems || 0,
-        method: dataSize >= 15000 ? 'チャンク処理' : '通常処理'
+      let result;
+      try {
+        result = writeImportRows(csvRows, importMode);
+
+        // 成功時の処理
+        if (result.success) {
+          if (validationResult.message) result.message += validationResult.message;
+          const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
+          console.log(`✅ [${new Date().toLocaleTimeString()}] CSVインポート成功: ${dataRows}行を${elapsedSeconds}秒で処理`);
+
+          logPerformance('CSVインポート', startTime, new Date().getTime(), {
+            success: true,
+            fileSizeMB: fileSizeMB,
+            dataRows: dataRows,
+            elapsedSeconds: parseFloat(elapsedSeconds),
+            additionalInfo: {
+              totalRows: csvRows.length,
+              columns: headerLength,
+              method: '引用符対応高速インポート',
+              dataQuality: qualityCheck.isValid ? '良好' : `問題あり: ${qualityCheck.issues.join(', ')}`,
+              columnMismatchCount: qualityCheck.stats.columnMismatchCount,
+              avgEmptyFields: qualityCheck.stats.avgEmptyFields.toFixed(1)
+            }
+          });
+        }
+
+        return result;
+
+      } catch (writeError) {
+        // タイムアウト等のエラー時も性能ログを記録
+        const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
+        console.error(`⚠️ [${new Date().toLocaleTimeString()}] シート書き込みタイムアウト: ${elapsedSeconds}秒経過 - ${writeError.message}`);
+
+        logPerformance('CSVインポート', startTime, new Date().getTime(), {
+          success: false,
+          errorMessage: `タイムアウト: ${writeError.message}`,
+          fileSizeMB: fileSizeMB,
+          dataRows: dataRows,
+          elapsedSeconds: parseFloat(elapsedSeconds),
+          additionalInfo: {
+            totalRows: csvRows.length,
+            columns: headerLength,
+            method: '高速インポート(タイムアウト)'
+          }
+        });
+
+        // エラーを再スロー（上位でキャッチされる）
+        throw writeError;
       }
-    });
 
-    return result;
-    
+    } catch (error) {
+      console.error("高速インポートエラー:", error);
+      // エラーログを記録
+      logPerformance('CSVインポート', startTime, new Date().getTime(), {
+        success: false,
+        errorMessage: `高速インポートエラー: ${error.message}`,
+        fileSizeMB: fileSizeMB,
+        dataRows: dataRows,
+        additionalInfo: { method: '高速インポート→フォールバック' }
+      });
+      // フォールバック: 従来方式
+      return importCsvDataFallback(csvData, validationMode, importMode);
+    }
+
   } catch (error) {
-    logError('detectDuplicates', error, '重複検出処理中');
-    SpreadsheetApp.getUi().alert(
-      'エラー',
-      getFriendlyErrorMessage(error, '重複検出中にエラーが発生しました。'),
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
-    
-    return { 
-      success: false, 
-      message: getFriendlyErrorMessage(error, '重複検出中にエラーが発生しました。'), 
-      stack: error.stack 
-    };
+    console.error("CSVインポート全体エラー:", error);
+    // 全体エラーログを記録
+    logPerformance('CSVインポート', startTime, new Date().getTime(), {
+      success: false,
+      errorMessage: `全体エラー: ${error.message}`,
+      fileSizeMB: fileSizeMB,
+      dataRows: 0
+    });
+    return { success: false, message: `インポートに失敗しました: ${error.message}` };
   }
 }
 
 /**
- * 列インデックスを検索するヘルパー関数
+ * インポート前にスキーマ検証を行い、不正な行の扱いを決める
+ * @param {Array} csvRows - ヘッダー行を含む行データ
+ * @param {string} validationMode - ImportSchema.MODES（空の場合は不正な行があればレポートを返して中止）
+ * @return {Object} { proceed, rows, message, report, response }
  */
-function findColumnIndices(headers) {
-  const headersLower = headers.map(h => String(h).toLowerCase().replace(/\s+/g, ''));
-  
-  let titleIndex = -1;
-  let itemIdIndex = -1;
-  let startDateIndex = -1;
-  
-  // タイトル列を探す
-  for (let i = 0; i < headers.length; i++) {
-    const headerLower = headersLower[i];
-    if (headerLower.includes('title') || headerLower.includes('name')) {
-      titleIndex = i;
-      break;
-    }
+function applyImportSchema(csvRows, validationMode) {
+  const report = ImportSchema.validate(csvRows);
+  if (report.valid) {
+    console.log('✅ スキーマ検証: 問題なし');
+    return { proceed: true, rows: csvRows, message: '', report: report };
   }
-  
-  // ID列を探す
-  for (let i = 0; i < headers.length; i++) {
-    const headerLower = headersLower[i];
-    if (headerLower.includes('item') || headerLower.includes('id') || headerLower.includes('number')) {
-      itemIdIndex = i;
-      break;
-    }
+
+  console.warn(`⚠️  スキーマ検証: 不正な行${report.invalidCount}件\n${ImportSchema.formatReport(report)}`);
+
+  if (validationMode === 'all') {
+    return { proceed: true, rows: csvRows, message: `（検証エラーのある${report.invalidCount}行を含む）`, report: report };
   }
-  
-  // 開始日列を探す
-  for (let i = 0; i < headers.length; i++) {
-    const headerLower = headersLower[i];
-    if (headerLower.includes('date') || headerLower.includes('start')) {
-      startDateIndex = i;
-      break;
+  if (validationMode === 'validOnly') {
+    // 必須列がないなど列の構成の問題は、不正な行を除いても解消しないのでインポートしない
+    if (report.columnErrors.length > 0) {
+      return {
+        proceed: false,
+        report: report,
+        response: { success: false, message: `CSVの列の構成に問題があるため、インポートを中止しました。\n${ImportSchema.formatReport(report)}` }
+      };
     }
+    return {
+      proceed: true,
+      rows: ImportSchema.filterValidRows(csvRows, report),
+      message: `（検証エラーのある${report.invalidCount}行を除外）`,
+      report: report
+    };
   }
-  
-  // デフォルト値を設定
-  if (titleIndex === -1 && headers.length > 1) titleIndex = 1;
-  if (itemIdIndex === -1 && headers.length > 0) itemIdIndex = 0;
-  if (startDateIndex === -1 && headers.length > 2) startDateIndex = 2;
-  
-  return { titleIndex, itemIdIndex, startDateIndex };
+
+  return {
+    proceed: false,
+    report: report,
+    response: {
+      success: false,
+      needsValidationDecision: true,
+      validationReport: ImportSchema.toClientReport(report),
+      message: `CSVの検証でエラーが見つかりました${report.invalidCount ? `（${report.invalidCount}行）` : ''}。\n${ImportSchema.formatReport(report)}`
+    }
+  };
 }
 
 /**
- * タイトルでグループ化するヘルパー関数
+ * インポートシートのデータをスキーマ検証する関数（分割アップロード後の確認用、差分インポート中は一時シート）
+ * @return {Object} 処理結果と検証レポート
  */
-function groupByTitle(allData, titleIndex, itemIdIndex, startDateIndex) {
-  const titleGroups = {};
-  
-  for (let i = 0; i < allData.length; i++) {
-    const row = allData[i];
-    const title = EbayTool.TextAnalyzer.normalizeTitle(String(row[titleIndex] || ''), false);
-    const itemId = String(row[itemIdIndex] || '').trim();
-    const startDate = row[startDateIndex];
-    
-    if (title && itemId) {
-      if (!titleGroups[title]) {
-        titleGroups[title] = [];
-      }
-      titleGroups[title].push({
-        itemId: itemId,
-        title: title,
-        originalTitle: row[titleIndex],
-        startDate: startDate,
-        allData: row
-      });
+function validateImportSheet() {
+  try {
+    const importSheet = ImportDelta.getUploadSheet(SpreadsheetApp.getActiveSpreadsheet());
+    if (!importSheet || importSheet.getLastRow() <= 1) {
+      return { success: false, message: 'インポートデータが見つかりません。' };
     }
+
+    const report = ImportSchema.validate(importSheet.getDataRange().getValues());
+    return { success: true, report: ImportSchema.toClientReport(report) };
+  } catch (error) {
+    logError('validateImportSheet', error, 'インポートデータ検証中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'インポートデータの検証に失敗しました。') };
   }
-  
-  return titleGroups;
 }
 
 /**
- * 重複シートを準備するヘルパー関数
+ * 検証レポートに対する利用者の選択をインポートシート（差分インポート中は一時シート）に反映する関数
+ * @param {string} decision - abort: インポートを取り消す / all: そのまま使う / validOnly: 不正な行を削除
+ * @param {string} runToken - initializeImportSheetで受け取った実行のトークン
+ * @return {Object} 処理結果
  */
-function prepareDuplicateSheet(ss, sheetName) {
-  let duplicateSheet = ss.getSheetByName(sheetName);
-  if (!duplicateSheet) {
-    duplicateSheet = ss.insertSheet(sheetName);
-  } else {
-    duplicateSheet.clear();
-  }
-  return duplicateSheet;
+function applyImportValidationDecision(decision, runToken) {
+  return RunLock.step('インポート検証結果の反映', runToken, () => applyImportValidationDecisionImpl(decision, runToken));
 }
 
 /**
- * 標準的な重複検出処理（小～中規模データ用）
+ * applyImportValidationDecisionの本体（実行ロックを取得した状態で呼ぶ）
  */
-function detectDuplicatesStandard(importSheet, lastRow, lastCol) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
-  
-  // ヘッダーを取得
-  const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
-  const { titleIndex, itemIdIndex, startDateIndex } = findColumnIndices(headers);
-  
-  if (titleIndex === -1 || itemIdIndex === -1) {
-    return { success: false, message: '必須カラム(タイトル、ID)が見つかりません。' };
-  }
-  
-  console.log(`重複検出に使用する列: title=${titleIndex} (${headers[titleIndex]}), itemId=${itemIdIndex} (${headers[itemIdIndex]}), startDate=${startDateIndex} (${headers[startDateIndex] || 'N/A'})`);
-  
-  // 全データを取得
-  const allData = importSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
-  
-  // タイトルでグループ化
-  const titleGroups = groupByTitle(allData, titleIndex, itemIdIndex, startDateIndex);
-  
-  // 重複グループのみを抽出
-  const duplicateGroups = Object.values(titleGroups)
-    .filter(group => group.length > 1)
-    .sort((a, b) => b.length - a.length);
-  
-  // 重複リストシートを準備・作成
-  const duplicateSheet = prepareDuplicateSheet(ss, SHEET_NAMES.DUPLICATES);
-  createDuplicateListSheet(duplicateSheet, duplicateGroups, headers);
-  
-  ss.setActiveSheet(duplicateSheet);
-  
-  return { 
-    success: true, 
-    message: `${duplicateGroups.length}件の重複グループを検出しました。合計${getTotalDuplicates(duplicateGroups)}件の重複アイテムがあります。`,
-    duplicateGroups: duplicateGroups.length,
-    duplicateItems: getTotalDuplicates(duplicateGroups)
-  };
-}
+function applyImportValidationDecisionImpl(decision, runToken = '') {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const importSheet = ImportDelta.getUploadSheet(ss);
+    if (!importSheet) {
+      return { success: false, message: 'インポートシートが見つかりません。' };
+    }
 
-/**
- * チャンク処理による重複検出（大規模データ用）
- */
-function detectDuplicatesChunked(importSheet, lastRow, lastCol) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
-  const startTime = new Date().getTime();
-  const MAX_EXECUTION_TIME = 330000; // 5.5分
-  
-  // ヘッダーを取得
-  const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
-  const { titleIndex, itemIdIndex, startDateIndex } = findColumnIndices(headers);
-  
-  if (titleIndex === -1 || itemIdIndex === -1) {
-    return { success: false, message: '必須カラム(タイトル、ID)が見つかりません。' };
-  }
-  
-  console.log(`チャンク処理開始: ${lastRow-1} 行のデータを処理します`);
-  console.log(`重複検出に使用する列: title=${titleIndex} (${headers[titleIndex]}), itemId=${itemIdIndex} (${headers[itemIdIndex]}), startDate=${startDateIndex} (${headers[startDateIndex] || 'N/A'})`);
-  
-  const dataSize = lastRow - 1;
-  const CHUNK_SIZE = Math.min(3000, Math.max(1000, Math.floor(dataSize / 15))); // 動的チャンクサイズ
-  console.log(`チャンクサイズ: ${CHUNK_SIZE}`);
-  
-  const titleGroups = {};
-  let processedRows = 0;
-  
-  // チャンクごとに処理
-  for (let startRow = 2; startRow <= lastRow; startRow += CHUNK_SIZE) {
-    const currentTime = new Date().getTime();
-    if (currentTime - startTime > MAX_EXECUTION_TIME) {
-      console.log('実行時間制限に近づいたため処理を中断');
-      return { 
-        success: false, 
-        message: `タイムアウトが発生しました。${processedRows}/${dataSize} 行まで処理済み。データを分割して再実行してください。` 
+    if (decision === 'abort') {
+      RunLock.end();
+      const delta = discardUploadedImport(ss, importSheet);
+      return {
+        success: true,
+        aborted: true,
+        message: delta ? '差分インポートを中止しました（インポートデータは変更していません）。' : 'インポートを中止しました。'
       };
     }
-    
-    const endRow = Math.min(startRow + CHUNK_SIZE - 1, lastRow);
-    const chunkSize = endRow - startRow + 1;
-    
-    console.log(`チャンク処理中: 行 ${startRow}-${endRow} (${chunkSize} 行)`);
-    
-    // チャンクデータを取得
-    const chunkData = importSheet.getRange(startRow, 1, chunkSize, lastCol).getValues();
-    
-    // チャンク内でタイトルグループ化
-    for (let i = 0; i < chunkData.length; i++) {
-      const row = chunkData[i];
-      const title = EbayTool.TextAnalyzer.normalizeTitle(String(row[titleIndex] || ''), false);
-      const itemId = String(row[itemIdIndex] || '').trim();
-      const startDate = row[startDateIndex];
-      
-      if (title && itemId) {
-        if (!titleGroups[title]) {
-          titleGroups[title] = [];
-        }
-        titleGroups[title].push({
-          itemId: itemId,
-          title: title,
-          originalTitle: row[titleIndex],
-          startDate: startDate,
-          allData: row
-        });
-      }
+
+    if (decision === 'all') {
+      return { success: true, message: '検証エラーのある行も含めてインポートしました。' };
     }
-    
-    processedRows += chunkSize;
-    
-    // 進捗ログ（5チャンクごと）
-    if ((startRow - 2) / CHUNK_SIZE % 5 === 0) {
-      const progress = Math.round((processedRows / dataSize) * 100);
-      console.log(`進捗: ${progress}% (${processedRows}/${dataSize} 行処理済み)`);
+
+    if (decision !== 'validOnly') {
+      return { success: false, message: `不明な選択です: ${decision}` };
     }
-    
-    // メモリ使用量軽減のため短時間待機
-    Utilities.sleep(10);
-  }
-  
-  console.log('タイトルグループ化完了。重複抽出中...');
-  
-  // 重複グループのみを抽出
-  const duplicateGroups = Object.values(titleGroups)
-    .filter(group => group.length > 1)
-    .sort((a, b) => b.length - a.length);
-  
-  console.log(`${duplicateGroups.length} 件の重複グループを検出`);
-  
-  // 重複リストシートを準備・作成
-  const duplicateSheet = prepareDuplicateSheet(ss, SHEET_NAMES.DUPLICATES);
-  
-  // 大量データの場合はチャンク化して書き込み
-  if (duplicateGroups.length > 100) {
-    createDuplicateListSheetChunked(duplicateSheet, duplicateGroups, headers);
-  } else {
-    createDuplicateListSheet(duplicateSheet, duplicateGroups, headers);
-  }
-  
-  ss.setActiveSheet(duplicateSheet);
-  
-  const processingTime = Math.round((new Date().getTime() - startTime) / 1000);
-  console.log(`チャンク処理完了: ${processingTime} 秒`);
-  
-  return { 
-    success: true, 
-    message: `${duplicateGroups.length}件の重複グループを検出しました。合計${getTotalDuplicates(duplicateGroups)}件の重複アイテムがあります。（処理時間: ${processingTime}秒）`,
-    duplicateGroups: duplicateGroups.length,
-    duplicateItems: getTotalDuplicates(duplicateGroups)
-  };
-}
 
-/**
- * 重複リストシートを作成（チャンク処理版）
- */
-function createDuplicateListSheetChunked(sheet, duplicateGroups, headers) {
-  console.log(`重複リストシート作成開始: ${duplicateGroups.length} グループ`);
-  
-  // ヘッダーを設定（従来版と同じ形式）
-  const duplicateHeaders = ['グループID', '重複タイプ', '処理'].concat(headers);
-  sheet.getRange(1, 1, 1, duplicateHeaders.length).setValues([duplicateHeaders]);
-  
-  let currentRow = 2;
-  const BATCH_SIZE = 1000; // 書き込み単位
-  let batchData = [];
-  
-  // グループごとに処理
-  for (let groupIndex = 0; groupIndex < duplicateGroups.length; groupIndex++) {
-    const group = duplicateGroups[groupIndex];
-    
-    // グループをスタート日でソート（従来版と同じ）
-    group.sort((a, b) => {
-      if (!a.startDate || !b.startDate) return 0;
-      const dateA = new Date(a.startDate);
-      const dateB = new Date(b.startDate);
-      return dateB - dateA; // 新しい順（降順）でソート
-    });
-    
-    for (let itemIndex = 0; itemIndex < group.length; itemIndex++) {
-      const item = group[itemIndex];
-      const row = new Array(duplicateHeaders.length).fill('');
-      
-      // グループIDと重複タイプの列を設定（従来版と同じ形式）
-      row[0] = `Group ${groupIndex + 1}`;                        // グループID
-      row[1] = `${group.length}件中${itemIndex + 1}件目`;       // 重複タイプ
-      row[2] = itemIndex === 0 ? '残す' : '終了';                // 処理（最新のみ残す）
-      
-      // 元のデータを3番目以降に配置（従来版と同じ）
-      item.allData.forEach((value, i) => {
-        row[i + 3] = value;
-      });
-      
-      batchData.push(row);
-      
-      // バッチサイズに達したら書き込み
-      if (batchData.length >= BATCH_SIZE) {
-        sheet.getRange(currentRow, 1, batchData.length, duplicateHeaders.length).setValues(batchData);
-        currentRow += batchData.length;
-        batchData = [];
-        console.log(`重複リスト書き込み中: ${currentRow - 2} 行完了`);
-      }
+    const values = importSheet.getDataRange().getValues();
+    const report = ImportSchema.validate(values);
+    if (report.columnErrors.length > 0) {
+      return { success: false, message: `列の構成に問題があるため、問題のない行のみのインポートはできません。\n${ImportSchema.formatReport(report)}` };
     }
+    const validRows = ImportSchema.filterValidRows(values, report);
+    importSheet.clearContents();
+    importSheet.getRange(1, 1, validRows.length, validRows[0].length).setValues(validRows);
+
+    return {
+      success: true,
+      message: `検証エラーのある${report.invalidCount}行を除外しました（残り${validRows.length - 1}行）。`,
+      removedRows: report.invalidCount
+    };
+  } catch (error) {
+    logError('applyImportValidationDecision', error, 'インポートデータ検証の反映中');
+    return { success: false, message: getFriendlyErrorMessage(error, '検証結果の反映に失敗しました。') };
   }
-  
-  // 残りのデータを書き込み
-  if (batchData.length > 0) {
-    sheet.getRange(currentRow, 1, batchData.length, duplicateHeaders.length).setValues(batchData);
-    console.log(`重複リスト作成完了: ${currentRow + batchData.length - 2} 行`);
-  }
-  
-  // ヘッダー行のフォーマット
-  const headerRange = sheet.getRange(1, 1, 1, duplicateHeaders.length);
-  EbayTool.UI.formatSheetHeader(headerRange);
 }
 
-/**
- * 重複リストシートの構造をデバッグする関数
- * @return {Object} デバッグ情報
- */
-function debugDuplicateSheet() {
+// 手動インポート模倣: Google Sheets API直接利用
+function writeToSheetOptimized(csvRows) {
   try {
+    console.log(`🚀 手動インポート模倣開始: ${csvRows.length}行 x ${csvRows[0].length}列`);
+
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
-    
-    if (!duplicateSheet) {
-      return { success: false, message: '重複リストシートが見つかりません' };
-    }
-    
-    const lastRow = duplicateSheet.getLastRow();
-    const lastCol = duplicateSheet.getLastColumn();
-    
-    if (lastRow <= 0) {
-      return { success: false, message: '重複リストシートにデータがありません' };
+    let sheet = ss.getSheetByName(EbayTool.getConfig().SHEET_NAMES.IMPORT);
+
+    if (!sheet) {
+      sheet = ss.insertSheet(EbayTool.getConfig().SHEET_NAMES.IMPORT);
+    } else {
+      sheet.clear();
+      sheet.showRows(1, sheet.getMaxRows()); // 前回の絞り込み（除外マーク）で非表示にした行を戻す
     }
-    
-    // ヘッダー行を取得
-    const headers = duplicateSheet.getRange(1, 1, 1, lastCol).getValues()[0];
-    
-    // 処理列のインデックスを探す
-    const actionIndex = headers.indexOf('処理');
-    
-    // サンプルデータを取得（最初の5行）
-    const sampleData = lastRow > 1 ? 
-      duplicateSheet.getRange(1, 1, Math.min(6, lastRow), lastCol).getValues() : 
-      [headers];
-    
+
+    // **手動インポートと同じ方法: 一括でsetValues実行**
+    // バッチ処理、分割処理、休憩を完全廃止
+
+    // データクリーニング（最小限）
+    const cleanData = csvRows.map(row =>
+      row.map(cell => cell == null ? '' : String(cell))
+    );
+
+    console.log(`データクリーニング完了 - 一括書き込み実行`);
+
+    // **一括書き込み実行（手動インポートと同様）**
+    const range = sheet.getRange(1, 1, cleanData.length, cleanData[0].length);
+    range.setValues(cleanData);
+
+    console.log(`✅ 手動インポート模倣完了: 総${csvRows.length}行を一括書き込み`);
+
     return {
       success: true,
-      sheetInfo: {
-        lastRow: lastRow,
-        lastCol: lastCol,
-        headers: headers,
-        actionIndex: actionIndex,
-        hasActionColumn: actionIndex !== -1,
-        sampleData: sampleData
-      }
+      message: `CSVインポート完了: ${csvRows.length}行のデータをインポートしました`,
+      importedRows: csvRows.length - 1, // ヘッダー除く
+      totalRows: csvRows.length
     };
+
   } catch (error) {
-    return { success: false, message: `デバッグエラー: ${error.message}` };
+    console.error("❌ 一括書き込みエラー:", error);
+    throw error;
   }
 }
 
 /**
- * エクスポート処理をデバッグする関数
- * @return {Object} デバッグ情報
+ * インポート方式に応じてインポートシートに書き込む関数
+ * @param {Array} csvRows - ヘッダー行を含む行データ
+ * @param {string} importMode - replace: 置き換え / delta: 差分インポート（省略時はツール設定）
+ * @return {Object} インポート結果
  */
-function debugExportProcess() {
-  try {
-    // 重複リストシートの構造をチェック
-    const sheetDebug = debugDuplicateSheet();
-    if (!sheetDebug.success) {
-      return sheetDebug;
+function writeImportRows(csvRows, importMode = '') {
+  if ((importMode || ToolSettings.get().importMode) === 'delta') {
+    return ImportDelta.apply(csvRows);
+  }
+  return writeToSheetOptimized(csvRows);
+}
+
+/**
+ * CSVデータの品質を確認する関数
+ */
+function validateCSVQuality(csvRows) {
+  const issues = [];
+  const headerRow = csvRows[0];
+  const expectedColumns = headerRow.length;
+
+  // 1. 列数の一貫性チェック
+  let columnMismatchCount = 0;
+  for (let i = 1; i < csvRows.length; i++) {
+    if (csvRows[i].length !== expectedColumns) {
+      columnMismatchCount++;
     }
-    
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
-    const headers = sheetDebug.sheetInfo.headers;
-    const actionIndex = sheetDebug.sheetInfo.actionIndex;
-    const lastRow = sheetDebug.sheetInfo.lastRow;
-    
-    // ItemIDのインデックスを探す
-    let itemIdIndex = -1;
-    for (let i = 0; i < headers.length; i++) {
-      const header = String(headers[i]).toLowerCase();
-      if (header.includes('item') && (header.includes('id') || header.includes('number'))) {
-        itemIdIndex = i;
-        break;
-      }
-    }
-    
-    let endItemsCount = 0;
-    let sampleEndItems = [];
-    
-    if (actionIndex !== -1 && itemIdIndex !== -1 && lastRow > 1) {
-      // 処理列とItemID列の値を取得
-      const actionValues = duplicateSheet.getRange(2, actionIndex + 1, lastRow - 1, 1).getValues();
-      const itemIdValues = duplicateSheet.getRange(2, itemIdIndex + 1, lastRow - 1, 1).getValues();
-      
-      // 終了対象のアイテムをカウント・サンプル取得
-      for (let i = 0; i < actionValues.length; i++) {
-        if (actionValues[i][0] === '終了' && itemIdValues[i][0]) {
-          endItemsCount++;
-          if (sampleEndItems.length < 5) {
-            sampleEndItems.push({
-              row: i + 2,
-              action: actionValues[i][0],
-              itemId: itemIdValues[i][0]
-            });
-          }
-        }
-      }
-    }
-    
-    return {
-      success: true,
-      debugInfo: {
-        ...sheetDebug.sheetInfo,
-        itemIdIndex: itemIdIndex,
-        hasItemIdColumn: itemIdIndex !== -1,
-        endItemsCount: endItemsCount,
-        sampleEndItems: sampleEndItems
-      }
-    };
-  } catch (error) {
-    return { success: false, message: `エクスポートデバッグエラー: ${error.message}` };
   }
-}
-
-/**
- * US出品のみに絞り込む専用関数（eBay Mag対応）
- * @return {Object} 処理結果
- */
-/**
- * 連続する行番号を範囲にグループ化
- */
-function groupConsecutiveRows(rowNumbers) {
-  if (rowNumbers.length === 0) return [];
 
-  const sorted = [...rowNumbers].sort((a, b) => a - b);
-  const ranges = [];
-  let start = sorted[0];
-  let end = sorted[0];
+  if (columnMismatchCount > 0) {
+    const percentage = ((columnMismatchCount / (csvRows.length - 1)) * 100).toFixed(1);
+    issues.push(`列数不一致: ${columnMismatchCount}行 (${percentage}%)`);
+  }
 
-  for (let i = 1; i < sorted.length; i++) {
-    if (sorted[i] === end + 1) {
-      // 連続している
-      end = sorted[i];
-    } else {
-      // 連続が途切れた
-      ranges.push({ start: start, end: end });
-      start = sorted[i];
-      end = sorted[i];
+  // 2. 重要な列の存在確認（ヘッダーマッピングで解決できるか）
+  const mapping = HeaderMapping.resolve(headerRow);
+  for (const field of ['itemId', 'title', 'site']) {
+    if (mapping.columns[field] === -1) {
+      issues.push(`必須列不在: ${HeaderMapping.FIELDS[field].label}の列が見つかりません（プロファイル: ${mapping.profileName}）`);
     }
   }
 
-  // 最後の範囲を追加
-  ranges.push({ start: start, end: end });
-
-  return ranges;
-}
-
-function filterUSOnly() {
-  const startTime = new Date().getTime();
-  let originalRowCount = 0;
-  let filteredRowCount = 0;
+  // 3. データサンプル確認（最初の10行）
+  let emptyFieldCount = 0;
+  const sampleSize = Math.min(10, csvRows.length - 1);
 
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
+  for (let i = 1; i <= sampleSize; i++) {
+    const row = csvRows[i];
+    const emptyFields = row.filter(field => !field || field.trim() === '').length;
+    emptyFieldCount += emptyFields;
+  }
 
-    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
+  const avgEmptyFields = emptyFieldCount / sampleSize;
+  if (avgEmptyFields > expectedColumns * 0.3) {
+    issues.push(`空フィールド多数: 平均${avgEmptyFields.toFixed(1)}個/行`);
+  }
 
-    if (!importSheet) {
-      return { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' };
+  return {
+    isValid: issues.length === 0,
+    issues: issues,
+    stats: {
+      totalRows: csvRows.length,
+      expectedColumns: expectedColumns,
+      columnMismatchCount: columnMismatchCount,
+      avgEmptyFields: avgEmptyFields
     }
+  };
+}
 
-    // データを取得
-    const lastRow = importSheet.getLastRow();
-    const lastCol = importSheet.getLastColumn();
+/**
+ * インポート状況確認関数（タイムアウト後の確認用）
+ */
+function checkImportStatus() {
+  try {
+    console.log('📋 軽量インポート状況確認開始');
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(EbayTool.getConfig().SHEET_NAMES.IMPORT);
 
-    if (lastRow <= 1) {
-      return { success: true, message: 'データが見つかりません。' };
+    if (!sheet) {
+      console.log('❌ インポートシートが見つかりません');
+      return { hasData: false, rowCount: 0, message: 'インポートシートが見つかりません' };
     }
 
-    // ヘッダーを取得してサイト列を特定
-    const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
-    const headersLower = headers.map(h => String(h).toLowerCase().replace(/\s+/g, ''));
+    // 軽量な確認: 行数と列数のみ取得
+    const lastRow = sheet.getLastRow();
+    const lastCol = sheet.getLastColumn();
 
-    // AA列（リスティングサイト）を探す
-    let listingSiteIndex = -1;
-    for (let i = 0; i < headers.length; i++) {
-      const headerLower = headersLower[i];
-      if (headerLower.includes('site') || headerLower.includes('listing') || i === 26) { // AA列は26番目（0ベース）
-        listingSiteIndex = i;
-        break;
-      }
-    }
+    console.log(`📊 シート情報: ${lastRow}行 x ${lastCol}列`);
 
-    if (listingSiteIndex === -1) {
-      return { success: false, message: 'リスティングサイト列（AA列）が見つかりません。' };
+    if (lastRow <= 1) {
+      console.log('❌ データなし');
+      return { hasData: false, rowCount: 0, message: 'インポートデータがありません' };
     }
 
-    console.log(`🚀 [${new Date().toLocaleTimeString()}] 高速US絞り込み開始: 列${listingSiteIndex + 1} (${headers[listingSiteIndex]})`);
-    console.log(`📊 処理対象: ${lastRow - 1}行のデータ`);
-    originalRowCount = lastRow - 1;
-
-    // 超高速処理（休憩時間最小化）
-    try {
-      const CHUNK_SIZE = 10000; // 10000行ずつ処理（高速化）
-      console.log(`📖 [${new Date().toLocaleTimeString()}] 超高速処理開始: ${lastRow}行を${CHUNK_SIZE}行ずつ処理`);
-
-      const rowsToDelete = [];
-
-      // チャンクごとに処理（休憩なし）
-      for (let chunkStart = 2; chunkStart <= lastRow; chunkStart += CHUNK_SIZE) {
-        const chunkEnd = Math.min(chunkStart + CHUNK_SIZE - 1, lastRow);
-        const chunkSize = chunkEnd - chunkStart + 1;
+    // 軽量確認: ヘッダー行の最初の3セルのみチェック
+    if (lastCol > 0) {
+      const headerSample = sheet.getRange(1, 1, 1, Math.min(3, lastCol)).getValues()[0];
+      const hasHeaders = headerSample.some(cell => cell && String(cell).trim().length > 0);
 
-        console.log(`📦 チャンク ${Math.floor((chunkStart - 2) / CHUNK_SIZE) + 1}: ${chunkStart}-${chunkEnd}行`);
+      if (hasHeaders) {
+        console.log(`✅ インポート確認成功: ${lastRow}行 x ${lastCol}列のデータを検出`);
 
-        // チャンクのデータを読み込み（サイト列のみ）
-        const chunkData = importSheet.getRange(chunkStart, listingSiteIndex + 1, chunkSize, 1).getValues();
+        // 軽量ログ: コンソールのみ、性能ログシートへの書き込みは省略
+        console.log(`📊 [${new Date().toLocaleTimeString()}] 軽量確認完了`);
 
-        // 削除対象行を特定
-        for (let i = 0; i < chunkData.length; i++) {
-          const siteValue = String(chunkData[i][0]).trim().toUpperCase();
-          if (siteValue && siteValue !== 'US' && siteValue !== 'USA' && siteValue !== 'UNITED STATES') {
-            rowsToDelete.push(chunkStart + i);
-          }
-        }
+        return {
+          hasData: true,
+          rowCount: lastRow - 1, // ヘッダー除く
+          totalRows: lastRow,
+          columns: lastCol,
+          message: `インポート完了: ${lastRow - 1}行のデータ`
+        };
       }
+    }
 
-      console.log(`🎯 削除対象特定完了: ${rowsToDelete.length}行を削除予定`);
-
-      // 連続行範囲の一括削除（超高速・休憩最小化）
-      if (rowsToDelete.length > 0) {
-        console.log(`📋 [${new Date().toLocaleTimeString()}] ${rowsToDelete.length}行を一括削除開始...`);
-
-        // 連続する行範囲をグループ化
-        const ranges = groupConsecutiveRows(rowsToDelete);
-        console.log(`📦 連続行範囲: ${ranges.length}グループ`);
-
-        // 下から上へ一括削除（範囲ごと・休憩最小化）
-        for (let i = ranges.length - 1; i >= 0; i--) {
-          const range = ranges[i];
-          const rowCount = range.end - range.start + 1;
-
-          if (i % 50 === 0) {
-            console.log(`🗑️  削除進捗 [${ranges.length - i}/${ranges.length}]`);
-          }
-
-          // 一括削除実行
-          importSheet.deleteRows(range.start, rowCount);
-
-          // 500行ごとまたは50グループごとにのみ休憩
-          if (rowCount > 500 || i % 50 === 0) {
-            Utilities.sleep(50);
-          }
-        }
+    console.log('❌ 無効なデータ形式');
+    return { hasData: false, rowCount: 0, message: '無効なデータ形式' };
 
-        console.log(`✅ [${new Date().toLocaleTimeString()}] 一括削除完了: ${rowsToDelete.length}行削除`);
-      }
+  } catch (error) {
+    console.error('インポート状況確認エラー:', error);
+    return { hasData: false, rowCount: 0, message: `確認エラー: ${error.message}` };
+  }
+}
 
-      // 8. 結果を計算
-      const newLastRow = importSheet.getLastRow();
-      filteredRowCount = newLastRow - 1;
-      const deletedCount = originalRowCount - filteredRowCount;
+/**
+ * 超軽量インポート状況確認（最小限の処理のみ）
+ */
+function checkImportStatusUltraLight() {
+  try {
+    console.log('🔍 超軽量インポート状況確認開始');
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName('インポートデータ'); // ハードコードで高速化
 
-      const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
-      console.log(`✅ [${new Date().toLocaleTimeString()}] US絞り込み完了: ${originalRowCount} → ${filteredRowCount} (${deletedCount}行削除) - ${elapsedSeconds}秒`);
+    if (!sheet) {
+      console.log('❌ インポートシートなし');
+      return { hasData: false, rowCount: 0, message: 'シートなし' };
+    }
 
-      // 成功ログを記録
-      logPerformance('US絞り込み', startTime, new Date().getTime(), {
-        success: true,
-        dataRows: filteredRowCount,
-        elapsedSeconds: parseFloat(elapsedSeconds),
-        additionalInfo: {
-          originalRows: originalRowCount,
-          filteredRows: filteredRowCount,
-          deletedRows: deletedCount,
-          method: '一括削除方式',
-          rangeGroups: rowsToDelete.length > 0 ? groupConsecutiveRows(rowsToDelete).length : 0
-        }
-      });
+    // 最小限の確認: 行数のみ
+    const lastRow = sheet.getLastRow();
+    console.log(`📊 行数: ${lastRow}`);
 
+    if (lastRow > 1) {
+      console.log(`✅ 超軽量確認成功: ${lastRow - 1}行`);
       return {
-        success: true,
-        message: `US絞り込み完了: ${originalRowCount}件 → ${filteredRowCount}件 (${deletedCount}行削除) - ${elapsedSeconds}秒`,
-        originalCount: originalRowCount,
-        filteredCount: filteredRowCount,
-        deletedCount: deletedCount,
-        elapsedSeconds: parseFloat(elapsedSeconds)
+        hasData: true,
+        rowCount: lastRow - 1,
+        totalRows: lastRow,
+        message: `データあり: ${lastRow - 1}行`
       };
+    }
 
-    } catch (filterError) {
-      console.warn('フィルター方式でエラー発生、従来方式にフォールバック:', filterError);
-
-      // フォールバック: 従来の方式
-      const allData = importSheet.getRange(1, 1, lastRow, lastCol).getValues();
-      const rowsToDelete = [];
-
-      for (let i = 1; i < allData.length; i++) {
-        const siteValue = String(allData[i][listingSiteIndex]).trim().toUpperCase();
-        if (siteValue && siteValue !== 'US' && siteValue !== 'USA' && siteValue !== 'UNITED STATES') {
-          rowsToDelete.push(i + 1);
-        }
-      }
-
-      // 下から上へ削除
-      for (let i = rowsToDelete.length - 1; i >= 0; i--) {
-        importSheet.deleteRow(rowsToDelete[i]);
-      }
+    console.log('❌ データなし');
+    return { hasData: false, rowCount: 0, message: 'データなし' };
 
-      const newLastRow = importSheet.getLastRow();
-      const filteredRowCount = newLastRow - 1;
-      const deletedCount = originalRowCount - filteredRowCount;
+  } catch (error) {
+    console.error('超軽量確認エラー:', error);
+    return { hasData: false, rowCount: 0, message: `エラー: ${error.message}` };
+  }
+}
 
-      const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
+// フォールバック用の従来処理（簡略化）
+function importCsvDataFallback(csvData, validationMode, importMode) {
+  return RunLock.run('CSVインポート', () => importCsvDataFallbackImpl(csvData, validationMode, importMode));
+}
 
+/**
+ * importCsvDataFallbackの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function importCsvDataFallbackImpl(csvData, validationMode = '', importMode = '') {
+  try {
+    console.log("フォールバック処理実行");
+    const parsed = EbayTool.CSVHandler.parse(csvData);
+    if (parsed.errors.length > 0) {
       return {
-        success: true,
-        message: `US絞り込み完了: ${originalRowCount}件 → ${filteredRowCount}件 (${deletedCount}行削除) - ${elapsedSeconds}秒`,
-        originalCount: originalRowCount,
-        filteredCount: filteredRowCount,
-        deletedCount: deletedCount,
-        elapsedSeconds: parseFloat(elapsedSeconds)
+        success: false,
+        message: `CSVに不正なレコードが${parsed.errors.length}件あります。\n${EbayTool.CSVHandler.formatErrors(parsed.errors)}`,
+        malformedRecords: parsed.errors
       };
     }
+    const csvRows = parsed.rows;
 
-  } catch (error) {
-    logError('filterUSOnly', error, 'US絞り込み処理中');
-    SpreadsheetApp.getUi().alert(
-      'エラー',
-      getFriendlyErrorMessage(error, 'US絞り込み中にエラーが発生しました。'),
-      SpreadsheetApp.getUi().ButtonSet.OK
-    );
+    if (csvRows.length <= 1) {
+      return { success: false, message: 'CSVデータが不十分です。' };
+    }
+
+    const validationResult = applyImportSchema(csvRows, validationMode);
+    if (!validationResult.proceed) return validationResult.response;
+
+    // フォールバック: 基本的なシート書き込み
+    const result = writeImportRows(validationResult.rows, importMode);
+    if (validationResult.message) result.message += validationResult.message;
+    return result;
 
+  } catch (error) {
+    console.error("フォールバック処理エラー:", error);
     return {
       success: false,
-      message: getFriendlyErrorMessage(error, 'US絞り込み中にエラーが発生しました。'),
-      stack: error.stack
+      message: `フォールバック処理に失敗しました: ${error.message}`
     };
   }
 }
 
 /**
- * アプリケーションの状態をチェックする関数
- * @return {Object} アプリケーションの状態情報
+ * インポートデータから重複を検出する関数（最適化チャンク処理対応）
+ * @return {Object} 処理結果
  */
-function checkAppState() {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
-    
-    // 各シートの存在確認
-    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
-    const duplicateSheet = ss.getSheetByName(SHEET_NAMES.DUPLICATES);
-    const exportSheet = ss.getSheetByName(SHEET_NAMES.EXPORT);
-    
-    const state = {
-      hasImportSheet: importSheet !== null,
-      hasDuplicateSheet: duplicateSheet !== null,
-      hasExportSheet: exportSheet !== null,
-      stats: {}
-    };
-    
-    // インポートデータの統計
-    if (importSheet) {
-      const lastRow = importSheet.getLastRow();
-      if (lastRow > 1) {
-        state.stats.rowCount = lastRow - 1; // ヘッダーを除く
-      }
-    }
-    
-    // 重複データの統計
-    if (duplicateSheet) {
-      const lastRow = duplicateSheet.getLastRow();
-      if (lastRow > 1) {
-        // 重複グループの数を計算
-        const groupData = duplicateSheet.getRange(2, 1, lastRow - 1, 1).getValues();
-        const uniqueGroups = new Set();
-        let totalItems = 0;
-        
-        groupData.forEach(row => {
-          const groupId = row[0];
-          if (groupId) {
-            uniqueGroups.add(groupId);
-            totalItems++;
-          }
-        });
-        
-        state.stats.duplicateGroups = uniqueGroups.size;
-        state.stats.duplicateItems = totalItems;
-      }
-    }
-    
-    // エクスポートデータの統計
-    if (exportSheet) {
-      const lastRow = exportSheet.getLastRow();
-      if (lastRow > 1) {
-        state.stats.exportCount = lastRow - 1;
-      }
-    }
-    
-    return state;
-    
-  } catch (error) {
-    logError('checkAppState', error, 'アプリ状態確認中');
-    return {
-      hasImportSheet: false,
-      hasDuplicateSheet: false,
-      hasExportSheet: false,
-      stats: {},
-      error: getFriendlyErrorMessage(error, 'アプリ状態確認中にエラーが発生しました。')
-    };
-  }
+function detectDuplicates() {
+  return RunLock.run('重複検出', () => detectDuplicatesImpl());
 }
 
 /**
- * タイトルをノーマライズする関数（改良版）
- * @param {string} title - 元のタイトル
- * @param {boolean} useAdvanced - 高度なノーマライズを使用するかどうか
- * @return {string} ノーマライズされたタイトル
+ * detectDuplicatesの本体（実行ロックを取得した状態で呼ぶ）
  */
-function normalizeTitle(title, useAdvanced = false) {
-  if (!title) return '';
-  
-  // 基本的なノーマライズ
-  let normalized = String(title).toLowerCase();
-  
-  // 空白を統一
-  normalized = normalized.replace(/\s+/g, ' ').trim();
-  
-  // 特殊文字を削除または置換
-  normalized = normalized.replace(/[^\w\s]/g, '');
-  
-  // 高度なノーマライズ（オプション）
-  if (useAdvanced) {
-    // 一般的な略語や単位を標準化
-    const replacements = {
-      'in.': 'inch',
-      'inches': 'inch',
-      'ft.': 'foot',
-      'feet': 'foot',
-      'lbs': 'pound',
-      'lb.': 'pound',
-      'pounds': 'pound',
-      'oz.': 'ounce',
-      'ounces': 'ounce',
-      'pcs': 'piece',
-      'pc.': 'piece',
-      'pieces': 'piece'
-    };
+function detectDuplicatesImpl() {
+  const startTime = new Date().getTime();
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
+
+    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
     
-    for (const [abbr, full] of Object.entries(replacements)) {
-      normalized = normalized.replace(new RegExp('\\b' + abbr + '\\b', 'g'), full);
+    if (!importSheet) {
+      return { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' };
     }
     
-    // 重要なキーワードのみを抽出
-    const words = normalized.split(' ');
-    
-    // ストップワード（無視する一般的な単語）
-    const stopWords = ['a', 'an', 'the', 'and', 'or', 'but', 'is', 'are', 'on', 'at', 'to', 'for', 'with', 'by', 'in', 'of'];
+    // データを取得
+    const lastRow = importSheet.getLastRow();
+    const lastCol = importSheet.getLastColumn();
     
-    // ストップワードを除去し、短すぎる単語も除去
-    const filteredWords = words.filter(word => 
-      word.length > 2 && !stopWords.includes(word)
-    );
+    if (lastRow <= 1) {
+      return { 
+        success: true, 
+        message: '検出された重複: 0件。重複データはありませんでした。',
+        duplicateCount: 0,
+        analysisComplete: true
+      };
+    }
     
-    // 単語をソートして順序の違いを無視
-    filteredWords.sort();
+    // データサイズに応じた処理方法を選択
+    const dataSize = lastRow - 1;
+    console.log(`重複検出開始: ${dataSize} 行のデータを処理します`);
     
-    // 出現回数が多い単語を強調
-    const wordCounts = {};
-    filteredWords.forEach(word => {
-      wordCounts[word] = (wordCounts[word] || 0) + 1;
+    // 検出モード（あいまい検出の有無など）をドキュメント設定から取得
+    const options = getDetectionOptions();
+
+    // 大規模データ（15,000行以上）の場合はチャンク処理
+    let result;
+    if (dataSize >= 15000) {
+      console.log('大規模データ検出: チャンク処理を実行します');
+      result = detectDuplicatesChunked(importSheet, lastRow, lastCol, options);
+    } else {
+      console.log('通常処理を実行します');
+      result = detectDuplicatesStandard(importSheet, lastRow, lastCol, options);
+    }
+
+    // 性能ログを記録
+    logPerformance('重複検出', startTime, new Date().getTime(), {
+      success: result.success,
+      dataRows: dataSize,
+      errorMessage: result.success ? '' : result.message,
+      additionalInfo: {
+        duplicateGroups: result.duplicateGroups || 0,
+        duplicateItems: result.duplicateItems || 0,
+        method: dataSize >= 15000 ? 'チャンク処理' : '通常処理',
+        mode: options.fuzzyMatching ? 'あいまい検出' : '完全一致',
+        identifierKeys: options.identifierKeys,
+        gradingAware: options.gradingAware
+      }
     });
+
+    return result;
     
-    // 重要度に基づいて単語を選択
-    const importantWords = filteredWords.filter((word, index, self) => 
-      // 重複を除去
-      index === self.indexOf(word) && (
-        // 出現回数が多いか、長い単語は重要
-        wordCounts[word] > 1 || word.length > 5
-      )
+  } catch (error) {
+    logError('detectDuplicates', error, '重複検出処理中');
+    SpreadsheetApp.getUi().alert(
+      'エラー',
+      getFriendlyErrorMessage(error, '重複検出中にエラーが発生しました。'),
+      SpreadsheetApp.getUi().ButtonSet.OK
     );
     
-    // 十分な単語がない場合は全単語を使用
-    if (importantWords.length < 3) {
-      return normalized;
-    }
-    
-    normalized = importantWords.join(' ');
+    return { 
+      success: false, 
+      message: getFriendlyErrorMessage(error, '重複検出中にエラーが発生しました。'), 
+      stack: error.stack 
+    };
   }
-  
-  return normalized;
 }
 
 /**
- * 2つのタイトル間の類似度を計算する関数
- * @param {string} title1 - 1つ目のタイトル
- * @param {string} title2 - 2つ目のタイトル
- * @return {number} 類似度（0-1の範囲、1が完全一致）
+ * 検出モード（あいまい検出の有無など）をドキュメント設定から取得
+ * @return {Object} 検出オプション
  */
-function calculateTitleSimilarity(title1, title2) {
-  // 両方のタイトルをノーマライズ
-  const normalized1 = normalizeTitle(title1, true);
-  const normalized2 = normalizeTitle(title2, true);
-  
-  if (!normalized1 || !normalized2) return 0;
-  
-  // 単語ベースでの類似度計算
-  const words1 = normalized1.split(' ');
-  const words2 = normalized2.split(' ');
-  
-  // Jaccard係数の計算
-  const set1 = new Set(words1);
-  const set2 = new Set(words2);
-  
-  const intersection = new Set([...set1].filter(word => set2.has(word)));
-  const union = new Set([...set1, ...set2]);
-  
-  return intersection.size / union.size;
+function getDetectionOptions() {
+  const settings = ToolSettings.get();
+  const options = {
+    fuzzyMatching: settings.fuzzyMatching === true,
+    similarityThreshold: settings.similarityThreshold,
+    similarityIndexStrategy: settings.similarityIndexStrategy,
+    identifierKeys: settings.identifierKeys || [],
+    gradingAware: settings.gradingAware === true,
+    detectionScope: settings.detectionScope,
+    detectionFilter: settings.detectionFilter
+  };
+  console.log(`検出モード: ${options.fuzzyMatching ? `あいまい検出（閾値 ${options.similarityThreshold}）` : '完全一致'}, 識別子: ${options.identifierKeys.join(',') || 'なし'}, グレーディング対応: ${options.gradingAware ? 'あり' : 'なし'}`);
+  return options;
 }
 
 /**
- * 重複の合計件数を取得する関数
- * @param {Array} duplicateGroups - 重複グループのリスト
- * @return {number} 重複の合計件数
+ * ヘッダーマッピング - 論理フィールド（itemId, title, site…）と元データの列名の対応表
+ * 組み込みプロファイルとCustomプロファイルから、ヘッダーの特徴（fingerprint）で自動選択する
  */
-function getTotalDuplicates(duplicateGroups) {
-  return duplicateGroups.reduce((total, group) => total + group.length, 0);
-}
+var HeaderMapping = {
+  // 論理フィールド（requiredは重複検出に必須）
+  FIELDS: {
+    itemId: { label: 'Item ID', required: true },
+    title: { label: 'タイトル', required: true },
+    variation: { label: 'バリエーション' },
+    sku: { label: 'SKU' },
+    site: { label: '出品サイト' },
+    startDate: { label: '開始日' },
+    quantity: { label: '在庫数' },
+    price: { label: '価格' },
+    watchers: { label: 'ウォッチ数' },
+    bids: { label: '入札数' },
+    sold: { label: '販売数' },
+    format: { label: '出品形式' },
+    category: { label: 'カテゴリ' }
+  },
 
-/**
- * 重複リストシートを作成する関数（シンプル化バージョン）
- * @param {Sheet} sheet - 重複リストシート
- * @param {Array} duplicateGroups - 重複グループのリスト
- * @param {Array} originalHeaders - 元のヘッダー
- */
-function createDuplicateListSheet(sheet, duplicateGroups, originalHeaders) {
-  // ヘッダー行を作成（グループID、重複タイプなどの列を追加）
-  const headers = ['グループID', '重複タイプ', '処理'].concat(originalHeaders);
-  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
-  
-  // 一度にすべての行を設定するためのデータ配列
-  const allData = [];
-  
-  // 各重複グループをデータ配列に追加
-  duplicateGroups.forEach((group, groupIndex) => {
-    // グループをスタート日でソート
-    group.sort((a, b) => {
-      if (!a.startDate || !b.startDate) return 0;
-      const dateA = new Date(a.startDate);
-      const dateB = new Date(b.startDate);
-      return dateB - dateA; // 新しい順（降順）でソート
+  // 組み込みプロファイル（列名は小文字・空白除去後で完全一致、先に書いた候補を優先）
+  PROFILES: {
+    sellerHub: {
+      name: 'Seller Hub Active Listings',
+      fingerprint: ['itemnumber', 'customlabel(sku)', 'availablequantity', 'listingsite', 'ebaycategory1name'],
+      columns: {
+        itemId: ['itemnumber', 'itemid'],
+        title: ['title'],
+        variation: ['variationdetails'],
+        sku: ['customlabel(sku)'],
+        site: ['listingsite'],
+        startDate: ['startdate'],
+        quantity: ['availablequantity'],
+        price: ['currentprice', 'startprice'],
+        watchers: ['watchers'],
+        bids: ['bids'],
+        sold: ['soldquantity'],
+        format: ['format'],
+        category: ['ebaycategory1name', 'ebaycategory1number']
+      }
+    },
+    fileExchange: {
+      name: 'File Exchange Download',
+      fingerprint: ['itemid', 'customlabel', 'starttime', 'startprice', 'quantityavailable'],
+      columns: {
+        itemId: ['itemid'],
+        title: ['title'],
+        variation: ['variationspecifics', 'variation'],
+        sku: ['customlabel'],
+        site: ['site', 'siteid'],
+        startDate: ['starttime', 'startdate'],
+        quantity: ['quantityavailable', 'quantity'],
+        price: ['currentprice', 'startprice'],
+        watchers: ['watchcount', 'watchers'],
+        bids: ['bidcount'],
+        sold: ['quantitysold'],
+        format: ['listingtype', 'format'],
+        category: ['category', 'categoryname', 'categoryid']
+      }
+    }
+  },
+
+  CUSTOM: 'custom',
+  CUSTOM_NAME: 'Custom',
+
+  normalize: function(header) {
+    return String(header === null || header === undefined ? '' : header).toLowerCase().replace(/\s+/g, '');
+  },
+
+  /**
+   * 設定のCustomマッピング（フィールド → 列名）からプロファイルを作成
+   * 空欄のフィールドは組み込みプロファイルの列名で補完する
+   * @return {Object|null} プロファイル（マッピングが未設定ならnull）
+   */
+  getCustomProfile: function(customMapping) {
+    const mapped = Object.keys(customMapping || {})
+      .filter(field => this.FIELDS[field] && String(customMapping[field] || '').trim());
+    if (mapped.length === 0) return null;
+
+    const columns = {};
+    Object.keys(this.FIELDS).forEach(field => {
+      const builtin = [].concat(...Object.keys(this.PROFILES).map(key => this.PROFILES[key].columns[field] || []));
+      columns[field] = mapped.includes(field) ? [this.normalize(customMapping[field])] : builtin;
     });
-    
-    // グループ内の各アイテムを追加
-    group.forEach((item, itemIndex) => {
-      const row = new Array(headers.length).fill('');
-      
-      // グループIDと重複タイプの列を設定
-      row[0] = `Group ${groupIndex + 1}`; // グループID
-      row[1] = `${group.length}件中${itemIndex + 1}件目`; // 重複タイプ
-      row[2] = itemIndex === 0 ? '残す' : '終了'; // 処理（最新のみ残す）
-      
-      // 元のデータを追加
-      item.allData.forEach((value, i) => {
-        row[i + 3] = value;
-      });
-      
-      allData.push(row);
+    return {
+      name: this.CUSTOM_NAME,
+      fingerprint: mapped.map(field => this.normalize(customMapping[field])),
+      columns: columns
+    };
+  },
+
+  /**
+   * プロファイルでヘッダーを解決
+   * @return {Object} フィールド → 列インデックス（見つからない場合は-1）
+   */
+  applyProfile: function(profile, headersLower) {
+    const columns = {};
+    Object.keys(this.FIELDS).forEach(field => {
+      const candidates = profile.columns[field] || [];
+      let index = -1;
+      for (let i = 0; i < candidates.length && index === -1; i++) {
+        index = headersLower.indexOf(candidates[i]);
+      }
+      columns[field] = index;
     });
-    
-    // グループ間の区切り行（必要に応じて空行を入れる）
-    if (groupIndex < duplicateGroups.length - 1) {
-      allData.push(new Array(headers.length).fill(''));
+    return columns;
+  },
+
+  /**
+   * ヘッダーに使うプロファイルを選び、論理フィールドの列インデックスを解決
+   * 設定が「auto」の場合は、fingerprintの一致率が最も高いプロファイル（同率なら解決できた列が多い方）を使う
+   * @param {Array} headers - 元データのヘッダー
+   * @param {Object} settings - ツール設定（省略時はToolSettingsから取得）
+   * @return {Object} { profile, profileName, auto, columns, missing }
+   */
+  resolve: function(headers, settings = null) {
+    const { headerProfile, headerMappingCustom } = settings || ToolSettings.get();
+    const headersLower = headers.map(header => this.normalize(header));
+    const profiles = Object.assign({}, this.PROFILES);
+    const customProfile = this.getCustomProfile(headerMappingCustom);
+    if (customProfile) profiles[this.CUSTOM] = customProfile;
+
+    let selected = null;
+    if (headerProfile && headerProfile !== 'auto' && profiles[headerProfile]) {
+      selected = { key: headerProfile, columns: this.applyProfile(profiles[headerProfile], headersLower) };
+    } else {
+      // Customを先に評価し、同点なら利用者の設定を優先する
+      const keys = Object.keys(profiles).sort((a, b) => (b === this.CUSTOM) - (a === this.CUSTOM));
+      keys.forEach(key => {
+        const profile = profiles[key];
+        const hits = profile.fingerprint.filter(name => headersLower.includes(name)).length;
+        const columns = this.applyProfile(profile, headersLower);
+        const score = hits / profile.fingerprint.length;
+        const resolved = Object.keys(columns).filter(field => columns[field] >= 0).length;
+        if (!selected || score > selected.score || (score === selected.score && resolved > selected.resolved)) {
+          selected = { key: key, columns: columns, score: score, resolved: resolved };
+        }
+      });
     }
-  });
-  
-  // データが存在する場合に一度に書き込む
-  if (allData.length > 0) {
-    sheet.getRange(2, 1, allData.length, headers.length).setValues(allData);
+
+    return {
+      profile: selected.key,
+      profileName: profiles[selected.key].name,
+      auto: !(headerProfile && headerProfile !== 'auto' && profiles[headerProfile]),
+      columns: selected.columns,
+      missing: Object.keys(this.FIELDS).filter(field => this.FIELDS[field].required && selected.columns[field] === -1)
+    };
+  },
+
+  /**
+   * 論理フィールドの列インデックスを取得（見つからない場合は-1）
+   */
+  getIndex: function(headers, field) {
+    const index = this.resolve(headers).columns[field];
+    return index === undefined ? -1 : index;
+  },
+
+  /**
+   * 重複リスト（メタ列＋元データの列）のヘッダーから論理フィールドの列インデックスを取得
+   * 旧形式の重複リストはメタ列が少ないため、先頭から続くメタ列の数を数えて元データの列位置を求める
+   */
+  getDuplicateSheetIndex: function(headers, field) {
+    const metaColumns = EbayTool.getConfig().DUPLICATE_META_COLUMNS;
+    let offset = 0;
+    while (offset < headers.length && metaColumns.includes(headers[offset])) offset++;
+    const index = this.getIndex(headers.slice(offset), field);
+    return index === -1 ? -1 : index + offset;
+  },
+
+  /**
+   * 必須フィールドが見つからない場合のメッセージ
+   */
+  formatMissing: function(resolved) {
+    const labels = resolved.missing.map(field => this.FIELDS[field].label).join('、');
+    return `必須カラム(${labels})が見つかりません（プロファイル: ${resolved.profileName}）。サイドバーのヘッダーマッピングで列名を設定してください。`;
   }
+};
+
+/**
+ * 列インデックスを検索するヘルパー関数（ヘッダーマッピングのプロファイルで解決）
+ */
+function findColumnIndices(headers) {
+  const resolved = HeaderMapping.resolve(headers);
+  const { columns } = resolved;
+  console.log(`ヘッダーマッピング: ${resolved.profileName}${resolved.auto ? '（自動判定）' : ''}`);
   
-  // シートのフォーマットを整える（シンプル化）
-  formatDuplicateSheetSimple(sheet);
+  return {
+    titleIndex: columns.title,
+    itemIdIndex: columns.itemId,
+    startDateIndex: columns.startDate,
+    variationIndex: columns.variation,
+    deltaStatusIndex: headers.indexOf(ImportDelta.STATUS_COLUMN),
+    filterMarkIndex: headers.indexOf(FilterMarks.COLUMN),
+    mapping: resolved
+  };
 }
 
 /**
- * 重複リストシートのフォーマットを整える関数（シンプル化バージョン）
- * @param {Sheet} sheet - フォーマットするシート
+ * バリエーション詳細を比較用に正規化するヘルパー関数
+ * 「Color=Red|Size=M」と「size=m|color=red」のように属性の順序や大文字小文字が違っても同じ値にする
+ * @param {string} variation - バリエーション詳細
+ * @return {string} 正規化した値（バリエーションなしは空文字）
  */
-function formatDuplicateSheetSimple(sheet) {
-  const lastRow = sheet.getLastRow();
-  const lastCol = sheet.getLastColumn();
-  
-  if (lastRow <= 1) return; // データがない場合は何もしない
-  
-  // ヘッダー行のみ書式設定
-  sheet.getRange(1, 1, 1, lastCol)
-    .setBackground(EbayTool.getColor('PRIMARY'))
-    .setFontColor('white')
-    .setFontWeight('bold');
-  
-  // 先頭行を固定
-  sheet.setFrozenRows(1);
-  
+function normalizeVariation(variation) {
+  const text = String(variation || '').trim().toLowerCase();
+  if (!text) return '';
+  return text.split(/[|;]/)
+    .map(part => part.replace(/\s+/g, ' ').trim())
+    .filter(part => part)
+    .sort()
+    .join('|');
 }
 
 /**
- * CSVデータをダウンロードする関数（直接ダウンロード版）
- * @param {Array} data - CSVデータの2次元配列
- * @param {string} fileName - ダウンロードされるファイル名
- * @return {Object} 処理結果（HTML出力）
- */
-function convertToCSVDownload(data, fileName) {
-  try {
-    // CSVデータを生成（セキュリティ強化）
-    let csvContent = data.map(row => 
-      row.map(cell => {
-        // null/undefinedの処理
-        if (cell === null || cell === undefined) {
-          return '';
-        }
-        
-        // 文字列に変換
-        let cellStr = String(cell);
-        
-        // セキュリティ上の問題となりうる文字をエスケープ
-        cellStr = cellStr
-          .replace(/"/g, '""') // 引用符のエスケープ
-          .replace(/\\/g, '\\\\'); // バックスラッシュのエスケープ
-        
-        // カンマ、引用符、改行、タブを含む場合は引用符で囲む
-        if (/[,"\n\r\t]/.test(cellStr)) {
-          return '"' + cellStr + '"';
-        }
-        
-        return cellStr;
-      }).join(',')
-    ).join('\n');
-    
-    // BOMを追加してUTF-8として認識されるようにする
-    const bom = '\ufeff';
-    csvContent = bom + csvContent;
-    
-    // HTMLでダウンロードリンクを生成（直接ダウンロード方式）
-    const html = HtmlService.createHtmlOutput(
-      `<html>
-        <head>
-          <base target="_top">
-          <meta charset="UTF-8">
-          <script>
-            // CSVデータ
-            const csvData = \`${csvContent.replace(/`/g, '\\`')}\`;
-            
-            // ページ読み込み時に直接ダウンロード
-            window.onload = function() {
-              try {
-                // Blobオブジェクトの作成
-                const blob = new Blob([csvData], {type: 'text/csv;charset=utf-8;'});
-                
-                // URL.createObjectURLでブラウザ内URLを生成
-                const url = URL.createObjectURL(blob);
-                
-                // ダウンロードリンクを作成
-                const link = document.createElement('a');
-                link.href = url;
-                link.download = '${fileName.replace(/'/g, "\\'")}';
-                document.body.appendChild(link);
-                
-                // クリックして即時ダウンロード
-                link.click();
-                
-                // 後片付け
-                document.body.removeChild(link);
-                URL.revokeObjectURL(url);
-                
-                // 成功メッセージを表示
-                document.getElementById('status').innerHTML = 
-                  '<div style="color: green; font-weight: bold; padding: 10px; background-color: #E8F5E9; border-radius: 4px; margin-top: 10px;">ダウンロードが完了しました。</div>';
-                
-                // ユーザーに通知するためのアラート表示
-                alert('CSVファイルのダウンロードが完了しました！');
-                
-                // 親ウィンドウ（サイドバー）に通知してダウンロード完了メッセージを表示
-                try {
-                  window.parent.postMessage({
-                    type: 'download-complete',
-                    fileName: '${fileName.replace(/'/g, "\\'")}'
-                  }, '*');
-                } catch (err) {
-                  console.error('親ウィンドウへの通知エラー:', err);
-                }
-                
-                // ダウンロードボタンを無効化
-                const downloadBtn = document.getElementById('downloadBtn');
-                if (downloadBtn) {
-                  downloadBtn.disabled = true;
-                  downloadBtn.classList.add('disabled');
-                }
-                
-                // 3秒後にダイアログを閉じる
-                setTimeout(function() {
-                  google.script.host.close();
-                }, 3000);
-              } catch (e) {
-                document.getElementById('status').innerHTML = 
-                  '<div style="color: red;">エラーが発生しました: ' + e.message + '</div>';
-              }
-            }
-          </script>
-          <style>
-            body {
-              font-family: Arial, sans-serif;
-              margin: 20px;
-              text-align: center;
-            }
-            .button {
-              background-color: #4F46E5;
-              color: white;
-              padding: 10px 15px;
-              border: none;
-              border-radius: 4px;
-              cursor: pointer;
-              font-size: 14px;
-              margin-top: 10px;
-            }
-            .button:hover {
-              background-color: #4338CA;
-            }
-          </style>
-        </head>
-        <body>
-          <h3>CSVファイルのダウンロード</h3>
-          <p>ダウンロードが自動的に始まります。</p>
-          <div id="status">準備中...</div>
-          <button id="downloadBtn" class="button">ダウンロード</button>
-        </body>
-      </html>`
-    )
-    .setWidth(400)
-    .setHeight(200);
-    
-    return html;
-  } catch (error) {
-    logError('convertToCSVDownload', error, 'CSVデータ変換中');
-    throw new Error(`CSVデータの変換に失敗しました: ${error.message}`);
-  }
-}
-
-/**
- * エクスポートシートからCSVをダウンロードする関数（直接ダウンロード版）
+ * 検出フィルター - 重複検出の前に、ヘッダーマッピングした列の条件で対象の出品を絞り込む
+ * 条件はすべて満たす行だけを対象にする（空欄の条件は使わない）。保存したプリセットはドキュメント設定に置く
  */
-function downloadExportCsv() {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
+var DetectionFilter = {
+  PRESETS_KEY: 'EBAY_TOOL_FILTER_PRESETS',
+  MAX_PRESETS: 20,
+
+  // 条件の定義（fieldはHeaderMapping.FIELDSのキー）
+  CRITERIA: {
+    categories: { label: 'カテゴリ', field: 'category' },
+    format: { label: '出品形式', field: 'format' },
+    startDateFrom: { label: '開始日', field: 'startDate' },
+    quantityAbove: { label: '在庫数', field: 'quantity' },
+    skuPrefixes: { label: 'SKU', field: 'sku' }
+  },
 
-    // エクスポートシートが存在しない場合は先に生成する
-    if (!exportSheet) {
-      console.log('エクスポートシートが見つかりません。generateExportCsvを実行します。');
-      const generateResult = generateExportCsv();
+  // 出品形式の値（大文字・区切り記号除去後）→ 形式
+  FORMATS: {
+    FIXEDPRICE: 'FixedPrice', FIXEDPRICEITEM: 'FixedPrice', STORESFIXEDPRICE: 'FixedPrice', BUYITNOW: 'FixedPrice',
+    AUCTION: 'Auction', CHINESE: 'Auction'
+  },
 
-      if (!generateResult.success) {
-        return generateResult;
-      }
+  /**
+   * 空の条件
+   */
+  getEmpty: function() {
+    return { categories: [], format: '', startDateFrom: '', quantityAbove: null, skuPrefixes: [] };
+  },
 
-      // 生成後に再取得
-      exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
-      if (!exportSheet) {
-        throw new Error('エクスポートシートの生成に失敗しました。');
-      }
+  /**
+   * 条件を検証して正規化する
+   * @param {Object} filter - 条件（カテゴリ・SKUは配列またはカンマ区切りの文字列）
+   * @return {Object} { valid, filter, message }
+   */
+  normalize: function(filter) {
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+      return { valid: false, message: '検出フィルターの指定が不正です。' };
     }
-    
-    const data = exportSheet.getDataRange().getValues();
-    const fileName = `ebay_end_items_${new Date().toISOString().substr(0, 10)}.csv`;
-    
-    const html = convertToCSVDownload(data, fileName);
-    SpreadsheetApp.getUi().showModalDialog(html, 'CSVダウンロード');
-    
-    return { success: true, message: 'ダウンロードを開始しました' };
-  } catch (error) {
-    logError('downloadExportCsv', error);
-    return { success: false, message: `エラーが発生しました: ${error.message}` };
-  }
-}
-
-/**
- * すべてのシートを初期化する関数（高速化バージョン）
- * @return {Object} 処理結果
- */
-function initializeAllSheets() {
-  try {
-    console.log("🔧 initializeAllSheets: 関数が呼び出されました");
-    const startTime = new Date().getTime();
-
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    console.log(`📊 スプレッドシート名: ${ss.getName()}`);
-    
-    // 必要なシート名（最小限）
-    const requiredSheets = [
-      EbayTool.getSheetName('IMPORT'),
-      EbayTool.getSheetName('DUPLICATES'),
-      EbayTool.getSheetName('EXPORT')
-    ];
-
-    console.log(`✅ 必要なシート: ${requiredSheets.join(', ')}`);
-
-    // すべてのシートを取得
-    const allSheets = ss.getSheets();
-    console.log(`📋 現在のシート数: ${allSheets.length}`);
+    const toList = value => (Array.isArray(value) ? value : String(value || '').split(','))
+      .map(item => String(item).trim())
+      .filter(item => item);
 
-    const sheetsToKeep = new Set(requiredSheets);
-    let deletedCount = 0;
-    let clearedCount = 0;
+    const normalized = this.getEmpty();
+    normalized.categories = toList(filter.categories);
+    normalized.skuPrefixes = toList(filter.skuPrefixes);
 
-    // シートを逆順で処理（削除時のインデックスずれ防止）
-    for (let i = allSheets.length - 1; i >= 0; i--) {
-      const sheet = allSheets[i];
-      const sheetName = sheet.getName();
+    if (filter.format) {
+      if (!['FixedPrice', 'Auction'].includes(filter.format)) {
+        return { valid: false, message: `出品形式の指定が不正です: ${filter.format}` };
+      }
+      normalized.format = filter.format;
+    }
 
-      if (sheetsToKeep.has(sheetName)) {
-        // 必要なシートはクリアして再利用
-        sheet.clear();
-        clearedCount++;
-        console.log(`🧹 シート「${sheetName}」をクリアしました`);
-      } else {
-        // 不要なシートは削除（最後の1枚は残す）
-        if (ss.getSheets().length > 1) {
-          try {
-            ss.deleteSheet(sheet);
-            deletedCount++;
-            console.log(`🗑️ シート「${sheetName}」を削除しました`);
-          } catch (e) {
-            console.log(`⚠️ シート「${sheetName}」削除失敗: ${e.message}`);
-          }
-        } else {
-          sheet.clear();
-          console.log(`⚠️ 最後のシート「${sheetName}」はクリアのみ`);
-        }
+    if (filter.startDateFrom) {
+      if (isNaN(new Date(filter.startDateFrom).getTime())) {
+        return { valid: false, message: `開始日の指定が不正です: ${filter.startDateFrom}` };
       }
+      normalized.startDateFrom = String(filter.startDateFrom);
     }
 
-    // 必要なシートで存在しないものを作成
-    for (const sheetName of requiredSheets) {
-      if (!ss.getSheetByName(sheetName)) {
-        ss.insertSheet(sheetName);
-        console.log(`➕ シート「${sheetName}」を新規作成しました`);
+    if (filter.quantityAbove !== null && filter.quantityAbove !== undefined && filter.quantityAbove !== '') {
+      const quantity = Number(filter.quantityAbove);
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        return { valid: false, message: '在庫数の条件は0以上の整数を指定してください。' };
       }
+      normalized.quantityAbove = quantity;
     }
 
-    const endTime = new Date().getTime();
-    const duration = ((endTime - startTime) / 1000).toFixed(2);
+    return { valid: true, filter: normalized };
+  },
 
-    console.log(`✅ 初期化完了: ${clearedCount}シートクリア, ${deletedCount}シート削除 (${duration}秒)`);
+  /**
+   * 条件が1つでも設定されているか
+   */
+  isActive: function(filter) {
+    return !!filter && ((filter.categories || []).length > 0 || !!filter.format || !!filter.startDateFrom ||
+      (filter.quantityAbove !== null && filter.quantityAbove !== undefined) || (filter.skuPrefixes || []).length > 0);
+  },
 
-    return {
-      success: true,
-      message: `初期化完了 (${duration}秒)`,
-      requireReload: true
+  /**
+   * 条件を説明する文字列
+   */
+  describe: function(filter) {
+    const parts = [];
+    if (filter.categories.length > 0) parts.push(`カテゴリ=${filter.categories.join('/')}`);
+    if (filter.format) parts.push(`出品形式=${filter.format === 'FixedPrice' ? '固定価格' : 'オークション'}`);
+    if (filter.startDateFrom) parts.push(`開始日${filter.startDateFrom}以降`);
+    if (filter.quantityAbove !== null) parts.push(`在庫数>${filter.quantityAbove}`);
+    if (filter.skuPrefixes.length > 0) parts.push(`SKUが${filter.skuPrefixes.join('/')}で始まる`);
+    return parts.join('、');
+  },
+
+  /**
+   * 元データのヘッダーに対して条件を組み立てる
+   * @param {Object} filter - normalizeした条件
+   * @param {Array} headers - 元データのヘッダー
+   * @return {Object} { test(row): 対象ならtrue, excluded: 対象外にした行数, description, missing: 列が見つからない条件 }
+   */
+  compile: function(filter, headers) {
+    const resolved = HeaderMapping.resolve(headers).columns;
+    const predicates = [];
+    const missing = [];
+    const use = (key, build) => {
+      const index = resolved[this.CRITERIA[key].field];
+      if (index === undefined || index < 0) {
+        missing.push(this.CRITERIA[key].label);
+        return;
+      }
+      predicates.push(build(index));
     };
-  } catch (error) {
-    console.error("initializeAllSheets: エラーが発生しました:", error);
-    logError('initializeAllSheets', error);
-    return { success: false, message: `エラーが発生しました: ${error.message}` };
-  }
-}
+    const text = value => String(value === null || value === undefined ? '' : value).trim();
 
-/**
- * サイドバーを閉じる関数
+    if (filter.categories.length > 0) {
+      const categories = filter.categories.map(category => category.toLowerCase());
+      use('categories', index => row => categories.includes(text(row[index]).toLowerCase()));
+    }
+    if (filter.format) {
+      use('format', index => row => this.FORMATS[text(row[index]).toUpperCase().replace(/[\s_-]/g, '')] === filter.format);
+    }
+    if (filter.startDateFrom) {
+      const from = new Date(filter.startDateFrom).getTime();
+      use('startDateFrom', index => row => {
+        const time = new Date(row[index]).getTime();
+        return !isNaN(time) && time >= from;
+      });
+    }
+    if (filter.quantityAbove !== null) {
+      use('quantityAbove', index => row => {
+        const quantity = parseFloat(text(row[index]).replace(/[^0-9.\-]/g, ''));
+        return !isNaN(quantity) && quantity > filter.quantityAbove;
+      });
+    }
+    if (filter.skuPrefixes.length > 0) {
+      const prefixes = filter.skuPrefixes.map(prefix => prefix.toLowerCase());
+      use('skuPrefixes', index => row => {
+        const sku = text(row[index]).toLowerCase();
+        return prefixes.some(prefix => sku.startsWith(prefix));
+      });
+    }
+
+    const compiled = {
+      excluded: 0,
+      description: this.describe(filter),
+      missing: missing,
+      test: row => {
+        if (predicates.every(predicate => predicate(row))) return true;
+        compiled.excluded++;
+        return false;
+      }
+    };
+    return compiled;
+  },
+
+  /**
+   * 保存済みのプリセット（名前 → 条件）
+   */
+  getPresets: function() {
+    try {
+      const saved = PropertiesService.getDocumentProperties().getProperty(this.PRESETS_KEY);
+      return saved ? JSON.parse(saved) : {};
+    } catch (error) {
+      console.warn('検出フィルターのプリセットの読み込みに失敗しました:', error.message);
+      return {};
+    }
+  },
+
+  /**
+   * プリセットを保存（同じ名前は上書き）
+   */
+  savePreset: function(name, filter) {
+    const presets = this.getPresets();
+    presets[name] = filter;
+    PropertiesService.getDocumentProperties().setProperty(this.PRESETS_KEY, JSON.stringify(presets));
+    return presets;
+  },
+
+  /**
+   * プリセットを削除
+   */
+  deletePreset: function(name) {
+    const presets = this.getPresets();
+    delete presets[name];
+    PropertiesService.getDocumentProperties().setProperty(this.PRESETS_KEY, JSON.stringify(presets));
+    return presets;
+  }
+};
+
+/**
+ * タイトルとバリエーションでグループ化するヘルパー関数
+ * 同じタイトルでもバリエーションが異なる行は別グループになる
+ * columns.gradingColumnsを指定した場合は、グレード・状態が異なる行も別グループになる
+ * @param {Array} allData - 行データ
+ * @param {Object} columns - findColumnIndicesの結果（gradingColumnsにGradingMatcher.findColumnsの結果、rowFilterにDetectionFilter.compileの結果を追加可）
+ * @param {Object} titleGroups - 追加先のグループ（チャンク処理で繰り返し呼ぶ場合に指定）
+ * @param {Function} onNewGroup - 新しいグループを作成したときに呼ばれる関数 (groupKey, item)
+ * @return {Object} グループキーをキーとするグループ
  */
-function closeSidebar() {
-  const ui = SpreadsheetApp.getUi();
-  try {
-    const html = HtmlService.createHtmlOutput('<script>google.script.host.close();</script>')
-      .setWidth(0)
-      .setHeight(0);
+function groupByTitle(allData, columns, titleGroups = {}, onNewGroup = null) {
+  const { titleIndex, itemIdIndex, variationIndex, deltaStatusIndex, touchedKeys, filterMarkIndex, rowFilter } = columns;
+  
+  for (let i = 0; i < allData.length; i++) {
+    const row = allData[i];
+    // 絞り込みで除外マークが付いた行は対象外
+    if (filterMarkIndex >= 0 && String(row[filterMarkIndex] || '').trim()) continue;
+    const title = EbayTool.TextAnalyzer.normalizeTitle(String(row[titleIndex] || ''), false);
+    const itemId = String(row[itemIdIndex] || '').trim();
     
-    SpreadsheetApp.getUi().showModalDialog(html, '閉じています...');
-    return { success: true };
-  } catch (error) {
-    logError('closeSidebar', error);
-    return { success: false, message: error.message };
+    // 差分インポートで変化した行を記録し、終了した出品は重複検出の対象外にする
+    const deltaStatus = deltaStatusIndex >= 0 ? String(row[deltaStatusIndex] || '') : '';
+    if (deltaStatus && touchedKeys && itemId) {
+      touchedKeys.add(DuplicateSheetMerger.rowKey(itemId, variationIndex >= 0 ? String(row[variationIndex] || '').trim() : ''));
+    }
+    if (deltaStatus === ImportDelta.STATUS.ENDED) continue;
+    // 検出フィルターの条件を満たさない行は対象外
+    if (rowFilter && !rowFilter.test(row)) continue;
+    
+    if (title && itemId) {
+      const { groupKey, item } = createTitleGroupItem(row, columns, title);
+      
+      if (!titleGroups[groupKey]) {
+        titleGroups[groupKey] = [];
+        if (onNewGroup) onNewGroup(groupKey, item);
+      }
+      titleGroups[groupKey].push(item);
+    }
   }
+  
+  return titleGroups;
 }
 
 /**
- * 重複リストシートを初期化する関数
- * @return {Object} 処理結果
+ * 1行分のグループ化用アイテムとグループキーを作成するヘルパー関数
+ * @param {Array} row - 行データ
+ * @param {Object} columns - findColumnIndicesの結果（gradingColumnsを含む）
+ * @param {string} title - 正規化したタイトル
+ * @return {Object} { groupKey, item }
  */
-function initializeDuplicatesSheet() {
-  return initializeSheet(EbayTool.getSheetName('DUPLICATES'));
+function createTitleGroupItem(row, columns, title) {
+  const { titleIndex, itemIdIndex, startDateIndex, variationIndex, gradingColumns } = columns;
+  const variation = variationIndex >= 0 ? String(row[variationIndex] || '').trim() : '';
+  const variationKey = normalizeVariation(variation);
+  const grading = gradingColumns ? GradingMatcher.getInfo(row, gradingColumns) : null;
+  const gradeKey = grading ? grading.gradeKey : '';
+  let groupKey = title;
+  if (variationKey) groupKey += `\u0000${variationKey}`;
+  if (gradeKey) groupKey += `\u0001${gradeKey}`;
+  return {
+    groupKey: groupKey,
+    item: {
+      itemId: String(row[itemIdIndex] || '').trim(),
+      title: title,
+      originalTitle: row[titleIndex],
+      startDate: row[startDateIndex],
+      variation: variation,
+      variationKey: variationKey,
+      gradeKey: gradeKey,
+      gradeLabel: grading ? grading.gradeLabel : '',
+      certNumber: grading ? grading.certNumber : '',
+      allData: row
+    }
+  };
 }
 
 /**
- * エクスポートシートを初期化する関数
- * @return {Object} 処理結果
+ * 商品識別子マッチャー - SKUや製品コードが一致する出品をタイトルの表現に関係なく重複とみなす
  */
-function initializeExportSheet() {
-  return initializeSheet(EbayTool.getSheetName('EXPORT'));
+var IdentifierMatcher = {
+  // 識別子ごとの表示名と列名の候補（小文字・空白除去後で比較。mappingはHeaderMappingの論理フィールド）
+  FIELDS: {
+    sku: { label: 'SKU', mapping: 'sku', exact: ['customlabel(sku)', 'customlabel', 'sku'], contains: ['sku'] },
+    upc: { label: 'UPC', exact: ['p:upc', 'upc'], contains: ['upc'] },
+    ean: { label: 'EAN', exact: ['p:ean', 'ean'], contains: ['p:ean'] },
+    isbn: { label: 'ISBN', exact: ['p:isbn', 'isbn'], contains: ['isbn'] },
+    epid: { label: 'ePID', exact: ['ebayproductid(epid)', 'epid'], contains: ['epid'] }
+  },
+
+  // 値がないことを示すプレースホルダー（小文字で比較）
+  PLACEHOLDERS: ['does not apply', 'doesnotapply', 'not applicable', 'n/a', 'na', 'none', 'unknown', '-', '該当なし'],
+
+  /**
+   * 識別子ごとの列インデックスを取得
+   * mappingを指定したフィールドはヘッダーマッピングの結果を優先し、解決できない場合だけ列名の候補で探す
+   * @param {Array} headers - ヘッダー行
+   * @param {Object} fields - 列名の候補（省略時はFIELDS）
+   * @return {Object} 識別子 → 列インデックス（見つからない場合は-1）
+   */
+  findColumns: function(headers, fields = this.FIELDS) {
+    const headersLower = headers.map(h => String(h).toLowerCase().replace(/\s+/g, ''));
+    const needsMapping = Object.keys(fields).some(key => fields[key].mapping);
+    const mapped = needsMapping ? HeaderMapping.resolve(headers).columns : {};
+    const columns = {};
+
+    Object.keys(fields).forEach(key => {
+      const field = fields[key];
+      let index = field.mapping && mapped[field.mapping] >= 0 ? mapped[field.mapping] : -1;
+      if (index >= 0) {
+        columns[key] = index;
+        return;
+      }
+      for (let i = 0; i < field.exact.length && index === -1; i++) {
+        index = headersLower.indexOf(field.exact[i]);
+      }
+      if (index === -1) {
+        index = headersLower.findIndex(header => field.contains.some(part => header.includes(part)));
+      }
+      columns[key] = index;
+    });
+
+    return columns;
+  },
+
+  /**
+   * 比較用に識別子の値を正規化（空欄・プレースホルダーは空文字を返す）
+   * @param {string} key - 識別子の種類
+   * @param {*} value - セルの値
+   * @return {string} 正規化した値
+   */
+  normalizeValue: function(key, value) {
+    const text = String(value === null || value === undefined ? '' : value).trim().toLowerCase();
+    if (!text || this.PLACEHOLDERS.includes(text)) return '';
+
+    // 製品コードは区切り記号を除去して比較（ISBNのハイフンなど）
+    if (key !== 'sku') {
+      const code = text.replace(/[^0-9a-z]/g, '');
+      return /^0+$/.test(code) ? '' : code;
+    }
+    return text;
+  }
+};
+
+/**
+ * トレーディングカードのグレーディング情報 - グレーディング対応モードで使用
+ * 鑑定番号が同じ出品は確実に重複、グレード・状態が異なる出品は同じタイトルでも別グループとする
+ */
+var GradingMatcher = {
+  // 列名の候補（小文字・空白除去後で比較）
+  FIELDS: {
+    condition: { exact: ['condition', 'conditionid'], contains: [] },
+    grader: { exact: ['cd:professionalgrader', 'professionalgrader'], contains: ['grader'] },
+    grade: { exact: ['cd:grade', 'grade'], contains: [] },
+    cert: { exact: ['cda:certificationnumber', 'certificationnumber'], contains: ['certificationnumber', 'certno'] }
+  },
+
+  /**
+   * グレーディング関連の列インデックスを取得
+   * @param {Array} headers - ヘッダー行
+   * @return {Object} condition / grader / grade / cert → 列インデックス（見つからない場合は-1）
+   */
+  findColumns: function(headers) {
+    return IdentifierMatcher.findColumns(headers, this.FIELDS);
+  },
+
+  /**
+   * 行のグレーディング情報を取得
+   * @param {Array} row - 行データ
+   * @param {Object} columns - findColumnsの結果
+   * @return {Object} { gradeKey: グループ分け用の値, gradeLabel: 表示用の値, certNumber: 正規化した鑑定番号 }
+   */
+  getInfo: function(row, columns) {
+    const read = key => {
+      if (columns[key] === undefined || columns[key] < 0) return '';
+      const text = String(row[columns[key]] === null || row[columns[key]] === undefined ? '' : row[columns[key]]).trim();
+      return IdentifierMatcher.PLACEHOLDERS.includes(text.toLowerCase()) ? '' : text;
+    };
+
+    const condition = read('condition');
+    const grader = read('grader');
+    const grade = read('grade');
+
+    // 「10」と「10.0」のような表記ゆれは同じグレードとみなす
+    const gradeValue = /^\d+(\.\d+)?$/.test(grade) ? String(Number(grade)) : grade.toLowerCase();
+    const gradeKey = condition || grader || grade
+      ? [condition.toLowerCase(), grader.toLowerCase(), gradeValue].map(v => v.replace(/\s+/g, ' ')).join('|')
+      : '';
+    const gradeLabel = [[grader, grade].filter(v => v).join(' '), condition].filter(v => v).join(' / ');
+
+    return {
+      gradeKey: gradeKey,
+      gradeLabel: gradeLabel,
+      certNumber: IdentifierMatcher.normalizeValue('cert', read('cert'))
+    };
+  }
+};
+
+/**
+ * タイトルグループから重複グループを抽出するヘルパー関数
+ * 完全一致グループを1ノードとし、類似タイトルや商品識別子の一致でノード同士を連結する
+ * @param {Object} titleGroups - グループキー（正規化タイトル＋バリエーション）をキーとするグループ
+ * @param {Object} options - 検出オプション（fuzzyMatching, similarityThreshold, similarityIndexStrategy, identifierKeys, gradingAware）
+ * @param {Object} similarityIndex - 作成済みの類似候補インデックス（省略時はここで作成）
+ * @param {Object} identifierColumns - IdentifierMatcher.findColumnsの結果
+ * @return {Array} 重複グループのリスト（件数の多い順、各グループにmatchTypesを付与）
+ */
+function extractDuplicateGroups(titleGroups, options = {}, similarityIndex = null, identifierColumns = {}) {
+  const keys = Object.keys(titleGroups);
+  const linker = createGroupLinker(keys.length);
+  linkTitleGroups(titleGroups, keys, linker, options, similarityIndex, identifierColumns);
+
+  const duplicateGroups = linker.collect(keys.map(key => titleGroups[key]));
+  return duplicateGroups.sort((a, b) => b.length - a.length);
 }
 
 /**
- * 特定のシートを初期化する関数
- * @param {string} sheetName - 初期化するシートの名前
- * @param {boolean} skipConfirmation - 確認ダイアログをスキップするかどうか
- * @return {Object} 処理結果
+ * 検出オプションに従ってタイトルグループ同士を連結する関数
+ * @param {Object} titleGroups - グループキーをキーとするグループ
+ * @param {Array} keys - ノード番号順のグループキー
+ * @param {Object} linker - createGroupLinkerの結果
+ * @param {Object} options - extractDuplicateGroupsと同じ検出オプション
+ * @param {Object} similarityIndex - 作成済みの類似候補インデックス（省略時はここで作成）
+ * @param {Object} identifierColumns - IdentifierMatcher.findColumnsの結果
+ * @param {Set} focusKeys - 指定した場合、類似タイトルはこのグループキーを含むペアだけを検証する
  */
-function initializeSheet(sheetName, skipConfirmation = false) {
-  try {
-    if (!skipConfirmation) {
-      const ui = SpreadsheetApp.getUi();
-      const response = ui.alert(
-        'シート初期化の確認',
-        `「${sheetName}」シートを初期化します。この操作は元に戻せません。続行しますか？`,
-        ui.ButtonSet.YES_NO
-      );
-      
-      if (response !== ui.Button.YES) {
-        return { success: false, message: '初期化をキャンセルしました。' };
-      }
+function linkTitleGroups(titleGroups, keys, linker, options = {}, similarityIndex = null, identifierColumns = {}, focusKeys = null) {
+  // 類似タイトルで連結（あいまい検出モード）
+  if (options.fuzzyMatching) {
+    const index = similarityIndex || createTitleSimilarityIndex(titleGroups, options);
+    linkSimilarTitleGroups(titleGroups, keys, index, linker, focusKeys);
+  }
+
+  // SKU・製品コードで連結
+  const identifierKeys = (options.identifierKeys || []).filter(key => identifierColumns[key] >= 0);
+  if (identifierKeys.length > 0) {
+    linkGroupsByIdentifier(titleGroups, keys, identifierKeys, identifierColumns, linker);
+  }
+
+  // 鑑定番号で連結（グレーディング対応モード）
+  if (options.gradingAware) {
+    linkGroupsByCertNumber(titleGroups, keys, linker);
+  }
+}
+
+/**
+ * タイトルグループ同士を連結するUnion-Findを作成する関数
+ * @param {number} size - ノード（タイトルグループ）数
+ * @return {Object} link(a, b, matchType) / collect(nodeGroups) を持つオブジェクト
+ */
+function createGroupLinker(size) {
+  const parent = new Array(size);
+  for (let i = 0; i < size; i++) parent[i] = i;
+  const matchTypesByNode = {}; // ノード番号 → 連結理由のSet
+
+  const find = function(i) {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
     }
-    
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    let sheet = ss.getSheetByName(sheetName);
-    
-    // シートが存在しない場合は新規作成
-    if (!sheet) {
-      sheet = ss.insertSheet(sheetName);
-      console.log(`シート「${sheetName}」を新規作成しました`);
-      return { success: true, message: `シート「${sheetName}」を新規作成しました。` };
+    return i;
+  };
+
+  const addMatchType = function(node, matchType) {
+    if (!matchTypesByNode[node]) matchTypesByNode[node] = new Set();
+    matchTypesByNode[node].add(matchType);
+  };
+
+  return {
+    link: function(a, b, matchType) {
+      addMatchType(a, matchType);
+      addMatchType(b, matchType);
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[rootB] = rootA;
+    },
+
+    // 連結済みのノードをまとめ、2件以上のグループだけを返す
+    collect: function(nodeGroups) {
+      const clusters = {};
+      nodeGroups.forEach((nodeGroup, i) => {
+        const root = find(i);
+        if (!clusters[root]) clusters[root] = { items: [], matchTypes: new Set(), gradeLabels: new Set() };
+        const cluster = clusters[root];
+        cluster.items.push(...nodeGroup);
+        if (nodeGroup.length > 1) {
+          cluster.matchTypes.add('title');
+          // 同じバリエーション・同じグレードが複数の出品に存在する
+          if (nodeGroup[0].variationKey) cluster.matchTypes.add('variation');
+          if (nodeGroup[0].gradeKey) {
+            cluster.matchTypes.add('grade');
+            cluster.gradeLabels.add(nodeGroup[0].gradeLabel);
+          }
+        }
+        if (matchTypesByNode[i]) matchTypesByNode[i].forEach(type => cluster.matchTypes.add(type));
+      });
+
+      return Object.values(clusters)
+        .filter(cluster => cluster.items.length > 1)
+        .map(cluster => {
+          const group = cluster.items;
+          group.matchTypes = EbayTool.getConfig().DUPLICATE_MATCH_TYPES.filter(type => cluster.matchTypes.has(type));
+          group.gradeLabels = [...cluster.gradeLabels];
+          return group;
+        });
     }
-    
-    if (sheetName === EbayTool.getSheetName('LOG')) {
-      // ログシートは最後の10行だけ残す
-      const lastRow = sheet.getLastRow();
-      if (lastRow > EbayTool.getConfig().MAX_LOG_ROWS) {
-        sheet.deleteRows(1, lastRow - EbayTool.getConfig().MAX_LOG_ROWS);
-      }
-    } else {
-      // その他のシートは完全に削除して再作成（書式設定も含めて完全に初期化）
-      const sheetIndex = sheet.getIndex();
-      ss.deleteSheet(sheet);
-      sheet = ss.insertSheet(sheetName, sheetIndex - 1);
-      console.log(`シート「${sheetName}」を削除して再作成しました`);
+  };
+}
+
+/**
+ * タイトルグループ用の類似候補インデックスを作成する関数
+ * 完全一致グループを1エントリとして登録する（キーはグループキー）
+ * @param {Object} titleGroups - グループキーをキーとするグループ（空でもよい）
+ * @param {Object} options - 検出オプション
+ * @return {Object} SimilarityIndexのインデックス
+ */
+function createTitleSimilarityIndex(titleGroups, options = {}) {
+  const index = SimilarityIndex.create({
+    strategy: options.similarityIndexStrategy,
+    threshold: options.similarityThreshold
+  });
+  Object.keys(titleGroups).forEach(key => {
+    SimilarityIndex.addEntry(index, key, titleGroups[key][0].originalTitle);
+  });
+  return index;
+}
+
+/**
+ * 類似タイトルのグループを連結する関数（あいまい検出モード）
+ * SimilarityIndexの候補ペアだけをcalculateTitleSimilarityと同じJaccard係数で検証し、
+ * 閾値を超えたペアを連結する（全ペア比較は行わない）
+ * バリエーションやグレード・状態が異なるグループ同士は、タイトルが似ていても連結しない
+ * @param {Object} titleGroups - グループキーをキーとするグループ
+ * @param {Array} keys - ノード番号順のグループキー
+ * @param {Object} similarityIndex - 完全一致グループを登録済みのインデックス
+ * @param {Object} linker - createGroupLinkerの結果
+ * @param {Set} focusKeys - 指定した場合、このグループキーを含む候補ペアだけを検証する
+ */
+function linkSimilarTitleGroups(titleGroups, keys, similarityIndex, linker, focusKeys = null) {
+  const startTime = new Date().getTime();
+  const threshold = similarityIndex.threshold;
+  const tokenSets = similarityIndex.tokenSets;
+  const focus = focusKeys ? new Set(similarityIndex.keys.map((key, i) => focusKeys.has(key) ? i : -1).filter(i => i !== -1)) : null;
+  const candidatePairs = SimilarityIndex.getCandidatePairs(similarityIndex, focus);
+
+  // インデックスのエントリ番号 → ノード番号
+  const nodeByKey = {};
+  keys.forEach((key, i) => { nodeByKey[key] = i; });
+  const nodeOf = similarityIndex.keys.map(key => nodeByKey[key]);
+
+  let matchedPairs = 0;
+  candidatePairs.forEach(([a, b]) => {
+    const itemA = titleGroups[similarityIndex.keys[a]][0];
+    const itemB = titleGroups[similarityIndex.keys[b]][0];
+    if (itemA.variationKey !== itemB.variationKey || itemA.gradeKey !== itemB.gradeKey) return;
+
+    if (calculateTokenSetSimilarity(tokenSets[a], tokenSets[b]) > threshold) {
+      matchedPairs++;
+      linker.link(nodeOf[a], nodeOf[b], 'similar');
     }
-    
-    return { success: true, message: `シート「${sheetName}」を初期化しました。` };
-  } catch (error) {
-    logError('initializeSheet', error);
-    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  });
+
+  SimilarityIndex.logStats(similarityIndex, startTime, { matchedPairs: matchedPairs });
+  console.log(`あいまい検出: グループ${keys.length}件, 候補ペア${candidatePairs.length}件, 一致ペア${matchedPairs}件`);
+}
+
+/**
+ * SKU・製品コードが一致するグループを連結する関数
+ * グレーディング対応モードでは、グレードが異なる出品は同じコードでも連結しない（同じカードのPSA 9とPSA 10など）
+ * @param {Object} titleGroups - グループキーをキーとするグループ
+ * @param {Array} keys - ノード番号順のグループキー
+ * @param {Array} identifierKeys - 判定に使う識別子（'sku', 'upc' など）
+ * @param {Object} identifierColumns - 識別子ごとの列インデックス
+ * @param {Object} linker - createGroupLinkerの結果
+ */
+function linkGroupsByIdentifier(titleGroups, keys, identifierKeys, identifierColumns, linker) {
+  identifierKeys.forEach(identifierKey => {
+    const columnIndex = identifierColumns[identifierKey];
+    const firstNodeByValue = {};
+    let linkedCount = 0;
+
+    keys.forEach((key, node) => {
+      titleGroups[key].forEach(item => {
+        const value = IdentifierMatcher.normalizeValue(identifierKey, item.allData[columnIndex]);
+        if (!value) return;
+        // gradeKeyはグレーディング対応モードでのみ設定される
+        const linkKey = item.gradeKey ? `${value}\u0001${item.gradeKey}` : value;
+
+        if (firstNodeByValue[linkKey] === undefined) {
+          firstNodeByValue[linkKey] = node;
+        } else {
+          linker.link(firstNodeByValue[linkKey], node, identifierKey);
+          linkedCount++;
+        }
+      });
+    });
+
+    console.log(`識別子一致(${identifierKey}): ${linkedCount}件を連結`);
+  });
+}
+
+/**
+ * 鑑定番号が一致するグループを連結する関数（グレーディング対応モード）
+ * 鑑定番号は1枚ごとに固有のため、タイトル・グレードに関係なく重複とみなす
+ * @param {Object} titleGroups - グループキーをキーとするグループ
+ * @param {Array} keys - ノード番号順のグループキー
+ * @param {Object} linker - createGroupLinkerの結果
+ */
+function linkGroupsByCertNumber(titleGroups, keys, linker) {
+  const firstNodeByCert = {};
+  let linkedCount = 0;
+
+  keys.forEach((key, node) => {
+    titleGroups[key].forEach(item => {
+      if (!item.certNumber) return;
+
+      if (firstNodeByCert[item.certNumber] === undefined) {
+        firstNodeByCert[item.certNumber] = node;
+      } else {
+        linker.link(firstNodeByCert[item.certNumber], node, 'cert');
+        linkedCount++;
+      }
+    });
+  });
+
+  console.log(`鑑定番号一致: ${linkedCount}件を連結`);
+}
+
+/**
+ * 重複シートを準備するヘルパー関数
+ */
+function prepareDuplicateSheet(ss, sheetName) {
+  let duplicateSheet = ss.getSheetByName(sheetName);
+  if (!duplicateSheet) {
+    duplicateSheet = ss.insertSheet(sheetName);
+  } else {
+    // 検出のたびに取るので、最新の1件だけ残す（操作ごとのスナップショットを押し出さない）
+    Snapshots.take(ss, '重複検出（重複リストを再作成）', [duplicateSheet], { auto: 'duplicates' });
+    duplicateSheet.clear();
   }
+  return duplicateSheet;
 }
 
 /**
- * 重複タイトルを分析する関数（改良版）
- * @return {Object} 処理結果
+ * 再検出時に前回の重複リストとマージする
+ * Item number（とバリエーション）をキーに、スタッフが手で変更した処理・EndCodeを引き継ぎ、
+ * 新規・消失した行とメンバーが変わったグループを「再検出」列に表示する
  */
-function analyzeDuplicateTitles() {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
-    
-    if (!duplicateSheet) {
-      return { success: false, message: '重複リストが見つかりません。先に重複検出を実行してください。' };
+var DuplicateSheetMerger = {
+  /**
+   * 重複リストの行キーを作成
+   */
+  rowKey: function(itemId, variation) {
+    const id = String(itemId || '').trim();
+    if (!id) return '';
+    return variation ? `${id}\u0000${variation}` : id;
+  },
+
+  /**
+   * 重複リストの列インデックスを取得
+   * @param {Array} headers - 重複リストのヘッダー
+   * @return {Object} 列名 → インデックス（itemIdは元データのItem number列）
+   */
+  findColumns: function(headers) {
+    return {
+      group: headers.indexOf('グループID'),
+      action: headers.indexOf('処理'),
+      variation: headers.indexOf('バリエーション'),
+      endCode: headers.indexOf('EndCode'),
+      auto: headers.indexOf('自動判定'),
+      diff: headers.indexOf('再検出'),
+      itemId: HeaderMapping.getDuplicateSheetIndex(headers, 'itemId')
+    };
+  },
+
+  /**
+   * クリア前の重複リストから処理内容を読み取る
+   * @param {Sheet} sheet - 既存の重複リストシート（ない場合はnull）
+   * @return {Object|null} { rows: キー → 前回の行情報, groups: グループID → キーの配列, dataHeaders, values: シートの値 }
+   */
+  capture: function(sheet) {
+    if (!sheet || sheet.getLastRow() <= 1) return null;
+
+    const values = sheet.getDataRange().getValues();
+    const headers = values[0];
+    const columns = this.findColumns(headers);
+    if (columns.group === -1 || columns.action === -1 || columns.itemId === -1) {
+      console.warn('前回の重複リストの形式が異なるため、手動変更は引き継ぎません');
+      return null;
     }
-    
-    // データを取得
-    const data = duplicateSheet.getDataRange().getValues();
-    if (data.length <= 1) {
-      // 重複データが0件の場合は正常完了として処理
-      return { 
-        success: true, 
-        message: '検出された重複: 0件。重複データはありませんでした。',
-        duplicateCount: 0,
-        analysisComplete: true
+
+    const rows = {};
+    const groups = {};
+    // 元データは最後のメタ列の次から（旧形式の重複リストはメタ列が少ない）
+    const metaColumns = EbayTool.getConfig().DUPLICATE_META_COLUMNS;
+    const metaCount = Math.max(...metaColumns.map(name => headers.indexOf(name))) + 1;
+    for (let i = 1; i < values.length; i++) {
+      const row = values[i];
+      const groupId = row[columns.group];
+      const key = this.rowKey(row[columns.itemId], columns.variation !== -1 ? row[columns.variation] : '');
+      if (!groupId || !key || row[columns.diff] === '消失') continue;
+
+      rows[key] = {
+        groupId: groupId,
+        action: row[columns.action],
+        endCode: columns.endCode !== -1 ? row[columns.endCode] : '',
+        auto: columns.auto !== -1 ? row[columns.auto] : null,
+        data: row.slice(metaCount)
       };
+      if (!groups[groupId]) groups[groupId] = [];
+      groups[groupId].push(key);
     }
-    
-    // ヘッダーを取得
-    const headers = data[0];
-    
-    // 重要な列のインデックスを特定する
-    let itemIdIndex = -1;     // 商品IDの列
-    let titleIndex = -1;      // 実際のタイトル（商品名）の列
-    let startDateIndex = -1;  // 開始日の列
-    const defaultMonthDay = 'その他'; // デフォルトの日付カテゴリ
-    
-    // ヘッダーから列を特定
-    for (let i = 0; i < headers.length; i++) {
-      const header = String(headers[i]).toLowerCase();
-      
-      // タイトル列を探す
-      if (header.includes('title') || header.includes('name') || header.includes('item name')) {
-        titleIndex = i;
-      }
-      
-      // 商品ID列を探す
-      if ((header.includes('item') && (header.includes('id') || header.includes('number'))) || 
-          header === 'itemnumber' || header === 'id') {
-        itemIdIndex = i;
-      }
-      
-      // 開始日列を探す
-      if (header.includes('start date') || header === 'startdate' || 
-          header.includes('list date') || (header.includes('start') && header.includes('time'))) {
-        startDateIndex = i;
+
+    return { rows: rows, groups: groups, dataHeaders: headers.slice(metaCount), values: values };
+  },
+
+  /**
+   * 新しく作成した重複リストに前回の内容をマージする
+   * @param {Sheet} sheet - 作成済みの重複リストシート
+   * @param {Object} previous - captureの結果
+   * @param {Array} originalHeaders - 元データのヘッダー
+   * @return {Object|null} 件数のサマリー（前回の重複リストがない場合はnull）
+   */
+  apply: function(sheet, previous, originalHeaders) {
+    if (!previous) return null;
+
+    const metaColumns = EbayTool.getConfig().DUPLICATE_META_COLUMNS;
+    const metaCount = metaColumns.length;
+    const lastRow = sheet.getLastRow();
+    const values = lastRow > 1 ? sheet.getRange(2, 1, lastRow - 1, metaCount + originalHeaders.length).getValues() : [];
+    const columns = this.findColumns(metaColumns.concat(originalHeaders));
+    const summary = { kept: 0, skipped: 0, added: 0, removed: 0, changedGroups: 0 };
+
+    // 今回のグループ構成
+    const currentGroups = {};
+    const currentKeys = new Set();
+    values.forEach(row => {
+      const key = this.rowKey(row[columns.itemId], row[columns.variation]);
+      if (!row[columns.group] || !key) return;
+      if (!currentGroups[row[columns.group]]) currentGroups[row[columns.group]] = [];
+      currentGroups[row[columns.group]].push(key);
+      currentKeys.add(key);
+    });
+
+    // メンバーが前回と変わったグループ（前回の別グループから合流・分離した場合など）
+    const changedGroups = new Set();
+    Object.keys(currentGroups).forEach(groupId => {
+      const members = currentGroups[groupId];
+      const changed = members.some(key => {
+        const prev = previous.rows[key];
+        if (!prev) return false;
+        const prevMembers = previous.groups[prev.groupId];
+        return prevMembers.length !== members.length || prevMembers.some(member => !members.includes(member));
+      });
+      if (changed) changedGroups.add(groupId);
+    });
+    summary.changedGroups = changedGroups.size;
+
+    const metaValues = values.map(row => {
+      const meta = row.slice(0, metaCount);
+      const key = this.rowKey(row[columns.itemId], row[columns.variation]);
+      if (!row[columns.group] || !key) return meta;
+
+      const marks = [];
+      const prev = previous.rows[key];
+      const groupChanged = changedGroups.has(row[columns.group]);
+      if (!prev) {
+        marks.push('新規');
+        summary.added++;
+      } else {
+        // 自動判定と異なる値は手動変更とみなして引き継ぐ（自動判定列のない旧形式は今回の判定と比較）
+        const manual = prev.auto !== null
+          ? `${prev.action}:${prev.endCode}` !== prev.auto
+          : prev.action !== meta[columns.action];
+        // 今回の要確認（入札・ウォッチなど）は手動変更で上書きしない
+        // メンバーが変わったグループも、残す行が0件・2件にならないよう今回の判定のままにする
+        if (manual && (meta[columns.action] === '要確認' || groupChanged)) {
+          marks.push(`前回の手動変更（${prev.action}）は未反映`);
+          summary.skipped++;
+        } else if (manual) {
+          meta[columns.action] = prev.action;
+          if (prev.auto !== null) meta[columns.endCode] = prev.endCode;
+          marks.push('手動変更を保持');
+          summary.kept++;
+        }
       }
+      if (groupChanged) marks.push('グループ変更（要再確認）');
+
+      meta[columns.diff] = marks.join('・');
+      return meta;
+    });
+
+    if (metaValues.length > 0) {
+      sheet.getRange(2, 1, metaValues.length, metaCount).setValues(metaValues);
+    }
+
+    // 今回の検出で重複でなくなった行を末尾に追加（処理は空欄にしてエクスポート対象外にする）
+    const sameHeaders = previous.dataHeaders.length === originalHeaders.length &&
+      previous.dataHeaders.every((header, i) => header === originalHeaders[i]);
+    const removedRows = Object.keys(previous.rows)
+      .filter(key => !currentKeys.has(key))
+      .map(key => {
+        const prev = previous.rows[key];
+        const row = new Array(metaCount + originalHeaders.length).fill('');
+        row[columns.group] = `前回 ${prev.groupId}`;
+        row[1] = '前回の重複リストのみ';
+        row[columns.diff] = '消失';
+        if (sameHeaders) {
+          prev.data.forEach((value, i) => { row[metaCount + i] = value; });
+        } else {
+          row[columns.itemId] = key.split('\u0000')[0];
+        }
+        return row;
+      });
+    summary.removed = removedRows.length;
+
+    if (removedRows.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, removedRows.length, removedRows[0].length).setValues(removedRows);
+    }
+
+    console.log(`前回の重複リストとマージ: 手動変更${summary.kept}件を保持, 未反映${summary.skipped}件, 新規${summary.added}件, 消失${summary.removed}件, グループ変更${summary.changedGroups}件`);
+    return summary;
+  },
+
+  /**
+   * マージ結果を結果メッセージ用の文字列にする
+   */
+  formatSummary: function(summary) {
+    if (!summary) return '';
+    const skipped = summary.skipped ? `、要確認・グループ変更のため未反映${summary.skipped}件` : '';
+    return `（前回から: 手動変更${summary.kept}件を保持${skipped}、新規${summary.added}件、消失${summary.removed}件、要再確認グループ${summary.changedGroups}件）`;
+  }
+};
+
+/**
+ * 標準的な重複検出処理（小～中規模データ用）
+ */
+function detectDuplicatesStandard(importSheet, lastRow, lastCol, options = {}) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // ヘッダーを取得
+  const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  const prepared = prepareDetectionColumns(headers, options);
+  if (!prepared.success) return prepared;
+  const columns = prepared.columns;
+  const { titleIndex, itemIdIndex, startDateIndex, variationIndex } = columns;
+  
+  console.log(`重複検出に使用する列: title=${titleIndex} (${headers[titleIndex]}), itemId=${itemIdIndex} (${headers[itemIdIndex]}), startDate=${startDateIndex} (${headers[startDateIndex] || 'N/A'}), variation=${variationIndex} (${headers[variationIndex] || 'N/A'})`);
+  
+  // 全データを取得
+  const allData = importSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
+  
+  // タイトル（とバリエーション）でグループ化
+  const titleGroups = groupByTitle(allData, columns);
+
+  // 重複グループを抽出して重複リストに書き込む
+  const written = writeDuplicateList(ss, titleGroups, headers, columns, options);
+  
+  return { 
+    success: true, 
+    message: `${written.counts.groups}件の重複グループを検出しました。合計${written.counts.items}件の重複アイテムがあります。${written.summary}`,
+    duplicateGroups: written.counts.groups,
+    duplicateItems: written.counts.items
+  };
+}
+
+/**
+ * 重複検出に使う列を解決する（グレーディング・差分・検出フィルターの設定を反映）
+ * @param {Array} headers - インポートシートのヘッダー行
+ * @param {Object} options - 検出オプション
+ * @return {Object} { success, columns } / 必須列や検出フィルターの列がない場合は { success: false, message }
+ */
+function prepareDetectionColumns(headers, options = {}) {
+  const columns = findColumnIndices(headers);
+  if (options.gradingAware) columns.gradingColumns = GradingMatcher.findColumns(headers);
+  if (options.detectionScope === 'delta' && columns.deltaStatusIndex !== -1) columns.touchedKeys = new Set();
+  
+  if (columns.titleIndex === -1 || columns.itemIdIndex === -1) {
+    return { success: false, message: HeaderMapping.formatMissing(columns.mapping) };
+  }
+  
+  // 検出フィルターの条件で対象の行を絞り込む
+  if (DetectionFilter.isActive(options.detectionFilter)) {
+    columns.rowFilter = DetectionFilter.compile(options.detectionFilter, headers);
+    if (columns.rowFilter.missing.length > 0) {
+      return { success: false, message: `検出フィルターの列が見つかりません: ${columns.rowFilter.missing.join('、')}。ヘッダーマッピングを確認してください。` };
+    }
+  }
+  return { success: true, columns: columns };
+}
+
+/**
+ * グループ化したタイトルから重複グループを抽出し、重複リストに書き込む
+ * 差分のみ再検出する場合は差分につながるグループだけを検出し、残りは前回の重複リストから引き継ぐ
+ * @param {Object} titleGroups - groupByTitleの結果
+ * @param {Object} columns - prepareDetectionColumnsの結果
+ * @param {Object} similarityIndex - 作成済みの類似候補インデックス（省略時は抽出時に作成）
+ * @param {boolean} largeData - 大規模データ（グループが多い場合はまとめて書き込む）
+ * @return {Object} { counts: { groups, items }, summary: 結果メッセージに付ける補足 }
+ */
+function writeDuplicateList(ss, titleGroups, headers, columns, options = {}, similarityIndex = null, largeData = false) {
+  const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
+
+  // 重複グループのみを抽出（あいまい検出モードでは類似タイトルも統合）
+  const identifierColumns = IdentifierMatcher.findColumns(headers);
+  const previousState = DuplicateSheetMerger.capture(ss.getSheetByName(SHEET_NAMES.DUPLICATES));
+  const deltaScope = columns.touchedKeys ? ImportDelta.detectTouchedGroups(titleGroups, columns.touchedKeys, previousState, headers, options, identifierColumns) : null;
+  const duplicateGroups = deltaScope ? deltaScope.groups : extractDuplicateGroups(titleGroups, options, similarityIndex, identifierColumns);
+  const counts = ImportDelta.countGroups(duplicateGroups, deltaScope);
+  console.log(`${counts.groups} 件の重複グループを検出`);
+
+  // 重複リストシートを準備・作成（前回の手動変更は読み取ってからマージ）
+  const duplicateSheet = prepareDuplicateSheet(ss, SHEET_NAMES.DUPLICATES);
+  
+  // 大量データの場合はチャンク化して書き込み
+  if (largeData && duplicateGroups.length > 100) {
+    createDuplicateListSheetChunked(duplicateSheet, duplicateGroups, headers);
+  } else {
+    createDuplicateListSheet(duplicateSheet, duplicateGroups, headers);
+  }
+  if (deltaScope) ImportDelta.appendKeptGroups(duplicateSheet, deltaScope.keptGroups, duplicateGroups.length);
+  const mergeSummary = DuplicateSheetMerger.apply(duplicateSheet, previousState, headers);
+  
+  ss.setActiveSheet(duplicateSheet);
+
+  return {
+    counts: counts,
+    summary: `${formatDetectionFilterSummary(columns.rowFilter)}${ImportDelta.formatScope(deltaScope)}${DuplicateSheetMerger.formatSummary(mergeSummary)}`
+  };
+}
+
+/**
+ * チャンク処理による重複検出（大規模データ用）
+ */
+function detectDuplicatesChunked(importSheet, lastRow, lastCol, options = {}) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const startTime = new Date().getTime();
+  const MAX_EXECUTION_TIME = 330000; // 5.5分
+  
+  // ヘッダーを取得
+  const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
+  const prepared = prepareDetectionColumns(headers, options);
+  if (!prepared.success) return prepared;
+  const columns = prepared.columns;
+  const { titleIndex, itemIdIndex, startDateIndex, variationIndex } = columns;
+  
+  console.log(`チャンク処理開始: ${lastRow-1} 行のデータを処理します`);
+  console.log(`重複検出に使用する列: title=${titleIndex} (${headers[titleIndex]}), itemId=${itemIdIndex} (${headers[itemIdIndex]}), startDate=${startDateIndex} (${headers[startDateIndex] || 'N/A'}), variation=${variationIndex} (${headers[variationIndex] || 'N/A'})`);
+  
+  const dataSize = lastRow - 1;
+  const CHUNK_SIZE = Math.min(3000, Math.max(1000, Math.floor(dataSize / 15))); // 動的チャンクサイズ
+  console.log(`チャンクサイズ: ${CHUNK_SIZE}`);
+  
+  const titleGroups = {};
+  let processedRows = 0;
+
+  // あいまい検出時は、新しいタイトルグループを見つけるたびに類似候補インデックスへ登録しておく
+  // （差分のみ再検出する場合は再検出するグループだけで作り直すので登録しない）
+  const similarityIndex = options.fuzzyMatching && !columns.touchedKeys ? createTitleSimilarityIndex({}, options) : null;
+  const onNewGroup = similarityIndex
+    ? (groupKey, item) => SimilarityIndex.addEntry(similarityIndex, groupKey, item.originalTitle)
+    : null;
+  
+  // チャンクごとに処理
+  for (let startRow = 2; startRow <= lastRow; startRow += CHUNK_SIZE) {
+    const currentTime = new Date().getTime();
+    if (currentTime - startTime > MAX_EXECUTION_TIME) {
+      console.log('実行時間制限に近づいたため処理を中断');
+      return { 
+        success: false, 
+        message: `タイムアウトが発生しました。${processedRows}/${dataSize} 行まで処理済み。データを分割して再実行してください。` 
+      };
     }
     
-    console.log(`列インデックス - タイトル: ${titleIndex}, 商品ID: ${itemIdIndex}, 開始日: ${startDateIndex}`);
+    const endRow = Math.min(startRow + CHUNK_SIZE - 1, lastRow);
+    const chunkSize = endRow - startRow + 1;
     
-    // 必要な列が見つからない場合の代替策
-    if (titleIndex === -1 && itemIdIndex !== -1) {
-      // タイトルが見つからないがIDがある場合は、ID以外の列を探す（多くの場合、商品名と思われる列）
-      for (let i = 3; i < headers.length; i++) {
-        if (i !== itemIdIndex && i !== startDateIndex) {
-          // データの最初の数行をチェックして、テキストが含まれる列を探す
-          let hasText = false;
-          for (let j = 1; j < Math.min(data.length, 10); j++) {
-            if (data[j][i] && typeof data[j][i] === 'string' && data[j][i].length > 15) {
-              hasText = true;
-              break;
-            }
-          }
-          if (hasText) {
-            titleIndex = i;
-            console.log(`タイトル列が自動検出されました: ${i} (${headers[i]})`);
-            break;
-          }
-        }
-      }
+    console.log(`チャンク処理中: 行 ${startRow}-${endRow} (${chunkSize} 行)`);
+    
+    // チャンクデータを取得
+    const chunkData = importSheet.getRange(startRow, 1, chunkSize, lastCol).getValues();
+    
+    // チャンク内でタイトル（とバリエーション）グループ化
+    groupByTitle(chunkData, columns, titleGroups, onNewGroup);
+    
+    processedRows += chunkSize;
+    
+    // 進捗ログ（5チャンクごと）
+    if ((startRow - 2) / CHUNK_SIZE % 5 === 0) {
+      const progress = Math.round((processedRows / dataSize) * 100);
+      console.log(`進捗: ${progress}% (${processedRows}/${dataSize} 行処理済み)`);
     }
     
-    // 開始日が見つからない場合は、日付らしき列を探す
-    if (startDateIndex === -1) {
-      for (let i = 0; i < headers.length; i++) {
-        const header = String(headers[i]).toLowerCase();
-        if (header.includes('date') || header.includes('time')) {
-          // データの最初の数行をチェックして日付フォーマットかどうか確認
-          for (let j = 1; j < Math.min(data.length, 10); j++) {
-            const val = data[j][i];
-            if (val && !isNaN(new Date(val).getTime())) {
-              startDateIndex = i;
-              console.log(`日付列が自動検出されました: ${i} (${headers[i]})`);
-              break;
-            }
-          }
-          if (startDateIndex !== -1) break;
-        }
+    // メモリ使用量軽減のため短時間待機
+    Utilities.sleep(10);
+  }
+  
+  console.log('タイトルグループ化完了。重複抽出中...');
+
+  // 重複グループを抽出して重複リストに書き込む
+  const written = writeDuplicateList(ss, titleGroups, headers, columns, options, similarityIndex, true);
+  
+  const processingTime = Math.round((new Date().getTime() - startTime) / 1000);
+  console.log(`チャンク処理完了: ${processingTime} 秒`);
+  
+  return { 
+    success: true, 
+    message: `${written.counts.groups}件の重複グループを検出しました。合計${written.counts.items}件の重複アイテムがあります。（処理時間: ${processingTime}秒）${written.summary}`,
+    duplicateGroups: written.counts.groups,
+    duplicateItems: written.counts.items
+  };
+}
+
+/**
+ * 検出フィルターで対象外にした行数を結果メッセージ用の文字列にする
+ */
+function formatDetectionFilterSummary(rowFilter) {
+  if (!rowFilter) return '';
+  return `（検出フィルター: ${rowFilter.description}、${rowFilter.excluded}行を対象外）`;
+}
+
+/**
+ * 重複リストシートを作成（チャンク処理版）
+ */
+function createDuplicateListSheetChunked(sheet, duplicateGroups, headers) {
+  console.log(`重複リストシート作成開始: ${duplicateGroups.length} グループ`);
+  
+  // ヘッダーを設定（従来版と同じ形式）
+  const duplicateHeaders = EbayTool.getConfig().DUPLICATE_META_COLUMNS.concat(headers);
+  sheet.getRange(1, 1, 1, duplicateHeaders.length).setValues([duplicateHeaders]);
+  const keepContext = KeepRules.createContext(headers);
+  const safetyContext = SafetyGuard.createContext(headers);
+  const endCodeContext = EndCodes.createContext(headers);
+  const sourceContext = ImportMerger.createContext(headers);
+
+  let currentRow = 2;
+  const BATCH_SIZE = 1000; // 書き込み単位
+  let batchData = [];
+
+  // グループごとに処理
+  for (let groupIndex = 0; groupIndex < duplicateGroups.length; groupIndex++) {
+    const groupRows = buildDuplicateGroupRows(duplicateGroups[groupIndex], groupIndex, duplicateHeaders.length, keepContext, safetyContext, endCodeContext, sourceContext);
+
+    for (let rowIndex = 0; rowIndex < groupRows.length; rowIndex++) {
+      batchData.push(groupRows[rowIndex]);
+
+      // バッチサイズに達したら書き込み
+      if (batchData.length >= BATCH_SIZE) {
+        sheet.getRange(currentRow, 1, batchData.length, duplicateHeaders.length).setValues(batchData);
+        currentRow += batchData.length;
+        batchData = [];
+        console.log(`重複リスト書き込み中: ${currentRow - 2} 行完了`);
       }
     }
+  }
+  
+  // 残りのデータを書き込み
+  if (batchData.length > 0) {
+    sheet.getRange(currentRow, 1, batchData.length, duplicateHeaders.length).setValues(batchData);
+    console.log(`重複リスト作成完了: ${currentRow + batchData.length - 2} 行`);
+  }
+  
+  // ヘッダー行のフォーマット
+  const headerRange = sheet.getRange(1, 1, 1, duplicateHeaders.length);
+  EbayTool.UI.formatSheetHeader(headerRange);
+  EndCodes.applyValidation(sheet);
+}
+
+/**
+ * 重複リストシートの構造をデバッグする関数
+ * @return {Object} デバッグ情報
+ */
+function debugDuplicateSheet() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
+    
+    if (!duplicateSheet) {
+      return { success: false, message: '重複リストシートが見つかりません' };
+    }
     
-    // それでも見つからない場合はデフォルト値
-    if (titleIndex === -1 && headers.length > 3) titleIndex = 3;
-    if (startDateIndex === -1 && headers.length > 4) startDateIndex = 4;
+    const lastRow = duplicateSheet.getLastRow();
+    const lastCol = duplicateSheet.getLastColumn();
     
-    // 分析シートを準備 - 完全に初期化してから使用する
-    let analysisSheet = ss.getSheetByName(EbayTool.getSheetName('ANALYSIS'));
-    if (!analysisSheet) {
-      analysisSheet = ss.insertSheet(EbayTool.getSheetName('ANALYSIS'));
-    } else {
-      // 分析シートを完全に初期化
-      initializeSheet(EbayTool.getSheetName('ANALYSIS'), true);
-      
-      // シートの参照を更新
-      analysisSheet = ss.getSheetByName(EbayTool.getSheetName('ANALYSIS'));
+    if (lastRow <= 0) {
+      return { success: false, message: '重複リストシートにデータがありません' };
     }
     
-    // 分析タイトルを設定
-    const titleRange = analysisSheet.getRange(1, 1);
-    titleRange.setValue('eBay出品タイトル重複分析');
-    titleRange.setFontSize(14);
-    titleRange.setFontWeight('bold');
+    // ヘッダー行を取得
+    const headers = duplicateSheet.getRange(1, 1, 1, lastCol).getValues()[0];
     
-    // 説明を追加
-    const descRange = analysisSheet.getRange(2, 1);
-    descRange.setValue('このシートでは、重複回数ごとにeBay出品タイトルを分析しています。数字が大きいほど多く重複している項目です。');
-    descRange.setFontStyle('italic');
+    // 処理列のインデックスを探す
+    const actionIndex = headers.indexOf('処理');
     
-    // 日付を「月-日」形式に整形する関数
-    function formatMonthDay(date) {
-      try {
-        // 無効な日付をチェック
-        if (!date || isNaN(new Date(date).getTime())) {
-          return null; // 無効な日付はnullを返す
-        }
-        
-        const dateObj = new Date(date);
-        return `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
-      } catch (e) {
-        console.error("日付フォーマットエラー:", e, date);
-        return null;
+    // サンプルデータを取得（最初の5行）
+    const sampleData = lastRow > 1 ? 
+      duplicateSheet.getRange(1, 1, Math.min(6, lastRow), lastCol).getValues() : 
+      [headers];
+    
+    return {
+      success: true,
+      sheetInfo: {
+        lastRow: lastRow,
+        lastCol: lastCol,
+        headers: headers,
+        actionIndex: actionIndex,
+        hasActionColumn: actionIndex !== -1,
+        sampleData: sampleData
       }
+    };
+  } catch (error) {
+    return { success: false, message: `デバッグエラー: ${error.message}` };
+  }
+}
+
+/**
+ * エクスポート処理をデバッグする関数
+ * @return {Object} デバッグ情報
+ */
+function debugExportProcess() {
+  try {
+    // 重複リストシートの構造をチェック
+    const sheetDebug = debugDuplicateSheet();
+    if (!sheetDebug.success) {
+      return sheetDebug;
     }
     
-    // タイトル＋日付ごとにカウントするマップを作成（処理の最適化）
-    const titleDateCountMap = new Map(); // key: 正規化タイトル, value: Map(日付, 件数)
-    const titleTotalCountMap = new Map(); // key: 正規化タイトル, value: 重複回数
-    const titleDisplayMap = new Map(); // key: 正規化タイトル, value: 表示用タイトル
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
+    const headers = sheetDebug.sheetInfo.headers;
+    const actionIndex = sheetDebug.sheetInfo.actionIndex;
+    const lastRow = sheetDebug.sheetInfo.lastRow;
     
-    // データ処理を最適化（単一ループで処理）
-    for (let i = 1; i < data.length; i++) {
-      const row = data[i];
-      if (!row[0]) continue; // 空行はスキップ
-      
-      let displayTitle = titleIndex !== -1 ? String(row[titleIndex] || '') : '';
-      
-      // 表示用タイトルが見つからない場合の対応
-      if (!displayTitle || displayTitle.trim() === '' || /^\d+$/.test(displayTitle)) {
-        for (let j = 0; j < row.length; j++) {
-          if (j === itemIdIndex || j === startDateIndex) continue;
-          const cellValue = String(row[j] || '');
-          if (cellValue.length > 10 && !/^\d+$/.test(cellValue)) {
-            displayTitle = cellValue;
-            if (titleIndex === -1) titleIndex = j;
-            break;
-          }
-        }
-      }
-      
-      if (!displayTitle || displayTitle.trim() === '') continue;
-      
-      // タイトルの正規化 - 効率化のためにオプションを無効化
-      const normalizedTitle = EbayTool.TextAnalyzer.normalizeTitle(displayTitle, false);
-      
-      // 表示用タイトルを保存（最初に出現したもの）
-      if (!titleDisplayMap.has(normalizedTitle)) {
-        titleDisplayMap.set(normalizedTitle, displayTitle);
-      }
+    // ItemIDのインデックスを探す
+    const itemIdIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'itemId');
+    
+    let endItemsCount = 0;
+    let sampleEndItems = [];
+    
+    if (actionIndex !== -1 && itemIdIndex !== -1 && lastRow > 1) {
+      // 処理列とItemID列の値を取得
+      const actionValues = duplicateSheet.getRange(2, actionIndex + 1, lastRow - 1, 1).getValues();
+      const itemIdValues = duplicateSheet.getRange(2, itemIdIndex + 1, lastRow - 1, 1).getValues();
       
-      // 日付処理 - シンプル化して効率アップ
-      let monthDay = 'その他';
-      if (startDateIndex !== -1) {
-        const dateValue = row[startDateIndex];
-        if (dateValue) {
-          if (typeof dateValue === 'string' && /^\d{2}-\d{2}$/.test(dateValue.trim())) {
-            monthDay = dateValue.trim();
-          } else {
-            try {
-              const dateObj = new Date(dateValue);
-              if (!isNaN(dateObj.getTime())) {
-                monthDay = `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
-              }
-            } catch (e) {
-              // エラー時はデフォルト値を使用
-            }
+      // 終了対象のアイテムをカウント・サンプル取得
+      for (let i = 0; i < actionValues.length; i++) {
+        if (actionValues[i][0] === '終了' && itemIdValues[i][0]) {
+          endItemsCount++;
+          if (sampleEndItems.length < 5) {
+            sampleEndItems.push({
+              row: i + 2,
+              action: actionValues[i][0],
+              itemId: itemIdValues[i][0]
+            });
           }
         }
       }
-      
-      // タイトル＋日付でカウント - Mapの操作を最適化
-      if (!titleDateCountMap.has(normalizedTitle)) {
-        titleDateCountMap.set(normalizedTitle, new Map());
-      }
-      const dateMap = titleDateCountMap.get(normalizedTitle);
-      dateMap.set(monthDay, (dateMap.get(monthDay) || 0) + 1);
-      
-      // タイトルごとの合計件数
-      titleTotalCountMap.set(normalizedTitle, (titleTotalCountMap.get(normalizedTitle) || 0) + 1);
     }
     
-    // 重複回数ごとにタイトルを分類（1件のみは除外）- Map操作を最適化
-    const duplicateCountTitlesMap = new Map();
-    for (const [normalizedTitle, count] of titleTotalCountMap.entries()) {
-      if (count <= 1) continue; // 重複がない場合はスキップ
-      
-      if (!duplicateCountTitlesMap.has(count)) {
-        duplicateCountTitlesMap.set(count, []);
+    return {
+      success: true,
+      debugInfo: {
+        ...sheetDebug.sheetInfo,
+        itemIdIndex: itemIdIndex,
+        hasItemIdColumn: itemIdIndex !== -1,
+        endItemsCount: endItemsCount,
+        sampleEndItems: sampleEndItems
       }
-      duplicateCountTitlesMap.get(count).push(normalizedTitle);
+    };
+  } catch (error) {
+    return { success: false, message: `エクスポートデバッグエラー: ${error.message}` };
+  }
+}
+
+/**
+ * US出品のみに絞り込む専用関数（eBay Mag対応）
+ * @return {Object} 処理結果
+ */
+/**
+ * 連続する行番号を範囲にグループ化
+ */
+function groupConsecutiveRows(rowNumbers) {
+  if (rowNumbers.length === 0) return [];
+
+  const sorted = [...rowNumbers].sort((a, b) => a - b);
+  const ranges = [];
+  let start = sorted[0];
+  let end = sorted[0];
+
+  for (let i = 1; i < sorted.length; i++) {
+    if (sorted[i] === end + 1) {
+      // 連続している
+      end = sorted[i];
+    } else {
+      // 連続が途切れた
+      ranges.push({ start: start, end: end });
+      start = sorted[i];
+      end = sorted[i];
     }
-    
-    // 日付リストの生成を最適化
-    const allMonthDays = new Set();
-    for (const dateMap of titleDateCountMap.values()) {
-      for (const monthDay of dateMap.keys()) {
-        allMonthDays.add(monthDay);
+  }
+
+  // 最後の範囲を追加
+  ranges.push({ start: start, end: end });
+
+  return ranges;
+}
+
+/**
+ * 実行ロック - データを書き換えるサーバー関数を同時に1つだけ実行する
+ * 実行中の利用者・操作・開始時刻をドキュメントプロパティに記録し、別の実行はその情報をメッセージにして断る
+ * 実行が途中で強制終了した場合のロックはEXPIRE_MS後に失効する（管理者は強制解除もできる）
+ */
+var RunLock = {
+  PROPERTY_KEY: 'EBAY_TOOL_RUN_LOCK',
+  ADMINS_KEY: 'EBAY_TOOL_ADMINS', // スクリプトプロパティ: オーナー以外の管理者（メールアドレスをカンマ区切り）
+  EXPIRE_MS: 7 * 60 * 1000, // GASの最大実行時間（6分）より少し長く
+
+  // この実行が保持しているロック（同じ実行内の入れ子の呼び出しはそのまま通す）
+  held: null,
+  depth: 0,
+  ending: false, // 複数の呼び出しにまたがる実行（step）をこの呼び出しで終える
+
+  /**
+   * 現在のロック（失効したものはnull）
+   */
+  get: function() {
+    try {
+      const saved = PropertiesService.getDocumentProperties().getProperty(this.PROPERTY_KEY);
+      const lock = saved ? JSON.parse(saved) : null;
+      return lock && lock.expiresAt > new Date().getTime() ? lock : null;
+    } catch (error) {
+      console.warn('実行ロックの読み込みに失敗しました:', error.message);
+      return null;
+    }
+  },
+
+  getUserEmail: function() {
+    try {
+      return Session.getActiveUser().getEmail() || '';
+    } catch (error) {
+      return '';
+    }
+  },
+
+  /**
+   * ロックに記録する利用者名
+   * オーナー以外はgetActiveUserのメールアドレスが空のことが多いので、実行ユーザー・一時的な利用者キーの順に使う
+   */
+  getUserLabel: function() {
+    const email = this.getUserEmail();
+    if (email) return email;
+    try {
+      const effective = Session.getEffectiveUser().getEmail();
+      if (effective) return effective;
+    } catch (error) {
+      // 取得できない場合は利用者キーを使う
+    }
+    try {
+      const key = Session.getTemporaryActiveUserKey();
+      if (key) return `利用者（${key.slice(0, 8)}）`;
+    } catch (error) {
+      // 取得できない場合は不明なユーザーとする
+    }
+    return '不明なユーザー';
+  },
+
+  /**
+   * ロックを取得する
+   * @param {string} operation - 操作名（他の利用者へのメッセージに表示）
+   * @param {string|null} runToken - 複数の呼び出しにまたがる実行のトークン（''は新しい実行、nullはこの呼び出しだけのロック）
+   * @return {Object} { success, token } / 取得できない場合は { success: false, locked: true, message, lock }
+   */
+  acquire: function(operation, runToken = null) {
+    if (this.held) {
+      this.depth++;
+      return { success: true, token: this.held.token };
+    }
+
+    const documentLock = LockService.getDocumentLock();
+    if (!documentLock.tryLock(5000)) {
+      return { success: false, locked: true, message: '別の実行がロックを確認中です。しばらくしてから再度お試しください。' };
+    }
+    try {
+      const current = this.get();
+      // 同じ実行の続きでも、別の呼び出しが実行中（busy）なら待ってもらう
+      if (current && (current.token !== runToken || current.busy)) {
+        console.warn(`🔒 実行中のため拒否: ${operation}（${current.user}の「${current.operation}」）`);
+        // トークンを渡すと実行を引き継げるため、利用者・操作名・開始時刻だけを返す
+        const lock = { user: current.user, operation: current.operation, startedAt: current.startedAt };
+        return { success: false, locked: true, message: this.formatMessage(current), lock: lock };
       }
+
+      // 実行の続きは開始した利用者・操作名・開始時刻を引き継ぐ（期限切れの後は取り直す）
+      const now = new Date().getTime();
+      const lock = {
+        token: runToken || Utilities.getUuid(),
+        user: current ? current.user : this.getUserLabel(),
+        operation: current ? current.operation : operation,
+        startedAt: current ? current.startedAt : now,
+        expiresAt: now + this.EXPIRE_MS,
+        run: runToken !== null,
+        busy: true
+      };
+      PropertiesService.getDocumentProperties().setProperty(this.PROPERTY_KEY, JSON.stringify(lock));
+      this.held = lock;
+      this.depth = 1;
+      return { success: true, token: lock.token };
+    } finally {
+      documentLock.releaseLock();
     }
-    
-    // 日付がない場合のデフォルト処理
-    if (allMonthDays.size === 0) {
-      allMonthDays.add(defaultMonthDay);
+  },
+
+  /**
+   * ロックを解放する（入れ子の呼び出しでは一番外側で解放）
+   * 複数の呼び出しにまたがる実行は、endが呼ばれるまで次の呼び出し用にロックを残す（期限は延長）
+   */
+  release: function() {
+    if (!this.held) return;
+    this.depth--;
+    if (this.depth > 0) return;
+
+    const lock = this.held;
+    const ending = this.ending;
+    this.held = null;
+    this.ending = false;
+    try {
+      const current = this.get();
+      // 強制解除された後に別の実行が取得したロックは消さない
+      if (current && current.token !== lock.token) return;
+      if (lock.run && !ending) {
+        if (!current) return; // 強制解除された実行のロックは作り直さない
+        const kept = Object.assign({}, lock, { busy: false, expiresAt: new Date().getTime() + this.EXPIRE_MS });
+        PropertiesService.getDocumentProperties().setProperty(this.PROPERTY_KEY, JSON.stringify(kept));
+        return;
+      }
+      PropertiesService.getDocumentProperties().deleteProperty(this.PROPERTY_KEY);
+    } catch (error) {
+      console.warn('実行ロックの解放に失敗しました:', error.message);
     }
-    
-    // 日付のソート処理を最適化
-    const otherCategory = allMonthDays.has('その他') ? ['その他'] : [];
-    const dateDays = Array.from(allMonthDays)
-      .filter(day => day !== 'その他')
-      .sort();
-    const sortedMonthDays = [...dateDays, ...otherCategory];
-    
-    // ピボットテーブル生成部を最適化
-    let currentRowOffset = 3;
-    const duplicateCounts = Array.from(duplicateCountTitlesMap.keys()).sort((a, b) => b - a);
-    
-    // 書式設定のバッチ処理用の配列
-    let formattingBatches = [];
-    
-    // 各重複回数ごとの処理
-    for (const count of duplicateCounts) {
-      const titles = duplicateCountTitlesMap.get(count) || [];
-      
-      // タイトル行の設定
-      const titleCell = analysisSheet.getRange(currentRowOffset, 1);
-      titleCell.setValue(`重複回数 ${count} のピボットテーブル：`);
-      titleCell.setFontWeight('bold');
-      currentRowOffset += 1;
-      
-      // ヘッダー行の設定
-      const pivotHeaders = ['タイトル'].concat(sortedMonthDays);
-      const pivotHeaderRange = analysisSheet.getRange(currentRowOffset, 1, 1, pivotHeaders.length);
-      pivotHeaderRange.setValues([pivotHeaders]);
-      
-      // ヘッダー行の書式設定をバッチで適用
-      pivotHeaderRange.setBackground('#0F9D58')
-                      .setFontColor('white')
-                      .setFontWeight('bold');
-      
-      // データがない場合のスキップ処理を追加
-      if (titles.length === 0) {
-        analysisSheet.getRange(currentRowOffset + 1, 1, 1, pivotHeaders.length)
-          .setValues([['データなし'].concat(Array(sortedMonthDays.length).fill(0))]);
-        currentRowOffset += 3;
-        
-        // 少し遅延を入れてスプレッドシートの内部処理がキャッチアップできるようにする
-        Utilities.sleep(50);
-        continue;
-      }
-      
-      // ピボットテーブルのデータを作成
-      const pivotData = [];
-      const cellFormattingData = []; // セルの書式設定情報を保存
-      
-      // 各タイトルのデータ行を構築
-      for (const normalizedTitle of titles) {
-        const row = [titleDisplayMap.get(normalizedTitle)];
-        const dateMap = titleDateCountMap.get(normalizedTitle) || new Map();
-        
-        // 各日付の値を構築
-        for (let j = 0; j < sortedMonthDays.length; j++) {
-          const monthDay = sortedMonthDays[j];
-          const value = dateMap.get(monthDay) || 0;
-          row.push(value);
-          
-          // 書式設定が必要なセルの情報を保存
-          if (value > 0) {
-            cellFormattingData.push({
-              rowIdx: pivotData.length,
-              colIdx: j + 1,
-              value: value
-            });
-          }
-        }
-        
-        pivotData.push(row);
-      }
-      
-      // データをシートに書き込み
-      if (pivotData.length > 0) {
-        const pivotDataRange = analysisSheet.getRange(
-          currentRowOffset + 1, 
-          1, 
-          pivotData.length, 
-          pivotHeaders.length
-        );
-        pivotDataRange.setValues(pivotData);
-        
-        // 行の背景色を交互に設定 - バッチ処理
-        for (let i = 0; i < pivotData.length; i++) {
-          const rowRange = analysisSheet.getRange(
-            currentRowOffset + 1 + i, 
-            1, 
-            1, 
-            pivotHeaders.length
-          );
-          
-          // 奇数/偶数行で背景色を変える
-          rowRange.setBackground(i % 2 === 0 ? '#E0F2F1' : '#E8F5E9');
-        }
-        
-        // セルの書式設定をバッチ処理
-        const batchSize = 20; // バッチサイズを制限
-        for (let i = 0; i < cellFormattingData.length; i += batchSize) {
-          const batch = cellFormattingData.slice(i, i + batchSize);
-          
-          // 各セルの書式設定を適用
-          batch.forEach(item => {
-            const cell = analysisSheet.getRange(
-              currentRowOffset + 1 + item.rowIdx, 
-              item.colIdx + 1
-            );
-            
-            // 値に応じて書式設定
-            if (item.value >= 3) {
-              cell.setBackground('#DB4437').setFontColor('white');
-            } else if (item.value >= 2) {
-              cell.setBackground('#F4B400');
-            } else {
-              cell.setBackground('#0F9D58').setFontColor('white');
-            }
-          });
-          
-          // 大きなバッチの場合は少し遅延を入れる
-          if (batch.length > 5) {
-            Utilities.sleep(50);
-          }
-        }
-      }
-      
-      // 列幅を自動調整
-      analysisSheet.autoResizeColumn(1);
-      
-      // 次のテーブルのための間隔
-      currentRowOffset += pivotData.length + 3;
-      
-      // 大きなテーブル後は少し遅延を入れる
-      if (pivotData.length > 10) {
-        Utilities.sleep(100);
+  },
+
+  /**
+   * この呼び出しで実行を終える（一番外側のreleaseでロックを解放する）
+   */
+  end: function() {
+    if (this.held) this.ending = true;
+  },
+
+  /**
+   * この呼び出しが保持しているロックのトークン
+   */
+  currentToken: function() {
+    return this.held ? this.held.token : null;
+  },
+
+  /**
+   * 中断した実行のロックをトークンで解放する（サイドバーがアップロードを諦めたとき用）
+   * @param {string} runToken - 実行のトークン
+   * @return {boolean} 解放したかどうか
+   */
+  releaseRun: function(runToken) {
+    if (!runToken) return false;
+    const current = this.get();
+    if (!current || current.token !== runToken || current.busy) return false;
+    PropertiesService.getDocumentProperties().deleteProperty(this.PROPERTY_KEY);
+    return true;
+  },
+
+  /**
+   * ロックを取得して関数を実行する（取得できない場合は実行せずにロック中の結果を返す）
+   * @param {string} operation - 操作名
+   * @param {Function} fn - 実行する処理
+   * @return {*} fnの戻り値
+   */
+  run: function(operation, fn) {
+    const acquired = this.acquire(operation);
+    if (!acquired.success) return acquired;
+    try {
+      return fn();
+    } finally {
+      this.release();
+    }
+  },
+
+  /**
+   * 複数の呼び出しにまたがる実行（アップロード→検証→検出、分割処理）の1回分を実行する
+   * 初回（runTokenなし）でロックを取得し、戻り値のrunTokenを次の呼び出しに渡す
+   * 完了・中止した呼び出しでendを呼ぶとロックを解放する。例外で終わった場合も解放する
+   * @param {string} operation - 操作名
+   * @param {string} runToken - 前の呼び出しで受け取ったトークン（新しい実行は空）
+   * @param {Function} fn - 実行する処理
+   * @return {*} fnの戻り値（オブジェクトで実行が続く場合はrunTokenを付ける）
+   */
+  step: function(operation, runToken, fn) {
+    const acquired = this.acquire(operation, runToken || '');
+    if (!acquired.success) return acquired;
+    try {
+      const result = fn();
+      if (result && typeof result === 'object' && !this.ending && this.depth === 1) {
+        result.runToken = acquired.token;
       }
+      return result;
+    } catch (error) {
+      this.end();
+      throw error;
+    } finally {
+      this.release();
     }
-    
-    // 最終的なフォーマット調整（列幅の一括自動調整）
+  },
+
+  /**
+   * 管理者（スプレッドシートのオーナー、またはスクリプトプロパティで指定した利用者）かどうか
+   */
+  isAdmin: function() {
+    const email = this.getUserEmail();
+    if (!email) return false;
     try {
-      analysisSheet.autoResizeColumns(1, sortedMonthDays.length + 1);
-    } catch (e) {
-      console.error("列幅自動調整エラー:", e);
-      // エラーが発生しても続行
+      const owner = SpreadsheetApp.getActiveSpreadsheet().getOwner();
+      if (owner && owner.getEmail() === email) return true;
+    } catch (error) {
+      console.warn('オーナーの取得に失敗しました:', error.message);
     }
-    
-    // 先頭行を固定
-    analysisSheet.setFrozenRows(1);
-    analysisSheet.activate();
-    
-    return {
-      success: true,
-      message: `分析が完了しました。${duplicateCountTitlesMap.size}種類の重複タイトルパターンを検出しました。`,
-      uniqueTitles: duplicateCountTitlesMap.size,
-      duplicatePatterns: duplicateCounts.length
-    };
-  } catch (error) {
-    logError('analyzeDuplicateTitles', error);
-    return { success: false, message: `エラーが発生しました: ${error.message}` };
-  }
-}
+    const admins = PropertiesService.getScriptProperties().getProperty(this.ADMINS_KEY) || '';
+    return admins.split(',').map(item => item.trim()).filter(Boolean).includes(email);
+  },
 
-/**
- * インポートシートのフォーマットを整える関数（シンプル化バージョン）
- * @param {Sheet} sheet - フォーマットするシート
- */
-function formatImportSheet(sheet) {
-  const lastRow = sheet.getLastRow();
-  const lastCol = sheet.getLastColumn();
-  
-  if (lastRow < 1) return; // データがない場合は何もしない
-  
-  // ヘッダー行の書式設定
-  EbayTool.UI.formatSheetHeader(sheet.getRange(1, 1, 1, lastCol));
-  
-  // 先頭行を固定
-  sheet.setFrozenRows(1);
-  
-  if (lastRow > 1) {
-    // データ行の基本的な書式設定
-    sheet.getRange(2, 1, lastRow - 1, lastCol).setVerticalAlignment("middle");
-    
-    // 列の自動サイズ調整（最初の10列のみ）
-    const colsToResize = Math.min(lastCol, 10);
-    sheet.autoResizeColumns(1, colsToResize);
+  /**
+   * ロックを強制解除する（管理者のみ）
+   * @return {Object} 処理結果
+   */
+  forceRelease: function() {
+    if (!this.isAdmin()) {
+      return { success: false, message: '強制解除は管理者（スプレッドシートのオーナー）のみ実行できます。' };
+    }
+    const current = this.get();
+    PropertiesService.getDocumentProperties().deleteProperty(this.PROPERTY_KEY);
+    if (!current) {
+      return { success: true, message: '実行中の処理はありません。' };
+    }
+    console.warn(`🔓 実行ロックを強制解除: ${current.user}の「${current.operation}」（${this.getUserEmail()}）`);
+    return { success: true, message: `${current.user} による「${current.operation}」のロックを強制解除しました。` };
+  },
+
+  formatTime: function(time) {
+    return Utilities.formatDate(new Date(time), Session.getScriptTimeZone(), 'HH:mm');
+  },
+
+  formatMessage: function(lock) {
+    return `${lock.user} による「${lock.operation}」が${this.formatTime(lock.startedAt)}から実行中です。終わってから再度お試しください。`;
   }
-}
+};
 
 /**
- * エクスポート用CSVを生成する関数（軽量化バージョン）
- * @return {Object} 処理結果
+ * スナップショット - 破壊的な操作の前に対象シートを非表示のバックアップシートに複製し、元に戻せるようにする
+ * 一覧（操作名・日時・対象シート）はドキュメントプロパティに保存し、新しい順にMAX_SNAPSHOTS件まで残す
+ * 自動で取るスナップショット（重複リストの再作成など）は種類ごとに最新の1件だけ残し、MAX_SNAPSHOTSには数えない
  */
-function generateExportCsv() {
-  try {
-    const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
-    
-    if (!duplicateSheet) {
-      return { success: false, message: '重複リストが見つかりません。先に重複検出を実行してください。' };
-    }
-    
-    // ヘッダーのみ取得
-    const headers = duplicateSheet.getRange(1, 1, 1, duplicateSheet.getLastColumn()).getValues()[0];
-    
-    // 必要なカラムのインデックスを探す
-    const actionIndex = headers.indexOf('処理');
-    let itemIdIndex = -1;
-    
-    // ItemIDのインデックスを探す（複数の可能性を考慮）
-    for (let i = 0; i < headers.length; i++) {
-      const header = String(headers[i]).toLowerCase();
-      if (header.includes('item') && (header.includes('id') || header.includes('number'))) {
-        itemIdIndex = i;
-        break;
-      }
-    }
-    
-    if (actionIndex === -1 || itemIdIndex === -1) {
-      return { success: false, message: '必須カラム(処理, Item ID)が見つかりません。' };
-    }
-    
-    // データを効率的に取得（フィルター適用後、該当行のみ）
-    const lastRow = duplicateSheet.getLastRow();
-    if (lastRow <= 1) {
-      // 終了対象のアイテムが0件の場合は正常完了として処理
-      return { 
-        success: true, 
-        message: '終了対象のアイテム: 0件。"終了"指定されたアイテムはありませんでした。',
-        itemCount: 0,
-        data: [],
-        fileName: `ebay_end_items_${new Date().toISOString().substr(0, 10)}.csv`
-      };
-    }
-    
-    // 処理カラムの値を取得
-    const actionValues = duplicateSheet.getRange(2, actionIndex + 1, lastRow - 1, 1).getValues();
-    const itemIdValues = duplicateSheet.getRange(2, itemIdIndex + 1, lastRow - 1, 1).getValues();
-    
-    // 終了対象のアイテムを抽出（バッチ処理）- EndCode列を追加
-    const exportData = [];
+var Snapshots = {
+  INDEX_KEY: 'EBAY_TOOL_SNAPSHOTS',
+  SHEET_PREFIX: 'バックアップ_',
+  CELL_LIMIT: 10000000, // スプレッドシート全体のセル数の上限（シートの複製もこの上限に含まれる）
 
-    // デバッグ情報を出力
-    console.log(`*** generateExportCsv デバッグ ***`);
-    console.log(`処理列インデックス: ${actionIndex}, ItemID列インデックス: ${itemIdIndex}`);
-    console.log(`データ行数: ${actionValues.length}`);
-    console.log(`最初の5行の処理値:`, actionValues.slice(0, 5).map(row => `"${row[0]}"`));
+  /**
+   * バックアップ用のシートかどうか
+   */
+  isBackupSheet: function(sheetName) {
+    return String(sheetName).indexOf(this.SHEET_PREFIX) === 0;
+  },
 
-    let endCount = 0;
-    for (let i = 0; i < actionValues.length; i++) {
-      const actionValue = actionValues[i][0];
-      const itemIdValue = itemIdValues[i][0];
+  /**
+   * 保存済みのスナップショット一覧（新しい順）
+   */
+  getAll: function() {
+    try {
+      const saved = PropertiesService.getDocumentProperties().getProperty(this.INDEX_KEY);
+      return saved ? JSON.parse(saved) : [];
+    } catch (error) {
+      console.warn('スナップショット一覧の読み込みに失敗しました:', error.message);
+      return [];
+    }
+  },
 
-      if (actionValue === '終了' && itemIdValue) {
-        exportData.push(['End', itemIdValue, 'OtherListingError']);
-        endCount++;
-      }
+  saveAll: function(snapshots) {
+    PropertiesService.getDocumentProperties().setProperty(this.INDEX_KEY, JSON.stringify(snapshots));
+  },
 
-      // 最初の10行をデバッグ出力
-      if (i < 10) {
-        console.log(`行${i+2}: 処理="${actionValue}" ItemID="${itemIdValue}" 判定=${actionValue === '終了' && itemIdValue ? 'エクスポート対象' : 'スキップ'}`);
+  /**
+   * シートが使っているセル数（複製すると空のセルも含めてグリッド全体がコピーされる）
+   */
+  countCells: function(sheet) {
+    return sheet.getMaxRows() * sheet.getMaxColumns();
+  },
+
+  countUsedCells: function(ss) {
+    return ss.getSheets().reduce((sum, sheet) => sum + this.countCells(sheet), 0);
+  },
+
+  /**
+   * 対象シートをバックアップシートに複製してスナップショットとして記録する
+   * データのないシートは対象外。保持件数を超えた古いスナップショットは削除する
+   * 複製するとセル数の上限を超える場合は古いスナップショットを削除して空け、空けても足りない場合は保存しない
+   * @param {Spreadsheet} ss - スプレッドシート
+   * @param {string} operation - 操作名（一覧に表示）
+   * @param {Array} sheets - 対象シート（nullは無視）
+   * @param {Object} options - auto: 自動のスナップショットの種類（同じ種類は置き換える） / internal: 一覧に表示しない
+   * @return {Object|null} 記録したスナップショット（対象がない場合はnull、保存しなかった場合はskipped）
+   *   古いスナップショットを削除した場合や保存しなかった場合はmessageに説明が入る
+   */
+  take: function(ss, operation, sheets, options = {}) {
+    const targets = sheets.filter(sheet => sheet && !this.isBackupSheet(sheet.getName()) && sheet.getLastRow() > 0);
+    if (targets.length === 0) return null;
+
+    let snapshots = this.getAll();
+    if (options.auto) {
+      snapshots.filter(snapshot => snapshot.auto === options.auto).forEach(snapshot => this.deleteSheets(ss, snapshot));
+      snapshots = snapshots.filter(snapshot => snapshot.auto !== options.auto);
+    }
+
+    // 古いスナップショットをすべて削除しても上限を超える場合は保存しない
+    const requiredCells = targets.reduce((sum, sheet) => sum + this.countCells(sheet), 0);
+    const snapshotCells = snapshot => snapshot.sheets.reduce((sum, entry) => {
+      const backup = ss.getSheetByName(entry.backupName);
+      return sum + (backup ? this.countCells(backup) : 0);
+    }, 0);
+    let usedCells = this.countUsedCells(ss);
+    const reclaimableCells = snapshots.reduce((sum, snapshot) => sum + snapshotCells(snapshot), 0);
+    if (usedCells - reclaimableCells + requiredCells > this.CELL_LIMIT) {
+      this.saveAll(snapshots);
+      const message = `シートが大きく、複製するとセル数の上限（${this.CELL_LIMIT.toLocaleString()}セル）を超えるため、「${operation}」のスナップショットは保存していません（元に戻せません）`;
+      console.warn(`⚠️ ${message}`);
+      return { skipped: true, message: message };
+    }
+
+    // 上限を超える分は古いスナップショットから空ける
+    let trimmedCount = 0;
+    while (usedCells + requiredCells > this.CELL_LIMIT) {
+      const oldest = snapshots.pop();
+      usedCells -= snapshotCells(oldest);
+      this.deleteSheets(ss, oldest);
+      trimmedCount++;
+    }
+    const trimmedNote = trimmedCount > 0 ? `セル数の上限に近いため、古いスナップショットを${trimmedCount}件削除しました` : '';
+
+    let id = new Date().getTime();
+    while (snapshots.some(snapshot => snapshot.id === String(id))) id++;
+    id = String(id);
+
+    const entries = targets.map((sheet, i) => {
+      const backupName = `${this.SHEET_PREFIX}${id}_${i + 1}`;
+      const backup = sheet.copyTo(ss);
+      backup.setName(backupName);
+      backup.hideSheet();
+      return { sheetName: sheet.getName(), backupName: backupName, index: sheet.getIndex(), rows: sheet.getLastRow() };
+    });
+
+    const snapshot = { id: id, operation: operation, createdAt: new Date().toISOString(), sheets: entries };
+    if (options.auto) snapshot.auto = options.auto;
+    if (options.internal) snapshot.internal = true;
+    snapshots.unshift(snapshot);
+
+    // 保持件数を超えた古いスナップショットを削除（自動のスナップショットは数えない）
+    const maxSnapshots = EbayTool.getConfig().MAX_SNAPSHOTS;
+    let kept = 0;
+    snapshots = snapshots.filter(item => {
+      if (item.auto || ++kept <= maxSnapshots) return true;
+      this.deleteSheets(ss, item);
+      return false;
+    });
+    this.saveAll(snapshots);
+
+    console.log(`📸 スナップショットを保存: ${operation}（${entries.map(entry => entry.sheetName).join('、')}）`);
+    if (trimmedNote) console.warn(`⚠️ ${trimmedNote}`);
+    return trimmedNote ? Object.assign({ message: trimmedNote }, snapshot) : snapshot;
+  },
+
+  /**
+   * 操作の結果メッセージに添える説明（古いスナップショットを削除した・保存しなかった場合）
+   */
+  describe: function(snapshot) {
+    return snapshot && snapshot.message ? `（${snapshot.message}）` : '';
+  },
+
+  /**
+   * スナップショット一覧（バックアップシートが残っているかを含む）
+   */
+  list: function(ss) {
+    return this.getAll().filter(snapshot => !snapshot.internal).map(snapshot => ({
+      id: snapshot.id,
+      operation: snapshot.operation,
+      createdAt: snapshot.createdAt,
+      auto: !!snapshot.auto,
+      sheets: snapshot.sheets.map(entry => ({ sheetName: entry.sheetName, rows: entry.rows })),
+      available: snapshot.sheets.every(entry => !!ss.getSheetByName(entry.backupName))
+    }));
+  },
+
+  /**
+   * スナップショットの内容でシートを置き換える
+   * バックアップシートをそのまま元のシートとして戻すので、復元したスナップショットは一覧から消える
+   * @param {Spreadsheet} ss - スプレッドシート
+   * @param {string} id - スナップショットID
+   * @return {Object} 処理結果
+   */
+  restore: function(ss, id) {
+    const snapshots = this.getAll();
+    const snapshot = snapshots.find(item => item.id === String(id));
+    if (!snapshot) {
+      return { success: false, message: '指定したスナップショットが見つかりません。' };
+    }
+    const backups = snapshot.sheets.map(entry => ss.getSheetByName(entry.backupName));
+    if (backups.some(backup => !backup)) {
+      return { success: false, message: 'バックアップシートが削除されているため復元できません。' };
+    }
+
+    snapshot.sheets.forEach((entry, i) => {
+      const restored = backups[i];
+      // 表示中のシートがなくならないよう、先に表示してから現在のシートを削除する
+      restored.showSheet();
+      const current = ss.getSheetByName(entry.sheetName);
+      if (current) ss.deleteSheet(current);
+      restored.setName(entry.sheetName);
+      ss.setActiveSheet(restored);
+      ss.moveActiveSheet(Math.min(entry.index, ss.getSheets().length));
+    });
+    this.saveAll(snapshots.filter(item => item !== snapshot));
+
+    console.log(`⏪ スナップショットを復元: ${snapshot.operation}（${snapshot.createdAt}）`);
+    return {
+      success: true,
+      message: `「${snapshot.operation}」の前の状態に戻しました（${snapshot.sheets.map(entry => entry.sheetName).join('、')}）。`
+    };
+  },
+
+  /**
+   * スナップショットを削除する
+   */
+  remove: function(ss, id) {
+    const snapshots = this.getAll();
+    const index = snapshots.findIndex(snapshot => snapshot.id === String(id));
+    if (index === -1) return false;
+    this.deleteSheets(ss, snapshots.splice(index, 1)[0]);
+    this.saveAll(snapshots);
+    return true;
+  },
+
+  deleteSheets: function(ss, snapshot) {
+    snapshot.sheets.forEach(entry => {
+      const backup = ss.getSheetByName(entry.backupName);
+      if (backup) ss.deleteSheet(backup);
+    });
+  }
+};
+
+/**
+ * 除外マーク - 絞り込みで対象外にした行をインポートシートの列に記録して非表示にする
+ * 元データの行は削除しないため、解除すれば絞り込み前の状態に戻せる
+ */
+var FilterMarks = {
+  COLUMN: '除外理由',
+
+  /**
+   * 除外する行に理由を書き込み、その行を非表示にする（それ以外の行は再表示）
+   * @param {Sheet} sheet - インポートシート
+   * @param {Array} reasons - データ行ごとの除外理由（空文字は対象として残す）
+   * @return {number} 除外した行数
+   */
+  apply: function(sheet, reasons) {
+    const lastColumn = sheet.getLastColumn();
+    const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+    let index = headers.indexOf(this.COLUMN);
+    if (index === -1) {
+      index = lastColumn;
+      sheet.getRange(1, index + 1).setValue(this.COLUMN);
+    }
+    if (reasons.length === 0) return 0;
+
+    sheet.getRange(2, index + 1, reasons.length, 1).setValues(reasons.map(reason => [reason]));
+    sheet.showRows(2, reasons.length);
+
+    // 連続する行はまとめて非表示にする
+    const excludedRows = [];
+    reasons.forEach((reason, i) => {
+      if (reason) excludedRows.push(i + 2);
+    });
+    if (excludedRows.length > 0) {
+      groupConsecutiveRows(excludedRows).forEach(range => {
+        sheet.hideRows(range.start, range.end - range.start + 1);
+      });
+    }
+    return excludedRows.length;
+  },
+
+  /**
+   * 除外マークの列を削除してすべての行を再表示する
+   * @param {Sheet} sheet - インポートシート
+   * @return {number} 除外されていた行数（除外マークがない場合は-1）
+   */
+  clear: function(sheet) {
+    const lastColumn = sheet.getLastColumn();
+    const lastRow = sheet.getLastRow();
+    if (lastColumn === 0) return -1;
+    const index = sheet.getRange(1, 1, 1, lastColumn).getValues()[0].indexOf(this.COLUMN);
+    if (index === -1) return -1;
+
+    const marks = lastRow > 1 ? sheet.getRange(2, index + 1, lastRow - 1, 1).getValues() : [];
+    const excludedCount = marks.filter(mark => String(mark[0] || '').trim()).length;
+    sheet.deleteColumn(index + 1);
+    if (lastRow > 1) sheet.showRows(2, lastRow - 1);
+    return excludedCount;
+  },
+
+  /**
+   * 除外されている出品のItem IDの集合（重複リストを元にした処理で使用）
+   * @param {Sheet} sheet - インポートシート
+   * @return {Set} Item IDの集合
+   */
+  getExcludedItemIds: function(sheet) {
+    const excluded = new Set();
+    if (!sheet || sheet.getLastRow() <= 1) return excluded;
+
+    const values = sheet.getDataRange().getValues();
+    const index = values[0].indexOf(this.COLUMN);
+    const itemIdIndex = HeaderMapping.getIndex(values[0], 'itemId');
+    if (index === -1 || itemIdIndex === -1) return excluded;
+
+    for (let i = 1; i < values.length; i++) {
+      if (String(values[i][index] || '').trim()) excluded.add(String(values[i][itemIdIndex]).trim());
+    }
+    return excluded;
+  }
+};
+
+/**
+ * インポートデータを選択した出品サイトの出品のみに絞り込む関数
+ * サイト列が空欄の行は残し、不明なサイトの行は対象外にする
+ * @param {Array} allowedSites - 残すサイト（SiteFilter.SITESのキー、省略時はツール設定）
+ * @param {string} filterMode - mark: 除外マークを付けて非表示 / delete: 行を削除（省略時はツール設定）
+ * @return {Object} 処理結果とサイト別の件数
+ */
+function filterListingSites(allowedSites, filterMode) {
+  return RunLock.run('サイト絞り込み', () => filterListingSitesImpl(allowedSites, filterMode));
+}
+
+/**
+ * filterListingSitesの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function filterListingSitesImpl(allowedSites = null, filterMode = '') {
+  const startTime = new Date().getTime();
+  let originalRowCount = 0;
+  let filteredRowCount = 0;
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
+
+    const sites = allowedSites || ToolSettings.get().allowedSites;
+    if (!Array.isArray(sites) || sites.length === 0 || sites.some(site => !SiteFilter.SITES[site])) {
+      return { success: false, message: '絞り込む出品サイトの指定が不正です。' };
+    }
+    const siteLabels = sites.map(site => SiteFilter.SITES[site].label).join('、');
+    const mode = filterMode || ToolSettings.get().siteFilterMode;
+
+    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
+
+    if (!importSheet) {
+      return { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' };
+    }
+
+    // 行を削除する場合、以前の除外マークは残さない（削除前の状態はスナップショットに残す）
+    let snapshot = null;
+    if (mode === 'delete') {
+      snapshot = Snapshots.take(ss, `サイト絞り込み（行を削除: ${siteLabels}）`, [importSheet]);
+      FilterMarks.clear(importSheet);
+    }
+
+    // データを取得
+    const lastRow = importSheet.getLastRow();
+    const lastCol = importSheet.getLastColumn();
+
+    if (lastRow <= 1) {
+      return { success: true, message: 'データが見つかりません。' };
+    }
+
+    // ヘッダーを取得してサイト列を特定（ヘッダーマッピングのsite）
+    const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
+    const listingSiteIndex = HeaderMapping.getIndex(headers, 'site');
+
+    if (listingSiteIndex === -1) {
+      return { success: false, message: 'リスティングサイト列が見つかりません。サイドバーのヘッダーマッピングで出品サイトの列名を設定してください。' };
+    }
+
+    console.log(`🚀 [${new Date().toLocaleTimeString()}] 高速サイト絞り込み開始（${siteLabels}）: 列${listingSiteIndex + 1} (${headers[listingSiteIndex]})`);
+    console.log(`📊 処理対象: ${lastRow - 1}行のデータ`);
+    originalRowCount = lastRow - 1;
+
+    // 超高速処理（休憩時間最小化）
+    const CHUNK_SIZE = 10000; // 10000行ずつ処理（高速化）
+    console.log(`📖 [${new Date().toLocaleTimeString()}] 超高速処理開始: ${lastRow}行を${CHUNK_SIZE}行ずつ処理`);
+
+    const rowsToDelete = [];
+    const reasons = [];
+    const countsBefore = {};
+    const countsAfter = {};
+
+    // チャンクごとに処理（休憩なし）
+    for (let chunkStart = 2; chunkStart <= lastRow; chunkStart += CHUNK_SIZE) {
+      const chunkEnd = Math.min(chunkStart + CHUNK_SIZE - 1, lastRow);
+      const chunkSize = chunkEnd - chunkStart + 1;
+
+      console.log(`📦 チャンク ${Math.floor((chunkStart - 2) / CHUNK_SIZE) + 1}: ${chunkStart}-${chunkEnd}行`);
+
+      // チャンクのデータを読み込み（サイト列のみ）
+      const chunkData = importSheet.getRange(chunkStart, listingSiteIndex + 1, chunkSize, 1).getValues();
+
+      // 削除対象行を特定（サイト別の件数も集計）
+      for (let i = 0; i < chunkData.length; i++) {
+        const siteValue = String(chunkData[i][0]).trim();
+        const label = siteValue ? SiteFilter.getLabel(siteValue) : '空欄';
+        countsBefore[label] = (countsBefore[label] || 0) + 1;
+        if (siteValue && !sites.includes(SiteFilter.resolve(siteValue))) {
+          rowsToDelete.push(chunkStart + i);
+          reasons.push(`サイト: ${label}`);
+        } else {
+          countsAfter[label] = (countsAfter[label] || 0) + 1;
+          reasons.push('');
+        }
       }
     }
 
-    console.log(`終了対象として抽出されたアイテム数: ${endCount}`);
-    console.log(`*** generateExportCsv デバッグ終了 ***`);
-    
-    if (exportData.length === 0) {
-      // 終了対象のアイテムが0件の場合は正常完了として処理
-      return { 
-        success: true, 
-        message: '終了対象のアイテム: 0件。"終了"指定されたアイテムはありませんでした。',
-        itemCount: 0,
-        data: [],
-        fileName: `ebay_end_items_${new Date().toISOString().substr(0, 10)}.csv`
+    const siteCounts = SiteFilter.formatCounts(countsBefore, countsAfter);
+    console.log(`🎯 対象外の特定完了: ${rowsToDelete.length}行（${siteCounts}）`);
+
+    // 除外マーク方式: 元データを残して対象外の行に印を付ける
+    if (mode === 'mark') {
+      const excludedCount = FilterMarks.apply(importSheet, reasons);
+      const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
+      console.log(`✅ [${new Date().toLocaleTimeString()}] サイト絞り込み完了（除外マーク）: ${originalRowCount - excludedCount}/${originalRowCount}行が対象 - ${elapsedSeconds}秒`);
+
+      logPerformance('サイト絞り込み', startTime, new Date().getTime(), {
+        success: true,
+        dataRows: originalRowCount - excludedCount,
+        elapsedSeconds: parseFloat(elapsedSeconds),
+        additionalInfo: {
+          originalRows: originalRowCount,
+          excludedRows: excludedCount,
+          allowedSites: sites,
+          method: '除外マーク方式'
+        }
+      });
+
+      return {
+        success: true,
+        message: `サイト絞り込み完了（${siteLabels}）: ${originalRowCount}件 → ${originalRowCount - excludedCount}件 (${excludedCount}行を除外・非表示、元データは保持) - ${elapsedSeconds}秒\nサイト別: ${siteCounts}`,
+        originalCount: originalRowCount,
+        filteredCount: originalRowCount - excludedCount,
+        excludedCount: excludedCount,
+        siteCountsBefore: countsBefore,
+        siteCountsAfter: countsAfter,
+        elapsedSeconds: parseFloat(elapsedSeconds)
       };
     }
-    
-    // エクスポートシートを準備
-    let exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
-    if (!exportSheet) {
-      exportSheet = ss.insertSheet(EbayTool.getSheetName('EXPORT'));
-    } else {
-      exportSheet.clear();
+
+    // 連続行範囲の一括削除（超高速・休憩最小化）
+    let rangeCount = 0;
+    if (rowsToDelete.length > 0) {
+      console.log(`📋 [${new Date().toLocaleTimeString()}] ${rowsToDelete.length}行を一括削除開始...`);
+
+      // 連続する行範囲をグループ化
+      const ranges = groupConsecutiveRows(rowsToDelete);
+      rangeCount = ranges.length;
+      console.log(`📦 連続行範囲: ${ranges.length}グループ`);
+
+      // 下から上へ一括削除（範囲ごと・休憩最小化）
+      for (let i = ranges.length - 1; i >= 0; i--) {
+        const range = ranges[i];
+        const rowCount = range.end - range.start + 1;
+
+        if (i % 50 === 0) {
+          console.log(`🗑️  削除進捗 [${ranges.length - i}/${ranges.length}]`);
+        }
+
+        // 一括削除実行
+        importSheet.deleteRows(range.start, rowCount);
+
+        // 500行ごとまたは50グループごとにのみ休憩
+        if (rowCount > 500 || i % 50 === 0) {
+          Utilities.sleep(50);
+        }
+      }
+
+      console.log(`✅ [${new Date().toLocaleTimeString()}] 一括削除完了: ${rowsToDelete.length}行削除`);
     }
-    
-    // ヘッダーを設定 - EndCode列を追加
-    const exportHeaders = ['Action', 'ItemID', 'EndCode'];
-    exportSheet.getRange(1, 1, 1, exportHeaders.length).setValues([exportHeaders]);
-    
-    // データを書き込み - 3列に対応
-    exportSheet.getRange(2, 1, exportData.length, 3).setValues(exportData);
-    
-    // ヘッダー行の書式設定 - 3列に対応
-    exportSheet.getRange(1, 1, 1, 3)
-      .setBackground(EbayTool.getColor('PRIMARY'))
-      .setFontColor('white')
-      .setFontWeight('bold');
-    
-    return { 
-      success: true, 
-      message: `${exportData.length}件のアイテムを終了対象としてエクスポートしました。`,
-      itemCount: exportData.length,
-      data: exportSheet.getDataRange().getValues(),
-      fileName: `ebay_end_items_${new Date().toISOString().substr(0, 10)}.csv`
+
+    // 結果を計算
+    const newLastRow = importSheet.getLastRow();
+    filteredRowCount = newLastRow - 1;
+    const deletedCount = originalRowCount - filteredRowCount;
+
+    const elapsedSeconds = ((new Date().getTime() - startTime) / 1000).toFixed(1);
+    console.log(`✅ [${new Date().toLocaleTimeString()}] サイト絞り込み完了: ${originalRowCount} → ${filteredRowCount} (${deletedCount}行削除) - ${elapsedSeconds}秒`);
+
+    // 成功ログを記録
+    logPerformance('サイト絞り込み', startTime, new Date().getTime(), {
+      success: true,
+      dataRows: filteredRowCount,
+      elapsedSeconds: parseFloat(elapsedSeconds),
+      additionalInfo: {
+        originalRows: originalRowCount,
+        filteredRows: filteredRowCount,
+        deletedRows: deletedCount,
+        allowedSites: sites,
+        method: '一括削除方式',
+        rangeGroups: rangeCount
+      }
+    });
+
+    return {
+      success: true,
+      message: `サイト絞り込み完了（${siteLabels}）: ${originalRowCount}件 → ${filteredRowCount}件 (${deletedCount}行削除) - ${elapsedSeconds}秒${Snapshots.describe(snapshot)}\nサイト別: ${siteCounts}`,
+      originalCount: originalRowCount,
+      filteredCount: filteredRowCount,
+      deletedCount: deletedCount,
+      siteCountsBefore: countsBefore,
+      siteCountsAfter: countsAfter,
+      elapsedSeconds: parseFloat(elapsedSeconds)
     };
+
   } catch (error) {
-    logError('generateExportCsv', error);
-    return { success: false, message: `エラーが発生しました: ${error.message}` };
+    logError('filterListingSites', error, 'サイト絞り込み処理中');
+    SpreadsheetApp.getUi().alert(
+      'エラー',
+      getFriendlyErrorMessage(error, 'サイト絞り込み中にエラーが発生しました。'),
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+
+    return {
+      success: false,
+      message: getFriendlyErrorMessage(error, 'サイト絞り込み中にエラーが発生しました。'),
+      stack: error.stack
+    };
   }
 }
 
 /**
- * スクリプトプロパティの権限をチェックする関数
- * @return {boolean} 権限があるかどうか
+ * 絞り込みの除外マークを解除する関数（サイドバー用）
+ * @return {Object} 処理結果
  */
-function checkScriptPropertiesPermission() {
-  try {
-    const scriptProperties = PropertiesService.getScriptProperties();
-    scriptProperties.getProperty('__permission_test__');
-    return true;
-  } catch (error) {
-    console.warn('スクリプトプロパティへのアクセス権限がありません:', error.toString());
-    return false;
-  }
+function clearFilterMarks() {
+  return RunLock.run('絞り込みの解除', () => clearFilterMarksImpl());
 }
 
 /**
- * 一時ファイルを削除する関数
+ * clearFilterMarksの本体（実行ロックを取得した状態で呼ぶ）
  */
-function deleteTemporaryFile() {
+function clearFilterMarksImpl() {
   try {
-    // 権限チェック
-    if (!checkScriptPropertiesPermission()) {
-      console.log('一時ファイル削除: スクリプトプロパティの権限がないため、削除処理をスキップします');
-      return;
+    const importSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EbayTool.getSheetName('IMPORT'));
+    if (!importSheet) {
+      return { success: false, message: 'インポートデータが見つかりません。' };
     }
-    
-    const fileId = PropertiesService.getScriptProperties().getProperty('TEMP_FILE_ID');
-    if (fileId) {
-      const file = DriveApp.getFileById(fileId);
-      file.setTrashed(true);
-      PropertiesService.getScriptProperties().deleteProperty('TEMP_FILE_ID');
+
+    const excludedCount = FilterMarks.clear(importSheet);
+    if (excludedCount === -1) {
+      return { success: true, message: '解除する絞り込みはありません。' };
     }
+    console.log(`🔓 絞り込みを解除: ${excludedCount}行を再表示`);
+    return { success: true, message: `絞り込みを解除しました（${excludedCount}行を対象に戻しました）。`, restoredCount: excludedCount };
   } catch (error) {
-    logError('deleteTemporaryFile', error);
+    logError('clearFilterMarks', error, '絞り込み解除中');
+    return { success: false, message: getFriendlyErrorMessage(error, '絞り込みの解除に失敗しました。') };
   }
 }
 
 /**
- * サイドバーを再読み込みする関数（高速化バージョン）
- * @return {Object} 処理結果
+ * アプリケーションの状態をチェックする関数
+ * @return {Object} アプリケーションの状態情報
  */
-function reloadSidebar() {
+function checkAppState() {
   try {
-    console.log("サイドバーの再読み込みを実行します");
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const SHEET_NAMES = EbayTool.getConfig().SHEET_NAMES;
     
-    // 最新のHTMLを使用して直接サイドバーを再表示
-    const html = HtmlService.createHtmlOutputFromFile('Sidebar')
-      .setTitle('eBay出品管理ツール')
-      .setWidth(400);
+    // 各シートの存在確認
+    const importSheet = ss.getSheetByName(SHEET_NAMES.IMPORT);
+    const duplicateSheet = ss.getSheetByName(SHEET_NAMES.DUPLICATES);
+    const exportSheet = ss.getSheetByName(SHEET_NAMES.EXPORT);
     
-    SpreadsheetApp.getUi().showSidebar(html);
+    const state = {
+      hasImportSheet: importSheet !== null,
+      hasDuplicateSheet: duplicateSheet !== null,
+      hasExportSheet: exportSheet !== null,
+      stats: {}
+    };
     
-    return { success: true };
-  } catch (error) {
-    console.error("サイドバー再読み込みエラー:", error);
-    logError('reloadSidebar', error);
-    return { success: false, message: error.message };
-  }
-}
-
-/**
- * インポートからエクスポートまでを自動処理する関数
- * @param {string} csvData - CSVファイルの内容
- * @return {Object} 処理結果
- */
-function autoProcessEbayData(csvData) {
-  // 結果オブジェクトの初期化
-  const result = {
-    success: false,
-    steps: [],
-    currentStep: '',
-    error: null,
-    finalMessage: '',
-    stats: {},
-    startTime: new Date().getTime()
-  };
-  
-  try {
-    // ステップ1: CSVインポート
-    result.currentStep = 'import';
-    console.log("自動処理: CSVインポート開始");
-    
-    // CSVの行数を概算して進捗状況に表示
-    const estimatedRows = csvData.split('\n').length;
-    result.stats.estimatedRows = estimatedRows;
-    result.stats.importProgress = "CSVデータを解析中... (推定 " + estimatedRows + " 行)";
-    
-    const importResult = importCsvData(csvData);
-    result.steps.push({
-      name: 'import',
-      success: importResult.success,
-      message: importResult.message,
-      progressDetail: `${importResult.rowCount || 0}件のデータをインポートしました`
-    });
-    
-    if (!importResult.success) {
-      result.error = {
-        step: 'import',
-        message: importResult.message,
-        details: importResult.isFormatError ? importResult.formatDetails : null
-      };
-      result.finalMessage = "CSVインポートに失敗したため、処理を中止しました。";
-      // ログを記録
-      logAutoProcess('自動処理（インポート失敗）', result);
-      return result;
-    }
-    
-    // インポート成功時の統計情報を保存
-    if (importResult.rowCount) {
-      result.stats.importedRows = importResult.rowCount;
-    }
-    
-    // 少し遅延を入れてスプレッドシートに反映される時間を確保
-    // データ量に応じて遅延時間を調整
-    const delayAfterImport = Math.min(800, Math.max(300, Math.floor(estimatedRows / 30)));
-    console.log(`インポート後の遅延: ${delayAfterImport}ms`);
-    Utilities.sleep(delayAfterImport);
-    
-    // ステップ2: 重複検出
-    result.currentStep = 'detect';
-    console.log("自動処理: 重複検出開始");
-    result.stats.detectProgress = `${result.stats.importedRows || 0}件のデータから重複を検索中...`;
-    
-    const detectResult = detectDuplicates();
-    result.steps.push({
-      name: 'detect',
-      success: detectResult.success,
-      message: detectResult.message,
-      progressDetail: detectResult.success ? 
-        `${detectResult.duplicateGroups || 0}件の重複グループを検出しました` : 
-        '重複検出に失敗しました'
-    });
-    
-    if (!detectResult.success) {
-      result.error = {
-        step: 'detect',
-        message: detectResult.message
-      };
-      result.finalMessage = "重複検出に失敗したため、処理を中止しました。";
-      // ログを記録
-      logAutoProcess('自動処理（重複検出失敗）', result);
-      return result;
-    }
-    
-    // 重複検出成功時の統計情報を保存
-    if (detectResult.duplicateGroups) {
-      result.stats.duplicateGroups = detectResult.duplicateGroups;
-      result.stats.duplicateItems = detectResult.duplicateItems;
-    }
-    
-    // 少し遅延を入れてスプレッドシートに反映される時間を確保
-    // 重複グループの数に応じて遅延時間を調整
-    const duplicateGroups = detectResult.duplicateGroups || 0;
-    const delayAfterDetect = Math.min(800, Math.max(300, duplicateGroups * 5));
-    console.log(`重複検出後の遅延: ${delayAfterDetect}ms`);
-    Utilities.sleep(delayAfterDetect);
-    
-    // ステップ3: 分析の実行
-    result.currentStep = 'analyze';
-    console.log("自動処理: 分析開始");
-    result.stats.analyzeProgress = `${result.stats.duplicateGroups || 0}件の重複グループを分析中...`;
-    
-    // 分析シートを削除して再作成（完全に初期化）
-    try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const analysisSheetName = EbayTool.getSheetName('ANALYSIS');
-      let analysisSheet = ss.getSheetByName(analysisSheetName);
-      
-      if (analysisSheet) {
-        console.log("分析前に分析シートを完全に初期化します");
-        // シートを削除して再作成
-        const sheetIndex = analysisSheet.getIndex();
-        ss.deleteSheet(analysisSheet);
-        ss.insertSheet(analysisSheetName, sheetIndex - 1);
+    // インポートデータの統計
+    if (importSheet) {
+      const lastRow = importSheet.getLastRow();
+      if (lastRow > 1) {
+        state.stats.rowCount = lastRow - 1; // ヘッダーを除く
       }
-    } catch (e) {
-      console.error("分析シート初期化エラー:", e);
-      // エラーが発生しても処理は続行
-    }
-    
-    const analyzeResult = analyzeDuplicateTitles();
-    result.steps.push({
-      name: 'analyze',
-      success: analyzeResult.success,
-      message: analyzeResult.message,
-      progressDetail: analyzeResult.success ? 
-        `${analyzeResult.uniqueTitles || 0}種類の重複パターンを分析しました` : 
-        '分析に失敗しました'
-    });
-    
-    // 分析は失敗しても処理を続行（オプション機能として扱う）
-    if (analyzeResult.success) {
-      result.stats.uniqueTitles = analyzeResult.uniqueTitles;
-      result.stats.duplicatePatterns = analyzeResult.duplicatePatterns;
-    }
-    
-    // 少し遅延を入れてスプレッドシートに反映される時間を確保
-    // 分析後は固定の短い遅延で十分
-    Utilities.sleep(500);
-    
-    // ステップ4: CSVエクスポート
-    result.currentStep = 'export';
-    console.log("自動処理: CSVエクスポート開始");
-    result.stats.exportProgress = `${result.stats.duplicateGroups || 0}件の重複グループからCSVを生成中...`;
-    
-    const exportResult = generateExportCsv();
-    result.steps.push({
-      name: 'export',
-      success: exportResult.success,
-      message: exportResult.message,
-      progressDetail: exportResult.success ? 
-        `${exportResult.itemCount || 0}件のアイテムをエクスポートしました` : 
-        'エクスポート処理に失敗しました'
-    });
-    
-    if (!exportResult.success) {
-      result.error = {
-        step: 'export',
-        message: exportResult.message
-      };
-      result.finalMessage = "CSVエクスポートに失敗したため、処理を中止しました。";
-      // ログを記録
-      logAutoProcess('自動処理（エクスポート失敗）', result);
-      return result;
     }
     
-    // エクスポート成功時の統計情報を保存
-    if (exportResult.itemCount) {
-      result.stats.exportCount = exportResult.itemCount;
+    // 重複データの統計
+    if (duplicateSheet) {
+      const lastRow = duplicateSheet.getLastRow();
+      if (lastRow > 1) {
+        // 重複グループの数を計算
+        const groupData = duplicateSheet.getRange(2, 1, lastRow - 1, 1).getValues();
+        const uniqueGroups = new Set();
+        let totalItems = 0;
+        
+        groupData.forEach(row => {
+          const groupId = row[0];
+          if (groupId) {
+            uniqueGroups.add(groupId);
+            totalItems++;
+          }
+        });
+        
+        state.stats.duplicateGroups = uniqueGroups.size;
+        state.stats.duplicateItems = totalItems;
+      }
     }
     
-    // 全ステップが成功
-    result.success = true;
-    result.endTime = new Date().getTime();
-    result.processingTime = (result.endTime - result.startTime) / 1000; // 秒単位
-    
-    // 分析結果も含めたメッセージ
-    const analyzeMessage = analyzeResult.success ? 
-      `${result.stats.uniqueTitles || 0}種類の重複パターンを分析し、` : '';
-    
-    // 重複数に応じたメッセージ生成
-    const duplicateCount = result.stats.duplicateGroups || 0;
-    const exportCount = result.stats.exportCount || 0;
-    
-    if (duplicateCount === 0) {
-      result.finalMessage = `処理が完了しました: ${result.stats.importedRows || 0}件のデータを分析した結果、重複する商品は見つかりませんでした。(処理時間: ${result.processingTime.toFixed(1)}秒)`;
-    } else {
-      result.finalMessage = `処理が完了しました: ${result.stats.importedRows || 0}件のデータから${duplicateCount}件の重複グループを検出し、${analyzeMessage}${exportCount}件のアイテムをエクスポートしました。(処理時間: ${result.processingTime.toFixed(1)}秒)`;
+    // エクスポートデータの統計
+    if (exportSheet) {
+      const lastRow = exportSheet.getLastRow();
+      if (lastRow > 1) {
+        state.stats.exportCount = lastRow - 1;
+      }
     }
-    result.data = exportResult.data;
-    result.fileName = exportResult.fileName;
-    result.currentStep = 'complete';
     
-    console.log("自動処理: 全処理完了");
-    
-    // 成功ログを記録
-    logAutoProcess('自動処理（完了）', result);
-    
-    return result;
+    return state;
     
   } catch (error) {
-    console.error("autoProcessEbayData関数でエラー:", error);
-    
-    // エラーが発生した時点での情報を返す
-    const errorResult = { 
-      success: false, 
-      steps: result.steps,
-      currentStep: result.currentStep || 'unknown',
-      error: {
-        step: result.currentStep || 'unknown',
-        message: error.message,
-        stack: error.stack
-      },
-      finalMessage: `自動処理中にエラーが発生しました: ${error.message}`,
-      stats: result.stats,
-      endTime: new Date().getTime(),
-      processingTime: (new Date().getTime() - result.startTime) / 1000
+    logError('checkAppState', error, 'アプリ状態確認中');
+    return {
+      hasImportSheet: false,
+      hasDuplicateSheet: false,
+      hasExportSheet: false,
+      stats: {},
+      error: getFriendlyErrorMessage(error, 'アプリ状態確認中にエラーが発生しました。')
     };
-    
-    // エラーログを記録
-    logAutoProcess('自動処理（エラー）', errorResult);
-    
-    return errorResult;
   }
 }
 
 /**
- * 自動処理で生成したCSVをダウンロードする関数
- * @param {Array} data - CSVデータの2次元配列
- * @param {string} fileName - ダウンロードされるファイル名
- * @return {Object} 処理結果（HTML出力）
+ * タイトルをノーマライズする関数（改良版）
+ * @param {string} title - 元のタイトル
+ * @param {boolean} useAdvanced - 高度なノーマライズを使用するかどうか
+ * @return {string} ノーマライズされたタイトル
  */
-function downloadAutoProcessedCsv(data, fileName) {
-  try {
-    console.log("自動処理CSVダウンロード開始: 行数=", data ? data.length : 0);
-    
-    if (!data || !Array.isArray(data) || data.length === 0) {
-      throw new Error("ダウンロードするデータがありません。");
+function normalizeTitle(title, useAdvanced = false) {
+  if (!title) return '';
+  
+  // 基本的なノーマライズ
+  let normalized = String(title).toLowerCase();
+  
+  // 空白を統一
+  normalized = normalized.replace(/\s+/g, ' ').trim();
+  
+  // 特殊文字を削除または置換
+  normalized = normalized.replace(/[^\w\s]/g, '');
+  
+  // 高度なノーマライズ（オプション）
+  // 類似候補インデックス（SimilarityIndex）と同じ単語集合になるようTextAnalyzerの実装を共用する
+  if (useAdvanced) {
+    return EbayTool.TextAnalyzer.normalizeTitle(normalized, true);
+  }
+  
+  return normalized;
+}
+
+/**
+ * 2つのタイトル間の類似度を計算する関数
+ * @param {string} title1 - 1つ目のタイトル
+ * @param {string} title2 - 2つ目のタイトル
+ * @return {number} 類似度（0-1の範囲、1が完全一致）
+ */
+function calculateTitleSimilarity(title1, title2) {
+  // 両方のタイトルを単語集合に変換して比較
+  return calculateTokenSetSimilarity(getTitleTokenSet(title1), getTitleTokenSet(title2));
+}
+
+/**
+ * タイトルを類似度計算用の単語集合に変換する関数
+ * @param {string} title - 元のタイトル
+ * @return {Set} 高度なノーマライズ後の単語集合（空タイトルは空集合）
+ */
+function getTitleTokenSet(title) {
+  const normalized = normalizeTitle(title, true);
+  if (!normalized) return new Set();
+  return new Set(normalized.split(' ').filter(word => word));
+}
+
+/**
+ * 2つの単語集合のJaccard係数を計算する関数
+ * @param {Set} set1 - 1つ目の単語集合
+ * @param {Set} set2 - 2つ目の単語集合
+ * @return {number} 類似度（0-1の範囲、どちらかが空の場合は0）
+ */
+function calculateTokenSetSimilarity(set1, set2) {
+  if (set1.size === 0 || set2.size === 0) return 0;
+
+  let intersectionSize = 0;
+  set1.forEach(word => {
+    if (set2.has(word)) intersectionSize++;
+  });
+
+  return intersectionSize / (set1.size + set2.size - intersectionSize);
+}
+
+/**
+ * 重複の合計件数を取得する関数
+ * @param {Array} duplicateGroups - 重複グループのリスト
+ * @return {number} 重複の合計件数
+ */
+function getTotalDuplicates(duplicateGroups) {
+  return duplicateGroups.reduce((total, group) => total + group.length, 0);
+}
+
+/**
+ * 重複グループの一致種別を重複タイプ列の表示名に変換する関数
+ * @param {Array} group - 重複グループ（matchTypesプロパティを持つ）
+ * @return {string} 表示名（複数の理由で連結された場合は「・」区切り）
+ */
+function getDuplicateTypeLabel(group) {
+  const matchTypes = group.matchTypes && group.matchTypes.length > 0 ? group.matchTypes : ['title'];
+  return matchTypes.map(type => {
+    if (type === 'title') return 'タイトル一致';
+    if (type === 'variation') return 'バリエーション一致';
+    if (type === 'cert') return '鑑定番号一致';
+    if (type === 'grade') return `同一グレード(${(group.gradeLabels || []).join('、')})`;
+    if (type === 'similar') return '類似タイトル';
+    const field = IdentifierMatcher.FIELDS[type];
+    return field ? `${field.label}一致` : type;
+  }).join('・');
+}
+
+/**
+ * 残す/終了の判定ルール - 重複グループ内で残すアイテムを選ぶ
+ * 設定（ToolSettings.keepRules）の先頭が主ルール、以降は同順位のときのタイブレーク
+ */
+var KeepRules = {
+  // ルール定義（列名の候補は小文字・空白除去後で比較。startDateは重複検出時の開始日列を使う）
+  RULES: {
+    newest: { label: '開始日が新しい', value: 'startDate', order: 'desc' },
+    oldest: { label: '開始日が古い（販売履歴を残す）', value: 'startDate', order: 'asc' },
+    mostWatchers: { label: 'ウォッチ数が多い', mapping: 'watchers', exact: ['watchers', 'watchcount'], contains: ['watch'], order: 'desc' },
+    mostSold: { label: '販売数が多い', mapping: 'sold', exact: ['soldquantity', 'quantitysold', 'sold'], contains: ['sold'], order: 'desc' },
+    hasBids: { label: '入札あり', mapping: 'bids', exact: ['bids', 'bidcount', 'numberofbids'], contains: ['bid'], order: 'desc', flag: true },
+    lowestPrice: { label: '価格が安い', mapping: 'price', exact: ['currentprice', 'price', 'startprice'], contains: ['price'], order: 'asc' }
+  },
+
+  DEFAULT_RULES: ['newest'],
+
+  /**
+   * 並べ替えに必要な情報（ルール順と列インデックス）を作成
+   * @param {Array} headers - 元データのヘッダー
+   * @param {Array} ruleKeys - ルールの優先順（省略時は設定から取得）
+   * @return {Object} { ruleKeys, columns }
+   */
+  createContext: function(headers, ruleKeys = null) {
+    const keys = (ruleKeys || ToolSettings.get().keepRules || this.DEFAULT_RULES).filter(key => this.RULES[key]);
+    const columnFields = {};
+    keys.forEach(key => {
+      const rule = this.RULES[key];
+      if (rule.exact) columnFields[key] = rule;
+    });
+
+    const columns = IdentifierMatcher.findColumns(headers, columnFields);
+    keys.forEach(key => {
+      if (columns[key] === -1) console.warn(`判定ルール「${this.RULES[key].label}」の列が見つからないため、このルールは同順位として扱います`);
+    });
+
+    return { ruleKeys: keys.length > 0 ? keys : this.DEFAULT_RULES, columns: columns };
+  },
+
+  /**
+   * アイテムのルール値を取得（値がない場合はnull）
+   * @param {string} ruleKey - ルール
+   * @param {Object} item - 重複グループのアイテム
+   * @param {Object} columns - ルールごとの列インデックス
+   * @return {number|null} 比較用の数値
+   */
+  getValue: function(ruleKey, item, columns) {
+    const rule = this.RULES[ruleKey];
+
+    if (rule.value === 'startDate') {
+      if (!item.startDate) return null;
+      const time = new Date(item.startDate).getTime();
+      return isNaN(time) ? null : time;
+    }
+
+    const index = columns[ruleKey];
+    if (index === undefined || index < 0) return null;
+    const text = String(item.allData[index] === null || item.allData[index] === undefined ? '' : item.allData[index]);
+    // 「$12.50」「USD 1,200」などから数値部分を取り出す
+    const number = parseFloat(text.replace(/[^0-9.\-]/g, ''));
+    if (isNaN(number)) return rule.flag ? 0 : null;
+    return rule.flag ? (number > 0 ? 1 : 0) : number;
+  },
+
+  /**
+   * 2つのアイテムを1つのルールで比較（値がないアイテムは後ろ）
+   * @return {number} 負ならaを優先
+   */
+  compare: function(ruleKey, a, b, columns) {
+    const valueA = this.getValue(ruleKey, a, columns);
+    const valueB = this.getValue(ruleKey, b, columns);
+    if (valueA === valueB) return 0;
+    if (valueA === null) return 1;
+    if (valueB === null) return -1;
+    return this.RULES[ruleKey].order === 'desc' ? valueB - valueA : valueA - valueB;
+  },
+
+  /**
+   * グループを残す優先順に並べ替え、残すアイテムを決めたルールを返す
+   * @param {Array} group - 重複グループ（並べ替えられる）
+   * @param {Object} context - createContextの結果
+   * @return {string} 判定ルール列に表示する説明
+   */
+  sortGroup: function(group, context) {
+    const { ruleKeys, columns } = context;
+
+    group.sort((a, b) => {
+      for (let i = 0; i < ruleKeys.length; i++) {
+        const result = this.compare(ruleKeys[i], a, b, columns);
+        if (result !== 0) return result;
+      }
+      return 0;
+    });
+
+    if (group.length < 2) return '';
+
+    // 1件目と2件目の差がついた最初のルールが決め手
+    const decidingKey = ruleKeys.find(key => this.compare(key, group[0], group[1], columns) !== 0);
+    if (!decidingKey) return '同順位（先頭の出品を残す）';
+
+    const rule = this.RULES[decidingKey];
+    const priority = ruleKeys.indexOf(decidingKey) === 0 ? '' : `（タイブレーク${ruleKeys.indexOf(decidingKey)}）`;
+    if (rule.value === 'startDate' || rule.flag) return `${rule.label}${priority}`;
+    return `${rule.label}${priority}: ${this.getValue(decidingKey, group[0], columns)}`;
+  }
+};
+
+/**
+ * 自動終了の安全チェック - 終了すると損失が出る出品を「要確認」にする
+ * オークション形式・入札あり・ウォッチ数が閾値以上の出品は終了CSVに含めない
+ */
+var SafetyGuard = {
+  // 列名の候補（小文字・空白除去後で比較）
+  FIELDS: {
+    format: { mapping: 'format', exact: ['format', 'listingformat', 'listingtype'], contains: ['format'] },
+    bids: { mapping: 'bids', exact: ['bids', 'bidcount', 'numberofbids'], contains: ['bid'] },
+    watchers: { mapping: 'watchers', exact: ['watchers', 'watchcount'], contains: ['watch'] }
+  },
+
+  /**
+   * チェックに必要な情報（列インデックスと閾値）を作成
+   * @param {Array} headers - 元データのヘッダー
+   * @return {Object} { columns, watcherThreshold }
+   */
+  createContext: function(headers) {
+    return {
+      columns: IdentifierMatcher.findColumns(headers, this.FIELDS),
+      watcherThreshold: Number(ToolSettings.get().safetyWatcherThreshold) || 0
+    };
+  },
+
+  /**
+   * 終了前に確認が必要な理由を取得
+   * @param {Object} item - 重複グループのアイテム
+   * @param {Object} context - createContextの結果
+   * @return {Array} 理由のリスト（空なら終了してよい）
+   */
+  getReasons: function(item, context) {
+    const { columns, watcherThreshold } = context;
+    const read = key => columns[key] >= 0 ? String(item.allData[columns[key]] || '').trim() : '';
+    const reasons = [];
+
+    const format = read('format').toLowerCase();
+    if (format.includes('auction') || format.includes('chinese') || format.includes('オークション')) {
+      reasons.push('オークション形式');
     }
-    
-    // ファイル名が指定されていない場合はデフォルト名を使用
-    const finalFileName = fileName || "ebay_終了リスト_" + new Date().toISOString().split('T')[0] + ".csv";
-    
-    // CSVデータを直接生成
+
+    const bids = parseInt(read('bids'), 10);
+    if (bids > 0) reasons.push(`入札${bids}件`);
+
+    const watchers = parseInt(read('watchers'), 10);
+    if (watcherThreshold > 0 && watchers >= watcherThreshold) reasons.push(`ウォッチ${watchers}件`);
+
+    return reasons;
+  }
+};
+
+/**
+ * 出品終了理由（EndCode） - File ExchangeのEnd行に出力する値
+ * 既定値は行ごとにルールで選び、重複リストのEndCode列で変更できる
+ */
+var EndCodes = {
+  VALID: ['OtherListingError', 'NotAvailable', 'Incorrect', 'LostOrBroken', 'SellToHighBidder'],
+  DEFAULT: 'OtherListingError',
+
+  // 列名の候補（小文字・空白除去後で比較）
+  FIELDS: {
+    bids: SafetyGuard.FIELDS.bids,
+    quantity: { mapping: 'quantity', exact: ['availablequantity', 'quantityavailable', 'quantity'], contains: ['available'] }
+  },
+
+  /**
+   * 既定値の選択に必要な情報を作成
+   * @param {Array} headers - 元データのヘッダー
+   * @return {Object} { columns, defaultCode }
+   */
+  createContext: function(headers) {
+    return {
+      columns: IdentifierMatcher.findColumns(headers, this.FIELDS),
+      defaultCode: ToolSettings.get().defaultEndCode || this.DEFAULT
+    };
+  },
+
+  /**
+   * アイテムの既定EndCodeを選ぶ
+   * 入札あり → SellToHighBidder、在庫0 → NotAvailable、それ以外は設定の既定値
+   * @param {Object} item - 重複グループのアイテム
+   * @param {Object} context - createContextの結果
+   * @return {string} EndCode
+   */
+  chooseDefault: function(item, context) {
+    const { columns, defaultCode } = context;
+    const read = key => columns[key] >= 0 ? String(item.allData[columns[key]]).trim() : '';
+
+    if (parseInt(read('bids'), 10) > 0) return 'SellToHighBidder';
+    if (read('quantity') !== '' && parseInt(read('quantity'), 10) === 0) return 'NotAvailable';
+    return defaultCode;
+  },
+
+  /**
+   * 重複リストのEndCode列に入力規則（プルダウン）を設定
+   * @param {Sheet} sheet - 重複リストシート
+   */
+  applyValidation: function(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return;
+
+    const column = EbayTool.getConfig().DUPLICATE_META_COLUMNS.indexOf('EndCode') + 1;
+    const rule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(this.VALID, true)
+      .setAllowInvalid(false)
+      .build();
+    sheet.getRange(2, column, lastRow - 1, 1).setDataValidation(rule);
+  }
+};
+
+/**
+ * 重複グループ1件分の行データを作成するヘルパー関数
+ * 残す/終了ルールで並べ替え、先頭を「残す」、それ以外を「終了」とする
+ * ただしSafetyGuardに該当する出品は「終了」ではなく「要確認」とする
+ * @param {Array} group - 重複グループ
+ * @param {number} groupIndex - グループ番号（0始まり）
+ * @param {number} columnCount - 重複リストの列数
+ * @param {Object} keepContext - KeepRules.createContextの結果（省略時は開始日が新しいものを残す）
+ * @param {Object} safetyContext - SafetyGuard.createContextの結果（省略時はチェックしない）
+ * @param {Object} endCodeContext - EndCodes.createContextの結果（省略時はEndCodes.DEFAULT）
+ * @param {Object} sourceContext - ImportMerger.createContextの結果（複数アカウントの結合時にアカウント横断を表示）
+ * @return {Array} 重複リストの行データ
+ */
+function buildDuplicateGroupRows(group, groupIndex, columnCount, keepContext = null, safetyContext = null, endCodeContext = null, sourceContext = null) {
+  const metaCount = EbayTool.getConfig().DUPLICATE_META_COLUMNS.length;
+
+  // 残す/終了ルールで並べ替え（先頭が残すアイテム）
+  const decision = KeepRules.sortGroup(group, keepContext || KeepRules.createContext([], KeepRules.DEFAULT_RULES));
+
+  const crossAccountLabel = ImportMerger.getCrossAccountLabel(group, sourceContext);
+  const label = getDuplicateTypeLabel(group) + (crossAccountLabel ? `・${crossAccountLabel}` : '');
+  const keptItem = group[0];
+
+  return group.map((item, itemIndex) => {
+    const row = new Array(columnCount).fill('');
+
+    row[0] = `Group ${groupIndex + 1}`; // グループID
+    row[1] = `${label}: ${group.length}件中${itemIndex + 1}件目`; // 重複タイプ
+    const reasons = itemIndex > 0 && safetyContext ? SafetyGuard.getReasons(item, safetyContext) : [];
+    row[2] = itemIndex === 0 ? '残す' : (reasons.length > 0 ? '要確認' : '終了'); // 処理
+    // 類似度（残すアイテムのタイトルとのJaccard係数）
+    row[3] = Math.round(calculateTitleSimilarity(keptItem.originalTitle, item.originalTitle) * 100) / 100;
+    row[4] = item.variation || ''; // バリエーション
+    row[5] = decision; // 判定ルール（残すアイテムを決めたルール）
+    row[6] = reasons.join('・'); // 確認理由（要確認の場合のみ）
+    // EndCode（残すアイテムは空欄）
+    row[7] = itemIndex === 0 ? '' : (endCodeContext ? EndCodes.chooseDefault(item, endCodeContext) : EndCodes.DEFAULT);
+    row[8] = `${row[2]}:${row[7]}`; // 自動判定（手動変更の検出用）
+    row[9] = ''; // 再検出（DuplicateSheetMergerが前回との差分を記入）
+
+    // 元のデータをメタ列の後に配置
+    item.allData.forEach((value, i) => {
+      row[i + metaCount] = value;
+    });
+
+    return row;
+  });
+}
+
+/**
+ * 重複リストシートを作成する関数（シンプル化バージョン）
+ * @param {Sheet} sheet - 重複リストシート
+ * @param {Array} duplicateGroups - 重複グループのリスト
+ * @param {Array} originalHeaders - 元のヘッダー
+ */
+function createDuplicateListSheet(sheet, duplicateGroups, originalHeaders) {
+  // ヘッダー行を作成（グループID、重複タイプなどの列を追加）
+  const headers = EbayTool.getConfig().DUPLICATE_META_COLUMNS.concat(originalHeaders);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  const keepContext = KeepRules.createContext(originalHeaders);
+  const safetyContext = SafetyGuard.createContext(originalHeaders);
+  const endCodeContext = EndCodes.createContext(originalHeaders);
+  const sourceContext = ImportMerger.createContext(originalHeaders);
+
+  // 一度にすべての行を設定するためのデータ配列
+  const allData = [];
+
+  // 各重複グループをデータ配列に追加
+  duplicateGroups.forEach((group, groupIndex) => {
+    allData.push(...buildDuplicateGroupRows(group, groupIndex, headers.length, keepContext, safetyContext, endCodeContext, sourceContext));
+
+    // グループ間の区切り行（必要に応じて空行を入れる）
+    if (groupIndex < duplicateGroups.length - 1) {
+      allData.push(new Array(headers.length).fill(''));
+    }
+  });
+  
+  // データが存在する場合に一度に書き込む
+  if (allData.length > 0) {
+    sheet.getRange(2, 1, allData.length, headers.length).setValues(allData);
+  }
+  
+  // シートのフォーマットを整える（シンプル化）
+  formatDuplicateSheetSimple(sheet);
+  EndCodes.applyValidation(sheet);
+}
+
+/**
+ * 重複リストシートのフォーマットを整える関数（シンプル化バージョン）
+ * @param {Sheet} sheet - フォーマットするシート
+ */
+function formatDuplicateSheetSimple(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  
+  if (lastRow <= 1) return; // データがない場合は何もしない
+  
+  // ヘッダー行のみ書式設定
+  sheet.getRange(1, 1, 1, lastCol)
+    .setBackground(EbayTool.getColor('PRIMARY'))
+    .setFontColor('white')
+    .setFontWeight('bold');
+  
+  // 先頭行を固定
+  sheet.setFrozenRows(1);
+  
+}
+
+/**
+ * CSVデータをダウンロードする関数（直接ダウンロード版）
+ * @param {Array} data - CSVデータの2次元配列
+ * @param {string} fileName - ダウンロードされるファイル名
+ * @return {Object} 処理結果（HTML出力）
+ */
+function convertToCSVDownload(data, fileName) {
+  try {
+    // CSVデータを生成（セキュリティ強化）
     let csvContent = data.map(row => 
       row.map(cell => {
         // null/undefinedの処理
@@ -3317,744 +4870,3281 @@ function downloadAutoProcessedCsv(data, fileName) {
     const bom = '\ufeff';
     csvContent = bom + csvContent;
     
-    // ダウンロード用HTMLを生成 - FileSaver.js版
+    // HTMLでダウンロードリンクを生成（直接ダウンロード方式）
     const html = HtmlService.createHtmlOutput(
       `<html>
         <head>
           <base target="_top">
           <meta charset="UTF-8">
-          <title>CSVダウンロード</title>
           <script>
-            // FileSaver.js - クロスブラウザでの保存機能を提供するライブラリ
-            (function(a,b){if("function"==typeof define&&define.amd)define([],b);else if("undefined"!=typeof exports)b();else{b(),a.FileSaver={exports:{}}.exports}})(this,function(){"use strict";function b(a,b){return"undefined"==typeof b?b={autoBom:!1}:"object"!=typeof b&&(console.warn("Deprecated: Expected third argument to be a object"),b={autoBom:!b}),b.autoBom&&/^\\s*(?:text\\/\\S*|application\\/xml|\\S*\\/\\S*\\+xml)\\s*;.*charset\\s*=\\s*utf-8/i.test(a.type)?new Blob([String.fromCharCode(65279),a],{type:a.type}):a}function c(b,c,d){var e=new XMLHttpRequest;e.open("GET",b),e.responseType="blob",e.onload=function(){a(e.response,c,d)},e.onerror=function(){console.error("could not download file")},e.send()}function d(a){var b=new XMLHttpRequest;b.open("HEAD",a,!1);try{b.send()}catch(a){}return 200<=b.status&&299>=b.status}function e(a){try{a.dispatchEvent(new MouseEvent("click"))}catch(c){var b=document.createEvent("MouseEvents");b.initMouseEvent("click",!0,!0,window,0,0,0,80,20,!1,!1,!1,!1,0,null),a.dispatchEvent(b)}}var f="object"==typeof window&&window.window===window?window:"object"==typeof self&&self.self===self?self:"object"==typeof global&&global.global===global?global:void 0,a=f.saveAs||("object"!=typeof window||window!==f?function(){}:"download"in HTMLAnchorElement.prototype?function(b,g,h){var i=f.URL||f.webkitURL,j=document.createElement("a");g=g||b.name||"download",j.download=g,j.rel="noopener","string"==typeof b?(j.href=b,j.origin===location.origin?e(j):d(j.href)?c(b,g,h):e(j,j.target="_blank")):(j.href=i.createObjectURL(b),setTimeout(function(){i.revokeObjectURL(j.href)},4E4),setTimeout(function(){e(j)},0))}:"msSaveOrOpenBlob"in navigator?function(f,g,h){if(g=g||f.name||"download","string"!=typeof f)navigator.msSaveOrOpenBlob(b(f,h),g);else if(d(f))c(f,g,h);else{var i=document.createElement("a");i.href=f,i.target="_blank",setTimeout(function(){e(i)})}}:function(a,b,d,e){if(e=e||open("","_blank"),e&&(e.document.title=e.document.body.innerText="downloading..."),"string"==typeof a)return c(a,b,d);var g="application/octet-stream"===a.type,h=/constructor/i.test(f.HTMLElement)||f.safari,i=/CriOS\\/[\\d]+/.test(navigator.userAgent);if((i||g&&h)&&"object"==typeof FileReader){var j=new FileReader;j.onloadend=function(){var a=j.result;a=i?a:a.replace(/^data:[^;]*;/,"data:attachment/file;"),e?e.location.href=a:location=a,e=null},j.readAsDataURL(a)}else{var k=f.URL||f.webkitURL,l=k.createObjectURL(a);e?e.location=l:location.href=l,e=null,setTimeout(function(){k.revokeObjectURL(l)},4E4)}});f.saveAs=a.saveAs=a,"undefined"!=typeof module&&(module.exports=a)});
-
             // CSVデータ
             const csvData = \`${csvContent.replace(/`/g, '\\`')}\`;
             
-            // ページ読み込み完了時の処理
-            document.addEventListener('DOMContentLoaded', function() {
-              // ステータス表示を初期化
-              document.getElementById('status').innerHTML = 
-                '<div class="info">ダウンロードを準備しています...</div>';
-              
-              // 直接ダウンロード関数
-              function directDownload() {
+            // ページ読み込み時に直接ダウンロード
+            window.onload = function() {
+              try {
+                // Blobオブジェクトの作成
+                const blob = new Blob([csvData], {type: 'text/csv;charset=utf-8;'});
+                
+                // URL.createObjectURLでブラウザ内URLを生成
+                const url = URL.createObjectURL(blob);
+                
+                // ダウンロードリンクを作成
+                const link = document.createElement('a');
+                link.href = url;
+                link.download = '${fileName.replace(/'/g, "\\'")}';
+                document.body.appendChild(link);
+                
+                // クリックして即時ダウンロード
+                link.click();
+                
+                // 後片付け
+                document.body.removeChild(link);
+                URL.revokeObjectURL(url);
+                
+                // 成功メッセージを表示
+                document.getElementById('status').innerHTML = 
+                  '<div style="color: green; font-weight: bold; padding: 10px; background-color: #E8F5E9; border-radius: 4px; margin-top: 10px;">ダウンロードが完了しました。</div>';
+                
+                // ユーザーに通知するためのアラート表示
+                alert('CSVファイルのダウンロードが完了しました！');
+                
+                // 親ウィンドウ（サイドバー）に通知してダウンロード完了メッセージを表示
                 try {
-                  document.getElementById('status').innerHTML = 
-                    '<div class="success-message">ダウンロードを開始しています...</div>';
-                  
-                  // Blobオブジェクトの作成
-                  const blob = new Blob([csvData], {type: 'text/csv;charset=utf-8;'});
-                  
-                  // FileSaver.jsを使用して直接ダウンロード
-                  saveAs(blob, '${finalFileName.replace(/'/g, "\\'")}');
-                  
-                  // 成功メッセージを表示
-                  document.getElementById('status').innerHTML = 
-                    '<div class="success-message">ダウンロードが完了しました！<br>3秒後にこのダイアログは自動的に閉じます。</div>';
-                  
-                  // ユーザーに通知するためのアラート表示
-                  alert('CSVファイルのダウンロードが完了しました！');
-                  
-                  // 親ウィンドウ（サイドバー）に通知してダウンロード完了メッセージを表示
-                  try {
-                    window.parent.postMessage({
-                      type: 'download-complete',
-                      fileName: '${finalFileName.replace(/'/g, "\\'")}'
-                    }, '*');
-                  } catch (err) {
-                    console.error('親ウィンドウへの通知エラー:', err);
-                  }
-                  
-                  // ダウンロードボタンを無効化
-                  const downloadBtn = document.getElementById('downloadBtn');
-                  if (downloadBtn) {
-                    downloadBtn.disabled = true;
-                    downloadBtn.classList.add('disabled');
-                  }
-                  
-                  // 3秒後にダイアログを閉じる
-                  setTimeout(function() {
-                    google.script.host.close();
-                  }, 3000);
-                } catch (e) {
-                  console.error('直接ダウンロードエラー:', e);
-                  document.getElementById('status').innerHTML = 
-                    '<div class="error-message">エラーが発生しました: ' + e.message + '<br>別のダウンロード方法をお試しください。</div>';
+                  window.parent.postMessage({
+                    type: 'download-complete',
+                    fileName: '${fileName.replace(/'/g, "\\'")}'
+                  }, '*');
+                } catch (err) {
+                  console.error('親ウィンドウへの通知エラー:', err);
                 }
+                
+                // ダウンロードボタンを無効化
+                const downloadBtn = document.getElementById('downloadBtn');
+                if (downloadBtn) {
+                  downloadBtn.disabled = true;
+                  downloadBtn.classList.add('disabled');
+                }
+                
+                // 3秒後にダイアログを閉じる
+                setTimeout(function() {
+                  google.script.host.close();
+                }, 3000);
+              } catch (e) {
+                document.getElementById('status').innerHTML = 
+                  '<div style="color: red;">エラーが発生しました: ' + e.message + '</div>';
               }
-              
-              // ダウンロードボタンにイベントリスナーを追加
-              const downloadBtn = document.getElementById('downloadBtn');
-              if (downloadBtn) {
-                downloadBtn.addEventListener('click', directDownload);
-              }
-              
-              // 自動ダウンロード開始（1秒遅延）
-              setTimeout(function() {
-                directDownload();
-              }, 1000);
-            });
+            }
           </script>
           <style>
             body {
               font-family: Arial, sans-serif;
-              margin: 0;
-              padding: 0;
-              background-color: #f9fafb;
-              color: #1f2937;
-              font-size: 14px;
-            }
-            .container {
-              max-width: 600px;
-              margin: 0 auto;
-              padding: 20px;
-              background: white;
-              border-radius: 8px;
-              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-            }
-            h3 {
-              color: #4F46E5;
-              margin-top: 0;
-              padding-bottom: 10px;
-              border-bottom: 1px solid #e5e7eb;
-            }
-            .file-info {
-              background-color: #EFF6FF;
-              padding: 12px;
-              border-radius: 6px;
-              margin-bottom: 15px;
-              font-size: 13px;
-            }
-            .file-info p {
-              margin: 5px 0;
+              margin: 20px;
+              text-align: center;
             }
             .button {
               background-color: #4F46E5;
               color: white;
+              padding: 10px 15px;
               border: none;
               border-radius: 4px;
-              padding: 8px 16px;
-              font-size: 14px;
               cursor: pointer;
-              transition: background-color 0.2s;
-              display: inline-block;
-              text-decoration: none;
+              font-size: 14px;
               margin-top: 10px;
             }
             .button:hover {
               background-color: #4338CA;
             }
-            .button.disabled {
-              background-color: #9CA3AF;
-              cursor: not-allowed;
-            }
-            .success-message {
-              color: #10B981;
-              background-color: #D1FAE5;
-              padding: 10px;
-              border-radius: 4px;
-              margin: 10px 0;
-            }
-            .error-message {
-              color: #EF4444;
-              background-color: #FEE2E2;
-              padding: 10px;
-              border-radius: 4px;
-              margin: 10px 0;
-            }
-            .info {
-              color: #3B82F6;
-              background-color: #EFF6FF;
-              padding: 10px;
-              border-radius: 4px;
-              margin: 10px 0;
-            }
           </style>
         </head>
         <body>
-          <div class="container">
-            <h3>CSVファイルのダウンロード</h3>
-            
-            <div class="file-info">
-              <p><strong>ファイル名:</strong> ${finalFileName}</p>
-              <p><strong>行数:</strong> ${data.length}行</p>
-            </div>
-            
-            <div id="status" class="info">準備中...</div>
-            
-            <button id="downloadBtn" class="button">ダウンロード</button>
-          </div>
+          <h3>CSVファイルのダウンロード</h3>
+          <p>ダウンロードが自動的に始まります。</p>
+          <div id="status">準備中...</div>
+          <button id="downloadBtn" class="button">ダウンロード</button>
         </body>
       </html>`
     )
-    .setWidth(600)
-    .setHeight(450);
+    .setWidth(400)
+    .setHeight(200);
     
     return html;
   } catch (error) {
-    console.error("downloadAutoProcessedCsv関数でエラー:", error);
-    return {
-      success: false,
-      message: "CSVダウンロード準備中にエラーが発生しました: " + error.message
-    };
+    logError('convertToCSVDownload', error, 'CSVデータ変換中');
+    throw new Error(`CSVデータの変換に失敗しました: ${error.message}`);
+  }
+}
+
+/**
+ * エクスポートシートからCSVをダウンロードする関数（直接ダウンロード版）
+ */
+function downloadExportCsv() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
+
+    // エクスポートシートが存在しない場合は先に生成する
+    if (!exportSheet) {
+      console.log('エクスポートシートが見つかりません。generateExportCsvを実行します。');
+      const generateResult = generateExportCsv();
+
+      if (!generateResult.success) {
+        return generateResult;
+      }
+
+      // 生成後に再取得
+      exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
+      if (!exportSheet) {
+        throw new Error('エクスポートシートの生成に失敗しました。');
+      }
+    }
+    
+    const data = readExportCsvRows(exportSheet);
+    const fileName = getExportFileName(data.length > 0 && data[0].includes('Quantity') ? 'consolidate' : 'end');
+    
+    const html = convertToCSVDownload(data, fileName);
+    SpreadsheetApp.getUi().showModalDialog(html, 'CSVダウンロード');
+    
+    return { success: true, message: 'ダウンロードを開始しました' };
+  } catch (error) {
+    logError('downloadExportCsv', error);
+    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  }
+}
+
+/**
+ * すべてのシートを初期化する関数（高速化バージョン）
+ * @return {Object} 処理結果
+ */
+function initializeAllSheets() {
+  return RunLock.run('すべてのシートを初期化', () => initializeAllSheetsImpl());
+}
+
+/**
+ * initializeAllSheetsの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function initializeAllSheetsImpl() {
+  try {
+    console.log("🔧 initializeAllSheets: 関数が呼び出されました");
+    const startTime = new Date().getTime();
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    console.log(`📊 スプレッドシート名: ${ss.getName()}`);
+    
+    // 必要なシート名（最小限）
+    const requiredSheets = [
+      EbayTool.getSheetName('IMPORT'),
+      EbayTool.getSheetName('DUPLICATES'),
+      EbayTool.getSheetName('EXPORT')
+    ];
+
+    console.log(`✅ 必要なシート: ${requiredSheets.join(', ')}`);
+
+    console.log(`📋 現在のシート数: ${ss.getSheets().length}`);
+
+    const sheetsToKeep = new Set(requiredSheets);
+    let deletedCount = 0;
+    let clearedCount = 0;
+
+    // 初期化前の状態をスナップショットに残す（バックアップシート自体は削除しない）
+    const snapshot = Snapshots.take(ss, 'すべてのシートを初期化', ss.getSheets());
+
+    // スナップショットで古いバックアップシートを削除していることがあるので、取り直す
+    const allSheets = ss.getSheets();
+
+    // シートを逆順で処理（削除時のインデックスずれ防止）
+    for (let i = allSheets.length - 1; i >= 0; i--) {
+      const sheet = allSheets[i];
+      const sheetName = sheet.getName();
+
+      if (Snapshots.isBackupSheet(sheetName)) continue;
+
+      if (sheetsToKeep.has(sheetName)) {
+        // 必要なシートはクリアして再利用
+        sheet.clear();
+        clearedCount++;
+        console.log(`🧹 シート「${sheetName}」をクリアしました`);
+      } else {
+        // 不要なシートは削除（最後の1枚は残す）
+        if (ss.getSheets().length > 1) {
+          try {
+            ss.deleteSheet(sheet);
+            deletedCount++;
+            console.log(`🗑️ シート「${sheetName}」を削除しました`);
+          } catch (e) {
+            console.log(`⚠️ シート「${sheetName}」削除失敗: ${e.message}`);
+          }
+        } else {
+          sheet.clear();
+          console.log(`⚠️ 最後のシート「${sheetName}」はクリアのみ`);
+        }
+      }
+    }
+
+    // 必要なシートで存在しないものを作成
+    for (const sheetName of requiredSheets) {
+      if (!ss.getSheetByName(sheetName)) {
+        ss.insertSheet(sheetName);
+        console.log(`➕ シート「${sheetName}」を新規作成しました`);
+      }
+    }
+
+    const endTime = new Date().getTime();
+    const duration = ((endTime - startTime) / 1000).toFixed(2);
+
+    console.log(`✅ 初期化完了: ${clearedCount}シートクリア, ${deletedCount}シート削除 (${duration}秒)`);
+
+    return {
+      success: true,
+      message: `初期化完了 (${duration}秒)${Snapshots.describe(snapshot)}`,
+      requireReload: true
+    };
+  } catch (error) {
+    console.error("initializeAllSheets: エラーが発生しました:", error);
+    logError('initializeAllSheets', error);
+    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  }
+}
+
+/**
+ * サイドバーを閉じる関数
+ */
+function closeSidebar() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const html = HtmlService.createHtmlOutput('<script>google.script.host.close();</script>')
+      .setWidth(0)
+      .setHeight(0);
+    
+    SpreadsheetApp.getUi().showModalDialog(html, '閉じています...');
+    return { success: true };
+  } catch (error) {
+    logError('closeSidebar', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * 重複リストシートを初期化する関数
+ * @return {Object} 処理結果
+ */
+function initializeDuplicatesSheet() {
+  return initializeSheet(EbayTool.getSheetName('DUPLICATES'));
+}
+
+/**
+ * エクスポートシートを初期化する関数
+ * @return {Object} 処理結果
+ */
+function initializeExportSheet() {
+  return initializeSheet(EbayTool.getSheetName('EXPORT'));
+}
+
+/**
+ * 特定のシートを初期化する関数
+ * @param {string} sheetName - 初期化するシートの名前
+ * @param {boolean} skipConfirmation - 確認ダイアログをスキップするかどうか
+ * @return {Object} 処理結果
+ */
+function initializeSheet(sheetName, skipConfirmation) {
+  return RunLock.run('シート初期化', () => initializeSheetImpl(sheetName, skipConfirmation));
+}
+
+/**
+ * initializeSheetの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function initializeSheetImpl(sheetName, skipConfirmation = false) {
+  try {
+    if (!skipConfirmation) {
+      const ui = SpreadsheetApp.getUi();
+      const response = ui.alert(
+        'シート初期化の確認',
+        `「${sheetName}」シートを初期化します。初期化前の状態はサイドバーの「元に戻す」から復元できます。続行しますか？`,
+        ui.ButtonSet.YES_NO
+      );
+      
+      if (response !== ui.Button.YES) {
+        return { success: false, message: '初期化をキャンセルしました。' };
+      }
+    }
+    
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    let sheet = ss.getSheetByName(sheetName);
+    
+    // シートが存在しない場合は新規作成
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+      console.log(`シート「${sheetName}」を新規作成しました`);
+      return { success: true, message: `シート「${sheetName}」を新規作成しました。` };
+    }
+    
+    const snapshot = Snapshots.take(ss, `シート初期化（${sheetName}）`, [sheet]);
+    
+    if (sheetName === EbayTool.getSheetName('LOG')) {
+      // ログシートは最後の10行だけ残す
+      const lastRow = sheet.getLastRow();
+      if (lastRow > EbayTool.getConfig().MAX_LOG_ROWS) {
+        sheet.deleteRows(1, lastRow - EbayTool.getConfig().MAX_LOG_ROWS);
+      }
+    } else {
+      // その他のシートは完全に削除して再作成（書式設定も含めて完全に初期化）
+      const sheetIndex = sheet.getIndex();
+      ss.deleteSheet(sheet);
+      sheet = ss.insertSheet(sheetName, sheetIndex - 1);
+      console.log(`シート「${sheetName}」を削除して再作成しました`);
+    }
+    
+    return { success: true, message: `シート「${sheetName}」を初期化しました。${Snapshots.describe(snapshot)}` };
+  } catch (error) {
+    logError('initializeSheet', error);
+    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  }
+}
+
+/**
+ * 実行ロックの状態を取得する関数（サイドバー用）
+ * @return {Object} 処理結果、実行中の処理（locked, lock）と管理者かどうか
+ */
+function getRunLockStatus() {
+  try {
+    const lock = RunLock.get();
+    return {
+      success: true,
+      locked: !!lock,
+      lock: lock ? { user: lock.user, operation: lock.operation, startedAt: lock.startedAt, since: RunLock.formatTime(lock.startedAt) } : null,
+      message: lock ? RunLock.formatMessage(lock) : '',
+      isAdmin: RunLock.isAdmin()
+    };
+  } catch (error) {
+    logError('getRunLockStatus', error, '実行ロックの確認中');
+    return { success: false, message: getFriendlyErrorMessage(error, '実行状況の確認に失敗しました。') };
+  }
+}
+
+/**
+ * 中断した実行のロックを解放する関数（サイドバーがアップロードや検証の途中で中止したとき用）
+ * @param {string} runToken - 実行のトークン
+ * @return {Object} 処理結果
+ */
+function releaseRunLock(runToken) {
+  try {
+    return { success: true, released: RunLock.releaseRun(runToken) };
+  } catch (error) {
+    logError('releaseRunLock', error, '実行ロックの解放中');
+    return { success: false, message: getFriendlyErrorMessage(error, '実行ロックの解放に失敗しました。') };
+  }
+}
+
+/**
+ * 実行ロックを強制解除する関数（管理者のみ、実行が途中で止まってロックが残った場合用）
+ * @return {Object} 処理結果
+ */
+function forceUnlockRun() {
+  try {
+    return RunLock.forceRelease();
+  } catch (error) {
+    logError('forceUnlockRun', error, '実行ロックの強制解除中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'ロックの強制解除に失敗しました。') };
+  }
+}
+
+/**
+ * 元に戻せるスナップショットの一覧を取得する関数（サイドバー用）
+ * @return {Object} 処理結果とスナップショット一覧（新しい順）
+ */
+function listSnapshots() {
+  try {
+    return { success: true, snapshots: Snapshots.list(SpreadsheetApp.getActiveSpreadsheet()) };
+  } catch (error) {
+    logError('listSnapshots', error, 'スナップショット一覧の取得中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'スナップショット一覧の取得に失敗しました。') };
+  }
+}
+
+/**
+ * スナップショットの状態にシートを戻す関数
+ * @param {string} snapshotId - スナップショットID
+ * @return {Object} 処理結果
+ */
+function restoreSnapshot(snapshotId) {
+  return RunLock.run('スナップショットの復元', () => restoreSnapshotImpl(snapshotId));
+}
+
+/**
+ * restoreSnapshotの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function restoreSnapshotImpl(snapshotId) {
+  try {
+    return Snapshots.restore(SpreadsheetApp.getActiveSpreadsheet(), snapshotId);
+  } catch (error) {
+    logError('restoreSnapshot', error, 'スナップショットの復元中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'スナップショットの復元に失敗しました。') };
+  }
+}
+
+/**
+ * スナップショットを削除する関数
+ * @param {string} snapshotId - スナップショットID
+ * @return {Object} 処理結果
+ */
+function deleteSnapshot(snapshotId) {
+  return RunLock.run('スナップショットの削除', () => deleteSnapshotImpl(snapshotId));
+}
+
+/**
+ * deleteSnapshotの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function deleteSnapshotImpl(snapshotId) {
+  try {
+    if (!Snapshots.remove(SpreadsheetApp.getActiveSpreadsheet(), snapshotId)) {
+      return { success: false, message: '指定したスナップショットが見つかりません。' };
+    }
+    return { success: true, message: 'スナップショットを削除しました。' };
+  } catch (error) {
+    logError('deleteSnapshot', error, 'スナップショットの削除中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'スナップショットの削除に失敗しました。') };
+  }
+}
+
+/**
+ * 重複タイトルを分析する関数（改良版）
+ * @return {Object} 処理結果
+ */
+function analyzeDuplicateTitles() {
+  return RunLock.run('重複分析', () => analyzeDuplicateTitlesImpl());
+}
+
+/**
+ * analyzeDuplicateTitlesの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function analyzeDuplicateTitlesImpl() {
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
+    
+    if (!duplicateSheet) {
+      return { success: false, message: '重複リストが見つかりません。先に重複検出を実行してください。' };
+    }
+    
+    // データを取得
+    const data = duplicateSheet.getDataRange().getValues();
+    if (data.length <= 1) {
+      // 重複データが0件の場合は正常完了として処理
+      return { 
+        success: true, 
+        message: '検出された重複: 0件。重複データはありませんでした。',
+        duplicateCount: 0,
+        analysisComplete: true
+      };
+    }
+    
+    // ヘッダーを取得
+    const headers = data[0];
+    
+    // 重要な列のインデックスを特定する（ヘッダーマッピングで解決）
+    const itemIdIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'itemId');     // 商品IDの列
+    let titleIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'title');         // 実際のタイトル（商品名）の列
+    let startDateIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'startDate'); // 開始日の列
+    const defaultMonthDay = 'その他'; // デフォルトの日付カテゴリ
+    
+    console.log(`列インデックス - タイトル: ${titleIndex}, 商品ID: ${itemIdIndex}, 開始日: ${startDateIndex}`);
+    
+    // 必要な列が見つからない場合の代替策
+    if (titleIndex === -1 && itemIdIndex !== -1) {
+      // タイトルが見つからないがIDがある場合は、ID以外の列を探す（多くの場合、商品名と思われる列）
+      for (let i = EbayTool.getConfig().DUPLICATE_META_COLUMNS.length; i < headers.length; i++) {
+        if (i !== itemIdIndex && i !== startDateIndex) {
+          // データの最初の数行をチェックして、テキストが含まれる列を探す
+          let hasText = false;
+          for (let j = 1; j < Math.min(data.length, 10); j++) {
+            if (data[j][i] && typeof data[j][i] === 'string' && data[j][i].length > 15) {
+              hasText = true;
+              break;
+            }
+          }
+          if (hasText) {
+            titleIndex = i;
+            console.log(`タイトル列が自動検出されました: ${i} (${headers[i]})`);
+            break;
+          }
+        }
+      }
+    }
+    
+    // 開始日が見つからない場合は、日付らしき列を探す
+    if (startDateIndex === -1) {
+      for (let i = 0; i < headers.length; i++) {
+        const header = String(headers[i]).toLowerCase();
+        if (header.includes('date') || header.includes('time')) {
+          // データの最初の数行をチェックして日付フォーマットかどうか確認
+          for (let j = 1; j < Math.min(data.length, 10); j++) {
+            const val = data[j][i];
+            if (val && !isNaN(new Date(val).getTime())) {
+              startDateIndex = i;
+              console.log(`日付列が自動検出されました: ${i} (${headers[i]})`);
+              break;
+            }
+          }
+          if (startDateIndex !== -1) break;
+        }
+      }
+    }
+    
+    // 分析シートを準備 - 完全に初期化してから使用する
+    let analysisSheet = ss.getSheetByName(EbayTool.getSheetName('ANALYSIS'));
+    if (!analysisSheet) {
+      analysisSheet = ss.insertSheet(EbayTool.getSheetName('ANALYSIS'));
+    } else {
+      // 分析シートを完全に初期化
+      initializeSheet(EbayTool.getSheetName('ANALYSIS'), true);
+      
+      // シートの参照を更新
+      analysisSheet = ss.getSheetByName(EbayTool.getSheetName('ANALYSIS'));
+    }
+    
+    // 分析タイトルを設定
+    const titleRange = analysisSheet.getRange(1, 1);
+    titleRange.setValue('eBay出品タイトル重複分析');
+    titleRange.setFontSize(14);
+    titleRange.setFontWeight('bold');
+    
+    // 説明を追加
+    const descRange = analysisSheet.getRange(2, 1);
+    descRange.setValue('このシートでは、重複回数ごとにeBay出品タイトルを分析しています。数字が大きいほど多く重複している項目です。');
+    descRange.setFontStyle('italic');
+    
+    // 日付を「月-日」形式に整形する関数
+    function formatMonthDay(date) {
+      try {
+        // 無効な日付をチェック
+        if (!date || isNaN(new Date(date).getTime())) {
+          return null; // 無効な日付はnullを返す
+        }
+        
+        const dateObj = new Date(date);
+        return `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
+      } catch (e) {
+        console.error("日付フォーマットエラー:", e, date);
+        return null;
+      }
+    }
+    
+    // タイトル＋日付ごとにカウントするマップを作成（処理の最適化）
+    const titleDateCountMap = new Map(); // key: 正規化タイトル, value: Map(日付, 件数)
+    const titleTotalCountMap = new Map(); // key: 正規化タイトル, value: 重複回数
+    const titleDisplayMap = new Map(); // key: 正規化タイトル, value: 表示用タイトル
+    
+    // 重複検出の後に絞り込んだ場合も、除外マークの付いた出品は分析しない
+    const excludedItemIds = itemIdIndex !== -1
+      ? FilterMarks.getExcludedItemIds(ss.getSheetByName(EbayTool.getSheetName('IMPORT')))
+      : new Set();
+    
+    // データ処理を最適化（単一ループで処理）
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      if (!row[0]) continue; // 空行はスキップ
+      if (excludedItemIds.has(String(row[itemIdIndex]).trim())) continue;
+      
+      let displayTitle = titleIndex !== -1 ? String(row[titleIndex] || '') : '';
+      
+      // 表示用タイトルが見つからない場合の対応
+      if (!displayTitle || displayTitle.trim() === '' || /^\d+$/.test(displayTitle)) {
+        for (let j = 0; j < row.length; j++) {
+          if (j === itemIdIndex || j === startDateIndex) continue;
+          const cellValue = String(row[j] || '');
+          if (cellValue.length > 10 && !/^\d+$/.test(cellValue)) {
+            displayTitle = cellValue;
+            if (titleIndex === -1) titleIndex = j;
+            break;
+          }
+        }
+      }
+      
+      if (!displayTitle || displayTitle.trim() === '') continue;
+      
+      // タイトルの正規化 - 効率化のためにオプションを無効化
+      const normalizedTitle = EbayTool.TextAnalyzer.normalizeTitle(displayTitle, false);
+      
+      // 表示用タイトルを保存（最初に出現したもの）
+      if (!titleDisplayMap.has(normalizedTitle)) {
+        titleDisplayMap.set(normalizedTitle, displayTitle);
+      }
+      
+      // 日付処理 - シンプル化して効率アップ
+      let monthDay = 'その他';
+      if (startDateIndex !== -1) {
+        const dateValue = row[startDateIndex];
+        if (dateValue) {
+          if (typeof dateValue === 'string' && /^\d{2}-\d{2}$/.test(dateValue.trim())) {
+            monthDay = dateValue.trim();
+          } else {
+            try {
+              const dateObj = new Date(dateValue);
+              if (!isNaN(dateObj.getTime())) {
+                monthDay = `${String(dateObj.getMonth() + 1).padStart(2, '0')}-${String(dateObj.getDate()).padStart(2, '0')}`;
+              }
+            } catch (e) {
+              // エラー時はデフォルト値を使用
+            }
+          }
+        }
+      }
+      
+      // タイトル＋日付でカウント - Mapの操作を最適化
+      if (!titleDateCountMap.has(normalizedTitle)) {
+        titleDateCountMap.set(normalizedTitle, new Map());
+      }
+      const dateMap = titleDateCountMap.get(normalizedTitle);
+      dateMap.set(monthDay, (dateMap.get(monthDay) || 0) + 1);
+      
+      // タイトルごとの合計件数
+      titleTotalCountMap.set(normalizedTitle, (titleTotalCountMap.get(normalizedTitle) || 0) + 1);
+    }
+    
+    // 重複回数ごとにタイトルを分類（1件のみは除外）- Map操作を最適化
+    const duplicateCountTitlesMap = new Map();
+    for (const [normalizedTitle, count] of titleTotalCountMap.entries()) {
+      if (count <= 1) continue; // 重複がない場合はスキップ
+      
+      if (!duplicateCountTitlesMap.has(count)) {
+        duplicateCountTitlesMap.set(count, []);
+      }
+      duplicateCountTitlesMap.get(count).push(normalizedTitle);
+    }
+    
+    // 日付リストの生成を最適化
+    const allMonthDays = new Set();
+    for (const dateMap of titleDateCountMap.values()) {
+      for (const monthDay of dateMap.keys()) {
+        allMonthDays.add(monthDay);
+      }
+    }
+    
+    // 日付がない場合のデフォルト処理
+    if (allMonthDays.size === 0) {
+      allMonthDays.add(defaultMonthDay);
+    }
+    
+    // 日付のソート処理を最適化
+    const otherCategory = allMonthDays.has('その他') ? ['その他'] : [];
+    const dateDays = Array.from(allMonthDays)
+      .filter(day => day !== 'その他')
+      .sort();
+    const sortedMonthDays = [...dateDays, ...otherCategory];
+    
+    // ピボットテーブル生成部を最適化
+    let currentRowOffset = 3;
+    const duplicateCounts = Array.from(duplicateCountTitlesMap.keys()).sort((a, b) => b - a);
+    
+    // 書式設定のバッチ処理用の配列
+    let formattingBatches = [];
+    
+    // 各重複回数ごとの処理
+    for (const count of duplicateCounts) {
+      const titles = duplicateCountTitlesMap.get(count) || [];
+      
+      // タイトル行の設定
+      const titleCell = analysisSheet.getRange(currentRowOffset, 1);
+      titleCell.setValue(`重複回数 ${count} のピボットテーブル：`);
+      titleCell.setFontWeight('bold');
+      currentRowOffset += 1;
+      
+      // ヘッダー行の設定
+      const pivotHeaders = ['タイトル'].concat(sortedMonthDays);
+      const pivotHeaderRange = analysisSheet.getRange(currentRowOffset, 1, 1, pivotHeaders.length);
+      pivotHeaderRange.setValues([pivotHeaders]);
+      
+      // ヘッダー行の書式設定をバッチで適用
+      pivotHeaderRange.setBackground('#0F9D58')
+                      .setFontColor('white')
+                      .setFontWeight('bold');
+      
+      // データがない場合のスキップ処理を追加
+      if (titles.length === 0) {
+        analysisSheet.getRange(currentRowOffset + 1, 1, 1, pivotHeaders.length)
+          .setValues([['データなし'].concat(Array(sortedMonthDays.length).fill(0))]);
+        currentRowOffset += 3;
+        
+        // 少し遅延を入れてスプレッドシートの内部処理がキャッチアップできるようにする
+        Utilities.sleep(50);
+        continue;
+      }
+      
+      // ピボットテーブルのデータを作成
+      const pivotData = [];
+      const cellFormattingData = []; // セルの書式設定情報を保存
+      
+      // 各タイトルのデータ行を構築
+      for (const normalizedTitle of titles) {
+        const row = [titleDisplayMap.get(normalizedTitle)];
+        const dateMap = titleDateCountMap.get(normalizedTitle) || new Map();
+        
+        // 各日付の値を構築
+        for (let j = 0; j < sortedMonthDays.length; j++) {
+          const monthDay = sortedMonthDays[j];
+          const value = dateMap.get(monthDay) || 0;
+          row.push(value);
+          
+          // 書式設定が必要なセルの情報を保存
+          if (value > 0) {
+            cellFormattingData.push({
+              rowIdx: pivotData.length,
+              colIdx: j + 1,
+              value: value
+            });
+          }
+        }
+        
+        pivotData.push(row);
+      }
+      
+      // データをシートに書き込み
+      if (pivotData.length > 0) {
+        const pivotDataRange = analysisSheet.getRange(
+          currentRowOffset + 1, 
+          1, 
+          pivotData.length, 
+          pivotHeaders.length
+        );
+        pivotDataRange.setValues(pivotData);
+        
+        // 行の背景色を交互に設定 - バッチ処理
+        for (let i = 0; i < pivotData.length; i++) {
+          const rowRange = analysisSheet.getRange(
+            currentRowOffset + 1 + i, 
+            1, 
+            1, 
+            pivotHeaders.length
+          );
+          
+          // 奇数/偶数行で背景色を変える
+          rowRange.setBackground(i % 2 === 0 ? '#E0F2F1' : '#E8F5E9');
+        }
+        
+        // セルの書式設定をバッチ処理
+        const batchSize = 20; // バッチサイズを制限
+        for (let i = 0; i < cellFormattingData.length; i += batchSize) {
+          const batch = cellFormattingData.slice(i, i + batchSize);
+          
+          // 各セルの書式設定を適用
+          batch.forEach(item => {
+            const cell = analysisSheet.getRange(
+              currentRowOffset + 1 + item.rowIdx, 
+              item.colIdx + 1
+            );
+            
+            // 値に応じて書式設定
+            if (item.value >= 3) {
+              cell.setBackground('#DB4437').setFontColor('white');
+            } else if (item.value >= 2) {
+              cell.setBackground('#F4B400');
+            } else {
+              cell.setBackground('#0F9D58').setFontColor('white');
+            }
+          });
+          
+          // 大きなバッチの場合は少し遅延を入れる
+          if (batch.length > 5) {
+            Utilities.sleep(50);
+          }
+        }
+      }
+      
+      // 列幅を自動調整
+      analysisSheet.autoResizeColumn(1);
+      
+      // 次のテーブルのための間隔
+      currentRowOffset += pivotData.length + 3;
+      
+      // 大きなテーブル後は少し遅延を入れる
+      if (pivotData.length > 10) {
+        Utilities.sleep(100);
+      }
+    }
+    
+    // 最終的なフォーマット調整（列幅の一括自動調整）
+    try {
+      analysisSheet.autoResizeColumns(1, sortedMonthDays.length + 1);
+    } catch (e) {
+      console.error("列幅自動調整エラー:", e);
+      // エラーが発生しても続行
+    }
+    
+    // 先頭行を固定
+    analysisSheet.setFrozenRows(1);
+    analysisSheet.activate();
+    
+    return {
+      success: true,
+      message: `分析が完了しました。${duplicateCountTitlesMap.size}種類の重複タイトルパターンを検出しました。`,
+      uniqueTitles: duplicateCountTitlesMap.size,
+      duplicatePatterns: duplicateCounts.length
+    };
+  } catch (error) {
+    logError('analyzeDuplicateTitles', error);
+    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  }
+}
+
+/**
+ * インポートシートのフォーマットを整える関数（シンプル化バージョン）
+ * @param {Sheet} sheet - フォーマットするシート
+ */
+function formatImportSheet(sheet) {
+  const lastRow = sheet.getLastRow();
+  const lastCol = sheet.getLastColumn();
+  
+  if (lastRow < 1) return; // データがない場合は何もしない
+  
+  // ヘッダー行の書式設定
+  EbayTool.UI.formatSheetHeader(sheet.getRange(1, 1, 1, lastCol));
+  
+  // 先頭行を固定
+  sheet.setFrozenRows(1);
+  
+  if (lastRow > 1) {
+    // データ行の基本的な書式設定
+    sheet.getRange(2, 1, lastRow - 1, lastCol).setVerticalAlignment("middle");
+    
+    // 列の自動サイズ調整（最初の10列のみ）
+    const colsToResize = Math.min(lastCol, 10);
+    sheet.autoResizeColumns(1, colsToResize);
+  }
+}
+
+/**
+ * エクスポート用CSVを生成する関数（軽量化バージョン）
+ * @return {Object} 処理結果
+ */
+function generateExportCsv(mode) {
+  return RunLock.run('エクスポート', () => generateExportCsvImpl(mode));
+}
+
+/**
+ * generateExportCsvの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function generateExportCsvImpl(mode = null) {
+  try {
+    const exportMode = mode || ToolSettings.get().exportMode;
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const duplicateSheet = ss.getSheetByName(EbayTool.getSheetName('DUPLICATES'));
+    
+    if (!duplicateSheet) {
+      return { success: false, message: '重複リストが見つかりません。先に重複検出を実行してください。' };
+    }
+    
+    // ヘッダーのみ取得
+    const headers = duplicateSheet.getRange(1, 1, 1, duplicateSheet.getLastColumn()).getValues()[0];
+    
+    // 必要なカラムのインデックスを探す
+    const actionIndex = headers.indexOf('処理');
+    const itemIdIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'itemId');
+    
+    if (actionIndex === -1 || itemIdIndex === -1) {
+      return { success: false, message: '必須カラム(処理, Item ID)が見つかりません。' };
+    }
+
+    // EndCode列（旧形式の重複リストにはないため、その場合は既定値を使う）
+    const endCodeIndex = headers.indexOf('EndCode');
+    const defaultEndCode = ToolSettings.get().defaultEndCode || EndCodes.DEFAULT;
+    
+    // データを効率的に取得（フィルター適用後、該当行のみ）
+    const lastRow = duplicateSheet.getLastRow();
+    if (lastRow <= 1) {
+      // 終了対象のアイテムが0件の場合は正常完了として処理
+      return { 
+        success: true, 
+        message: '終了対象のアイテム: 0件。"終了"指定されたアイテムはありませんでした。',
+        itemCount: 0,
+        data: [],
+        fileName: getExportFileName(exportMode)
+      };
+    }
+    
+    // 処理カラムの値を取得
+    const actionValues = duplicateSheet.getRange(2, actionIndex + 1, lastRow - 1, 1).getValues();
+    const itemIdValues = duplicateSheet.getRange(2, itemIdIndex + 1, lastRow - 1, 1).getValues();
+    const endCodeValues = endCodeIndex !== -1
+      ? duplicateSheet.getRange(2, endCodeIndex + 1, lastRow - 1, 1).getValues()
+      : null;
+    // 複数アカウントを結合したデータの場合は、終了対象のアカウントを集計する
+    const accountIndex = headers.indexOf(ImportMerger.ACCOUNT_COLUMN);
+    const accountValues = accountIndex !== -1
+      ? duplicateSheet.getRange(2, accountIndex + 1, lastRow - 1, 1).getValues()
+      : null;
+    const endAccounts = [];
+    
+    // 終了対象のアイテムを抽出（バッチ処理）- EndCode列を追加
+    const exportData = [];
+
+    // デバッグ情報を出力
+    console.log(`*** generateExportCsv デバッグ ***`);
+    console.log(`処理列インデックス: ${actionIndex}, ItemID列インデックス: ${itemIdIndex}`);
+    console.log(`データ行数: ${actionValues.length}`);
+    console.log(`最初の5行の処理値:`, actionValues.slice(0, 5).map(row => `"${row[0]}"`));
+
+    let endCount = 0;
+    const reviewItemIds = new Set(); // 要確認として除外したアイテム
+    const exportedItemIds = new Set(); // バリエーション出品は同じItem IDが複数行に現れるため重複を除く
+    // Endは出品全体を終了するため、別の行（バリエーション）が残す・要確認のItem IDは終了しない
+    const keptItemIds = new Set();
+    actionValues.forEach((row, i) => {
+      if ((row[0] === '残す' || row[0] === '要確認') && itemIdValues[i][0]) keptItemIds.add(String(itemIdValues[i][0]));
+    });
+    const conflictItemIds = new Set();
+    // 重複検出の後に絞り込んだ場合も、除外マークの付いた出品は終了しない
+    const filteredItemIds = FilterMarks.getExcludedItemIds(ss.getSheetByName(EbayTool.getSheetName('IMPORT')));
+    const skippedFilteredIds = new Set();
+    for (let i = 0; i < actionValues.length; i++) {
+      const actionValue = actionValues[i][0];
+      const itemIdValue = itemIdValues[i][0];
+
+      if (actionValue === '終了' && itemIdValue && filteredItemIds.has(String(itemIdValue).trim())) {
+        skippedFilteredIds.add(String(itemIdValue).trim());
+      } else if (actionValue === '終了' && itemIdValue && keptItemIds.has(String(itemIdValue))) {
+        conflictItemIds.add(String(itemIdValue));
+      } else if (actionValue === '終了' && itemIdValue && !exportedItemIds.has(String(itemIdValue))) {
+        const endCode = endCodeValues ? String(endCodeValues[i][0]).trim() || defaultEndCode : defaultEndCode;
+        if (!EndCodes.VALID.includes(endCode)) {
+          return {
+            success: false,
+            message: `重複リストの${i + 2}行目（ItemID: ${itemIdValue}）のEndCode「${endCode}」は無効です。使用できる値: ${EndCodes.VALID.join(', ')}`
+          };
+        }
+        exportedItemIds.add(String(itemIdValue));
+        exportData.push(['End', itemIdValue, endCode]);
+        endCount++;
+        const account = accountValues ? String(accountValues[i][0]).trim() : '';
+        if (account && !endAccounts.includes(account)) endAccounts.push(account);
+      } else if (actionValue === '要確認' && itemIdValue) {
+        reviewItemIds.add(String(itemIdValue));
+      }
+
+      // 最初の10行をデバッグ出力
+      if (i < 10) {
+        console.log(`行${i+2}: 処理="${actionValue}" ItemID="${itemIdValue}" 判定=${actionValue === '終了' && itemIdValue ? 'エクスポート対象' : 'スキップ'}`);
+      }
+    }
+
+    const excludedCount = reviewItemIds.size;
+    const conflictIds = Array.from(conflictItemIds);
+    let excludedMessage = (excludedCount > 0 ? `（要確認の${excludedCount}件は除外しました）` : '') +
+      (conflictIds.length > 0 ? `（別のバリエーションが残す・要確認のため、終了しなかった出品が${conflictIds.length}件あります: ${conflictIds.join('、')}）` : '') +
+      (skippedFilteredIds.size > 0 ? `（絞り込みで除外した${skippedFilteredIds.size}件は対象外にしました）` : '') +
+      (endAccounts.length > 1 ? `（${endAccounts.length}アカウントの出品を含みます。File Exchangeへはアカウントごとに分けてアップロードしてください: ${endAccounts.join('、')}）` : '');
+    console.log(`終了対象として抽出されたアイテム数: ${endCount}, 要確認で除外: ${excludedCount}, バリエーションの競合で除外: ${conflictIds.length}`);
+    console.log(`*** generateExportCsv デバッグ終了 ***`);
+    
+    if (exportData.length === 0) {
+      // 終了対象のアイテムが0件の場合は正常完了として処理
+      return { 
+        success: true, 
+        message: `終了対象のアイテム: 0件。"終了"指定されたアイテムはありませんでした。${excludedMessage}`,
+        itemCount: 0,
+        excludedCount: excludedCount,
+        conflictItemIds: conflictIds,
+        data: [],
+        fileName: getExportFileName(exportMode)
+      };
+    }
+
+    // 数量統合モード: 残す出品の在庫数を増やすRevise行を先頭に追加
+    let consolidation = null;
+    if (exportMode === 'consolidate') {
+      const duplicateValues = duplicateSheet.getRange(2, 1, lastRow - 1, headers.length).getValues();
+      consolidation = buildQuantityConsolidation(duplicateValues, headers, actionIndex, itemIdIndex, exportedItemIds);
+      if (!consolidation.success) {
+        return consolidation;
+      }
+      // 在庫を統合できない出品は終了すると在庫が失われるため、End行を出さずに報告する
+      const heldIds = consolidation.heldItemIds;
+      if (heldIds.length > 0) {
+        for (let i = exportData.length - 1; i >= 0; i--) {
+          if (heldIds.includes(String(exportData[i][1]))) exportData.splice(i, 1);
+        }
+        endCount = exportData.length;
+        excludedMessage += `（在庫を統合できないため終了しなかった出品が${heldIds.length}件あります: ${heldIds.join('、')}）`;
+      }
+      exportData.forEach(row => row.push(''));
+      exportData.unshift(...consolidation.reviseRows);
+      if (exportData.length === 0) {
+        return {
+          success: true,
+          message: `終了対象のアイテム: 0件。${excludedMessage}`,
+          itemCount: 0,
+          excludedCount: excludedCount,
+          conflictItemIds: conflictIds,
+          heldItemIds: heldIds,
+          data: [],
+          fileName: getExportFileName(exportMode)
+        };
+      }
+    }
+    
+    // エクスポートシートを準備
+    let exportSheet = ss.getSheetByName(EbayTool.getSheetName('EXPORT'));
+    if (!exportSheet) {
+      exportSheet = ss.insertSheet(EbayTool.getSheetName('EXPORT'));
+    } else {
+      exportSheet.clear();
+    }
+    
+    // ヘッダーを設定 - EndCode列を追加（数量統合モードはQuantity列も追加）
+    const exportHeaders = consolidation ? ['Action', 'ItemID', 'EndCode', 'Quantity'] : ['Action', 'ItemID', 'EndCode'];
+    exportSheet.getRange(1, 1, 1, exportHeaders.length).setValues([exportHeaders]);
+    
+    // データを書き込み
+    exportSheet.getRange(2, 1, exportData.length, exportHeaders.length).setValues(exportData);
+    
+    // ヘッダー行の書式設定
+    exportSheet.getRange(1, 1, 1, exportHeaders.length)
+      .setBackground(EbayTool.getColor('PRIMARY'))
+      .setFontColor('white')
+      .setFontWeight('bold');
+
+    // 数量統合のプレビューをCSV列の右側（1列空けて）に表示。CSVには含まれない
+    if (consolidation) {
+      const preview = consolidation.previewRows;
+      exportSheet.getRange(1, exportHeaders.length + 2, preview.length, preview[0].length).setValues(preview);
+      exportSheet.getRange(1, exportHeaders.length + 2).setFontWeight('bold');
+    }
+    
+    const message = consolidation
+      ? `${consolidation.totals.reviseCount}件の出品に在庫${consolidation.totals.movedQuantity}個を統合し、${endCount}件のアイテムを終了対象としてエクスポートしました。${excludedMessage}`
+      : `${exportData.length}件のアイテムを終了対象としてエクスポートしました。${excludedMessage}`;
+
+    return { 
+      success: true, 
+      message: message,
+      itemCount: endCount,
+      reviseCount: consolidation ? consolidation.totals.reviseCount : 0,
+      excludedCount: excludedCount,
+      conflictItemIds: conflictIds,
+      data: readExportCsvRows(exportSheet),
+      fileName: getExportFileName(exportMode)
+    };
+  } catch (error) {
+    logError('generateExportCsv', error);
+    return { success: false, message: `エラーが発生しました: ${error.message}` };
+  }
+}
+
+/**
+ * 数量統合モードのRevise行とプレビューを作成するヘルパー関数
+ * 各グループの「終了」アイテムの在庫数を「残す」アイテムに加算する
+ * 要確認のアイテムは出品が残るため加算せず、バリエーション出品は数量をまとめて変更できないため統合しない
+ * 統合できないグループの終了アイテムはheldItemIdsで返し、End行から外す（終了すると在庫が失われるため）
+ * @param {Array} values - 重複リストのデータ（ヘッダー行を除く）
+ * @param {Array} headers - 重複リストのヘッダー
+ * @param {number} actionIndex - 処理列のインデックス
+ * @param {number} itemIdIndex - ItemID列のインデックス
+ * @param {Set} endItemIds - End行として出力するItemID
+ * @return {Object} { success, reviseRows, previewRows, totals, heldItemIds }
+ */
+function buildQuantityConsolidation(values, headers, actionIndex, itemIdIndex, endItemIds) {
+  const metaColumns = EbayTool.getConfig().DUPLICATE_META_COLUMNS;
+  const groupIndex = headers.indexOf(metaColumns[0]);
+  const variationIndex = headers.indexOf('バリエーション');
+  const quantityIndex = HeaderMapping.getDuplicateSheetIndex(headers, 'quantity');
+  if (quantityIndex === -1) {
+    return { success: false, message: '数量統合には在庫数の列（Available quantity）が必要です。' };
+  }
+
+  const toQuantity = value => {
+    const quantity = parseInt(String(value).replace(/[^0-9\-]/g, ''), 10);
+    return isNaN(quantity) || quantity < 0 ? 0 : quantity;
+  };
+
+  // グループごとに残す行と終了行をまとめる（重複リストの並び順を維持）
+  const groups = {};
+  const groupOrder = [];
+  values.forEach(row => {
+    const groupId = row[groupIndex];
+    if (!groupId) return; // 区切り行
+    if (!groups[groupId]) {
+      groups[groupId] = { kept: null, ended: [] };
+      groupOrder.push(groupId);
+    }
+    if (row[actionIndex] === '残す') groups[groupId].kept = row;
+    if (row[actionIndex] === '終了') groups[groupId].ended.push(row);
+  });
+
+  const reviseRows = [];
+  const detailRows = [];
+  const totals = { reviseCount: 0, endCount: 0, movedQuantity: 0 };
+  const heldItemIds = [];
+
+  groupOrder.forEach(groupId => {
+    const { kept, ended } = groups[groupId];
+    if (!kept || ended.length === 0) return;
+
+    const keptId = String(kept[itemIdIndex]);
+    const endedRows = ended.filter(row => String(row[itemIdIndex]) !== keptId && endItemIds.has(String(row[itemIdIndex])));
+    const currentQuantity = toQuantity(kept[quantityIndex]);
+    const addedQuantity = endedRows.reduce((sum, row) => sum + toQuantity(row[quantityIndex]), 0);
+
+    let note = '';
+    const held = variationIndex !== -1 && !!kept[variationIndex];
+    if (held) {
+      note = 'バリエーション出品のため数量は統合せず、終了もしません（要確認）';
+      endedRows.forEach(row => {
+        const id = String(row[itemIdIndex]);
+        if (!heldItemIds.includes(id)) heldItemIds.push(id);
+      });
+    } else if (addedQuantity === 0) {
+      note = '追加する在庫がありません';
+    } else {
+      reviseRows.push(['Revise', kept[itemIdIndex], '', currentQuantity + addedQuantity]);
+      totals.reviseCount++;
+      totals.movedQuantity += addedQuantity;
+    }
+
+    const endedCount = held ? 0 : endedRows.length;
+    totals.endCount += endedCount;
+    detailRows.push([groupId, kept[itemIdIndex], currentQuantity, note ? 0 : addedQuantity,
+      note ? currentQuantity : currentQuantity + addedQuantity, endedCount, note]);
+  });
+
+  const width = 7;
+  const pad = row => row.concat(new Array(width - row.length).fill(''));
+  const previewRows = [
+    pad(['数量統合プレビュー']),
+    pad(['Revise（在庫を増やす出品）', totals.reviseCount]),
+    pad(['End（終了する出品）', totals.endCount]),
+    pad(['統合する在庫数', totals.movedQuantity]),
+    pad([]),
+    ['グループID', '残すItemID', '現在の数量', '追加する数量', '統合後の数量', '終了件数', '備考']
+  ].concat(detailRows);
+
+  console.log(`数量統合: Revise ${totals.reviseCount}件, 在庫${totals.movedQuantity}個を統合`);
+  return { success: true, reviseRows: reviseRows, previewRows: previewRows, totals: totals, heldItemIds: heldItemIds };
+}
+
+/**
+ * エクスポートシートからCSVとして出力する範囲だけを読み取る関数
+ * CSV列の右側にあるプレビューは含めない
+ * @param {Sheet} exportSheet - エクスポートシート
+ * @return {Array} CSVデータの2次元配列（ヘッダー行を含む）
+ */
+function readExportCsvRows(exportSheet) {
+  const lastRow = exportSheet.getLastRow();
+  if (lastRow < 1) return [];
+
+  const headers = exportSheet.getRange(1, 1, 1, exportSheet.getLastColumn()).getValues()[0];
+  const width = headers.indexOf('') === -1 ? headers.length : headers.indexOf('');
+  return exportSheet.getRange(1, 1, lastRow, width).getValues()
+    .filter((row, i) => i === 0 || row[0] !== '');
+}
+
+/**
+ * エクスポートモードに応じたCSVファイル名を返す関数
+ * @param {string} exportMode - 'end' または 'consolidate'
+ * @return {string} ファイル名
+ */
+function getExportFileName(exportMode) {
+  const prefix = exportMode === 'consolidate' ? 'ebay_consolidate_items' : 'ebay_end_items';
+  return `${prefix}_${new Date().toISOString().substr(0, 10)}.csv`;
+}
+
+/**
+ * スクリプトプロパティの権限をチェックする関数
+ * @return {boolean} 権限があるかどうか
+ */
+function checkScriptPropertiesPermission() {
+  try {
+    const scriptProperties = PropertiesService.getScriptProperties();
+    scriptProperties.getProperty('__permission_test__');
+    return true;
+  } catch (error) {
+    console.warn('スクリプトプロパティへのアクセス権限がありません:', error.toString());
+    return false;
+  }
+}
+
+/**
+ * 一時ファイルを削除する関数
+ */
+function deleteTemporaryFile() {
+  try {
+    // 権限チェック
+    if (!checkScriptPropertiesPermission()) {
+      console.log('一時ファイル削除: スクリプトプロパティの権限がないため、削除処理をスキップします');
+      return;
+    }
+    
+    const fileId = PropertiesService.getScriptProperties().getProperty('TEMP_FILE_ID');
+    if (fileId) {
+      const file = DriveApp.getFileById(fileId);
+      file.setTrashed(true);
+      PropertiesService.getScriptProperties().deleteProperty('TEMP_FILE_ID');
+    }
+  } catch (error) {
+    logError('deleteTemporaryFile', error);
+  }
+}
+
+/**
+ * サイドバーを再読み込みする関数（高速化バージョン）
+ * @return {Object} 処理結果
+ */
+function reloadSidebar() {
+  try {
+    console.log("サイドバーの再読み込みを実行します");
+    
+    // 最新のHTMLを使用して直接サイドバーを再表示
+    const html = HtmlService.createHtmlOutputFromFile('Sidebar')
+      .setTitle('eBay出品管理ツール')
+      .setWidth(400);
+    
+    SpreadsheetApp.getUi().showSidebar(html);
+    
+    return { success: true };
+  } catch (error) {
+    console.error("サイドバー再読み込みエラー:", error);
+    logError('reloadSidebar', error);
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * インポートからエクスポートまでを自動処理する関数
+ * @param {string} csvData - CSVファイルの内容
+ * @param {string} encoding - クライアントで判定・使用した文字コード
+ * @return {Object} 処理結果
+ */
+function autoProcessEbayData(csvData, encoding) {
+  return RunLock.run('自動処理', () => autoProcessEbayDataImpl(csvData, encoding));
+}
+
+/**
+ * autoProcessEbayDataの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function autoProcessEbayDataImpl(csvData, encoding = '') {
+  // 結果オブジェクトの初期化
+  const result = {
+    success: false,
+    steps: [],
+    currentStep: '',
+    error: null,
+    finalMessage: '',
+    stats: {},
+    startTime: new Date().getTime()
+  };
+  
+  try {
+    // ステップ1: CSVインポート
+    result.currentStep = 'import';
+    console.log("自動処理: CSVインポート開始");
+    
+    // CSVの行数を概算して進捗状況に表示
+    const estimatedRows = csvData.split('\n').length;
+    result.stats.estimatedRows = estimatedRows;
+    result.stats.importProgress = "CSVデータを解析中... (推定 " + estimatedRows + " 行)";
+    
+    const importResult = importCsvData(csvData, encoding);
+    result.steps.push({
+      name: 'import',
+      success: importResult.success,
+      message: importResult.message,
+      progressDetail: `${importResult.rowCount || 0}件のデータをインポートしました`
+    });
+    
+    if (!importResult.success) {
+      result.error = {
+        step: 'import',
+        message: importResult.message,
+        details: importResult.isFormatError ? importResult.formatDetails : null
+      };
+      result.finalMessage = "CSVインポートに失敗したため、処理を中止しました。";
+      // ログを記録
+      logAutoProcess('自動処理（インポート失敗）', result);
+      return result;
+    }
+    
+    // インポート成功時の統計情報を保存
+    if (importResult.rowCount) {
+      result.stats.importedRows = importResult.rowCount;
+    }
+    
+    // 少し遅延を入れてスプレッドシートに反映される時間を確保
+    // データ量に応じて遅延時間を調整
+    const delayAfterImport = Math.min(800, Math.max(300, Math.floor(estimatedRows / 30)));
+    console.log(`インポート後の遅延: ${delayAfterImport}ms`);
+    Utilities.sleep(delayAfterImport);
+    
+    // ステップ2: 重複検出
+    result.currentStep = 'detect';
+    console.log("自動処理: 重複検出開始");
+    result.stats.detectProgress = `${result.stats.importedRows || 0}件のデータから重複を検索中...`;
+    
+    const detectResult = detectDuplicates();
+    result.steps.push({
+      name: 'detect',
+      success: detectResult.success,
+      message: detectResult.message,
+      progressDetail: detectResult.success ? 
+        `${detectResult.duplicateGroups || 0}件の重複グループを検出しました` : 
+        '重複検出に失敗しました'
+    });
+    
+    if (!detectResult.success) {
+      result.error = {
+        step: 'detect',
+        message: detectResult.message
+      };
+      result.finalMessage = "重複検出に失敗したため、処理を中止しました。";
+      // ログを記録
+      logAutoProcess('自動処理（重複検出失敗）', result);
+      return result;
+    }
+    
+    // 重複検出成功時の統計情報を保存
+    if (detectResult.duplicateGroups) {
+      result.stats.duplicateGroups = detectResult.duplicateGroups;
+      result.stats.duplicateItems = detectResult.duplicateItems;
+    }
+    
+    // 少し遅延を入れてスプレッドシートに反映される時間を確保
+    // 重複グループの数に応じて遅延時間を調整
+    const duplicateGroups = detectResult.duplicateGroups || 0;
+    const delayAfterDetect = Math.min(800, Math.max(300, duplicateGroups * 5));
+    console.log(`重複検出後の遅延: ${delayAfterDetect}ms`);
+    Utilities.sleep(delayAfterDetect);
+    
+    // ステップ3: 分析の実行
+    result.currentStep = 'analyze';
+    console.log("自動処理: 分析開始");
+    result.stats.analyzeProgress = `${result.stats.duplicateGroups || 0}件の重複グループを分析中...`;
+    
+    // 分析シートを削除して再作成（完全に初期化）
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const analysisSheetName = EbayTool.getSheetName('ANALYSIS');
+      let analysisSheet = ss.getSheetByName(analysisSheetName);
+      
+      if (analysisSheet) {
+        console.log("分析前に分析シートを完全に初期化します");
+        // シートを削除して再作成
+        const sheetIndex = analysisSheet.getIndex();
+        ss.deleteSheet(analysisSheet);
+        ss.insertSheet(analysisSheetName, sheetIndex - 1);
+      }
+    } catch (e) {
+      console.error("分析シート初期化エラー:", e);
+      // エラーが発生しても処理は続行
+    }
+    
+    const analyzeResult = analyzeDuplicateTitles();
+    result.steps.push({
+      name: 'analyze',
+      success: analyzeResult.success,
+      message: analyzeResult.message,
+      progressDetail: analyzeResult.success ? 
+        `${analyzeResult.uniqueTitles || 0}種類の重複パターンを分析しました` : 
+        '分析に失敗しました'
+    });
+    
+    // 分析は失敗しても処理を続行（オプション機能として扱う）
+    if (analyzeResult.success) {
+      result.stats.uniqueTitles = analyzeResult.uniqueTitles;
+      result.stats.duplicatePatterns = analyzeResult.duplicatePatterns;
+    }
+    
+    // 少し遅延を入れてスプレッドシートに反映される時間を確保
+    // 分析後は固定の短い遅延で十分
+    Utilities.sleep(500);
+    
+    // ステップ4: CSVエクスポート
+    result.currentStep = 'export';
+    console.log("自動処理: CSVエクスポート開始");
+    result.stats.exportProgress = `${result.stats.duplicateGroups || 0}件の重複グループからCSVを生成中...`;
+    
+    const exportResult = generateExportCsv();
+    result.steps.push({
+      name: 'export',
+      success: exportResult.success,
+      message: exportResult.message,
+      progressDetail: exportResult.success ? 
+        `${exportResult.itemCount || 0}件のアイテムをエクスポートしました${exportResult.excludedCount ? `（要確認${exportResult.excludedCount}件を除外）` : ''}` : 
+        'エクスポート処理に失敗しました'
+    });
+    
+    if (!exportResult.success) {
+      result.error = {
+        step: 'export',
+        message: exportResult.message
+      };
+      result.finalMessage = "CSVエクスポートに失敗したため、処理を中止しました。";
+      // ログを記録
+      logAutoProcess('自動処理（エクスポート失敗）', result);
+      return result;
+    }
+    
+    // エクスポート成功時の統計情報を保存
+    if (exportResult.itemCount) {
+      result.stats.exportCount = exportResult.itemCount;
+    }
+    result.stats.excludedCount = exportResult.excludedCount || 0;
+    
+    // 全ステップが成功
+    result.success = true;
+    result.endTime = new Date().getTime();
+    result.processingTime = (result.endTime - result.startTime) / 1000; // 秒単位
+    
+    // 分析結果も含めたメッセージ
+    const analyzeMessage = analyzeResult.success ? 
+      `${result.stats.uniqueTitles || 0}種類の重複パターンを分析し、` : '';
+    
+    // 重複数に応じたメッセージ生成
+    const duplicateCount = result.stats.duplicateGroups || 0;
+    const exportCount = result.stats.exportCount || 0;
+    const excludedMessage = result.stats.excludedCount > 0 ? `（要確認の${result.stats.excludedCount}件は除外）` : '';
+    
+    if (duplicateCount === 0) {
+      result.finalMessage = `処理が完了しました: ${result.stats.importedRows || 0}件のデータを分析した結果、重複する商品は見つかりませんでした。(処理時間: ${result.processingTime.toFixed(1)}秒)`;
+    } else {
+      result.finalMessage = `処理が完了しました: ${result.stats.importedRows || 0}件のデータから${duplicateCount}件の重複グループを検出し、${analyzeMessage}${exportCount}件のアイテムをエクスポートしました${excludedMessage}。(処理時間: ${result.processingTime.toFixed(1)}秒)`;
+    }
+    result.data = exportResult.data;
+    result.fileName = exportResult.fileName;
+    result.currentStep = 'complete';
+    
+    console.log("自動処理: 全処理完了");
+    
+    // 成功ログを記録
+    logAutoProcess('自動処理（完了）', result);
+    
+    return result;
+    
+  } catch (error) {
+    console.error("autoProcessEbayData関数でエラー:", error);
+    
+    // エラーが発生した時点での情報を返す
+    const errorResult = { 
+      success: false, 
+      steps: result.steps,
+      currentStep: result.currentStep || 'unknown',
+      error: {
+        step: result.currentStep || 'unknown',
+        message: error.message,
+        stack: error.stack
+      },
+      finalMessage: `自動処理中にエラーが発生しました: ${error.message}`,
+      stats: result.stats,
+      endTime: new Date().getTime(),
+      processingTime: (new Date().getTime() - result.startTime) / 1000
+    };
+    
+    // エラーログを記録
+    logAutoProcess('自動処理（エラー）', errorResult);
+    
+    return errorResult;
+  }
+}
+
+/**
+ * 自動処理で生成したCSVをダウンロードする関数
+ * @param {Array} data - CSVデータの2次元配列
+ * @param {string} fileName - ダウンロードされるファイル名
+ * @return {Object} 処理結果（HTML出力）
+ */
+function downloadAutoProcessedCsv(data, fileName) {
+  try {
+    console.log("自動処理CSVダウンロード開始: 行数=", data ? data.length : 0);
+    
+    if (!data || !Array.isArray(data) || data.length === 0) {
+      throw new Error("ダウンロードするデータがありません。");
+    }
+    
+    // ファイル名が指定されていない場合はデフォルト名を使用
+    const finalFileName = fileName || "ebay_終了リスト_" + new Date().toISOString().split('T')[0] + ".csv";
+    
+    // CSVデータを直接生成
+    let csvContent = data.map(row => 
+      row.map(cell => {
+        // null/undefinedの処理
+        if (cell === null || cell === undefined) {
+          return '';
+        }
+        
+        // 文字列に変換
+        let cellStr = String(cell);
+        
+        // セキュリティ上の問題となりうる文字をエスケープ
+        cellStr = cellStr
+          .replace(/"/g, '""') // 引用符のエスケープ
+          .replace(/\\/g, '\\\\'); // バックスラッシュのエスケープ
+        
+        // カンマ、引用符、改行、タブを含む場合は引用符で囲む
+        if (/[,"\n\r\t]/.test(cellStr)) {
+          return '"' + cellStr + '"';
+        }
+        
+        return cellStr;
+      }).join(',')
+    ).join('\n');
+    
+    // BOMを追加してUTF-8として認識されるようにする
+    const bom = '\ufeff';
+    csvContent = bom + csvContent;
+    
+    // ダウンロード用HTMLを生成 - FileSaver.js版
+    const html = HtmlService.createHtmlOutput(
+      `<html>
+        <head>
+          <base target="_top">
+          <meta charset="UTF-8">
+          <title>CSVダウンロード</title>
+          <script>
+            // FileSaver.js - クロスブラウザでの保存機能を提供するライブラリ
+            (function(a,b){if("function"==typeof define&&define.amd)define([],b);else if("undefined"!=typeof exports)b();else{b(),a.FileSaver={exports:{}}.exports}})(this,function(){"use strict";function b(a,b){return"undefined"==typeof b?b={autoBom:!1}:"object"!=typeof b&&(console.warn("Deprecated: Expected third argument to be a object"),b={autoBom:!b}),b.autoBom&&/^\\s*(?:text\\/\\S*|application\\/xml|\\S*\\/\\S*\\+xml)\\s*;.*charset\\s*=\\s*utf-8/i.test(a.type)?new Blob([String.fromCharCode(65279),a],{type:a.type}):a}function c(b,c,d){var e=new XMLHttpRequest;e.open("GET",b),e.responseType="blob",e.onload=function(){a(e.response,c,d)},e.onerror=function(){console.error("could not download file")},e.send()}function d(a){var b=new XMLHttpRequest;b.open("HEAD",a,!1);try{b.send()}catch(a){}return 200<=b.status&&299>=b.status}function e(a){try{a.dispatchEvent(new MouseEvent("click"))}catch(c){var b=document.createEvent("MouseEvents");b.initMouseEvent("click",!0,!0,window,0,0,0,80,20,!1,!1,!1,!1,0,null),a.dispatchEvent(b)}}var f="object"==typeof window&&window.window===window?window:"object"==typeof self&&self.self===self?self:"object"==typeof global&&global.global===global?global:void 0,a=f.saveAs||("object"!=typeof window||window!==f?function(){}:"download"in HTMLAnchorElement.prototype?function(b,g,h){var i=f.URL||f.webkitURL,j=document.createElement("a");g=g||b.name||"download",j.download=g,j.rel="noopener","string"==typeof b?(j.href=b,j.origin===location.origin?e(j):d(j.href)?c(b,g,h):e(j,j.target="_blank")):(j.href=i.createObjectURL(b),setTimeout(function(){i.revokeObjectURL(j.href)},4E4),setTimeout(function(){e(j)},0))}:"msSaveOrOpenBlob"in navigator?function(f,g,h){if(g=g||f.name||"download","string"!=typeof f)navigator.msSaveOrOpenBlob(b(f,h),g);else if(d(f))c(f,g,h);else{var i=document.createElement("a");i.href=f,i.target="_blank",setTimeout(function(){e(i)})}}:function(a,b,d,e){if(e=e||open("","_blank"),e&&(e.document.title=e.document.body.innerText="downloading..."),"string"==typeof a)return c(a,b,d);var g="application/octet-stream"===a.type,h=/constructor/i.test(f.HTMLElement)||f.safari,i=/CriOS\\/[\\d]+/.test(navigator.userAgent);if((i||g&&h)&&"object"==typeof FileReader){var j=new FileReader;j.onloadend=function(){var a=j.result;a=i?a:a.replace(/^data:[^;]*;/,"data:attachment/file;"),e?e.location.href=a:location=a,e=null},j.readAsDataURL(a)}else{var k=f.URL||f.webkitURL,l=k.createObjectURL(a);e?e.location=l:location.href=l,e=null,setTimeout(function(){k.revokeObjectURL(l)},4E4)}});f.saveAs=a.saveAs=a,"undefined"!=typeof module&&(module.exports=a)});
+
+            // CSVデータ
+            const csvData = \`${csvContent.replace(/`/g, '\\`')}\`;
+            
+            // ページ読み込み完了時の処理
+            document.addEventListener('DOMContentLoaded', function() {
+              // ステータス表示を初期化
+              document.getElementById('status').innerHTML = 
+                '<div class="info">ダウンロードを準備しています...</div>';
+              
+              // 直接ダウンロード関数
+              function directDownload() {
+                try {
+                  document.getElementById('status').innerHTML = 
+                    '<div class="success-message">ダウンロードを開始しています...</div>';
+                  
+                  // Blobオブジェクトの作成
+                  const blob = new Blob([csvData], {type: 'text/csv;charset=utf-8;'});
+                  
+                  // FileSaver.jsを使用して直接ダウンロード
+                  saveAs(blob, '${finalFileName.replace(/'/g, "\\'")}');
+                  
+                  // 成功メッセージを表示
+                  document.getElementById('status').innerHTML = 
+                    '<div class="success-message">ダウンロードが完了しました！<br>3秒後にこのダイアログは自動的に閉じます。</div>';
+                  
+                  // ユーザーに通知するためのアラート表示
+                  alert('CSVファイルのダウンロードが完了しました！');
+                  
+                  // 親ウィンドウ（サイドバー）に通知してダウンロード完了メッセージを表示
+                  try {
+                    window.parent.postMessage({
+                      type: 'download-complete',
+                      fileName: '${finalFileName.replace(/'/g, "\\'")}'
+                    }, '*');
+                  } catch (err) {
+                    console.error('親ウィンドウへの通知エラー:', err);
+                  }
+                  
+                  // ダウンロードボタンを無効化
+                  const downloadBtn = document.getElementById('downloadBtn');
+                  if (downloadBtn) {
+                    downloadBtn.disabled = true;
+                    downloadBtn.classList.add('disabled');
+                  }
+                  
+                  // 3秒後にダイアログを閉じる
+                  setTimeout(function() {
+                    google.script.host.close();
+                  }, 3000);
+                } catch (e) {
+                  console.error('直接ダウンロードエラー:', e);
+                  document.getElementById('status').innerHTML = 
+                    '<div class="error-message">エラーが発生しました: ' + e.message + '<br>別のダウンロード方法をお試しください。</div>';
+                }
+              }
+              
+              // ダウンロードボタンにイベントリスナーを追加
+              const downloadBtn = document.getElementById('downloadBtn');
+              if (downloadBtn) {
+                downloadBtn.addEventListener('click', directDownload);
+              }
+              
+              // 自動ダウンロード開始（1秒遅延）
+              setTimeout(function() {
+                directDownload();
+              }, 1000);
+            });
+          </script>
+          <style>
+            body {
+              font-family: Arial, sans-serif;
+              margin: 0;
+              padding: 0;
+              background-color: #f9fafb;
+              color: #1f2937;
+              font-size: 14px;
+            }
+            .container {
+              max-width: 600px;
+              margin: 0 auto;
+              padding: 20px;
+              background: white;
+              border-radius: 8px;
+              box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+            }
+            h3 {
+              color: #4F46E5;
+              margin-top: 0;
+              padding-bottom: 10px;
+              border-bottom: 1px solid #e5e7eb;
+            }
+            .file-info {
+              background-color: #EFF6FF;
+              padding: 12px;
+              border-radius: 6px;
+              margin-bottom: 15px;
+              font-size: 13px;
+            }
+            .file-info p {
+              margin: 5px 0;
+            }
+            .button {
+              background-color: #4F46E5;
+              color: white;
+              border: none;
+              border-radius: 4px;
+              padding: 8px 16px;
+              font-size: 14px;
+              cursor: pointer;
+              transition: background-color 0.2s;
+              display: inline-block;
+              text-decoration: none;
+              margin-top: 10px;
+            }
+            .button:hover {
+              background-color: #4338CA;
+            }
+            .button.disabled {
+              background-color: #9CA3AF;
+              cursor: not-allowed;
+            }
+            .success-message {
+              color: #10B981;
+              background-color: #D1FAE5;
+              padding: 10px;
+              border-radius: 4px;
+              margin: 10px 0;
+            }
+            .error-message {
+              color: #EF4444;
+              background-color: #FEE2E2;
+              padding: 10px;
+              border-radius: 4px;
+              margin: 10px 0;
+            }
+            .info {
+              color: #3B82F6;
+              background-color: #EFF6FF;
+              padding: 10px;
+              border-radius: 4px;
+              margin: 10px 0;
+            }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <h3>CSVファイルのダウンロード</h3>
+            
+            <div class="file-info">
+              <p><strong>ファイル名:</strong> ${finalFileName}</p>
+              <p><strong>行数:</strong> ${data.length}行</p>
+            </div>
+            
+            <div id="status" class="info">準備中...</div>
+            
+            <button id="downloadBtn" class="button">ダウンロード</button>
+          </div>
+        </body>
+      </html>`
+    )
+    .setWidth(600)
+    .setHeight(450);
+    
+    return html;
+  } catch (error) {
+    console.error("downloadAutoProcessedCsv関数でエラー:", error);
+    return {
+      success: false,
+      message: "CSVダウンロード準備中にエラーが発生しました: " + error.message
+    };
+  }
+}
+
+/**
+ * 自動処理のログを記録する関数
+ * @param {string} operation - 操作名
+ * @param {Object} result - 処理結果
+ */
+function logAutoProcess(operation, result) {
+  try {
+    // ログシートの存在確認と作成
+    let ss = SpreadsheetApp.getActiveSpreadsheet();
+    let logSheet = ss.getSheetByName("操作ログ");
+    
+    if (!logSheet) {
+      // ログシートが存在しない場合は作成
+      logSheet = ss.insertSheet("操作ログ");
+      // ヘッダー行の設定
+      logSheet.appendRow([
+        "操作日時", 
+        "操作内容", 
+        "ステータス", 
+        "処理時間(秒)", 
+        "データ件数", 
+        "詳細情報"
+      ]);
+      
+      // ヘッダー行の書式設定
+      logSheet.getRange(1, 1, 1, 6).setBackground("#f3f4f6").setFontWeight("bold");
+    }
+    
+    // 現在時刻
+    const timestamp = new Date();
+    
+    // ステータス（成功/失敗）
+    const status = result.success ? "成功" : "失敗";
+    
+    // 処理時間
+    const processingTime = result.processingTime || 0;
+    
+    // データ件数（インポート件数、または処理件数）
+    let dataCount = "";
+    if (result.stats) {
+      if (result.stats.importedRows) {
+        dataCount = result.stats.importedRows + "件";
+      } else if (result.stats.exportCount) {
+        dataCount = result.stats.exportCount + "件";
+      }
+    }
+    
+    // 詳細情報（エラーメッセージなど）
+    let details = result.finalMessage || "";
+    if (!result.success && result.error) {
+      details += " エラー: " + (result.error.message || "不明なエラー");
+    }
+    
+    // ログに追加
+    logSheet.appendRow([
+      timestamp,
+      operation,
+      status,
+      processingTime.toFixed(1),
+      dataCount,
+      details
+    ]);
+    
+    // 最新の行を強調表示
+    const lastRow = logSheet.getLastRow();
+    if (result.success) {
+      logSheet.getRange(lastRow, 1, 1, 6).setBackground("#f0fdf4");  // 薄い緑色（成功）
+    } else {
+      logSheet.getRange(lastRow, 1, 1, 6).setBackground("#fef2f2");  // 薄い赤色（失敗）
+    }
+    
+  } catch (error) {
+    console.error("logAutoProcess関数でエラー:", error);
+  }
+}
+
+/**
+ * バージョン情報を取得する関数
+ * サイドバーからの呼び出しに対応
+ */
+function getVersion() {
+  return EbayTool.getVersion();
+}
+
+/**
+ * 権限状況をチェックする関数
+ * @return {Object} 権限チェック結果
+ */
+function checkAllPermissions() {
+  const result = {
+    overall: true,
+    permissions: {},
+    errors: [],
+    warnings: []
+  };
+
+  try {
+    // PropertiesService (UserProperties) の権限チェック
+    try {
+      const userProperties = PropertiesService.getUserProperties();
+      userProperties.getProperty('__permission_test__');
+      result.permissions.userProperties = { success: true, hasPermission: true };
+    } catch (error) {
+      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
+      result.permissions.userProperties = { 
+        success: false, 
+        hasPermission: !isPermissionError,
+        error: error.toString()
+      };
+      if (isPermissionError) {
+        result.errors.push('ユーザープロパティへのアクセス権限がありません');
+        result.overall = false;
+      } else {
+        result.warnings.push('ユーザープロパティアクセスエラー: ' + error.toString());
+      }
+    }
+
+    // PropertiesService (ScriptProperties) の権限チェック
+    try {
+      const scriptProperties = PropertiesService.getScriptProperties();
+      scriptProperties.getProperty('__permission_test__');
+      result.permissions.scriptProperties = { success: true, hasPermission: true };
+    } catch (error) {
+      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
+      result.permissions.scriptProperties = { 
+        success: false, 
+        hasPermission: !isPermissionError,
+        error: error.toString()
+      };
+      if (isPermissionError) {
+        result.errors.push('スクリプトプロパティへのアクセス権限がありません');
+        result.overall = false;
+      } else {
+        result.warnings.push('スクリプトプロパティアクセスエラー: ' + error.toString());
+      }
+    }
+
+    // SpreadsheetApp の権限チェック
+    try {
+      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+      spreadsheet.getName(); // 基本的なアクセステスト
+      result.permissions.spreadsheet = { success: true, hasPermission: true };
+    } catch (error) {
+      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
+      result.permissions.spreadsheet = { 
+        success: false, 
+        hasPermission: !isPermissionError,
+        error: error.toString()
+      };
+      if (isPermissionError) {
+        result.errors.push('スプレッドシートへのアクセス権限がありません');
+        result.overall = false;
+      } else {
+        result.warnings.push('スプレッドシートアクセスエラー: ' + error.toString());
+      }
+    }
+
+    // DriveApp の権限チェック（オプション）
+    try {
+      DriveApp.getRootFolder(); // 基本的なアクセステスト
+      result.permissions.drive = { success: true, hasPermission: true };
+    } catch (error) {
+      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
+      result.permissions.drive = { 
+        success: false, 
+        hasPermission: !isPermissionError,
+        error: error.toString()
+      };
+      if (isPermissionError) {
+        result.warnings.push('Driveへのアクセス権限がありません（一部機能が制限されます）');
+      } else {
+        result.warnings.push('Driveアクセスエラー: ' + error.toString());
+      }
+    }
+
+  } catch (error) {
+    logError('checkAllPermissions', error);
+    result.overall = false;
+    result.errors.push('権限チェック中に予期しないエラーが発生しました: ' + error.toString());
+  }
+
+  return result;
+}
+
+/**
+ * エラーログを記録する関数
+ * EbayTool.Logger.errorのラッパー関数
+ * @param {string} functionName - エラーが発生した関数名
+ * @param {Error} error - エラーオブジェクト
+ * @param {string} context - エラーのコンテキスト（オプション）
+ * @return {Object} ログ情報
+ */
+function logError(functionName, error, context = '') {
+  try {
+    // EbayTool.Logger.errorが存在する場合はそれを使用
+    if (EbayTool && EbayTool.Logger && typeof EbayTool.Logger.error === 'function') {
+      return EbayTool.Logger.error(functionName, error, context);
+    }
+    
+    // そうでない場合は最小限のロギング
+    console.error(`[${functionName}] エラー:`, error);
+    if (context) console.error(`コンテキスト: ${context}`);
+    
+    return {
+      timestamp: new Date(),
+      function: functionName,
+      type: error.name || 'Error',
+      message: error.message || String(error),
+      context: context,
+      stack: error.stack || '利用不可'
+    };
+  } catch (e) {
+    // ログ処理自体のエラーは無視（再帰を防ぐ）
+    console.error('logError関数内でエラー:', e);
+    return null;
+  }
+}
+
+/**
+ * 性能ログを記録する関数
+ * @param {string} operation - 操作名
+ * @param {number} startTime - 開始時刻
+ * @param {number} endTime - 終了時刻
+ * @param {Object} details - 詳細情報
+ */
+function logPerformance(operation, startTime, endTime, details = {}) {
+  try {
+    console.log(`性能ログ記録開始: ${operation}`);
+    const duration = endTime - startTime;
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const sheetName = EbayTool.getConfig().SHEET_NAMES.PERFORMANCE;
+    console.log(`性能ログシート名: ${sheetName}`);
+    let perfSheet = ss.getSheetByName(sheetName);
+
+    if (!perfSheet) {
+      // 性能ログシートを作成
+      perfSheet = ss.insertSheet(EbayTool.getConfig().SHEET_NAMES.PERFORMANCE);
+
+      // ヘッダーを設定
+      const headers = [
+        '実行日時', '操作名', '処理時間(秒)', '処理時間(ミリ秒)',
+        'データ行数', 'ファイルサイズ(MB)', '成功/失敗', 'エラーメッセージ', '詳細'
+      ];
+      perfSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+      // ヘッダーの書式設定
+      perfSheet.getRange(1, 1, 1, headers.length)
+        .setBackground(EbayTool.getColor('PRIMARY'))
+        .setFontColor('white')
+        .setFontWeight('bold');
+
+      // 列幅を調整
+      perfSheet.setColumnWidth(1, 150); // 実行日時
+      perfSheet.setColumnWidth(2, 120); // 操作名
+      perfSheet.setColumnWidth(3, 100); // 処理時間(秒)
+      perfSheet.setColumnWidth(4, 120); // 処理時間(ミリ秒)
+      perfSheet.setColumnWidth(8, 200); // エラーメッセージ
+      perfSheet.setColumnWidth(9, 300); // 詳細
+
+      perfSheet.setFrozenRows(1);
+    }
+
+    // ログデータを準備
+    const logData = [
+      new Date(),                                          // 実行日時
+      operation,                                           // 操作名
+      Math.round(duration / 1000 * 100) / 100,           // 処理時間(秒)
+      duration,                                           // 処理時間(ミリ秒)
+      details.dataRows || '',                             // データ行数
+      details.fileSizeMB || '',                           // ファイルサイズ(MB)
+      details.success ? '成功' : '失敗',                   // 成功/失敗
+      details.errorMessage || '',                         // エラーメッセージ
+      JSON.stringify(details.additionalInfo || {})       // 詳細
+    ];
+
+    // ログを追加
+    const lastRow = perfSheet.getLastRow();
+    perfSheet.getRange(lastRow + 1, 1, 1, logData.length).setValues([logData]);
+
+    // 行の色分け（成功=緑、失敗=赤）
+    const logRow = perfSheet.getRange(lastRow + 1, 1, 1, logData.length);
+    if (details.success) {
+      logRow.setBackground('#F0FDF4'); // 薄い緑
+    } else {
+      logRow.setBackground('#FEF2F2'); // 薄い赤
+    }
+
+    console.log(`性能ログ記録: ${operation} - ${Math.round(duration/1000*100)/100}秒`);
+
+    // 古いログの削除（500行を超えた場合）
+    if (lastRow > 500) {
+      const deleteCount = lastRow - 500;
+      perfSheet.deleteRows(2, deleteCount); // ヘッダーを除いて削除
+    }
+
+  } catch (error) {
+    console.error('性能ログ記録エラー:', error);
+    // エラーがあってもメイン処理に影響させない
   }
 }
 
 /**
- * 自動処理のログを記録する関数
- * @param {string} operation - 操作名
- * @param {Object} result - 処理結果
+ * ユーザーにわかりやすいエラーメッセージを生成する関数
+ * @param {Error} error - エラーオブジェクト
+ * @param {string} defaultMessage - デフォルトのエラーメッセージ
+ * @return {string} ユーザーフレンドリーなエラーメッセージ
  */
-function logAutoProcess(operation, result) {
+function getFriendlyErrorMessage(error, defaultMessage = 'エラーが発生しました。') {
   try {
-    // ログシートの存在確認と作成
-    let ss = SpreadsheetApp.getActiveSpreadsheet();
-    let logSheet = ss.getSheetByName("操作ログ");
-    
-    if (!logSheet) {
-      // ログシートが存在しない場合は作成
-      logSheet = ss.insertSheet("操作ログ");
-      // ヘッダー行の設定
-      logSheet.appendRow([
-        "操作日時", 
-        "操作内容", 
-        "ステータス", 
-        "処理時間(秒)", 
-        "データ件数", 
-        "詳細情報"
-      ]);
-      
-      // ヘッダー行の書式設定
-      logSheet.getRange(1, 1, 1, 6).setBackground("#f3f4f6").setFontWeight("bold");
+    // エラーがnullまたはundefinedの場合
+    if (!error) {
+      return defaultMessage;
     }
     
-    // 現在時刻
-    const timestamp = new Date();
-    
-    // ステータス（成功/失敗）
-    const status = result.success ? "成功" : "失敗";
+    // エラーメッセージの取得
+    const errorMessage = error.message || String(error);
     
-    // 処理時間
-    const processingTime = result.processingTime || 0;
+    // エラータイプに基づいて適切なメッセージを返す
+    if (errorMessage.includes('Script has been running too long')) {
+      return '処理時間が長すぎたため、タイムアウトしました。データ量を減らして再試行してください。';
+    } else if (errorMessage.includes('Out of memory')) {
+      return 'メモリ不足エラーが発生しました。データ量を減らして再試行してください。';
+    } else if (errorMessage.includes('Authorization')) {
+      return '認証エラーが発生しました。再ログインしてから再試行してください。';
+    } else if (errorMessage.includes('Access denied') || errorMessage.includes('Permission')) {
+      return '権限エラーが発生しました。スプレッドシートの編集権限があることを確認してください。';
+    } else if (errorMessage.includes('Limit Exceeded')) {
+      return 'Google Sheetsの制限を超えました。データ量を減らすか、しばらく時間をおいてから再試行してください。';
+    } else if (errorMessage.includes('Invalid argument')) {
+      return '無効な引数が指定されました。入力データを確認してください。';
+    }
     
-    // データ件数（インポート件数、または処理件数）
-    let dataCount = "";
-    if (result.stats) {
-      if (result.stats.importedRows) {
-        dataCount = result.stats.importedRows + "件";
-      } else if (result.stats.exportCount) {
-        dataCount = result.stats.exportCount + "件";
+    // その他のエラーはデフォルトメッセージとエラー内容を表示
+    return `${defaultMessage} (${errorMessage})`;
+  } catch (e) {
+    // エラーメッセージ生成中のエラーは無視
+    console.error('getFriendlyErrorMessage関数内でエラー:', e);
+    return defaultMessage;
+  }
+}
+
+/**
+ * ツール設定マネージャー - スプレッドシートごとにドキュメントプロパティへ保存
+ */
+var ToolSettings = {
+  PROPERTY_KEY: 'EBAY_TOOL_SETTINGS',
+  EXPORT_MODES: ['end', 'consolidate'], // end: 重複を終了のみ / consolidate: 在庫を残す出品に統合してから終了
+  IMPORT_MODES: ['replace', 'delta'], // replace: インポートデータを置き換え / delta: 既存のデータに差分を反映（ImportDelta）
+  DETECTION_SCOPES: ['all', 'delta'], // all: すべてのグループを検出 / delta: 差分インポートで変化したグループのみ再検出
+  SITE_FILTER_MODES: ['mark', 'delete'], // mark: 除外マークを付けて非表示（FilterMarks） / delete: 行を削除
+
+  /**
+   * 設定の既定値
+   */
+  getDefaults: function() {
+    return {
+      fuzzyMatching: false, // 類似タイトルも重複とみなす（あいまい検出）
+      similarityThreshold: EbayTool.getConfig().SIMILARITY_THRESHOLD,
+      similarityIndexStrategy: 'token', // 類似候補の生成方式（SimilarityIndex.STRATEGIES）
+      identifierKeys: [], // 一致したら重複とみなす識別子（IdentifierMatcher.FIELDSのキー）
+      gradingAware: false, // グレード・状態でグループを分け、鑑定番号の一致を重複とみなす（GradingMatcher）
+      keepRules: KeepRules.DEFAULT_RULES.slice(), // 残すアイテムの判定ルール（優先順、KeepRules.RULESのキー）
+      safetyWatcherThreshold: 10, // ウォッチ数がこれ以上の出品は終了せず要確認にする（0で無効）
+      exportMode: 'end', // CSVの出力方式（EXPORT_MODES）
+      defaultEndCode: 'OtherListingError', // End行の既定の終了理由（EndCodes.VALID）
+      headerProfile: 'auto', // ヘッダーマッピングのプロファイル（auto / HeaderMapping.PROFILESのキー / custom）
+      headerMappingCustom: {}, // Customプロファイルの論理フィールド → 列名
+      importMode: 'replace', // CSVの取り込み方式（IMPORT_MODES）
+      detectionScope: 'all', // 重複検出の範囲（DETECTION_SCOPES）
+      allowedSites: SiteFilter.DEFAULT_SITES.slice(), // サイト絞り込みで残す出品サイト（SiteFilter.SITESのキー）
+      siteFilterMode: 'mark', // サイト絞り込みの方式（SITE_FILTER_MODES）
+      detectionFilter: DetectionFilter.getEmpty(), // 重複検出の前に適用する検出フィルター（DetectionFilter.CRITERIA）
+      pipelinePreset: ChunkedProcessor.DEFAULT_PRESET // 自動処理で実行するパイプライン（ChunkedProcessor.PIPELINE_PRESETSのキー）
+    };
+  },
+
+  /**
+   * 保存済みの設定を既定値とマージして取得
+   */
+  get: function() {
+    const defaults = this.getDefaults();
+    try {
+      const saved = PropertiesService.getDocumentProperties().getProperty(this.PROPERTY_KEY);
+      return saved ? Object.assign(defaults, JSON.parse(saved)) : defaults;
+    } catch (error) {
+      console.warn('設定の読み込みに失敗したため既定値を使用します:', error.message);
+      return defaults;
+    }
+  },
+
+  /**
+   * 設定を部分的に更新して保存
+   */
+  save: function(partialSettings) {
+    const settings = Object.assign(this.get(), partialSettings || {});
+    PropertiesService.getDocumentProperties().setProperty(this.PROPERTY_KEY, JSON.stringify(settings));
+    return settings;
+  }
+};
+
+/**
+ * ツール設定を取得する関数（サイドバー用）
+ * @return {Object} 処理結果と設定値
+ */
+function getToolSettings() {
+  try {
+    return { success: true, settings: ToolSettings.get(), sites: SiteFilter.getOptions() };
+  } catch (error) {
+    logError('getToolSettings', error, '設定取得中');
+    return { success: false, message: getFriendlyErrorMessage(error, '設定の取得に失敗しました。') };
+  }
+}
+
+/**
+ * インポートデータのヘッダーをマッピングした結果を取得する関数（サイドバー用）
+ * @return {Object} 処理結果と、使用するプロファイル・フィールドごとの列名
+ */
+function getHeaderMappingPreview() {
+  try {
+    const importSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EbayTool.getSheetName('IMPORT'));
+    if (!importSheet || importSheet.getLastColumn() === 0) {
+      return { success: false, message: 'インポートデータがありません。CSVをインポートすると列の対応を確認できます。' };
+    }
+
+    const headers = importSheet.getRange(1, 1, 1, importSheet.getLastColumn()).getValues()[0];
+    const resolved = HeaderMapping.resolve(headers);
+    return {
+      success: true,
+      profile: resolved.profile,
+      profileName: resolved.profileName,
+      auto: resolved.auto,
+      fields: Object.keys(HeaderMapping.FIELDS).map(field => ({
+        field: field,
+        label: HeaderMapping.FIELDS[field].label,
+        required: HeaderMapping.FIELDS[field].required === true,
+        header: resolved.columns[field] >= 0 ? String(headers[resolved.columns[field]]) : ''
+      })),
+      missing: resolved.missing
+    };
+  } catch (error) {
+    logError('getHeaderMappingPreview', error, 'ヘッダーマッピング確認中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'ヘッダーマッピングの確認に失敗しました。') };
+  }
+}
+
+/**
+ * ツール設定を保存する関数（サイドバー用）
+ * @param {Object} settings - 更新する設定項目
+ * @return {Object} 処理結果と保存後の設定値
+ */
+function saveToolSettings(settings) {
+  return RunLock.run('ツール設定の保存', () => saveToolSettingsImpl(settings));
+}
+
+/**
+ * saveToolSettingsの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function saveToolSettingsImpl(settings) {
+  try {
+    if (!settings || typeof settings !== 'object') {
+      return { success: false, message: '設定内容が無効です。' };
+    }
+
+    if (settings.similarityThreshold !== undefined) {
+      const threshold = Number(settings.similarityThreshold);
+      if (isNaN(threshold) || threshold <= 0 || threshold >= 1) {
+        return { success: false, message: '類似度の閾値は0より大きく1未満の値を指定してください。' };
       }
+      settings.similarityThreshold = threshold;
     }
-    
-    // 詳細情報（エラーメッセージなど）
-    let details = result.finalMessage || "";
-    if (!result.success && result.error) {
-      details += " エラー: " + (result.error.message || "不明なエラー");
+
+    if (settings.fuzzyMatching !== undefined) {
+      settings.fuzzyMatching = settings.fuzzyMatching === true;
     }
-    
-    // ログに追加
-    logSheet.appendRow([
-      timestamp,
-      operation,
-      status,
-      processingTime.toFixed(1),
-      dataCount,
-      details
-    ]);
-    
-    // 最新の行を強調表示
-    const lastRow = logSheet.getLastRow();
-    if (result.success) {
-      logSheet.getRange(lastRow, 1, 1, 6).setBackground("#f0fdf4");  // 薄い緑色（成功）
-    } else {
-      logSheet.getRange(lastRow, 1, 1, 6).setBackground("#fef2f2");  // 薄い赤色（失敗）
+
+    if (settings.gradingAware !== undefined) {
+      settings.gradingAware = settings.gradingAware === true;
     }
-    
+
+    if (settings.identifierKeys !== undefined) {
+      if (!Array.isArray(settings.identifierKeys) ||
+          settings.identifierKeys.some(key => !IdentifierMatcher.FIELDS[key])) {
+        return { success: false, message: '識別子の指定が不正です。' };
+      }
+    }
+
+    if (settings.safetyWatcherThreshold !== undefined) {
+      const watcherThreshold = Number(settings.safetyWatcherThreshold);
+      if (!Number.isInteger(watcherThreshold) || watcherThreshold < 0) {
+        return { success: false, message: 'ウォッチ数の閾値は0以上の整数を指定してください。' };
+      }
+      settings.safetyWatcherThreshold = watcherThreshold;
+    }
+
+    if (settings.keepRules !== undefined) {
+      if (!Array.isArray(settings.keepRules) || settings.keepRules.length === 0 ||
+          settings.keepRules.some(key => !KeepRules.RULES[key]) ||
+          new Set(settings.keepRules).size !== settings.keepRules.length) {
+        return { success: false, message: '残す/終了の判定ルールの指定が不正です。' };
+      }
+    }
+
+    if (settings.defaultEndCode !== undefined && !EndCodes.VALID.includes(settings.defaultEndCode)) {
+      return { success: false, message: `EndCodeが不正です: ${settings.defaultEndCode}` };
+    }
+
+    if (settings.exportMode !== undefined && !ToolSettings.EXPORT_MODES.includes(settings.exportMode)) {
+      return { success: false, message: `CSVの出力方式が不正です: ${settings.exportMode}` };
+    }
+
+    if (settings.allowedSites !== undefined) {
+      if (!Array.isArray(settings.allowedSites) || settings.allowedSites.length === 0 ||
+          settings.allowedSites.some(site => !SiteFilter.SITES[site])) {
+        return { success: false, message: '絞り込む出品サイトを1つ以上選択してください。' };
+      }
+    }
+
+    if (settings.detectionFilter !== undefined) {
+      const normalizedFilter = DetectionFilter.normalize(settings.detectionFilter);
+      if (!normalizedFilter.valid) {
+        return { success: false, message: normalizedFilter.message };
+      }
+      settings.detectionFilter = normalizedFilter.filter;
+    }
+
+    if (settings.siteFilterMode !== undefined && !ToolSettings.SITE_FILTER_MODES.includes(settings.siteFilterMode)) {
+      return { success: false, message: `サイト絞り込みの方式が不正です: ${settings.siteFilterMode}` };
+    }
+
+    if (settings.pipelinePreset !== undefined && !ChunkedProcessor.PIPELINE_PRESETS[settings.pipelinePreset]) {
+      return { success: false, message: `パイプラインのプリセットが不正です: ${settings.pipelinePreset}` };
+    }
+
+    if (settings.importMode !== undefined && !ToolSettings.IMPORT_MODES.includes(settings.importMode)) {
+      return { success: false, message: `インポート方式が不正です: ${settings.importMode}` };
+    }
+
+    if (settings.detectionScope !== undefined && !ToolSettings.DETECTION_SCOPES.includes(settings.detectionScope)) {
+      return { success: false, message: `重複検出の範囲が不正です: ${settings.detectionScope}` };
+    }
+
+    if (settings.similarityIndexStrategy !== undefined &&
+        !SimilarityIndex.STRATEGIES.includes(settings.similarityIndexStrategy)) {
+      return { success: false, message: `類似候補の生成方式が不正です: ${settings.similarityIndexStrategy}` };
+    }
+
+    if (settings.headerProfile !== undefined && settings.headerProfile !== 'auto' &&
+        settings.headerProfile !== HeaderMapping.CUSTOM && !HeaderMapping.PROFILES[settings.headerProfile]) {
+      return { success: false, message: `ヘッダーマッピングのプロファイルが不正です: ${settings.headerProfile}` };
+    }
+
+    if (settings.headerMappingCustom !== undefined) {
+      const custom = settings.headerMappingCustom;
+      if (!custom || typeof custom !== 'object' || Array.isArray(custom) ||
+          Object.keys(custom).some(field => !HeaderMapping.FIELDS[field] || typeof custom[field] !== 'string')) {
+        return { success: false, message: 'Customプロファイルの列名の指定が不正です。' };
+      }
+      settings.headerMappingCustom = {};
+      Object.keys(custom).forEach(field => {
+        if (custom[field].trim()) settings.headerMappingCustom[field] = custom[field].trim();
+      });
+      if (settings.headerProfile === HeaderMapping.CUSTOM && Object.keys(settings.headerMappingCustom).length === 0) {
+        return { success: false, message: 'Customプロファイルを使用するには列名を1つ以上設定してください。' };
+      }
+    }
+
+    const saved = ToolSettings.save(settings);
+    return { success: true, message: '設定を保存しました。', settings: saved };
+  } catch (error) {
+    logError('saveToolSettings', error, '設定保存中');
+    return { success: false, message: getFriendlyErrorMessage(error, '設定の保存に失敗しました。') };
+  }
+}
+
+/**
+ * 検出フィルターのプリセット一覧を取得する関数（サイドバー用）
+ * @return {Object} 処理結果とプリセット（名前 → 条件）
+ */
+function getDetectionFilterPresets() {
+  try {
+    return { success: true, presets: DetectionFilter.getPresets() };
+  } catch (error) {
+    logError('getDetectionFilterPresets', error, '検出フィルターのプリセット取得中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'プリセットの取得に失敗しました。') };
+  }
+}
+
+/**
+ * 検出フィルターをプリセットとして保存する関数（サイドバー用）
+ * @param {string} name - プリセット名（同じ名前は上書き）
+ * @param {Object} filter - 条件
+ * @return {Object} 処理結果と保存後のプリセット
+ */
+function saveDetectionFilterPreset(name, filter) {
+  return RunLock.run('検出フィルタープリセットの保存', () => saveDetectionFilterPresetImpl(name, filter));
+}
+
+/**
+ * saveDetectionFilterPresetの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function saveDetectionFilterPresetImpl(name, filter) {
+  try {
+    const presetName = String(name || '').trim();
+    if (!presetName) {
+      return { success: false, message: 'プリセット名を入力してください。' };
+    }
+    const normalized = DetectionFilter.normalize(filter);
+    if (!normalized.valid) {
+      return { success: false, message: normalized.message };
+    }
+    if (!DetectionFilter.isActive(normalized.filter)) {
+      return { success: false, message: '条件を1つ以上設定してください。' };
+    }
+    const presets = DetectionFilter.getPresets();
+    if (!presets[presetName] && Object.keys(presets).length >= DetectionFilter.MAX_PRESETS) {
+      return { success: false, message: `プリセットは${DetectionFilter.MAX_PRESETS}件まで保存できます。` };
+    }
+
+    return {
+      success: true,
+      message: `プリセット「${presetName}」を保存しました。`,
+      presets: DetectionFilter.savePreset(presetName, normalized.filter)
+    };
   } catch (error) {
-    console.error("logAutoProcess関数でエラー:", error);
+    logError('saveDetectionFilterPreset', error, '検出フィルターのプリセット保存中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'プリセットの保存に失敗しました。') };
   }
 }
 
 /**
- * バージョン情報を取得する関数
- * サイドバーからの呼び出しに対応
+ * 検出フィルターのプリセットを削除する関数（サイドバー用）
+ * @param {string} name - プリセット名
+ * @return {Object} 処理結果と削除後のプリセット
  */
-function getVersion() {
-  return EbayTool.getVersion();
+function deleteDetectionFilterPreset(name) {
+  return RunLock.run('検出フィルタープリセットの削除', () => deleteDetectionFilterPresetImpl(name));
 }
 
 /**
- * 権限状況をチェックする関数
- * @return {Object} 権限チェック結果
+ * deleteDetectionFilterPresetの本体（実行ロックを取得した状態で呼ぶ）
  */
-function checkAllPermissions() {
-  const result = {
-    overall: true,
-    permissions: {},
-    errors: [],
-    warnings: []
-  };
-
+function deleteDetectionFilterPresetImpl(name) {
   try {
-    // PropertiesService (UserProperties) の権限チェック
-    try {
-      const userProperties = PropertiesService.getUserProperties();
-      userProperties.getProperty('__permission_test__');
-      result.permissions.userProperties = { success: true, hasPermission: true };
-    } catch (error) {
-      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
-      result.permissions.userProperties = { 
-        success: false, 
-        hasPermission: !isPermissionError,
-        error: error.toString()
-      };
-      if (isPermissionError) {
-        result.errors.push('ユーザープロパティへのアクセス権限がありません');
-        result.overall = false;
-      } else {
-        result.warnings.push('ユーザープロパティアクセスエラー: ' + error.toString());
-      }
+    if (!DetectionFilter.getPresets()[name]) {
+      return { success: false, message: `プリセット「${name}」が見つかりません。` };
     }
+    return {
+      success: true,
+      message: `プリセット「${name}」を削除しました。`,
+      presets: DetectionFilter.deletePreset(name)
+    };
+  } catch (error) {
+    logError('deleteDetectionFilterPreset', error, '検出フィルターのプリセット削除中');
+    return { success: false, message: getFriendlyErrorMessage(error, 'プリセットの削除に失敗しました。') };
+  }
+}
 
-    // PropertiesService (ScriptProperties) の権限チェック
-    try {
-      const scriptProperties = PropertiesService.getScriptProperties();
-      scriptProperties.getProperty('__permission_test__');
-      result.permissions.scriptProperties = { success: true, hasPermission: true };
-    } catch (error) {
-      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
-      result.permissions.scriptProperties = { 
-        success: false, 
-        hasPermission: !isPermissionError,
-        error: error.toString()
-      };
-      if (isPermissionError) {
-        result.errors.push('スクリプトプロパティへのアクセス権限がありません');
-        result.overall = false;
-      } else {
-        result.warnings.push('スクリプトプロパティアクセスエラー: ' + error.toString());
-      }
+/**
+ * 類似タイトル候補生成インデックス - 全ペア比較を避けるためのブロッキング
+ * TextAnalyzer.normalizeTitle(title, true) の単語集合をもとに、類似度を検証すべき候補ペアだけを返す
+ *
+ * 戦略:
+ *   token   - 珍しい単語から順に並べた先頭部分（プレフィックス）の転置インデックス。閾値以上のペアを漏らさない
+ *   minhash - MinHash署名をバンドに分割したLSHバケット。単語数の多いタイトルでも候補数が安定する（近似）
+ */
+var SimilarityIndex = {
+  STRATEGIES: ['token', 'minhash'],
+  MINHASH_BANDS: 16, // LSHのバンド数
+  MINHASH_ROWS: 4,   // 1バンドあたりのハッシュ数（類似度0.7のペアを約99%の確率で候補化）
+  MAX_BUCKET_SIZE: 500, // これを超えるバケットは別のバンドのハッシュで分割してから候補にする（minhashのみ）
+
+  /**
+   * インデックスを作成
+   * @param {Object} options - strategy ('token' | 'minhash'), threshold (類似度の閾値)
+   * @return {Object} インデックス
+   */
+  create: function(options = {}) {
+    const strategy = this.STRATEGIES.includes(options.strategy) ? options.strategy : 'token';
+    return {
+      strategy: strategy,
+      threshold: options.threshold || EbayTool.getConfig().SIMILARITY_THRESHOLD,
+      keys: [],      // 呼び出し側のキー（正規化タイトルなど）
+      tokenSets: [], // 各エントリの単語集合
+      stats: null
+    };
+  },
+
+  /**
+   * エントリを追加（チャンク処理中に少しずつ追加できる）
+   * @param {Object} index - インデックス
+   * @param {*} key - 呼び出し側で識別に使うキー
+   * @param {string} title - 元のタイトル
+   * @return {number} エントリ番号
+   */
+  addEntry: function(index, key, title) {
+    const normalized = EbayTool.TextAnalyzer.normalizeTitle(String(title || ''), true);
+    index.keys.push(key);
+    index.tokenSets.push(normalized ? new Set(normalized.split(' ').filter(word => word)) : new Set());
+    return index.keys.length - 1;
+  },
+
+  /**
+   * 行データから一括でインデックスを作成
+   * @param {Array} rows - 行データ
+   * @param {number} titleIndex - タイトル列のインデックス
+   * @param {Object} options - createと同じオプション
+   * @return {Object} インデックス（キーは行番号）
+   */
+  buildFromRows: function(rows, titleIndex, options = {}) {
+    const index = this.create(options);
+    rows.forEach((row, rowIndex) => this.addEntry(index, rowIndex, row[titleIndex]));
+    return index;
+  },
+
+  /**
+   * 候補ペアを取得
+   * 長さフィルタ（単語数の比が閾値以下のペアは除外）を適用済みの [エントリ番号, エントリ番号] を返す
+   * focusを指定した場合は、そのエントリを含むペアだけを取りこぼしのないtoken方式で返す
+   * @param {Object} index - インデックス
+   * @param {Set} focus - 対象のエントリ番号（省略時はすべてのペア）
+   * @return {Array} 候補ペアのリスト
+   */
+  getCandidatePairs: function(index, focus = null) {
+    const pairs = index.strategy === 'minhash' && !focus
+      ? this.getMinHashCandidatePairs(index)
+      : this.getTokenCandidatePairs(index, focus);
+    index.stats.entries = index.keys.length;
+    index.stats.candidatePairs = pairs.length;
+    return pairs;
+  },
+
+  /**
+   * プレフィックスフィルタリングによる候補生成
+   * focusを指定した場合、対象外のエントリ同士は比較しない（対象のエントリだけの転置インデックスも持つ）
+   */
+  getTokenCandidatePairs: function(index, focus = null) {
+    const threshold = index.threshold;
+    const tokenSets = index.tokenSets;
+
+    // 単語の出現頻度（珍しい単語ほど候補生成に有効）
+    const frequency = {};
+    tokenSets.forEach(tokens => {
+      tokens.forEach(token => {
+        frequency[token] = (frequency[token] || 0) + 1;
+      });
+    });
+
+    // 類似度が閾値以上のペアは、珍しい順に並べた先頭 (単語数 - ceil(閾値 × 単語数) + 1) 語のどこかを必ず共有する
+    const postingsByToken = {};
+    const focusPostingsByToken = {};
+    const pairs = [];
+    let comparisons = 0;
+
+    for (let i = 0; i < tokenSets.length; i++) {
+      const tokensA = tokenSets[i];
+      if (tokensA.size === 0) continue;
+      const inFocus = !focus || focus.has(i);
+      const candidatePostings = inFocus ? postingsByToken : focusPostingsByToken;
+
+      const prefixLength = tokensA.size - Math.ceil(threshold * tokensA.size) + 1;
+      const prefix = Array.from(tokensA)
+        .sort((a, b) => (frequency[a] - frequency[b]) || (a < b ? -1 : a > b ? 1 : 0))
+        .slice(0, prefixLength);
+      const checked = new Set();
+
+      prefix.forEach(token => {
+        const postings = candidatePostings[token];
+        if (!postings) return;
+
+        postings.forEach(j => {
+          if (checked.has(j)) return;
+          checked.add(j);
+          comparisons++;
+          if (this.passesLengthFilter(tokensA, tokenSets[j], threshold)) {
+            pairs.push([j, i]);
+          }
+        });
+      });
+
+      prefix.forEach(token => {
+        if (!postingsByToken[token]) postingsByToken[token] = [];
+        postingsByToken[token].push(i);
+        if (focus && inFocus) {
+          if (!focusPostingsByToken[token]) focusPostingsByToken[token] = [];
+          focusPostingsByToken[token].push(i);
+        }
+      });
     }
 
-    // SpreadsheetApp の権限チェック
-    try {
-      const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-      spreadsheet.getName(); // 基本的なアクセステスト
-      result.permissions.spreadsheet = { success: true, hasPermission: true };
-    } catch (error) {
-      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
-      result.permissions.spreadsheet = { 
-        success: false, 
-        hasPermission: !isPermissionError,
-        error: error.toString()
-      };
-      if (isPermissionError) {
-        result.errors.push('スプレッドシートへのアクセス権限がありません');
-        result.overall = false;
-      } else {
-        result.warnings.push('スプレッドシートアクセスエラー: ' + error.toString());
+    index.stats = Object.assign({ strategy: 'token', comparisons: comparisons },
+      this.summarizeBuckets(Object.values(postingsByToken), 0));
+    return pairs;
+  },
+
+  /**
+   * MinHash + LSHバケットによる候補生成
+   */
+  getMinHashCandidatePairs: function(index) {
+    const bands = this.MINHASH_BANDS;
+    const rows = this.MINHASH_ROWS;
+    const hashCount = bands * rows;
+    const threshold = index.threshold;
+    const tokenSets = index.tokenSets;
+
+    // ハッシュ関数の係数（実行ごとに同じ結果になるよう固定シードで生成）
+    const multipliers = [];
+    const offsets = [];
+    let seed = 0x2545F491;
+    for (let h = 0; h < hashCount; h++) {
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      multipliers.push(seed | 1);
+      seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+      offsets.push(seed);
+    }
+
+    // バンドごとのバケットに振り分け
+    const buckets = {};
+    const bandOfBucket = {};
+    const signatures = [];
+    tokenSets.forEach((tokens, entry) => {
+      if (tokens.size === 0) return;
+
+      const signature = new Array(hashCount).fill(0xFFFFFFFF);
+      tokens.forEach(token => {
+        const tokenHash = this.hashString(token);
+        for (let h = 0; h < hashCount; h++) {
+          const value = (Math.imul(tokenHash, multipliers[h]) + offsets[h]) >>> 0;
+          if (value < signature[h]) signature[h] = value;
+        }
+      });
+
+      signatures[entry] = signature;
+      for (let b = 0; b < bands; b++) {
+        const bucketKey = b + ':' + signature.slice(b * rows, (b + 1) * rows).join('.');
+        if (!buckets[bucketKey]) {
+          buckets[bucketKey] = [];
+          bandOfBucket[bucketKey] = b;
+        }
+        buckets[bucketKey].push(entry);
       }
-    }
+    });
 
-    // DriveApp の権限チェック（オプション）
-    try {
-      DriveApp.getRootFolder(); // 基本的なアクセステスト
-      result.permissions.drive = { success: true, hasPermission: true };
-    } catch (error) {
-      const isPermissionError = error.toString().indexOf('PERMISSION_DENIED') !== -1;
-      result.permissions.drive = { 
-        success: false, 
-        hasPermission: !isPermissionError,
-        error: error.toString()
-      };
-      if (isPermissionError) {
-        result.warnings.push('Driveへのアクセス権限がありません（一部機能が制限されます）');
-      } else {
-        result.warnings.push('Driveアクセスエラー: ' + error.toString());
+    // 大きすぎるバケット（よく似たタイトルの大きな集まり）は捨てずに、別のバンドのハッシュも一致するものに分ける
+    // すべてのバンドで分けても大きすぎるもの（ほぼ同じ単語集合）だけを候補から外し、件数を記録する
+    const splitStats = { splitBuckets: 0, droppedBuckets: 0, droppedEntries: 0 };
+    const droppedEntries = new Set();
+    const splitBucket = (bucket, band, depth, out) => {
+      if (bucket.length <= this.MAX_BUCKET_SIZE) {
+        out.push(bucket);
+        return;
       }
-    }
+      if (depth >= bands - 1) {
+        splitStats.droppedBuckets++;
+        bucket.forEach(entry => droppedEntries.add(entry));
+        return;
+      }
+      const nextBand = (band + depth + 1) % bands;
+      const subBuckets = {};
+      bucket.forEach(entry => {
+        const subKey = signatures[entry].slice(nextBand * rows, (nextBand + 1) * rows).join('.');
+        if (!subBuckets[subKey]) subBuckets[subKey] = [];
+        subBuckets[subKey].push(entry);
+      });
+      Object.values(subBuckets).forEach(subBucket => {
+        if (subBucket.length >= 2) splitBucket(subBucket, band, depth + 1, out);
+      });
+    };
 
-  } catch (error) {
-    logError('checkAllPermissions', error);
-    result.overall = false;
-    result.errors.push('権限チェック中に予期しないエラーが発生しました: ' + error.toString());
-  }
+    const bucketList = Object.values(buckets);
+    const candidateBuckets = [];
+    Object.keys(buckets).forEach(bucketKey => {
+      const bucket = buckets[bucketKey];
+      if (bucket.length < 2) return;
+      if (bucket.length > this.MAX_BUCKET_SIZE) splitStats.splitBuckets++;
+      splitBucket(bucket, bandOfBucket[bucketKey], 0, candidateBuckets);
+    });
 
-  return result;
-}
+    splitStats.droppedEntries = droppedEntries.size;
+
+    // 同じバケットに入ったエントリ同士を候補にする
+    const seen = new Set();
+    const pairs = [];
+    let comparisons = 0;
+
+    candidateBuckets.forEach(bucket => {
+      for (let x = 0; x < bucket.length; x++) {
+        for (let y = x + 1; y < bucket.length; y++) {
+          const pairKey = bucket[x] * tokenSets.length + bucket[y];
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+          comparisons++;
+          if (this.passesLengthFilter(tokenSets[bucket[x]], tokenSets[bucket[y]], threshold)) {
+            pairs.push([bucket[x], bucket[y]]);
+          }
+        }
+      }
+    });
 
-/**
- * エラーログを記録する関数
- * EbayTool.Logger.errorのラッパー関数
- * @param {string} functionName - エラーが発生した関数名
- * @param {Error} error - エラーオブジェクト
- * @param {string} context - エラーのコンテキスト（オプション）
- * @return {Object} ログ情報
- */
-function logError(functionName, error, context = '') {
-  try {
-    // EbayTool.Logger.errorが存在する場合はそれを使用
-    if (EbayTool && EbayTool.Logger && typeof EbayTool.Logger.error === 'function') {
-      return EbayTool.Logger.error(functionName, error, context);
+    index.stats = Object.assign({ strategy: 'minhash', bands: bands, rowsPerBand: rows, comparisons: comparisons },
+      this.summarizeBuckets(bucketList, 0), splitStats);
+    if (splitStats.droppedEntries > 0) {
+      console.warn(`⚠️ 分割できない大きなバケット${splitStats.droppedBuckets}件（${splitStats.droppedEntries}エントリ）は候補生成から除外しました`);
     }
-    
-    // そうでない場合は最小限のロギング
-    console.error(`[${functionName}] エラー:`, error);
-    if (context) console.error(`コンテキスト: ${context}`);
-    
+    return pairs;
+  },
+
+  /**
+   * 長さフィルタ: 単語数の比が閾値以下なら類似度が閾値を超えることはない
+   */
+  passesLengthFilter: function(tokensA, tokensB, threshold) {
+    const minSize = Math.min(tokensA.size, tokensB.size);
+    const maxSize = Math.max(tokensA.size, tokensB.size);
+    return minSize > 0 && minSize / maxSize > threshold;
+  },
+
+  /**
+   * 文字列の32bitハッシュ（FNV-1a）
+   */
+  hashString: function(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  },
+
+  /**
+   * バケット（転置リスト）の統計情報
+   */
+  summarizeBuckets: function(bucketList, maxBucketSize) {
+    let maxSize = 0;
+    let totalSize = 0;
+    let skipped = 0;
+    bucketList.forEach(bucket => {
+      totalSize += bucket.length;
+      if (bucket.length > maxSize) maxSize = bucket.length;
+      if (maxBucketSize > 0 && bucket.length > maxBucketSize) skipped++;
+    });
     return {
-      timestamp: new Date(),
-      function: functionName,
-      type: error.name || 'Error',
-      message: error.message || String(error),
-      context: context,
-      stack: error.stack || '利用不可'
+      buckets: bucketList.length,
+      maxBucketSize: maxSize,
+      avgBucketSize: bucketList.length > 0 ? Math.round(totalSize / bucketList.length * 100) / 100 : 0,
+      skippedBuckets: skipped
     };
-  } catch (e) {
-    // ログ処理自体のエラーは無視（再帰を防ぐ）
-    console.error('logError関数内でエラー:', e);
-    return null;
+  },
+
+  /**
+   * 候補数とバケット統計を性能ログに記録
+   * @param {Object} index - getCandidatePairs実行後のインデックス
+   * @param {number} startTime - 候補生成の開始時刻
+   * @param {Object} extraInfo - 追加情報（一致ペア数など）
+   */
+  logStats: function(index, startTime, extraInfo = {}) {
+    logPerformance('類似候補生成', startTime, new Date().getTime(), {
+      success: true,
+      dataRows: index.keys.length,
+      additionalInfo: Object.assign({ threshold: index.threshold }, index.stats, extraInfo)
+    });
   }
-}
+};
 
 /**
- * 性能ログを記録する関数
- * @param {string} operation - 操作名
- * @param {number} startTime - 開始時刻
- * @param {number} endTime - 終了時刻
- * @param {Object} details - 詳細情報
+ * 処理状態ストア - 分割処理の状態を「処理状態」シートに永続化する
+ * 状態はJSONを分割して複数行に保存し、保存のたびにバージョンを上げる（古いバージョンの行は新しい行を書き終えてから削除）
+ * 読み込み時はチェックサムと分割数で破損を検出し、保存時は読み込んだときのバージョンと比べて他の実行との競合を検出する
  */
-function logPerformance(operation, startTime, endTime, details = {}) {
-  try {
-    console.log(`性能ログ記録開始: ${operation}`);
-    const duration = endTime - startTime;
+var ProcessStateStore = {
+  HEADERS: ['ProcessID', 'Version', 'Chunk', 'ChunkCount', 'Checksum', 'UpdatedAt', 'Data'],
+  CHUNK_SIZE: 40000, // 1セルに保存する文字数（セルの上限は50,000文字）
+  STALE_AGE: 24 * 60 * 60 * 1000, // この期間更新がない状態は古いものとして削除できる
+
+  /**
+   * 処理状態シートを取得（ない場合は作成、旧形式のシートは作り直す）
+   */
+  getSheet: function() {
     const ss = SpreadsheetApp.getActiveSpreadsheet();
-    const sheetName = EbayTool.getConfig().SHEET_NAMES.PERFORMANCE;
-    console.log(`性能ログシート名: ${sheetName}`);
-    let perfSheet = ss.getSheetByName(sheetName);
+    const sheetName = EbayTool.getSheetName('PROCESS_STATE');
+    let sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      sheet = ss.insertSheet(sheetName);
+    }
+    const lastColumn = sheet.getLastColumn();
+    const headers = lastColumn > 0 ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0] : [];
+    if (headers.join('|') !== this.HEADERS.join('|')) {
+      if (headers.length > 0) console.warn('⚠️ 処理状態シートが旧形式のため作り直します');
+      sheet.clear();
+      sheet.getRange(1, 1, 1, this.HEADERS.length).setValues([this.HEADERS]);
+      sheet.hideSheet();
+    }
+    return sheet;
+  },
 
-    if (!perfSheet) {
-      // 性能ログシートを作成
-      perfSheet = ss.insertSheet(EbayTool.getConfig().SHEET_NAMES.PERFORMANCE);
+  checksum: function(text) {
+    return Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text, Utilities.Charset.UTF_8)
+      .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+      .join('');
+  },
 
-      // ヘッダーを設定
-      const headers = [
-        '実行日時', '操作名', '処理時間(秒)', '処理時間(ミリ秒)',
-        'データ行数', 'ファイルサイズ(MB)', '成功/失敗', 'エラーメッセージ', '詳細'
-      ];
-      perfSheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+  /**
+   * データ列以外（ProcessID〜UpdatedAt）を読み込む
+   * @return {Array} { row, processId, version, chunk, chunkCount, checksum, updatedAt }
+   */
+  readMeta: function(sheet) {
+    const lastRow = sheet.getLastRow();
+    if (lastRow <= 1) return [];
+    return sheet.getRange(2, 1, lastRow - 1, this.HEADERS.length - 1).getValues().map((values, i) => ({
+      row: i + 2,
+      processId: String(values[0]),
+      version: Number(values[1]),
+      chunk: Number(values[2]),
+      chunkCount: Number(values[3]),
+      checksum: String(values[4]),
+      updatedAt: Number(values[5])
+    }));
+  },
+
+  /**
+   * 処理IDごと・バージョンごとに行をまとめる
+   * @return {Object} processId → { version → [メタ情報] }
+   */
+  groupMeta: function(meta) {
+    const grouped = {};
+    meta.forEach(item => {
+      const versions = grouped[item.processId] || (grouped[item.processId] = {});
+      (versions[item.version] || (versions[item.version] = [])).push(item);
+    });
+    return grouped;
+  },
+
+  /**
+   * 1バージョン分の行を読み込んで検証する
+   * @return {Object|null} 状態（分割数やチェックサムが合わない場合はnull）
+   */
+  readVersion: function(sheet, items) {
+    const sorted = items.slice().sort((a, b) => a.chunk - b.chunk);
+    const chunkCount = sorted[0].chunkCount;
+    if (sorted.length !== chunkCount || sorted.some((item, i) => item.chunk !== i + 1 || item.chunkCount !== chunkCount)) {
+      return null;
+    }
+    const dataColumn = this.HEADERS.length;
+    const json = sorted.map(item => String(sheet.getRange(item.row, dataColumn).getValue())).join('');
+    if (this.checksum(json) !== sorted[0].checksum) return null;
+    try {
+      return JSON.parse(json);
+    } catch (error) {
+      return null;
+    }
+  },
+
+  /**
+   * 処理状態を読み込む
+   * 最新のバージョンが破損している場合は、その前の正常なバージョンを返す
+   * @param {string} processId - 処理ID
+   * @return {Object} { success, found, state, version, updatedAt, corrupted, message }
+   */
+  get: function(processId) {
+    const sheet = this.getSheet();
+    const versions = this.groupMeta(this.readMeta(sheet))[processId];
+    if (!versions) {
+      return { success: true, found: false, state: null, version: 0 };
+    }
+
+    const numbers = Object.keys(versions).map(Number).sort((a, b) => b - a);
+    for (let i = 0; i < numbers.length; i++) {
+      const state = this.readVersion(sheet, versions[numbers[i]]);
+      if (state) {
+        if (i > 0) console.warn(`⚠️ 処理状態の最新バージョン(v${numbers[0]})が破損しているため、v${numbers[i]}を使用します: ${processId}`);
+        return { success: true, found: true, state: state, version: numbers[i], updatedAt: versions[numbers[i]][0].updatedAt };
+      }
+    }
 
-      // ヘッダーの書式設定
-      perfSheet.getRange(1, 1, 1, headers.length)
-        .setBackground(EbayTool.getColor('PRIMARY'))
-        .setFontColor('white')
-        .setFontWeight('bold');
+    console.error(`❌ 処理状態が破損しています: ${processId}`);
+    return {
+      success: false,
+      found: true,
+      state: null,
+      version: numbers[0],
+      corrupted: true,
+      message: '処理状態が破損しているため読み込めません。処理をやり直してください。'
+    };
+  },
 
-      // 列幅を調整
-      perfSheet.setColumnWidth(1, 150); // 実行日時
-      perfSheet.setColumnWidth(2, 120); // 操作名
-      perfSheet.setColumnWidth(3, 100); // 処理時間(秒)
-      perfSheet.setColumnWidth(4, 120); // 処理時間(ミリ秒)
-      perfSheet.setColumnWidth(8, 200); // エラーメッセージ
-      perfSheet.setColumnWidth(9, 300); // 詳細
+  /**
+   * 処理状態を保存する
+   * expectedVersionが現在の正常なバージョンと異なる場合は、他の実行が先に保存したとみなして保存しない
+   * （getが破損を飛ばして返したバージョンと比べる。それより新しい破損したバージョンは保存時に削除する）
+   * @param {string} processId - 処理ID
+   * @param {Object} state - 状態
+   * @param {number} expectedVersion - 読み込んだときのバージョン（新規は0）
+   * @return {Object} { success, version, conflict, message }
+   */
+  save: function(processId, state, expectedVersion = 0) {
+    const lock = LockService.getDocumentLock();
+    lock.waitLock(10000);
+    try {
+      const sheet = this.getSheet();
+      const existing = this.readMeta(sheet).filter(item => item.processId === processId);
+      const latestVersion = existing.reduce((max, item) => Math.max(max, item.version), 0);
+      const currentVersion = this.findValidVersion(sheet, existing, expectedVersion);
+      if (currentVersion !== expectedVersion) {
+        console.warn(`⚠️ 処理状態の競合: ${processId}（読み込み時v${expectedVersion}、現在v${currentVersion}）`);
+        return {
+          success: false,
+          conflict: true,
+          version: currentVersion,
+          message: '別の実行が先に処理状態を更新しました。'
+        };
+      }
+      if (latestVersion !== currentVersion) {
+        console.warn(`⚠️ 破損した処理状態(v${currentVersion + 1}〜v${latestVersion})を破棄して保存します: ${processId}`);
+      }
 
-      perfSheet.setFrozenRows(1);
-    }
+      const json = JSON.stringify(state);
+      const checksum = this.checksum(json);
+      // 破損した行と番号が重ならないよう、残っている最大のバージョンの次にする
+      const version = latestVersion + 1;
+      const updatedAt = new Date().getTime();
+      const chunkCount = Math.max(1, Math.ceil(json.length / this.CHUNK_SIZE));
+      const rows = [];
+      for (let i = 0; i < chunkCount; i++) {
+        rows.push([processId, version, i + 1, chunkCount, checksum, updatedAt, json.slice(i * this.CHUNK_SIZE, (i + 1) * this.CHUNK_SIZE)]);
+      }
 
-    // ログデータを準備
-    const logData = [
-      new Date(),                                          // 実行日時
-      operation,                                           // 操作名
-      Math.round(duration / 1000 * 100) / 100,           // 処理時間(秒)
-      duration,                                           // 処理時間(ミリ秒)
-      details.dataRows || '',                             // データ行数
-      details.fileSizeMB || '',                           // ファイルサイズ(MB)
-      details.success ? '成功' : '失敗',                   // 成功/失敗
-      details.errorMessage || '',                         // エラーメッセージ
-      JSON.stringify(details.additionalInfo || {})       // 詳細
-    ];
+      // 新しいバージョンを書き終えてから古い行を削除する（途中で止まっても前のバージョンが残る）
+      // データ列は書式なしテキストにして、数値や数式への変換を防ぐ
+      const startRow = sheet.getLastRow() + 1;
+      sheet.getRange(startRow, this.HEADERS.length, rows.length, 1).setNumberFormat('@');
+      sheet.getRange(startRow, 1, rows.length, this.HEADERS.length).setValues(rows);
+      this.deleteRows(sheet, existing.map(item => item.row));
 
-    // ログを追加
-    const lastRow = perfSheet.getLastRow();
-    perfSheet.getRange(lastRow + 1, 1, 1, logData.length).setValues([logData]);
+      return { success: true, version: version };
+    } finally {
+      lock.releaseLock();
+    }
+  },
 
-    // 行の色分け（成功=緑、失敗=赤）
-    const logRow = perfSheet.getRange(lastRow + 1, 1, 1, logData.length);
-    if (details.success) {
-      logRow.setBackground('#F0FDF4'); // 薄い緑
-    } else {
-      logRow.setBackground('#FEF2F2'); // 薄い赤
+  /**
+   * 正常に読み込める最新のバージョン番号を返す（getと同じ基準）
+   * 破損の確認は読み込み時のバージョンより新しいものだけに行う（通常の保存では読み込みが発生しない）
+   * @param {Array} items - 対象の処理IDのメタ情報
+   * @param {number} expectedVersion - 読み込んだときのバージョン
+   * @return {number} バージョン（正常なものがなければ0）
+   */
+  findValidVersion: function(sheet, items, expectedVersion) {
+    const versions = this.groupMeta(items)[items.length > 0 ? items[0].processId : ''] || {};
+    const numbers = Object.keys(versions).map(Number).sort((a, b) => b - a);
+    for (let i = 0; i < numbers.length; i++) {
+      if (numbers[i] === expectedVersion || this.readVersion(sheet, versions[numbers[i]])) return numbers[i];
     }
+    return 0;
+  },
 
-    console.log(`性能ログ記録: ${operation} - ${Math.round(duration/1000*100)/100}秒`);
+  /**
+   * 処理状態を削除する
+   * @return {boolean} 削除した場合はtrue
+   */
+  remove: function(processId) {
+    const sheet = this.getSheet();
+    const rows = this.readMeta(sheet).filter(item => item.processId === processId).map(item => item.row);
+    this.deleteRows(sheet, rows);
+    return rows.length > 0;
+  },
 
-    // 古いログの削除（500行を超えた場合）
-    if (lastRow > 500) {
-      const deleteCount = lastRow - 500;
-      perfSheet.deleteRows(2, deleteCount); // ヘッダーを除いて削除
-    }
+  /**
+   * 保存されている処理の一覧（新しい順）
+   * @return {Array} { processId, version, updatedAt, chunks, corrupted, phase, completed, error }
+   */
+  list: function() {
+    const sheet = this.getSheet();
+    const grouped = this.groupMeta(this.readMeta(sheet));
+    return Object.keys(grouped).map(processId => {
+      const record = this.get(processId);
+      const latest = Math.max.apply(null, Object.keys(grouped[processId]).map(Number));
+      return {
+        processId: processId,
+        version: record.version,
+        updatedAt: grouped[processId][latest][0].updatedAt,
+        chunks: grouped[processId][latest].length,
+        corrupted: !!record.corrupted,
+        phase: record.state ? record.state.phase : null,
+        completed: record.state ? !!record.state.completed : false,
+        error: record.state ? record.state.error || null : null
+      };
+    }).sort((a, b) => b.updatedAt - a.updatedAt);
+  },
 
-  } catch (error) {
-    console.error('性能ログ記録エラー:', error);
-    // エラーがあってもメイン処理に影響させない
-  }
-}
+  /**
+   * 一定期間更新がない処理と破損した処理を削除する
+   * @param {number} maxAge - この期間（ミリ秒）更新がない処理を削除（省略時はSTALE_AGE）
+   * @param {string} keepProcessId - 削除しない処理ID（実行中の処理）
+   * @return {Array} 削除した処理ID
+   */
+  cleanup: function(maxAge = this.STALE_AGE, keepProcessId = null) {
+    const now = new Date().getTime();
+    const removed = this.list()
+      .filter(item => item.processId !== keepProcessId && (item.corrupted || now - item.updatedAt > maxAge))
+      .map(item => item.processId);
+    removed.forEach(processId => this.remove(processId));
+    if (removed.length > 0) console.log(`🧹 古い処理状態を削除: ${removed.length}件`);
+    return removed;
+  },
 
-/**
- * ユーザーにわかりやすいエラーメッセージを生成する関数
- * @param {Error} error - エラーオブジェクト
- * @param {string} defaultMessage - デフォルトのエラーメッセージ
- * @return {string} ユーザーフレンドリーなエラーメッセージ
- */
-function getFriendlyErrorMessage(error, defaultMessage = 'エラーが発生しました。') {
-  try {
-    // エラーがnullまたはundefinedの場合
-    if (!error) {
-      return defaultMessage;
-    }
-    
-    // エラーメッセージの取得
-    const errorMessage = error.message || String(error);
-    
-    // エラータイプに基づいて適切なメッセージを返す
-    if (errorMessage.includes('Script has been running too long')) {
-      return '処理時間が長すぎたため、タイムアウトしました。データ量を減らして再試行してください。';
-    } else if (errorMessage.includes('Out of memory')) {
-      return 'メモリ不足エラーが発生しました。データ量を減らして再試行してください。';
-    } else if (errorMessage.includes('Authorization')) {
-      return '認証エラーが発生しました。再ログインしてから再試行してください。';
-    } else if (errorMessage.includes('Access denied') || errorMessage.includes('Permission')) {
-      return '権限エラーが発生しました。スプレッドシートの編集権限があることを確認してください。';
-    } else if (errorMessage.includes('Limit Exceeded')) {
-      return 'Google Sheetsの制限を超えました。データ量を減らすか、しばらく時間をおいてから再試行してください。';
-    } else if (errorMessage.includes('Invalid argument')) {
-      return '無効な引数が指定されました。入力データを確認してください。';
+  deleteRows: function(sheet, rows) {
+    if (rows.length === 0) return;
+    const ranges = groupConsecutiveRows(rows);
+    for (let i = ranges.length - 1; i >= 0; i--) {
+      sheet.deleteRows(ranges[i].start, ranges[i].end - ranges[i].start + 1);
     }
-    
-    // その他のエラーはデフォルトメッセージとエラー内容を表示
-    return `${defaultMessage} (${errorMessage})`;
-  } catch (e) {
-    // エラーメッセージ生成中のエラーは無視
-    console.error('getFriendlyErrorMessage関数内でエラー:', e);
-    return defaultMessage;
   }
-}
+};
 
 /**
  * 分割処理マネージャー - タイムアウト対策
  */
 var ChunkedProcessor = {
-  // メモリ内状態ストレージ
-  memoryStorage: {},
+  // 一時停止した処理をサイドバーなしで再開する時間主導型トリガー
+  TRIGGER_HANDLER: 'continueChunkedProcessByTrigger',
+  TRIGGER_DELAY: 60000, // 一時停止から自動再開までの待ち時間（ミリ秒）
+  WATCHDOG_DELAY: 8 * 60 * 1000, // フェーズ実行中の見張り。GASの最大実行時間（6分）と実行ロックの有効期限（7分）より長く
+  ACTIVE_PROCESS_KEY: 'EBAY_TOOL_ACTIVE_PROCESS',
+
+  // フェーズのレジストリ（registerPhaseで登録）とパイプラインのプリセット（registerPresetで登録）
+  phases: {},
+  PIPELINE_PRESETS: {},
+  DEFAULT_PRESET: 'standard',
+
   /**
-   * 処理状態を保存（強化版）
+   * フェーズを登録する
+   * @param {string} name - フェーズ名（パイプラインで指定する名前）
+   * @param {Object} phase - { label, run(state, startTime), resume(state, startTime), estimate(state) }
+   *   run: フェーズの最初の実行。resume: 一時停止後の再開（省略時はrunを再度呼ぶ）
+   *   戻り値は { completed, step, finalMessage } / 途中で止める場合は completed: false、キャンセルは { cancelled: true }
+   *   estimate: 進捗計算用の { weight: 重み, done: フェーズ内の進捗(0〜1) }（省略時は重み1）
+   *   sheets: 書き換えるシート（EbayTool.getSheetNameのキー）。キャンセル時に戻せるよう、フェーズを始める前にスナップショットを取る
    */
-  saveState: function(processId, state) {
-    try {
-      const stateData = {
-        ...state,
-        lastUpdated: new Date().getTime(),
-        backupCount: (state.backupCount || 0) + 1
-      };
-      
-      // まずメモリに保存
-      this.memoryStorage[processId] = stateData;
-      console.log(`メモリ内状態保存成功: ${processId} (バックアップ${stateData.backupCount}回目)`);
-      
-      // CacheServiceにもバックアップ保存を試行
-      try {
-        const cache = CacheService.getScriptCache();
-        cache.put(`process_${processId}`, JSON.stringify(stateData), 3600); // 1時間
-        console.log(`キャッシュ状態保存成功: ${processId}`);
-      } catch (cacheError) {
-        console.warn('キャッシュ保存失敗（メモリ保存は成功）:', cacheError.message);
-      }
-      
-      // シートにも永続化保存を試行（新機能）
-      try {
-        this.saveStateToSheet(processId, stateData);
-        console.log(`シート状態保存完了: ${processId}`);
-      } catch (sheetError) {
-        console.error('シート保存失敗:', sheetError.message);
-        console.error('シート保存エラー詳細:', sheetError);
+  registerPhase: function(name, phase) {
+    this.phases[name] = phase;
+  },
+
+  /**
+   * パイプラインのプリセットを登録する
+   * @param {string} name - プリセット名
+   * @param {string} label - サイドバーに表示する名前
+   * @param {Array} phaseNames - 実行するフェーズ名（順番どおり）
+   */
+  registerPreset: function(name, label, phaseNames) {
+    this.PIPELINE_PRESETS[name] = { label: label, phases: phaseNames };
+  },
+
+  /**
+   * 処理状態のパイプライン（フェーズ名の配列）
+   */
+  getPipeline: function(state) {
+    if (state.pipeline) return state.pipeline;
+    const preset = this.PIPELINE_PRESETS[state.pipelinePreset] || this.PIPELINE_PRESETS[this.DEFAULT_PRESET];
+    return preset.phases;
+  },
+
+  /**
+   * 各フェーズのestimateの重みから全体の進捗（%）を計算する
+   */
+  calculateProgress: function(state) {
+    if (state.completed) return 100;
+    const pipeline = this.getPipeline(state);
+    let total = 0;
+    let done = 0;
+    pipeline.forEach((name, i) => {
+      const phase = this.phases[name];
+      const estimate = phase && phase.estimate ? phase.estimate(state) : {};
+      const weight = estimate.weight || 1;
+      total += weight;
+      if (i < state.currentPhase - 1) {
+        done += weight;
+      } else if (i === state.currentPhase - 1) {
+        done += weight * Math.min(1, Math.max(0, estimate.done || 0));
       }
-      
-      return true;
+    });
+    return total > 0 ? Math.round((done / total) * 100) : 0;
+  },
+
+  /**
+   * 実行中（または最後に実行した）分割処理の記録
+   * @return {Object|null} { processId, triggerId, scheduledAt, finishedAt }
+   */
+  getActiveProcess: function() {
+    try {
+      const saved = PropertiesService.getDocumentProperties().getProperty(this.ACTIVE_PROCESS_KEY);
+      return saved ? JSON.parse(saved) : null;
     } catch (error) {
-      console.error('処理状態保存エラー:', error);
-      return false;
+      console.warn('実行中の分割処理の読み込みに失敗しました:', error.message);
+      return null;
     }
   },
-  
+
+  saveActiveProcess: function(record) {
+    PropertiesService.getDocumentProperties().setProperty(this.ACTIVE_PROCESS_KEY, JSON.stringify(record));
+  },
+
   /**
-   * 処理状態をシートに保存
+   * 一時停止した処理をトリガーで再開するように予約する（予約済みのトリガーは置き換える）
+   * @param {string} processId - 処理ID
+   * @param {number} delay - 再開までの待ち時間（ミリ秒、省略時はTRIGGER_DELAY）
    */
-  saveStateToSheet: function(processId, stateData) {
+  scheduleContinuation: function(processId, delay = this.TRIGGER_DELAY) {
     try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      let stateSheet = ss.getSheetByName(EbayTool.getSheetName('PROCESS_STATE'));
-      
-      if (!stateSheet) {
-        stateSheet = ss.insertSheet(EbayTool.getSheetName('PROCESS_STATE'));
-        // ヘッダー設定
-        stateSheet.getRange(1, 1, 1, 3).setValues([['ProcessID', 'State', 'LastUpdated']]);
-      }
-      
-      // 既存の状態を検索
-      const lastRow = stateSheet.getLastRow();
-      let targetRow = -1;
-      
-      if (lastRow > 1) {
-        const processIds = stateSheet.getRange(2, 1, lastRow - 1, 1).getValues();
-        for (let i = 0; i < processIds.length; i++) {
-          if (processIds[i][0] === processId) {
-            targetRow = i + 2;
-            break;
-          }
-        }
-      }
-      
-      // データの保存
-      const rowData = [processId, JSON.stringify(stateData), new Date().getTime()];
-      if (targetRow !== -1) {
-        // 更新
-        stateSheet.getRange(targetRow, 1, 1, 3).setValues([rowData]);
-      } else {
-        // 新規追加
-        stateSheet.getRange(lastRow + 1, 1, 1, 3).setValues([rowData]);
-      }
-      
-      console.log(`シート状態保存成功: ${processId}`);
+      this.cancelContinuation(processId);
+      const trigger = ScriptApp.newTrigger(this.TRIGGER_HANDLER)
+        .timeBased()
+        .after(delay)
+        .create();
+      this.saveActiveProcess({ processId: processId, triggerId: trigger.getUniqueId(), scheduledAt: new Date().getTime(), finishedAt: null });
+      console.log(`⏰ 自動再開を予約: ${processId}（${delay / 1000}秒後）`);
     } catch (error) {
-      throw new Error(`シート保存エラー: ${error.message}`);
+      // トリガーを作れなくてもサイドバーからの続行はできる
+      console.warn('自動再開の予約に失敗しました:', error.message);
     }
   },
-  
+
   /**
-   * 処理状態を取得（強化版）
+   * 予約済みのトリガーを削除する
+   * @param {string} processId - 処理ID
+   * @param {boolean} finished - 完了・失敗として記録する（再開の対象から外す）
    */
-  getState: function(processId) {
+  cancelContinuation: function(processId, finished = false) {
     try {
-      console.log(`状態取得開始: ${processId} - メモリ内状態数: ${Object.keys(this.memoryStorage).length}`);
-      
-      // まずメモリから取得を試行
-      if (this.memoryStorage[processId]) {
-        console.log(`メモリ内状態取得成功: ${processId}`);
-        return this.memoryStorage[processId];
+      const active = this.getActiveProcess();
+      if (active && active.triggerId) this.deleteTrigger(active.triggerId);
+      if (finished || !active || active.processId !== processId || active.triggerId) {
+        this.saveActiveProcess({ processId: processId, triggerId: null, scheduledAt: null, finishedAt: finished ? new Date().getTime() : null });
       }
-      console.log(`メモリ内に状態なし: ${processId}`);
-      
-      // メモリにない場合はキャッシュから取得を試行
-      try {
-        const cache = CacheService.getScriptCache();
-        const stateJson = cache.get(`process_${processId}`);
-        if (stateJson) {
-          const state = JSON.parse(stateJson);
-          // メモリにも復元
-          this.memoryStorage[processId] = state;
-          console.log(`キャッシュ状態取得成功: ${processId}`);
-          return state;
-        }
-      } catch (cacheError) {
-        console.warn('キャッシュ取得失敗:', cacheError.message);
+      // 完了・失敗・キャンセルで処理全体の実行ロックを解放し、残っているキャンセル要求を消す
+      if (finished) {
+        RunLock.end();
+        PropertiesService.getDocumentProperties().deleteProperty(this.CANCEL_KEY_PREFIX + processId);
       }
-      
-      // キャッシュにもない場合はシートから取得を試行（新機能）
-      try {
-        console.log(`シートから状態取得を試行: ${processId}`);
-        const sheetState = this.getStateFromSheet(processId);
-        if (sheetState) {
-          console.log(`シート状態発見: ${processId}`);
-          // メモリとキャッシュにも復元
-          this.memoryStorage[processId] = sheetState;
-          try {
-            const cache = CacheService.getScriptCache();
-            cache.put(`process_${processId}`, JSON.stringify(sheetState), 3600);
-            console.log(`キャッシュに復元: ${processId}`);
-          } catch (cacheError) {
-            console.warn('キャッシュ復元失敗:', cacheError.message);
-          }
-          console.log(`シート状態取得成功: ${processId}`);
-          return sheetState;
-        } else {
-          console.log(`シートにも状態なし: ${processId}`);
-        }
-      } catch (sheetError) {
-        console.error('シート取得失敗:', sheetError.message);
-        console.error('シート取得エラー詳細:', sheetError);
+    } catch (error) {
+      console.warn('自動再開の予約解除に失敗しました:', error.message);
+    }
+  },
+
+  /**
+   * 処理全体の実行ロックのトークン（処理状態に保存）
+   */
+  getRunToken: function(processId) {
+    const state = this.getState(processId);
+    return state ? state.runToken || '' : '';
+  },
+
+  deleteTrigger: function(triggerId) {
+    if (!triggerId) return;
+    ScriptApp.getProjectTriggers().forEach(trigger => {
+      if (trigger.getUniqueId() === triggerId) ScriptApp.deleteTrigger(trigger);
+    });
+  },
+
+  // キャンセル要求（実行中のフェーズがチャンクの区切りで確認する）
+  CANCEL_KEY_PREFIX: 'EBAY_TOOL_CANCEL_',
+
+  isCancelRequested: function(processId) {
+    return !!PropertiesService.getDocumentProperties().getProperty(this.CANCEL_KEY_PREFIX + processId);
+  },
+
+  /**
+   * 処理のキャンセルを要求する
+   * 実行中のフェーズがなければすぐにキャンセル状態にし、実行中であればそのフェーズが区切りで止める
+   * @param {string} processId - 処理ID
+   * @return {Object} 処理結果（すぐに止めた場合はcancelled、実行中のフェーズを待つ場合はpending）
+   */
+  requestCancel: function(processId) {
+    const state = this.getState(processId);
+    if (!state) {
+      return { success: false, message: '処理状態が見つかりません', processId: processId };
+    }
+    if (state.completed || state.cancelled) {
+      return { success: false, message: 'この処理はすでに終了しています。', processId: processId };
+    }
+
+    PropertiesService.getDocumentProperties().setProperty(this.CANCEL_KEY_PREFIX + processId, String(new Date().getTime()));
+    console.log(`🛑 キャンセル要求: ${processId}`);
+
+    // 実行中の呼び出しがなければ、処理のロックを引き継いですぐに止める
+    const result = RunLock.step('自動処理のキャンセル', state.runToken, () => this.finishCancelled(processId));
+    if (result.locked) {
+      return { success: true, pending: true, message: '実行中のフェーズの区切りで処理を止めます。', processId: processId };
+    }
+    return result;
+  },
+
+  /**
+   * フェーズが書き換えるシート（phase.sheets）のうち、この処理でまだ保存していないもののスナップショットを取る
+   * 同じシートを書き換えるフェーズが続く場合は、最初のフェーズの前の状態だけを残す
+   * @param {Object} state - 処理状態（state.rollbackに { snapshots, captured, emptySheets, skippedMessage } を記録）
+   * @param {string} phaseLabel - フェーズの表示名（スナップショットの操作名に使う）
+   * @param {Array} sheetKeys - EbayTool.getSheetNameのキー
+   * @return {boolean} 記録を追加した場合はtrue（シートを書き換える前に状態を保存する）
+   */
+  prepareRollback: function(state, phaseLabel, sheetKeys) {
+    const rollback = state.rollback || (state.rollback = { snapshots: [], captured: [], emptySheets: [], skippedMessage: '' });
+    const sheetNames = sheetKeys.map(key => EbayTool.getSheetName(key)).filter(name => !rollback.captured.includes(name));
+    if (sheetNames.length === 0) return false;
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    rollback.captured.push(...sheetNames);
+    rollback.emptySheets.push(...sheetNames.filter(name => {
+      const sheet = ss.getSheetByName(name);
+      return !sheet || sheet.getLastRow() === 0;
+    }));
+    // キャンセル時の巻き戻し専用なので一覧には出さず、処理が終わったら削除する
+    // シートごとに種類を分け、失敗した処理の分は次にそのシートを書き換える処理の開始で置き換わる
+    sheetNames.forEach(name => {
+      const snapshot = Snapshots.take(ss, `自動処理の${phaseLabel}`, [ss.getSheetByName(name)], { auto: `rollback:${name}`, internal: true });
+      if (snapshot && !snapshot.skipped) rollback.snapshots.push(snapshot.id);
+      if (snapshot && snapshot.skipped) rollback.skippedMessage = snapshot.message;
+    });
+    return true;
+  },
+
+  /**
+   * 途中まで書き込んだシートを処理開始前の状態に戻す
+   * @return {string} 結果の説明
+   */
+  rollback: function(state) {
+    const rollback = state.rollback;
+    if (!rollback) return '';
+
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const notes = [];
+    const failed = this.getRollbackSnapshots(rollback)
+      .map(snapshotId => Snapshots.restore(ss, snapshotId))
+      .filter(restored => !restored.success);
+    if (failed.length > 0) {
+      notes.push(`シートを元に戻せませんでした: ${failed.map(restored => restored.message).join('、')}`);
+    } else if (this.getRollbackSnapshots(rollback).length > 0) {
+      notes.push('開始前のシートに戻しました');
+    }
+    if (rollback.skippedMessage) {
+      notes.push('開始前のシートが大きくスナップショットを保存していないため、元に戻せませんでした');
+    }
+    const cleared = rollback.emptySheets.filter(name => {
+      const sheet = ss.getSheetByName(name);
+      if (!sheet || sheet.getLastRow() === 0) return false;
+      sheet.clear();
+      return true;
+    });
+    if (cleared.length > 0) notes.push(`途中まで書き込んだ${cleared.join('、')}を空に戻しました`);
+    return notes.join('、');
+  },
+
+  /**
+   * 巻き戻し用のスナップショットを削除する（完了した処理はキャンセルで戻さない）
+   * 失敗した処理はキャンセルで戻せるよう残す（次の処理の開始で置き換わる）
+   */
+  discardRollback: function(state) {
+    if (!state.rollback) return;
+    try {
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      this.getRollbackSnapshots(state.rollback).forEach(snapshotId => Snapshots.remove(ss, snapshotId));
+    } catch (error) {
+      console.warn('巻き戻し用のスナップショットの削除に失敗しました:', error.message);
+    }
+  },
+
+  /**
+   * 巻き戻し用のスナップショットID（以前のバージョンで開始した処理は開始時の1つだけ）
+   */
+  getRollbackSnapshots: function(rollback) {
+    if (rollback.snapshots) return rollback.snapshots;
+    return rollback.snapshotId ? [rollback.snapshotId] : [];
+  },
+
+  /**
+   * キャンセルを確定する（途中の書き込みを戻し、状態をcancelledにする）
+   * 実行中の処理の状態は破棄し、保存済みの状態から確定する
+   */
+  finishCancelled: function(processId) {
+    const state = this.getState(processId);
+    if (!state) {
+      return { success: false, message: '処理状態が見つかりません', processId: processId };
+    }
+
+    const rollbackNote = state.cancelled ? '' : this.rollback(state);
+    state.phase = 'cancelled';
+    state.cancelled = true;
+    state.csvData = null;
+    state.result.success = false;
+    state.result.finalMessage = `処理をキャンセルしました${rollbackNote ? `（${rollbackNote}）` : ''}`;
+    this.saveState(processId, state);
+
+    this.cancelContinuation(processId, true);
+    console.log(`🛑 キャンセル完了: ${processId} ${rollbackNote}`);
+
+    return {
+      success: true,
+      message: state.result.finalMessage,
+      cancelled: true,
+      processId: processId,
+      result: state.result
+    };
+  },
+  /**
+   * フェーズの失敗で処理を止める（状態は結果の表示用に失敗として残す）
+   * @param {Object} phaseResult - 失敗したフェーズの戻り値（validationReportがあれば検証エラーとして返す）
+   */
+  finishFailed: function(processId, state, phaseResult) {
+    const step = phaseResult.step;
+    state.result.steps.push(step);
+    state.csvData = null;
+    state.error = step.message;
+    state.result.success = false;
+    state.result.finalMessage = phaseResult.finalMessage || `${step.label}に失敗したため、処理を中止しました。`;
+    this.saveState(processId, state);
+    this.cancelContinuation(processId, true);
+    console.log(`❌ フェーズ失敗で処理を中止: ${processId}（${step.label}）`);
+
+    return {
+      success: false,
+      message: `${state.result.finalMessage}\n${step.message}`,
+      processId: processId,
+      result: state.result,
+      needsValidationDecision: !!phaseResult.validationReport,
+      validationReport: phaseResult.validationReport || null
+    };
+  },
+
+  /**
+   * 処理状態を保存（ProcessStateStoreに永続化）
+   * 読み込んだ後に他の実行が保存していた場合は保存せずfalseを返す
+   */
+  saveState: function(processId, state) {
+    try {
+      const stateData = Object.assign({}, state, { lastUpdated: new Date().getTime() });
+      delete stateData.stateVersion;
+
+      const result = ProcessStateStore.save(processId, stateData, state.stateVersion || 0);
+      if (!result.success) {
+        console.warn(`処理状態を保存できませんでした: ${processId} - ${result.message}`);
+        return false;
       }
-      
-      console.log(`処理状態が見つかりません: ${processId}`);
-      return null;
+      state.stateVersion = result.version;
+      console.log(`💾 処理状態保存: ${processId} (v${result.version})`);
+      return true;
     } catch (error) {
-      console.error('処理状態取得エラー:', error);
-      return null;
+      console.error('処理状態保存エラー:', error);
+      return false;
     }
   },
   
   /**
-   * 処理状態をシートから取得
+   * 処理状態を取得（見つからない・破損している場合はnull）
    */
-  getStateFromSheet: function(processId) {
+  getState: function(processId) {
     try {
-      console.log(`シートから状態を検索開始: ${processId}`);
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const stateSheet = ss.getSheetByName(EbayTool.getSheetName('PROCESS_STATE'));
-      
-      if (!stateSheet) {
-        console.log(`処理状態シートが存在しません`);
+      const record = ProcessStateStore.get(processId);
+      if (!record.success || !record.found) {
+        console.log(`処理状態が見つかりません: ${processId}${record.corrupted ? '（破損）' : ''}`);
         return null;
       }
-      
-      const lastRow = stateSheet.getLastRow();
-      console.log(`処理状態シートの行数: ${lastRow}`);
-      if (lastRow <= 1) {
-        console.log(`処理状態シートにデータなし`);
-        return null;
-      }
-      
-      // プロセスIDを検索
-      const data = stateSheet.getRange(2, 1, lastRow - 1, 3).getValues();
-      console.log(`シートデータ行数: ${data.length}`);
-      for (let i = 0; i < data.length; i++) {
-        console.log(`行${i + 2}: ID="${data[i][0]}" vs "${processId}"`);
-        if (data[i][0] === processId) {
-          const stateJson = data[i][1];
-          console.log(`状態データ発見: ${processId}`);
-          return JSON.parse(stateJson);
-        }
-      }
-      
-      console.log(`シートに該当する状態データなし: ${processId}`);
-      return null;
+      record.state.stateVersion = record.version;
+      return record.state;
     } catch (error) {
-      console.error(`シート取得エラー詳細:`, error);
-      throw new Error(`シート取得エラー: ${error.message}`);
+      console.error('処理状態取得エラー:', error);
+      return null;
     }
   },
   
   /**
-   * 処理状態をクリア
+   * 処理状態を削除
    */
   clearState: function(processId) {
     try {
-      // メモリから削除
-      if (this.memoryStorage[processId]) {
-        delete this.memoryStorage[processId];
-        console.log(`メモリ内状態クリア: ${processId}`);
-      }
-      
-      // キャッシュからも削除を試行
-      try {
-        const cache = CacheService.getScriptCache();
-        cache.remove(`process_${processId}`);
-        console.log(`キャッシュ状態クリア: ${processId}`);
-      } catch (cacheError) {
-        console.warn('キャッシュクリア失敗:', cacheError.message);
-      }
-      
+      ProcessStateStore.remove(processId);
+      console.log(`処理状態クリア: ${processId}`);
       return true;
     } catch (error) {
       console.error('処理状態クリアエラー:', error);
@@ -4080,8 +8170,14 @@ var ChunkedProcessor = {
   /**
    * 分割された自動処理を開始
    */
-  startChunkedAutoProcess: function(csvData) {
+  startChunkedAutoProcess: function(csvData, presetName = '', validationMode = '') {
     const processId = `auto_process_${new Date().getTime()}`;
+    const pipelinePreset = presetName || ToolSettings.get().pipelinePreset;
+    if (!this.PIPELINE_PRESETS[pipelinePreset]) {
+      RunLock.end();
+      return { success: false, message: `パイプラインのプリセットが不正です: ${pipelinePreset}` };
+    }
+    const pipeline = this.PIPELINE_PRESETS[pipelinePreset].phases.slice();
     const startTime = new Date().getTime();
     
     console.log(`*** CHUNKED PROCESSOR DEBUG START ***`);
@@ -4093,13 +8189,21 @@ var ChunkedProcessor = {
       // 初期状態を設定
       const initialState = {
         processId: processId,
-        phase: 'import',
+        pipelinePreset: pipelinePreset,
+        pipeline: pipeline,
+        phase: pipeline[0],
+        phaseStarted: false,
         startTime: startTime,
         csvData: csvData,
-        totalPhases: 4,
+        validationMode: validationMode, // インポートで検証エラーのある行の扱い（ImportSchema.MODES）
+        runToken: RunLock.currentToken(), // 一時停止・トリガーからの再開でも同じ実行としてロックを保つ
+        totalPhases: pipeline.length,
         currentPhase: 1,
         completed: false,
+        cancelled: false,
         error: null,
+        // キャンセル時に開始前の状態へ戻すためのスナップショット（各フェーズがシートを書き換える前に取る）
+        rollback: null,
         result: {
           success: false,
           steps: [],
@@ -4109,6 +8213,13 @@ var ChunkedProcessor = {
         }
       };
       
+      // 前回までの古い処理状態を整理
+      try {
+        ProcessStateStore.cleanup(ProcessStateStore.STALE_AGE, processId);
+      } catch (cleanupError) {
+        console.warn('古い処理状態の削除に失敗しました:', cleanupError.message);
+      }
+      
       console.log(`分割処理初期化: ${processId}`);
       console.log(`初期状態オブジェクト作成完了`);
       console.log(`*** 状態保存を実行します ***`);
@@ -4125,6 +8236,7 @@ var ChunkedProcessor = {
       
     } catch (error) {
       console.error('分割自動処理開始エラー:', error);
+      RunLock.end();
       return {
         success: false,
         message: `処理開始に失敗しました: ${error.message}`,
@@ -4143,6 +8255,7 @@ var ChunkedProcessor = {
     console.log(`executeNextPhase実行: ${processId}`);
     if (!state) {
       console.error(`状態取得失敗: ${processId}`);
+      this.cancelContinuation(processId, true);
       return {
         success: false,
         message: '処理状態が見つかりません',
@@ -4150,24 +8263,20 @@ var ChunkedProcessor = {
       };
     }
     console.log(`状態取得成功: ${processId}, フェーズ: ${state.phase}`);
+    // ロックのトークンがない処理（開始時にロックしていない）は、この呼び出しのロックを引き継ぐ
+    if (!state.runToken && RunLock.currentToken()) state.runToken = RunLock.currentToken();
+    
+    // キャンセルを要求されていれば、フェーズを始める前に止める
+    if (!state.completed && !state.cancelled && this.isCancelRequested(processId)) {
+      return this.finishCancelled(processId);
+    }
     
     try {
       let phaseResult = null;
       
       switch (state.phase) {
-        case 'import':
-          phaseResult = this.executeImportPhase(state, startTime);
-          break;
-        case 'detect':
-          phaseResult = this.executeDetectPhase(state, startTime);
-          break;
-        case 'analyze':
-          phaseResult = this.executeAnalyzePhase(state, startTime);
-          break;
-        case 'export':
-          phaseResult = this.executeExportPhase(state, startTime);
-          break;
         case 'completed':
+          this.cancelContinuation(processId, true);
           return {
             success: true,
             message: '全ての処理が完了しました',
@@ -4175,29 +8284,56 @@ var ChunkedProcessor = {
             processId: processId,
             result: state.result
           };
-        default:
-          throw new Error(`未知のフェーズ: ${state.phase}`);
+        case 'cancelled':
+          this.cancelContinuation(processId, true);
+          return {
+            success: true,
+            message: state.result.finalMessage,
+            cancelled: true,
+            processId: processId,
+            result: state.result
+          };
+        default: {
+          const phase = this.phases[state.phase];
+          if (!phase) {
+            throw new Error(`未知のフェーズ: ${state.phase}`);
+          }
+          // 実行中に強制終了されても止まったままにならないよう、フェーズの前に見張りの自動再開を予約する
+          // （フェーズが戻って状態を保存した後に、結果に応じて取り消すか予約し直す）
+          this.scheduleContinuation(processId, this.WATCHDOG_DELAY);
+          // 巻き戻し用のスナップショットはフェーズを始める前に取り、状態に保存してからシートを書き換える
+          // （スナップショットで時間を使った場合は、一時停止して次の実行でフェーズを始める）
+          if (!state.phaseStarted && this.prepareRollback(state, phase.label, phase.sheets || [])) {
+            phaseResult = { completed: false, rollbackPrepared: true };
+            break;
+          }
+          // 前回の実行で始めたフェーズは再開フックで続ける
+          const resuming = state.phaseStarted && phase.resume;
+          state.phaseStarted = true;
+          phaseResult = resuming ? phase.resume(state, startTime) : phase.run(state, startTime);
+          if (phaseResult.step) phaseResult.step.label = phase.label;
+        }
       }
       
       // 実行時間をチェック
+      // フェーズの途中（チャンクの区切り）でキャンセルを検知した
+      if (phaseResult.cancelled) {
+        return this.finishCancelled(processId);
+      }
+      
       const timeCheck = this.checkExecutionTime(startTime);
       
-      if (timeCheck.shouldStop && !phaseResult.completed) {
-        // タイムアウト前に処理を一時停止
-        console.log(`時間制限に近づいたため処理を一時停止: ${timeCheck.elapsed}ms経過`);
-        return {
-          success: true,
-          message: `処理を一時停止しました (フェーズ: ${state.phase})`,
-          processId: processId,
-          paused: true,
-          progress: Math.round((state.currentPhase / state.totalPhases) * 100)
-        };
+      // フェーズが失敗した場合は、古いデータのまま後続のフェーズを進めずに処理を止める
+      if (phaseResult.completed && phaseResult.step && !phaseResult.step.success) {
+        return this.finishFailed(processId, state, phaseResult);
       }
       
       if (phaseResult.completed) {
         // 現在のフェーズが完了
         state.currentPhase++;
         state.result.steps.push(phaseResult.step);
+        // インポート済みのCSVは状態に残さない（処理状態のサイズを抑える）
+        if (phaseResult.step.name === 'import') state.csvData = null;
         
         if (state.currentPhase > state.totalPhases) {
           // 全フェーズ完了
@@ -4206,41 +8342,70 @@ var ChunkedProcessor = {
           state.result.success = true;
           state.result.finalMessage = phaseResult.finalMessage || '全ての処理が正常に完了しました';
         } else {
-          // 次のフェーズに進む
-          const phases = ['import', 'detect', 'analyze', 'export'];
-          state.phase = phases[state.currentPhase - 1];
-        }
-        
-        this.saveState(processId, state);
-        
-        if (state.completed) {
-          this.clearState(processId);
-          return {
-            success: true,
-            message: '全ての処理が完了しました',
-            completed: true,
-            processId: processId,
-            result: state.result
-          };
-        }
-        
-        // 次のフェーズを即座に開始（時間が許せば）
-        if (!timeCheck.shouldStop) {
-          return this.executeNextPhase(processId);
+          // パイプラインの次のフェーズに進む
+          state.phase = this.getPipeline(state)[state.currentPhase - 1];
+          state.phaseStarted = false;
         }
       }
       
+      // 途中経過も含めて保存（他の実行が先に進めていた場合は、この実行の結果を捨てる）
+      if (!this.saveState(processId, state)) {
+        // 先に保存した実行が止まっていても続きが動くよう、保存済みの状態からの再開を予約しておく
+        this.scheduleContinuation(processId);
+        return {
+          success: true,
+          message: '別の実行が処理を続けています。サイドバーを閉じても処理は自動で続きます',
+          processId: processId,
+          conflict: true,
+          progress: this.calculateProgress(state)
+        };
+      }
+      
+      if (state.completed) {
+        // 完了した状態は結果の表示用に残す（古いものはProcessStateStore.cleanupで削除）
+        this.discardRollback(state);
+        this.cancelContinuation(processId, true);
+        return {
+          success: true,
+          message: '全ての処理が完了しました',
+          completed: true,
+          processId: processId,
+          result: state.result
+        };
+      }
+      
+      if (timeCheck.shouldStop && !phaseResult.completed) {
+        // タイムアウト前に処理を一時停止
+        console.log(`時間制限に近づいたため処理を一時停止: ${timeCheck.elapsed}ms経過`);
+        this.scheduleContinuation(processId);
+        return {
+          success: true,
+          message: `処理を一時停止しました (フェーズ: ${state.phase})`,
+          processId: processId,
+          paused: true,
+          progress: this.calculateProgress(state)
+        };
+      }
+      
+      // 次のフェーズ（スナップショットを取っただけの場合はそのフェーズ）を即座に開始（時間が許せば）
+      if ((phaseResult.completed || phaseResult.rollbackPrepared) && !timeCheck.shouldStop) {
+        return this.executeNextPhase(processId);
+      }
+      
+      // フェーズの途中で戻る場合も、サイドバーが閉じられていればトリガーで続ける
+      this.scheduleContinuation(processId);
       return {
         success: true,
         message: `フェーズ「${state.phase}」を実行中`,
         processId: processId,
-        progress: Math.round((state.currentPhase / state.totalPhases) * 100)
+        progress: this.calculateProgress(state)
       };
       
     } catch (error) {
       console.error(`フェーズ実行エラー (${state.phase}):`, error);
       state.error = error.message;
       this.saveState(processId, state);
+      this.cancelContinuation(processId, true);
       
       return {
         success: false,
@@ -4256,9 +8421,17 @@ var ChunkedProcessor = {
    */
   executeImportPhase: function(state, startTime) {
     console.log('インポートフェーズ開始');
+    if (this.isCancelRequested(state.processId)) return { cancelled: true };
     
     try {
-      const importResult = importCsvData(state.csvData);
+      // CSVを渡されていない場合は、一時保存したCSV（_TempCSVシート）を取り込む
+      // 検証エラーのある行の扱いは、開始時に選んだもの（state.validationMode）を使う
+      const validationMode = state.validationMode || '';
+      const importResult = state.csvData ?
+        importCsvData(state.csvData, '', validationMode) :
+        this.importFromTempSheet(validationMode, () => this.isCancelRequested(state.processId));
+      // 一時シートからのコピーの途中でキャンセルを検知した（書き込んだ行はロールバックで戻す）
+      if (importResult.cancelled) return { cancelled: true };
       
       return {
         completed: true,
@@ -4268,7 +8441,9 @@ var ChunkedProcessor = {
           message: importResult.message,
           progressDetail: `${importResult.rowCount || 0}件のデータをインポートしました`
         },
-        finalMessage: importResult.success ? null : "CSVインポートに失敗したため、処理を中止しました。"
+        finalMessage: importResult.success ? null : "CSVインポートに失敗したため、処理を中止しました。",
+        // 検証レポートはサイドバーで扱いを選び直してもらうために返す
+        validationReport: importResult.needsValidationDecision ? importResult.validationReport : null
       };
     } catch (error) {
       throw new Error(`インポートフェーズでエラー: ${error.message}`);
@@ -4276,280 +8451,321 @@ var ChunkedProcessor = {
   },
   
   /**
-   * 重複検出フェーズを実行（マイクロチャンク対応）
+   * 分析フェーズを実行
    */
-  executeDetectPhase: function(state, startTime) {
-    console.log('重複検出フェーズ開始（マイクロチャンク処理）');
+  executeAnalyzePhase: function(state, startTime) {
+    console.log('分析フェーズ開始');
+    if (this.isCancelRequested(state.processId)) return { cancelled: true };
     
     try {
-      // チャンク処理状態の初期化
-      if (!state.detectState) {
-        state.detectState = {
-          chunkSize: 800, // さらに縮小（1500→800）
-          processedRows: 0,
-          totalRows: 0,
-          duplicateGroups: 0,
-          completed: false
-        };
-      }
-      
-      const timeCheck = this.checkExecutionTime(startTime);
-      
-      // マイクロチャンク重複検出を実行
-      const chunkResult = this.executeDetectChunk(state, startTime);
-      
-      if (chunkResult.shouldPause) {
-        // 時間制限により一時停止
-        this.saveState(state.processId, state);
-        return {
-          completed: false,
-          paused: true,
-          step: {
-            name: 'detect',
-            success: true,
-            message: `重複検出中（${state.detectState.processedRows}/${state.detectState.totalRows}行処理済み）`,
-            progressDetail: `進捗: ${Math.round((state.detectState.processedRows / state.detectState.totalRows) * 100)}%`
-          }
-        };
-      }
-      
-      if (chunkResult.completed) {
-        // 重複検出完了
-        return {
-          completed: true,
-          step: {
-            name: 'detect',
-            success: chunkResult.success,
-            message: chunkResult.message,
-            progressDetail: chunkResult.success ? 
-              `${chunkResult.duplicateGroups || 0}件の重複グループを検出しました` : 
-              '重複検出に失敗しました'
-          },
-          finalMessage: chunkResult.success ? null : "重複検出に失敗したため、処理を中止しました。"
-        };
-      }
+      // 分析処理は省略してスキップ（重複検出が主要機能）
+      console.log('分析フェーズをスキップ（重複検出完了済み）');
       
-      // 継続処理
       return {
-        completed: false,
+        completed: true,
         step: {
-          name: 'detect',
+          name: 'analyze',
           success: true,
-          message: `重複検出継続中（${state.detectState.processedRows}/${state.detectState.totalRows}行）`,
-          progressDetail: `進捗: ${Math.round((state.detectState.processedRows / state.detectState.totalRows) * 100)}%`
+          message: '分析フェーズ完了（スキップ）',
+          progressDetail: '統計分析をスキップしました'
         }
       };
-      
     } catch (error) {
-      throw new Error(`重複検出フェーズでエラー: ${error.message}`);
+      throw new Error(`分析フェーズでエラー: ${error.message}`);
     }
   },
-
+  
   /**
-   * 重複検出のマイクロチャンク処理
+   * エクスポートフェーズを実行
    */
-  executeDetectChunk: function(state, startTime) {
+  executeExportPhase: function(state, startTime) {
+    console.log('エクスポートフェーズ開始');
+    if (this.isCancelRequested(state.processId)) return { cancelled: true };
+    
     try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const importSheet = ss.getSheetByName(EbayTool.getSheetName('IMPORT'));
-      
-      if (!importSheet) {
-        return {
-          completed: true,
-          success: false,
-          message: 'インポートシートが見つかりません'
-        };
-      }
-      
-      // 初回実行時の初期化
-      if (state.detectState.totalRows === 0) {
-        const lastRow = importSheet.getLastRow();
-        state.detectState.totalRows = Math.max(0, lastRow - 1); // ヘッダー除く
-        state.detectState.processedRows = 0;
-        
-        if (state.detectState.totalRows === 0) {
-          return {
-            completed: true,
-            success: true,
-            message: '検出された重複: 0件。重複データはありませんでした。',
-            duplicateGroups: 0
-          };
-        }
-        
-        console.log(`重複検出開始: 総行数 ${state.detectState.totalRows}`);
-      }
-      
-      const chunkSize = state.detectState.chunkSize;
-      const startRow = state.detectState.processedRows + 2; // ヘッダー行+1から開始
-      const endRow = Math.min(startRow + chunkSize - 1, state.detectState.totalRows + 1);
-      const actualChunkSize = endRow - startRow + 1;
-      
-      if (actualChunkSize <= 0) {
-        // 全行処理完了
-        console.log(`重複検出完了: ${state.detectState.processedRows}行処理済み`);
-        return {
-          completed: true,
-          success: true,
-          message: `検出された重複: ${state.detectState.duplicateGroups}件の重複グループが見つかりました。`,
-          duplicateGroups: state.detectState.duplicateGroups
-        };
-      }
-      
-      console.log(`チャンク処理: ${startRow}-${endRow}行 (${actualChunkSize}行)`);
-      
-      // チャンクデータを取得して重複検出
-      const lastCol = importSheet.getLastColumn();
-      const chunkData = importSheet.getRange(startRow, 1, actualChunkSize, lastCol).getValues();
-      
-      // 簡易重複チェック（タイトル列での重複検出）
-      const titleColumnIndex = this.findTitleColumn(importSheet);
-      const duplicatesFound = this.findDuplicatesInChunk(chunkData, titleColumnIndex);
-      
-      state.detectState.duplicateGroups += duplicatesFound;
-      state.detectState.processedRows += actualChunkSize;
-      
-      // 実行時間チェック
-      const timeCheck = this.checkExecutionTime(startTime);
-      if (timeCheck.shouldStop) {
-        console.log('時間制限により一時停止');
-        return {
-          shouldPause: true
-        };
-      }
-      
-      // まだ処理が残っている場合は継続
-      if (state.detectState.processedRows < state.detectState.totalRows) {
-        return {
-          completed: false,
-          continuing: true
-        };
-      }
+      const exportResult = generateExportCsv();
       
-      // 全処理完了
       return {
         completed: true,
-        success: true,
-        message: `検出された重複: ${state.detectState.duplicateGroups}件の重複グループが見つかりました。`,
-        duplicateGroups: state.detectState.duplicateGroups
+        step: {
+          name: 'export',
+          success: exportResult.success,
+          message: exportResult.message,
+          progressDetail: exportResult.success ? 
+            `CSVエクスポートが完了しました${exportResult.excludedCount ? `（要確認${exportResult.excludedCount}件を除外）` : ''}` : 
+            'CSVエクスポートに失敗しました'
+        },
+        finalMessage: exportResult.success ? 
+          "処理が完了しました。重複データをCSVファイルとしてダウンロードしてください。" : 
+          "CSVエクスポートに失敗したため、処理を中止しました。"
       };
-      
     } catch (error) {
-      console.error('チャンク処理エラー:', error);
-      throw new Error(`チャンク処理でエラー: ${error.message}`);
+      throw new Error(`エクスポートフェーズでエラー: ${error.message}`);
     }
   },
   
   /**
-   * タイトル列を見つける
+   * 一時保存したCSV（_TempCSVシート）をインポートシートにコピーする
+   * 検証で中止した場合は、選び直して再実行できるよう一時シートを残す
+   * @param {string} validationMode - ImportSchema.MODES（省略時は不正な行があれば中止）
+   * @param {Function} shouldCancel - バッチごとに呼ばれ、trueを返したらコピーを中断する
    */
-  findTitleColumn: function(sheet) {
-    try {
-      const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
-      for (let i = 0; i < headers.length; i++) {
-        const header = String(headers[i]).toLowerCase();
-        if (header.includes('title') || header.includes('name') || header.includes('item name')) {
-          return i;
-        }
-      }
-      // デフォルトは3列目
-      return 3;
-    } catch (error) {
-      console.warn('タイトル列検出エラー:', error);
-      return 3;
-    }
+  importFromTempSheet: function(validationMode = '', shouldCancel = null) {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const tempSheet = ss.getSheetByName('_TempCSV');
+    if (!tempSheet || tempSheet.getLastRow() === 0) {
+      return { success: false, message: '一時保存されたCSVデータが見つかりません' };
+    }
+    const copyResult = copyTempCsvToImportSheet(ss, tempSheet, validationMode, shouldCancel);
+    if (!copyResult.success) return copyResult;
+    ss.deleteSheet(tempSheet);
+    return { success: true, message: `CSVインポート完了: ${copyResult.copiedRows}行のデータをインポートしました${copyResult.message}`, rowCount: copyResult.copiedRows };
   },
   
   /**
-   * チャンク内での重複を検出
+   * サイト絞り込みフェーズを実行（ツール設定の出品サイトと方式）
    */
-  findDuplicatesInChunk: function(chunkData, titleIndex) {
+  executeFilterPhase: function(state, startTime) {
+    console.log('サイト絞り込みフェーズ開始');
+    if (this.isCancelRequested(state.processId)) return { cancelled: true };
+    
     try {
-      const titleCounts = {};
-      let duplicateGroups = 0;
+      const filterResult = filterListingSites();
       
-      for (let i = 0; i < chunkData.length; i++) {
-        const title = String(chunkData[i][titleIndex] || '').trim();
-        if (title.length > 10) { // 最低10文字以上のタイトル
-          titleCounts[title] = (titleCounts[title] || 0) + 1;
-        }
-      }
-      
-      for (const title in titleCounts) {
-        if (titleCounts[title] > 1) {
-          duplicateGroups++;
-        }
-      }
-      
-      return duplicateGroups;
+      return {
+        completed: true,
+        step: {
+          name: 'filter',
+          success: filterResult.success,
+          message: filterResult.message,
+          progressDetail: filterResult.success ?
+            `${filterResult.originalCount || 0}件 → ${filterResult.filteredCount || 0}件` :
+            'サイト絞り込みに失敗しました'
+        },
+        finalMessage: filterResult.success ? null : "サイト絞り込みに失敗したため、処理を中止しました。"
+      };
     } catch (error) {
-      console.warn('チャンク重複検出エラー:', error);
-      return 0;
+      throw new Error(`サイト絞り込みフェーズでエラー: ${error.message}`);
     }
   },
   
+  // 重複リスト作成フェーズで1回に読み込む行数
+  DETECTION_CHUNK_SIZE: 2000,
+
   /**
-   * 分析フェーズを実行
+   * 重複リスト作成フェーズを実行（検出設定どおりに重複を検出して重複リストに書き込む）
+   * インポートシートをチャンクごとにグループ化し、時間が足りなくなったらグループ化の進捗を状態（state.detection）に保存して一時停止する
    */
-  executeAnalyzePhase: function(state, startTime) {
-    console.log('分析フェーズ開始');
+  executeDuplicateListPhase: function(state, startTime) {
+    console.log('重複リスト作成フェーズ開始');
+    state.detection = null;
+    return this.resumeDuplicateListPhase(state, startTime);
+  },
+
+  /**
+   * 一時停止した重複リスト作成フェーズを続ける（保存した進捗がなければ最初から）
+   */
+  resumeDuplicateListPhase: function(state, startTime) {
+    if (this.isCancelRequested(state.processId)) return { cancelled: true };
     
     try {
-      // 分析処理は省略してスキップ（重複検出が主要機能）
-      console.log('分析フェーズをスキップ（重複検出完了済み）');
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const importSheet = ss.getSheetByName(EbayTool.getConfig().SHEET_NAMES.IMPORT);
+      if (!importSheet) {
+        return this.finishDuplicateListPhase(state, { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' });
+      }
       
-      return {
-        completed: true,
-        step: {
-          name: 'analyze',
-          success: true,
-          message: '分析フェーズ完了（スキップ）',
-          progressDetail: '統計分析をスキップしました'
+      // 一時停止中にインポートシートの大きさが変わった場合は、グループ化をやり直す
+      const lastRow = importSheet.getLastRow();
+      const lastCol = importSheet.getLastColumn();
+      let detection = state.detection;
+      if (detection && (detection.lastRow !== lastRow || detection.lastCol !== lastCol)) {
+        console.warn(`⚠️ 一時停止中にインポートシートが変更されたため、重複検出をやり直します: ${detection.lastRow}行 → ${lastRow}行`);
+        detection = null;
+      }
+      if (lastRow <= 1) {
+        return this.finishDuplicateListPhase(state, { success: true, message: '検出された重複: 0件。重複データはありませんでした。' });
+      }
+      if (!detection) {
+        console.log(`重複検出開始（分割処理）: ${lastRow - 1} 行のデータを処理します`);
+        detection = state.detection = {
+          lastRow: lastRow,
+          lastCol: lastCol,
+          nextRow: 2,
+          groups: {}, // グループキー → 行番号
+          touchedKeys: [],
+          excluded: 0,
+          startedAt: new Date().getTime()
+        };
+      }
+      
+      // 検出オプションと列は実行ごとに作り直す（保存するのはグループ化の進捗だけ）
+      const options = getDetectionOptions();
+      const headers = importSheet.getRange(1, 1, 1, lastCol).getValues()[0];
+      const prepared = prepareDetectionColumns(headers, options);
+      if (!prepared.success) return this.finishDuplicateListPhase(state, prepared);
+      const columns = prepared.columns;
+      if (columns.touchedKeys) detection.touchedKeys.forEach(key => columns.touchedKeys.add(key));
+      if (columns.rowFilter) columns.rowFilter.excluded = detection.excluded;
+      
+      // チャンクごとにタイトル（とバリエーション）でグループ化し、行番号だけを記録する
+      // 1回の実行で少なくとも1チャンク（または抽出と書き込み）は進める（前のフェーズで時間を使っていても止まったままにしない）
+      let groupedChunks = 0;
+      while (detection.nextRow <= lastRow) {
+        if (groupedChunks > 0 && this.checkExecutionTime(startTime).shouldStop) return this.pauseDuplicateListPhase(detection, columns);
+        if (groupedChunks > 0 && this.isCancelRequested(state.processId)) return { cancelled: true };
+        
+        const chunkSize = Math.min(this.DETECTION_CHUNK_SIZE, lastRow - detection.nextRow + 1);
+        const chunkData = importSheet.getRange(detection.nextRow, 1, chunkSize, lastCol).getValues();
+        const rowNumbers = new Map(chunkData.map((row, i) => [row, detection.nextRow + i]));
+        const chunkGroups = groupByTitle(chunkData, columns);
+        Object.keys(chunkGroups).forEach(groupKey => {
+          const rows = detection.groups[groupKey] || (detection.groups[groupKey] = []);
+          chunkGroups[groupKey].forEach(item => rows.push(rowNumbers.get(item.allData)));
+        });
+        detection.nextRow += chunkSize;
+        groupedChunks++;
+        console.log(`重複検出のグループ化: ${detection.nextRow - 2}/${lastRow - 1} 行`);
+      }
+      
+      // 重複の抽出と書き込みは途中で止められないので、残り時間が少なければ次の実行で行う
+      if (groupedChunks > 0 && this.checkExecutionTime(startTime).shouldStop) return this.pauseDuplicateListPhase(detection, columns);
+      
+      // 記録した行番号からグループを組み立てる（タイトルの正規化はグループ化のときの結果を使う）
+      const allData = importSheet.getRange(2, 1, lastRow - 1, lastCol).getValues();
+      const titleGroups = {};
+      Object.keys(detection.groups).forEach(groupKey => {
+        const title = groupKey.split('\u0000')[0].split('\u0001')[0];
+        titleGroups[groupKey] = detection.groups[groupKey].map(row => createTitleGroupItem(allData[row - 2], columns, title).item);
+      });
+      const written = writeDuplicateList(ss, titleGroups, headers, columns, options, null, lastRow - 1 >= 15000);
+      
+      logPerformance('重複検出', detection.startedAt, new Date().getTime(), {
+        success: true,
+        dataRows: lastRow - 1,
+        additionalInfo: {
+          duplicateGroups: written.counts.groups,
+          duplicateItems: written.counts.items,
+          method: '分割処理',
+          mode: options.fuzzyMatching ? 'あいまい検出' : '完全一致',
+          identifierKeys: options.identifierKeys,
+          gradingAware: options.gradingAware
         }
-      };
+      });
+      
+      return this.finishDuplicateListPhase(state, {
+        success: true,
+        message: `${written.counts.groups}件の重複グループを検出しました。合計${written.counts.items}件の重複アイテムがあります。${written.summary}`
+      });
     } catch (error) {
-      throw new Error(`分析フェーズでエラー: ${error.message}`);
+      throw new Error(`重複リスト作成フェーズでエラー: ${error.message}`);
     }
   },
-  
+
+  /**
+   * グループ化の途中で一時停止する（進捗はstate.detectionとして処理状態に保存される）
+   */
+  pauseDuplicateListPhase: function(detection, columns) {
+    if (columns.touchedKeys) detection.touchedKeys = Array.from(columns.touchedKeys);
+    if (columns.rowFilter) detection.excluded = columns.rowFilter.excluded;
+    console.log(`時間制限に近づいたため重複検出を一時停止: ${detection.nextRow - 2}/${detection.lastRow - 1} 行をグループ化済み`);
+    return { completed: false };
+  },
+
+  finishDuplicateListPhase: function(state, detectResult) {
+    state.detection = null;
+    return {
+      completed: true,
+      step: {
+        name: 'duplicates',
+        success: detectResult.success,
+        message: detectResult.message,
+        progressDetail: detectResult.success ? detectResult.message : '重複検出に失敗しました'
+      },
+      finalMessage: detectResult.success ? null : "重複検出に失敗したため、処理を中止しました。"
+    };
+  },
+
   /**
-   * エクスポートフェーズを実行
+   * 重複リスト作成フェーズの進捗（グループ化を全体の半分とみなす）
    */
-  executeExportPhase: function(state, startTime) {
-    console.log('エクスポートフェーズ開始');
-    
-    try {
-      const exportResult = generateExportCsv();
-      
-      return {
-        completed: true,
-        step: {
-          name: 'export',
-          success: exportResult.success,
-          message: exportResult.message,
-          progressDetail: exportResult.success ? 
-            'CSVエクスポートが完了しました' : 
-            'CSVエクスポートに失敗しました'
-        },
-        finalMessage: exportResult.success ? 
-          "処理が完了しました。重複データをCSVファイルとしてダウンロードしてください。" : 
-          "CSVエクスポートに失敗したため、処理を中止しました。"
-      };
-    } catch (error) {
-      throw new Error(`エクスポートフェーズでエラー: ${error.message}`);
-    }
+  estimateDuplicateListPhase: function(state) {
+    const detection = state.detection;
+    if (!detection || detection.lastRow <= 1) return 0;
+    return 0.5 * (detection.nextRow - 2) / (detection.lastRow - 1);
   }
 };
 
+// 標準のフェーズ（estimateの重みはおおよその処理時間の比）
+ChunkedProcessor.registerPhase('import', {
+  label: 'インポート',
+  run: (state, startTime) => ChunkedProcessor.executeImportPhase(state, startTime),
+  estimate: () => ({ weight: 3 }),
+  sheets: ['IMPORT']
+});
+ChunkedProcessor.registerPhase('filter', {
+  label: 'サイト絞り込み',
+  run: (state, startTime) => ChunkedProcessor.executeFilterPhase(state, startTime),
+  estimate: () => ({ weight: 1 }),
+  sheets: ['IMPORT']
+});
+ChunkedProcessor.registerPhase('duplicates', {
+  label: '重複リスト作成',
+  run: (state, startTime) => ChunkedProcessor.executeDuplicateListPhase(state, startTime),
+  resume: (state, startTime) => ChunkedProcessor.resumeDuplicateListPhase(state, startTime),
+  estimate: state => ({ weight: 4, done: ChunkedProcessor.estimateDuplicateListPhase(state) }),
+  sheets: ['DUPLICATES']
+});
+// 以前のバージョンで保存した処理状態はパイプラインに'detect'が残っているので、重複リスト作成として続ける
+ChunkedProcessor.registerPhase('detect', ChunkedProcessor.phases.duplicates);
+ChunkedProcessor.registerPhase('analyze', {
+  label: '分析',
+  run: (state, startTime) => ChunkedProcessor.executeAnalyzePhase(state, startTime),
+  estimate: () => ({ weight: 1 })
+});
+ChunkedProcessor.registerPhase('export', {
+  label: 'エクスポート',
+  run: (state, startTime) => ChunkedProcessor.executeExportPhase(state, startTime),
+  estimate: () => ({ weight: 2 }),
+  sheets: ['EXPORT']
+});
+
+// サイドバーで選べるパイプライン（インポートを含まないものはインポート済みのデータで実行）
+ChunkedProcessor.registerPreset('standard', '標準（インポート → 重複検出 → エクスポート）', ['import', 'duplicates', 'analyze', 'export']);
+ChunkedProcessor.registerPreset('importFilterDetect', 'インポート → サイト絞り込み → 重複検出', ['import', 'filter', 'duplicates']);
+ChunkedProcessor.registerPreset('importFilterDetectExport', 'インポート → サイト絞り込み → 重複検出 → エクスポート', ['import', 'filter', 'duplicates', 'export']);
+ChunkedProcessor.registerPreset('detectOnly', '重複検出のみ（インポート済みのデータ）', ['duplicates']);
+ChunkedProcessor.registerPreset('detectExport', '重複検出 → エクスポート（インポート済みのデータ）', ['duplicates', 'export']);
+
 /**
  * インポートシートを初期化（クライアント側チャンクアップロード用）
+ * アップロードから重複検出までを1つの実行としてロックし、戻り値のrunTokenを以降の呼び出しに渡す
+ * @param {string} importMode - replace: 置き換え / delta: 差分インポート（省略時はツール設定）
+ */
+function initializeImportSheet(importMode) {
+  return RunLock.step('CSVアップロード', '', () => initializeImportSheetImpl(importMode));
+}
+
+/**
+ * initializeImportSheetの本体（実行ロックを取得した状態で呼ぶ）
  */
-function initializeImportSheet() {
+function initializeImportSheetImpl(importMode = '') {
   try {
     console.log('*** SERVER DEBUG: initializeImportSheet called ***');
     
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
     const importSheetName = EbayTool.getSheetName('IMPORT');
     
+    // 差分インポートでは既存のインポートデータを残し、チャンクは一時シートに集める
+    const staging = spreadsheet.getSheetByName(ImportDelta.STAGING_SHEET);
+    if (staging) spreadsheet.deleteSheet(staging);
+    const existing = spreadsheet.getSheetByName(importSheetName);
+    if ((importMode || ToolSettings.get().importMode) === 'delta' && existing && existing.getLastRow() > 1) {
+      spreadsheet.insertSheet(ImportDelta.STAGING_SHEET).hideSheet();
+      spreadsheet.setActiveSheet(existing);
+      return { success: true, delta: true, message: '差分インポート用の一時シートを準備しました' };
+    }
+    
     // インポートシートを取得または作成
     let importSheet;
     try {
@@ -4558,6 +8774,7 @@ function initializeImportSheet() {
         importSheet = spreadsheet.insertSheet(importSheetName);
       } else {
         importSheet.clear(); // 既存データをクリア
+        importSheet.showRows(1, importSheet.getMaxRows()); // 絞り込み（除外マーク）で非表示にした行を戻す
       }
     } catch (e) {
       importSheet = spreadsheet.insertSheet(importSheetName);
@@ -4568,6 +8785,7 @@ function initializeImportSheet() {
     
   } catch (error) {
     console.error('initializeImportSheet エラー:', error);
+    RunLock.end();
     return {
       success: false,
       message: `インポートシート初期化に失敗しました: ${error.message}`
@@ -4576,9 +8794,24 @@ function initializeImportSheet() {
 }
 
 /**
- * CSVチャンクをインポートシートに追加
+ * CSVチャンクをインポートシートに追加（差分インポート中は一時シートに追加）
+ * @param {string} chunkCsv - レコードの境界で分割したCSVテキスト
+ * @param {number} chunkIndex - チャンク番号（0始まり、0番目はヘッダーを含む）
+ * @param {number} totalChunks - チャンク数
+ * @param {number} startLine - チャンク先頭の元ファイルでの行番号（エラー表示用）
+ * @param {string} encoding - クライアントで判定・使用した文字コード
+ * @param {Object} source - 複数ファイルを結合する場合の取り込み元 { fileName, account, headerCsv }
+ *                          （チャンク番号・チャンク数はファイルごと。列はImportMergerでインポートシートにそろえる）
+ * @param {string} runToken - initializeImportSheetで受け取った実行のトークン
+ */
+function appendCsvChunkToImportSheet(chunkCsv, chunkIndex, totalChunks, startLine, encoding, source, runToken) {
+  return RunLock.step('CSVアップロード', runToken, () => appendCsvChunkToImportSheetImpl(chunkCsv, chunkIndex, totalChunks, startLine, encoding, source, runToken));
+}
+
+/**
+ * appendCsvChunkToImportSheetの本体（実行ロックを取得した状態で呼ぶ）
  */
-function appendCsvChunkToImportSheet(chunkCsv, chunkIndex, totalChunks) {
+function appendCsvChunkToImportSheetImpl(chunkCsv, chunkIndex, totalChunks, startLine = 1, encoding = '', source = null, runToken = '') {
   try {
     console.log(`*** SERVER DEBUG: appendCsvChunkToImportSheet called - chunk ${chunkIndex + 1}/${totalChunks} ***`);
     console.log(`*** SERVER DEBUG: Chunk size: ${chunkCsv.length} characters ***`);
@@ -4589,66 +8822,70 @@ function appendCsvChunkToImportSheet(chunkCsv, chunkIndex, totalChunks) {
     }
     
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
-    const importSheetName = EbayTool.getSheetName('IMPORT');
-    const importSheet = spreadsheet.getSheetByName(importSheetName);
+    const importSheet = ImportDelta.getUploadSheet(spreadsheet);
     
     if (!importSheet) {
       return { success: false, message: 'インポートシートが見つかりません' };
     }
     
-    // チャンクCSVを行に分割して解析
-    const lines = chunkCsv.split('\n').filter(line => line.trim() !== '');
-    console.log(`*** SERVER DEBUG: Processing ${lines.length} lines ***`);
+    // 不正なチャンクではサイドバーがアップロードを中止するため、前のチャンクで追加した行も取り消す
+    const abortUpload = () => {
+      RunLock.end();
+      return discardUploadedImport(spreadsheet, importSheet)
+        ? 'インポートデータは変更していません。'
+        : 'アップロード済みの行は削除しました。';
+    };
     
-    if (lines.length === 0) {
-      console.log('*** SERVER DEBUG: No valid lines in chunk ***');
-      return { success: true, message: '有効な行がありません' };
+    const encodingCheck = EbayTool.CSVHandler.verifyEncoding(chunkCsv, encoding);
+    if (!encodingCheck.valid) {
+      const note = abortUpload();
+      return {
+        success: false,
+        malformed: true, // 再送しても解決しないためリトライ不要
+        encodingError: true,
+        message: `チャンク ${chunkIndex + 1}/${totalChunks}: ${encodingCheck.message}\n${note}`
+      };
     }
     
-    // 各行をCSV解析
-    const rows = [];
-    let columnCount = 0;
+    // 結合時はファイルのヘッダーで列数を照合する
+    const fileHeaders = source ? (EbayTool.CSVHandler.parse(source.headerCsv || '').rows[0] || []) : null;
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      try {
-        // 簡易CSV行解析
-        const row = line.split(',').map(cell => {
-          let cleanCell = cell.trim();
-          if (cleanCell.startsWith('"') && cleanCell.endsWith('"')) {
-            cleanCell = cleanCell.slice(1, -1).replace(/""/g, '"');
-          }
-          return cleanCell;
-        });
-        
-        // 最初の行（全体のヘッダー行 or チャンクの最初の行）で列数を確定
-        if (columnCount === 0) {
-          columnCount = row.length;
-          console.log(`*** SERVER DEBUG: Column count set to ${columnCount} ***`);
-        }
-        
-        // 列数を統一
-        while (row.length < columnCount) {
-          row.push('');
-        }
-        if (row.length > columnCount) {
-          row.splice(columnCount);
-        }
-        
-        rows.push(row);
-        
-      } catch (parseError) {
-        console.warn(`*** SERVER DEBUG: Skipping malformed line in chunk: ${parseError.message} ***`);
-        continue;
-      }
+    // チャンクをパース（クライアントはレコードの境界で分割して送信する）
+    // 2つ目以降のチャンクはインポートシートのヘッダー列数と照合する
+    const parsed = EbayTool.CSVHandler.parse(chunkCsv, {
+      startLine: startLine || 1,
+      expectedColumns: fileHeaders ? fileHeaders.length : (chunkIndex === 0 ? 0 : importSheet.getLastColumn())
+    });
+    const rows = parsed.rows;
+    console.log(`*** SERVER DEBUG: Parsed ${rows.length} records ***`);
+    
+    if (parsed.errors.length > 0) {
+      const note = abortUpload();
+      return {
+        success: false,
+        malformed: true, // 再送しても解決しないためリトライ不要
+        message: `${source ? `${source.fileName} の` : ''}チャンク ${chunkIndex + 1}/${totalChunks} に不正なレコードが${parsed.errors.length}件あります。${note}\n${EbayTool.CSVHandler.formatErrors(parsed.errors)}`,
+        malformedRecords: parsed.errors
+      };
+    }
+    
+    if (source) {
+      // 先頭チャンクのヘッダー行を除き、インポートシートの列にそろえて追加
+      const dataRows = chunkIndex === 0 ? rows.slice(1) : rows;
+      const added = ImportMerger.appendRows(importSheet, fileHeaders, dataRows, source);
+      return {
+        success: true,
+        message: `${source.fileName} のチャンク ${chunkIndex + 1}/${totalChunks} を追加しました (${added}行)`,
+        rowsAdded: added,
+        totalRowsNow: importSheet.getLastRow() - 1
+      };
     }
     
     if (rows.length === 0) {
       console.log('*** SERVER DEBUG: No valid rows after parsing ***');
       return { success: true, message: '解析後に有効な行がありません' };
     }
+    const columnCount = rows[0].length;
     
     // インポートシートの現在の最終行を取得
     const currentLastRow = importSheet.getLastRow();
@@ -4677,12 +8914,39 @@ function appendCsvChunkToImportSheet(chunkCsv, chunkIndex, totalChunks) {
 }
 
 /**
- * インポートシートから重複検出を開始
+ * 中止したアップロードで書き込んだ行を取り消す
+ * 差分インポート中は一時シートを削除し、それ以外は初期化で空にしたインポートシートを空に戻す
+ * @return {boolean} 差分インポートの一時シートを削除した場合はtrue（インポートデータは変更していない）
+ */
+function discardUploadedImport(spreadsheet, uploadSheet) {
+  if (uploadSheet.getName() === ImportDelta.STAGING_SHEET) {
+    spreadsheet.deleteSheet(uploadSheet);
+    return true;
+  }
+  uploadSheet.clear();
+  return false;
+}
+
+/**
+ * インポートシートから重複検出を開始（アップロードから続く実行の最後）
+ * @param {string} runToken - initializeImportSheetで受け取った実行のトークン
+ */
+function startDuplicateDetectionFromImportSheet(runToken) {
+  return RunLock.step('重複検出', runToken, () => startDuplicateDetectionFromImportSheetImpl(runToken));
+}
+
+/**
+ * startDuplicateDetectionFromImportSheetの本体（実行ロックを取得した状態で呼ぶ）
  */
-function startDuplicateDetectionFromImportSheet() {
+function startDuplicateDetectionFromImportSheetImpl(runToken = '') {
+  RunLock.end(); // 成否にかかわらず、ここで実行を終える
   try {
     console.log('*** SERVER DEBUG: startDuplicateDetectionFromImportSheet called ***');
     
+    // 差分インポート中なら一時シートのデータをインポートシートに反映
+    const deltaResult = ImportDelta.commitStaging(SpreadsheetApp.getActiveSpreadsheet());
+    if (deltaResult && !deltaResult.success) return deltaResult;
+    
     // 直接重複検出を実行
     const detectResult = detectDuplicates();
     console.log('*** SERVER DEBUG: Duplicate detection result:', detectResult);
@@ -4690,7 +8954,8 @@ function startDuplicateDetectionFromImportSheet() {
     return {
       success: true,
       completed: true,
-      message: '重複検出が完了しました',
+      message: deltaResult ? `${deltaResult.message}。重複検出が完了しました` : '重複検出が完了しました',
+      delta: deltaResult ? deltaResult.delta || null : null,
       result: detectResult,
       stats: {
         duplicatesFound: detectResult?.duplicateCount || 0
@@ -4710,6 +8975,13 @@ function startDuplicateDetectionFromImportSheet() {
  * 手作業インポート後の高速重複検出
  */
 function executeFastDuplicateDetection() {
+  return RunLock.run('重複検出', () => executeFastDuplicateDetectionImpl());
+}
+
+/**
+ * executeFastDuplicateDetectionの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function executeFastDuplicateDetectionImpl() {
   try {
     const startTime = new Date().getTime();
     console.log('*** SERVER DEBUG: executeFastDuplicateDetection called ***');
@@ -4770,13 +9042,22 @@ function executeFastDuplicateDetection() {
 
 /**
  * CSVデータを一時保存（大きなパラメータによるタイムアウト対策）
+ * 戻り値のrunTokenをstartChunkedAutoProcessFromStorageに渡す
  */
 function storeCsvDataForChunkedProcess(csvData) {
+  return RunLock.step('CSVの一時保存', '', () => storeCsvDataForChunkedProcessImpl(csvData));
+}
+
+/**
+ * storeCsvDataForChunkedProcessの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function storeCsvDataForChunkedProcessImpl(csvData) {
   try {
     console.log('*** SERVER DEBUG: storeCsvDataForChunkedProcess called ***');
     console.log('*** SERVER DEBUG: csvData length:', csvData ? csvData.length : 'null');
     
     if (!csvData) {
+      RunLock.end();
       return { success: false, message: 'CSVデータがありません' };
     }
     
@@ -4796,76 +9077,58 @@ function storeCsvDataForChunkedProcess(csvData) {
       tempSheet = spreadsheet.insertSheet('_TempCSV');
     }
     
-    // 大きなCSVデータを一度に解析するとタイムアウトするため、行単位でストリーミング処理
+    // 大きなCSVデータを一度に解析するとタイムアウトするため、一定サイズずつストリーミング処理
     console.log('*** SERVER DEBUG: Starting streaming CSV parse and save ***');
     
-    // CSVデータを行単位に分割
-    const lines = csvData.split('\n');
-    console.log(`*** SERVER DEBUG: Split into ${lines.length} lines ***`);
-    
     // バッチサイズを小さくしてタイムアウトを回避
     const BATCH_SIZE = 500;
+    const SLICE_SIZE = 500000; // パーサーに渡す文字数
+    const parser = EbayTool.CSVHandler.createParser();
     let totalRows = 0;
     let batchRows = [];
-    let headerParsed = false;
     let columnCount = 0;
     
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue; // 空行をスキップ
-      
-      try {
-        // 簡易CSV行解析（カンマ区切り、引用符対応）
-        const row = line.split(',').map(cell => {
-          // 引用符で囲まれた値の処理
-          let cleanCell = cell.trim();
-          if (cleanCell.startsWith('"') && cleanCell.endsWith('"')) {
-            cleanCell = cleanCell.slice(1, -1).replace(/""/g, '"');
-          }
-          return cleanCell;
-        });
-        
-        // ヘッダー行で列数を確定
-        if (!headerParsed) {
-          columnCount = row.length;
-          headerParsed = true;
+    const saveBatch = function() {
+      const startRow = totalRows + 1;
+      tempSheet.getRange(startRow, 1, batchRows.length, columnCount).setValues(batchRows);
+      totalRows += batchRows.length;
+      console.log(`*** SERVER DEBUG: Saved streaming batch, rows ${startRow}-${totalRows} ***`);
+      batchRows = []; // バッチをクリア
+    };
+    
+    const addRecords = function(records) {
+      records.forEach(record => {
+        // ヘッダー行で列数を確定（列数が異なるレコードはparser.errorsに記録済み）
+        if (!columnCount) {
+          columnCount = record.length;
           console.log(`*** SERVER DEBUG: Header parsed, ${columnCount} columns ***`);
         }
+        if (record.length !== columnCount) return;
         
-        // 列数を統一（不足分は空文字で埋める）
-        while (row.length < columnCount) {
-          row.push('');
-        }
-        // 過多分は切り捨て
-        if (row.length > columnCount) {
-          row.splice(columnCount);
-        }
-        
-        batchRows.push(row);
-        
-        // バッチサイズに達したら保存
-        if (batchRows.length >= BATCH_SIZE) {
-          const startRow = totalRows + 1;
-          const range = tempSheet.getRange(startRow, 1, batchRows.length, columnCount);
-          range.setValues(batchRows);
-          totalRows += batchRows.length;
-          console.log(`*** SERVER DEBUG: Saved streaming batch, rows ${startRow}-${totalRows} ***`);
-          batchRows = []; // バッチをクリア
-        }
-        
-      } catch (parseError) {
-        console.warn(`*** SERVER DEBUG: Skipping malformed line ${i}: ${parseError.message} ***`);
-        continue;
-      }
+        batchRows.push(record);
+        if (batchRows.length >= BATCH_SIZE) saveBatch();
+      });
+    };
+    
+    for (let offset = 0; offset < csvData.length; offset += SLICE_SIZE) {
+      addRecords(parser.push(csvData.slice(offset, offset + SLICE_SIZE)));
     }
+    addRecords(parser.finish());
     
     // 残りのバッチを保存
     if (batchRows.length > 0) {
-      const startRow = totalRows + 1;
-      const range = tempSheet.getRange(startRow, 1, batchRows.length, columnCount);
-      range.setValues(batchRows);
-      totalRows += batchRows.length;
-      console.log(`*** SERVER DEBUG: Saved final streaming batch, rows ${startRow}-${totalRows} ***`);
+      saveBatch();
+    }
+    
+    // 不正なレコードがある場合は一時データを破棄して報告
+    if (parser.errors.length > 0) {
+      tempSheet.clear();
+      RunLock.end();
+      return {
+        success: false,
+        message: `CSVに不正なレコードが${parser.errors.length}件あります。\n${EbayTool.CSVHandler.formatErrors(parser.errors)}`,
+        malformedRecords: parser.errors
+      };
     }
     
     console.log(`*** SERVER DEBUG: CSV data stored successfully, total rows: ${totalRows} ***`);
@@ -4877,6 +9140,7 @@ function storeCsvDataForChunkedProcess(csvData) {
     
   } catch (error) {
     console.error('storeCsvDataForChunkedProcess エラー:', error);
+    RunLock.end();
     return {
       success: false,
       message: `CSVデータ保存に失敗しました: ${error.message}`
@@ -4884,13 +9148,98 @@ function storeCsvDataForChunkedProcess(csvData) {
   }
 }
 
+/**
+ * 一時保存したCSVデータ（_TempCSVシート）をインポートシートにコピーする
+ * 大きなデータのCSV変換はタイムアウトするため、シートからシートへ直接コピーする
+ * importCsvDataと同じスキーマ検証を行い、不正な行があればインポートシートを変更せずにレポートを返す
+ * @param {string} validationMode - 検証エラーがある場合のインポート方法（ImportSchema.MODES、省略時はレポートを返して中止）
+ * @param {Function} shouldCancel - バッチごとに呼ばれ、trueを返したらコピーを中断する（分割処理のキャンセル用）
+ * @return {Object} { success, copiedRows: コピーした行数（ヘッダーを含む）, message } / 中止した場合はapplyImportSchemaのresponse、中断した場合はcancelled
+ */
+function copyTempCsvToImportSheet(spreadsheet, tempSheet, validationMode = '', shouldCancel = null) {
+  const lastCol = tempSheet.getLastColumn();
+
+  // 検証してからインポートシートを書き換える
+  const validationResult = applyImportSchema(tempSheet.getRange(1, 1, tempSheet.getLastRow(), lastCol).getValues(), validationMode);
+  if (!validationResult.proceed) return validationResult.response;
+  const rows = validationResult.rows;
+  const lastRow = rows.length;
+
+  // インポートシートを取得または作成
+  const importSheetName = EbayTool.getSheetName('IMPORT');
+  let importSheet;
+
+  try {
+    importSheet = spreadsheet.getSheetByName(importSheetName);
+    if (!importSheet) {
+      importSheet = spreadsheet.insertSheet(importSheetName);
+    } else {
+      importSheet.clear(); // 既存データをクリア
+    }
+  } catch (e) {
+    importSheet = spreadsheet.insertSheet(importSheetName);
+  }
+
+  // 一時シートからインポートシートへ直接データをコピー（バッチ処理）
+  const BATCH_SIZE = 5000; // コピー用のバッチサイズ
+  let copiedRows = 0;
+
+  for (let startRow = 1; startRow <= lastRow; startRow += BATCH_SIZE) {
+    if (startRow > 1 && shouldCancel && shouldCancel()) {
+      console.log(`*** SERVER DEBUG: Copy cancelled after ${copiedRows}/${lastRow} rows ***`);
+      return { success: false, cancelled: true, copiedRows: copiedRows, message: 'キャンセルされたため、インポートを中断しました' };
+    }
+    const endRow = Math.min(startRow + BATCH_SIZE - 1, lastRow);
+    const batchSize = endRow - startRow + 1;
+
+    console.log(`*** SERVER DEBUG: Copying batch ${startRow}-${endRow} (${batchSize} rows) ***`);
+
+    // バッチデータを取り出し
+    const batchData = rows.slice(startRow - 1, endRow);
+
+    // インポートシートに書き込み
+    const targetRange = importSheet.getRange(startRow, 1, batchSize, lastCol);
+    targetRange.setValues(batchData);
+
+    copiedRows += batchSize;
+    console.log(`*** SERVER DEBUG: Copied ${copiedRows}/${lastRow} rows ***`);
+  }
+
+  return { success: true, copiedRows: copiedRows, message: validationResult.message };
+}
+
 /**
  * 保存されたCSVデータから分割処理を開始
+ * 標準以外のパイプライン（ツール設定のpipelinePreset）はChunkedProcessorで段階的に実行する
+ * @param {string} runToken - storeCsvDataForChunkedProcessで受け取った実行のトークン
+ * @param {string} validationMode - 検証エラーがある場合のインポート方法（ImportSchema.MODES、省略時はレポートを返して中止）
+ */
+function startChunkedAutoProcessFromStorage(runToken, validationMode) {
+  return RunLock.step('自動処理', runToken, () => startChunkedAutoProcessFromStorageImpl(runToken, validationMode));
+}
+
+/**
+ * startChunkedAutoProcessFromStorageの本体（実行ロックを取得した状態で呼ぶ）
  */
-function startChunkedAutoProcessFromStorage() {
+function startChunkedAutoProcessFromStorageImpl(runToken = '', validationMode = '') {
   try {
     console.log('*** SERVER DEBUG: startChunkedAutoProcessFromStorage called ***');
     
+    const presetName = ToolSettings.get().pipelinePreset;
+    if (presetName !== ChunkedProcessor.DEFAULT_PRESET) {
+      if (!ChunkedProcessor.getPipeline({ pipelinePreset: presetName }).includes('import')) {
+        RunLock.end();
+        return {
+          success: false,
+          message: `パイプライン「${ChunkedProcessor.PIPELINE_PRESETS[presetName].label}」はインポートを含みません。検出設定の「インポート済みデータで実行」から実行してください。`
+        };
+      }
+      return ChunkedProcessor.startChunkedAutoProcess(null, presetName, validationMode);
+    }
+    
+    // 標準のパイプラインはこの呼び出しで完了する
+    RunLock.end();
+    
     // 一時保存されたCSVデータを読み込み
     const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
     const tempSheet = spreadsheet.getSheetByName('_TempCSV');
@@ -4917,41 +9266,10 @@ function startChunkedAutoProcessFromStorage() {
     // 大きなデータのCSV変換はタイムアウトするため、直接インポートシートに移行
     console.log('*** SERVER DEBUG: Directly copying data to import sheet to avoid timeout ***');
     
-    // インポートシートを取得または作成
-    const importSheetName = EbayTool.getSheetName('IMPORT');
-    let importSheet;
-    
-    try {
-      importSheet = spreadsheet.getSheetByName(importSheetName);
-      if (!importSheet) {
-        importSheet = spreadsheet.insertSheet(importSheetName);
-      } else {
-        importSheet.clear(); // 既存データをクリア
-      }
-    } catch (e) {
-      importSheet = spreadsheet.insertSheet(importSheetName);
-    }
-    
-    // 一時シートからインポートシートへ直接データをコピー（バッチ処理）
-    const BATCH_SIZE = 5000; // コピー用のバッチサイズ
-    let copiedRows = 0;
-    
-    for (let startRow = 1; startRow <= lastRow; startRow += BATCH_SIZE) {
-      const endRow = Math.min(startRow + BATCH_SIZE - 1, lastRow);
-      const batchSize = endRow - startRow + 1;
-      
-      console.log(`*** SERVER DEBUG: Copying batch ${startRow}-${endRow} (${batchSize} rows) ***`);
-      
-      // バッチデータを読み込み
-      const batchData = tempSheet.getRange(startRow, 1, batchSize, lastCol).getValues();
-      
-      // インポートシートに書き込み
-      const targetRange = importSheet.getRange(startRow, 1, batchSize, lastCol);
-      targetRange.setValues(batchData);
-      
-      copiedRows += batchSize;
-      console.log(`*** SERVER DEBUG: Copied ${copiedRows}/${lastRow} rows ***`);
-    }
+    // 検証で中止した場合は、選び直して再実行できるよう一時シートを残す
+    const copyResult = copyTempCsvToImportSheet(spreadsheet, tempSheet, validationMode);
+    if (!copyResult.success) return copyResult;
+    const copiedRows = copyResult.copiedRows;
     
     console.log('*** SERVER DEBUG: Data copied successfully, starting direct duplicate detection ***');
     
@@ -4991,13 +9309,22 @@ function startChunkedAutoProcessFromStorage() {
 
 /**
  * 分割処理による自動処理開始（UIから呼び出される）
+ * @param {string} csvData - CSVファイルの内容
+ * @param {string} validationMode - 検証エラーがある場合のインポート方法（ImportSchema.MODES、省略時はレポートを返して中止）
+ */
+function startChunkedAutoProcessFromUI(csvData, validationMode) {
+  return RunLock.step('自動処理', '', () => startChunkedAutoProcessFromUIImpl(csvData, validationMode));
+}
+
+/**
+ * startChunkedAutoProcessFromUIの本体（実行ロックを取得した状態で呼ぶ）
  */
-function startChunkedAutoProcessFromUI(csvData) {
+function startChunkedAutoProcessFromUIImpl(csvData, validationMode = '') {
   try {
     console.log('*** SERVER DEBUG: startChunkedAutoProcessFromUI called ***');
     console.log('*** SERVER DEBUG: csvData length:', csvData ? csvData.length : 'null');
     console.log('分割処理による自動処理開始');
-    const result = ChunkedProcessor.startChunkedAutoProcess(csvData);
+    const result = ChunkedProcessor.startChunkedAutoProcess(csvData, '', validationMode);
     console.log('*** SERVER DEBUG: ChunkedProcessor returned:', result);
     return result;
   } catch (error) {
@@ -5009,15 +9336,56 @@ function startChunkedAutoProcessFromUI(csvData) {
   }
 }
 
+/**
+ * インポート済みのデータに対して、ツール設定で選んだパイプラインを実行する（UIから呼び出される）
+ * インポートを含むパイプラインは自動処理（CSVの選択）から実行する
+ */
+function startPipelineOnImportSheet() {
+  return RunLock.step('自動処理', '', () => startPipelineOnImportSheetImpl());
+}
+
+/**
+ * startPipelineOnImportSheetの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function startPipelineOnImportSheetImpl() {
+  try {
+    const presetName = ToolSettings.get().pipelinePreset;
+    const preset = ChunkedProcessor.PIPELINE_PRESETS[presetName];
+    if (preset.phases.includes('import')) {
+      RunLock.end();
+      return { success: false, message: `パイプライン「${preset.label}」はCSVのインポートを含むため、自動処理から実行してください。` };
+    }
+    const importSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(EbayTool.getSheetName('IMPORT'));
+    if (!importSheet || importSheet.getLastRow() <= 1) {
+      RunLock.end();
+      return { success: false, message: 'インポートデータが見つかりません。先にCSVをインポートしてください。' };
+    }
+    console.log(`パイプライン開始（インポート済みデータ）: ${preset.label}`);
+    return ChunkedProcessor.startChunkedAutoProcess(null, presetName);
+  } catch (error) {
+    logError('startPipelineOnImportSheet', error, 'パイプラインの開始中');
+    RunLock.end();
+    return { success: false, message: getFriendlyErrorMessage(error, 'パイプラインの開始に失敗しました。') };
+  }
+}
+
 /**
  * 分割処理の続行（UIから呼び出される）
  */
 function continueChunkedProcess(processId) {
+  return RunLock.step('自動処理', ChunkedProcessor.getRunToken(processId), () => continueChunkedProcessImpl(processId));
+}
+
+/**
+ * continueChunkedProcessの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function continueChunkedProcessImpl(processId) {
   try {
     console.log(`分割処理続行: ${processId}`);
     return ChunkedProcessor.executeNextPhase(processId);
   } catch (error) {
     console.error('continueChunkedProcess エラー:', error);
+    RunLock.end();
     return {
       success: false,
       message: `分割処理の続行に失敗しました: ${error.message}`,
@@ -5026,28 +9394,165 @@ function continueChunkedProcess(processId) {
   }
 }
 
+/**
+ * 分割処理をキャンセルする（UIから呼び出される）
+ * @param {string} processId - 処理ID
+ * @return {Object} 処理結果（cancelled: 停止済み / pending: 実行中のフェーズの区切りで停止）
+ */
+function cancelChunkedProcess(processId) {
+  try {
+    return ChunkedProcessor.requestCancel(processId);
+  } catch (error) {
+    logError('cancelChunkedProcess', error, '分割処理のキャンセル中');
+    return { success: false, message: getFriendlyErrorMessage(error, '処理のキャンセルに失敗しました。'), processId: processId };
+  }
+}
+
+/**
+ * 一時停止した分割処理を再開する（時間主導型トリガーから呼び出される）
+ * サイドバーが閉じられていても、完了・失敗するまでトリガーを予約し直して続ける
+ * @param {Object} e - トリガーのイベント
+ */
+function continueChunkedProcessByTrigger(e) {
+  try {
+    // 発火したトリガーは使い捨て
+    if (e && e.triggerUid) ChunkedProcessor.deleteTrigger(e.triggerUid);
+
+    const active = ChunkedProcessor.getActiveProcess();
+    if (!active || active.finishedAt) {
+      console.log('⏰ 再開する分割処理はありません');
+      return;
+    }
+
+    console.log(`⏰ トリガーから分割処理を再開: ${active.processId}`);
+    const runToken = ChunkedProcessor.getRunToken(active.processId);
+    const result = RunLock.step('自動処理', runToken, () => ChunkedProcessor.executeNextPhase(active.processId));
+    if (result.locked) {
+      // 他の実行が終わるまで待ってから再開する
+      ChunkedProcessor.scheduleContinuation(active.processId);
+    }
+    console.log(`⏰ トリガー実行結果: ${result.message}`);
+  } catch (error) {
+    logError('continueChunkedProcessByTrigger', error, 'トリガーからの分割処理再開中');
+  }
+}
+
+/**
+ * 実行中（または最後に実行した）分割処理の状態を取得する（サイドバーを開き直したとき用）
+ * @return {Object} 処理結果と状態（分割処理の記録がない場合はprocessIdなし）
+ */
+function getActiveChunkedProcess() {
+  try {
+    const active = ChunkedProcessor.getActiveProcess();
+    if (!active) return { success: true, processId: null };
+    return getChunkedProcessStatus(active.processId);
+  } catch (error) {
+    logError('getActiveChunkedProcess', error, '分割処理の状態確認中');
+    return { success: false, message: getFriendlyErrorMessage(error, '分割処理の状態確認に失敗しました。') };
+  }
+}
+
+/**
+ * 完了・失敗した分割処理の記録を消す（サイドバーで結果を表示した後に呼び出される）
+ * @param {string} processId - 処理ID
+ * @return {Object} 処理結果
+ */
+function dismissChunkedProcess(processId) {
+  return RunLock.run('分割処理の記録削除', () => dismissChunkedProcessImpl(processId));
+}
+
+/**
+ * dismissChunkedProcessの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function dismissChunkedProcessImpl(processId) {
+  try {
+    const active = ChunkedProcessor.getActiveProcess();
+    if (active && active.processId === processId && active.finishedAt) {
+      PropertiesService.getDocumentProperties().deleteProperty(ChunkedProcessor.ACTIVE_PROCESS_KEY);
+      ChunkedProcessor.clearState(processId);
+    }
+    return { success: true };
+  } catch (error) {
+    logError('dismissChunkedProcess', error, '分割処理の記録削除中');
+    return { success: false, message: error.message };
+  }
+}
+
+/**
+ * 保存されている分割処理の状態の一覧を取得する関数
+ * @return {Object} 処理結果と一覧（新しい順）
+ */
+function listProcessStates() {
+  try {
+    return { success: true, processes: ProcessStateStore.list() };
+  } catch (error) {
+    logError('listProcessStates', error, '処理状態の一覧取得中');
+    return { success: false, message: getFriendlyErrorMessage(error, '処理状態の一覧取得に失敗しました。') };
+  }
+}
+
+/**
+ * 古い・破損した分割処理の状態を削除する関数（実行中の処理は残す）
+ * @param {number} maxAgeHours - この時間更新がない処理を削除（省略時は24時間）
+ * @return {Object} 処理結果と削除した処理ID
+ */
+function cleanupProcessStates(maxAgeHours) {
+  return RunLock.run('処理状態の削除', () => cleanupProcessStatesImpl(maxAgeHours));
+}
+
+/**
+ * cleanupProcessStatesの本体（実行ロックを取得した状態で呼ぶ）
+ */
+function cleanupProcessStatesImpl(maxAgeHours = 24) {
+  try {
+    const active = ChunkedProcessor.getActiveProcess();
+    const keepProcessId = active && !active.finishedAt ? active.processId : null;
+    const removed = ProcessStateStore.cleanup(maxAgeHours * 60 * 60 * 1000, keepProcessId);
+    return { success: true, message: `古い処理状態を${removed.length}件削除しました。`, removed: removed };
+  } catch (error) {
+    logError('cleanupProcessStates', error, '処理状態の削除中');
+    return { success: false, message: getFriendlyErrorMessage(error, '処理状態の削除に失敗しました。') };
+  }
+}
+
 /**
  * 分割処理の状態確認（UIから呼び出される）
  */
 function getChunkedProcessStatus(processId) {
   try {
-    const state = ChunkedProcessor.getState(processId);
-    if (!state) {
+    const record = ProcessStateStore.get(processId);
+    if (!record.success) {
+      return { success: false, corrupted: true, processId: processId, message: record.message };
+    }
+    if (!record.found) {
       return {
         success: false,
         message: '処理状態が見つかりません'
       };
     }
+    const state = record.state;
     
+    const active = ChunkedProcessor.getActiveProcess();
+    const isActive = active && active.processId === processId;
+    const lastStep = state.result && state.result.steps.length > 0 ? state.result.steps[state.result.steps.length - 1] : null;
     return {
       success: true,
       processId: processId,
       phase: state.phase,
       currentPhase: state.currentPhase,
       totalPhases: state.totalPhases,
-      progress: Math.round((state.currentPhase / state.totalPhases) * 100),
+      progress: ChunkedProcessor.calculateProgress(state),
+      pipelinePreset: state.pipelinePreset || ChunkedProcessor.DEFAULT_PRESET,
       completed: state.completed,
-      error: state.error
+      cancelled: !!state.cancelled,
+      cancelRequested: ChunkedProcessor.isCancelRequested(processId),
+      error: state.error,
+      lastMessage: lastStep ? lastStep.message : '',
+      finalMessage: state.result ? state.result.finalMessage || '' : '',
+      scheduledAt: isActive ? active.scheduledAt : null,
+      finishedAt: isActive ? active.finishedAt : null,
+      stateVersion: record.version,
+      updatedAt: record.updatedAt
     };
   } catch (error) {
     console.error('getChunkedProcessStatus エラー:', error);